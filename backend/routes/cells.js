@@ -0,0 +1,72 @@
+import express from 'express';
+import { searchService } from '../services/index.js';
+import { DEPENDENCY_DIRECTIONS } from '../services/search-service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/cells/:id/precedents
+ * GET /api/cells/:id/dependents
+ * Trace the cells a formula reads, or the formulas reading a cell
+ */
+DEPENDENCY_DIRECTIONS.forEach(direction => {
+  router.get(`/:id/${direction}`, async (req, res) => {
+    try {
+      const depth = req.query.depth === undefined ? undefined : Number(req.query.depth);
+      if (depth !== undefined && !(Number.isInteger(depth) && depth > 0)) {
+        return res.status(400).json({ error: 'depth must be a positive integer' });
+      }
+
+      const trace = await searchService.traceDependencies(req.params.id, { direction, depth });
+      if (!trace) {
+        return res.status(404).json({
+          error: 'Cell not found'
+        });
+      }
+
+      res.json({
+        ...trace,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Trace ${direction} error:`, error);
+      res.status(500).json({
+        error: `Failed to trace ${direction}`,
+        message: error.message
+      });
+    }
+  });
+});
+
+/**
+ * POST /api/cells/:id/what-if
+ * Change a cell's value and return its recalculated dependents
+ */
+router.post('/:id/what-if', async (req, res) => {
+  try {
+    const { value } = req.body || {};
+    if (!['number', 'string', 'boolean'].includes(typeof value) || (typeof value === 'number' && !Number.isFinite(value))) {
+      return res.status(400).json({ error: 'value must be a number, string or boolean' });
+    }
+
+    const scenario = await searchService.whatIf(req.params.id, value);
+    if (!scenario) {
+      return res.status(404).json({
+        error: 'Cell not found'
+      });
+    }
+
+    res.json({
+      ...scenario,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('What-if error:', error);
+    res.status(500).json({
+      error: 'Failed to recalculate dependents',
+      message: error.message
+    });
+  }
+});
+
+export default router;
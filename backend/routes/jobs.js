@@ -0,0 +1,85 @@
+import express from 'express';
+import { jobService } from '../services/index.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs
+ * List recent ingestion jobs
+ */
+router.get('/', (req, res) => {
+  try {
+    const jobs = jobService.list();
+    res.json({
+      jobs,
+      count: jobs.length,
+      stats: jobService.getStats()
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      error: 'Failed to list jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get the status and progress of a job
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const job = jobService.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      error: 'Failed to get job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Stream job progress as Server-Sent Events until the job finishes
+ */
+router.get('/:id/events', (req, res) => {
+  const job = jobService.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (update) => {
+    const event = jobService.isFinished(update) ? 'done' : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(update)}\n\n`);
+    if (event === 'done') {
+      unsubscribe();
+      res.end();
+    }
+  };
+
+  const unsubscribe = jobService.subscribe(job.id, send);
+  req.on('close', unsubscribe);
+
+  send(job);
+});
+
+export default router;
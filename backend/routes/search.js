@@ -1,5 +1,12 @@
 import express from 'express';
-import { searchService } from '../services/index.js';
+import { searchService, rankingProfileRegistry, workbookRegistry } from '../services/index.js';
+import { VECTOR_SEARCH_MODES, PAGED_SEARCH_MODES } from '../services/search-service.js';
+import { FUSION_METHODS } from '../utils/fusion.js';
+import { validateSearchFilters } from '../utils/search-filters.js';
+import { QuerySyntaxError } from '../utils/query-parser.js';
+import { computeFacets } from '../utils/facets.js';
+import { InvalidCursorError } from '../utils/search-cursor.js';
+import { RankingProfileError } from '../services/ranking-profiles.js';
 
 const router = express.Router();
 
@@ -25,13 +32,137 @@ function calculateOverlap(results1, results2) {
   };
 }
 
+/**
+ * Validate hybrid fusion options
+ * @param {object} options - { fusion, rrfK, weights } from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateFusionOptions({ fusion, rrfK, weights }) {
+  if (fusion !== undefined && !FUSION_METHODS.includes(fusion)) {
+    return `Invalid fusion. Use ${FUSION_METHODS.map(m => `"${m}"`).join(' or ')}`;
+  }
+
+  if (rrfK !== undefined && !(typeof rrfK === 'number' && rrfK > 0)) {
+    return 'rrfK must be a positive number';
+  }
+
+  if (weights !== undefined) {
+    if (typeof weights !== 'object' || weights === null || Array.isArray(weights)) {
+      return 'weights must be an object with "semantic" and/or "keyword" numbers';
+    }
+    for (const [name, weight] of Object.entries(weights)) {
+      if (!['semantic', 'keyword'].includes(name)) {
+        return `Unknown weight "${name}". Use "semantic" or "keyword"`;
+      }
+      if (typeof weight !== 'number' || !(weight >= 0)) {
+        return `Weight "${name}" must be a non-negative number`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate paging options
+ * @param {object} options - { limit, offset, cursor } from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePaging({ limit, offset, cursor }) {
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    return 'limit must be a positive integer';
+  }
+
+  if (offset !== undefined && !(Number.isInteger(offset) && offset >= 0)) {
+    return 'offset must be a non-negative integer';
+  }
+
+  if (cursor !== undefined && !(typeof cursor === 'string' && cursor.length > 0)) {
+    return 'cursor must be a non-empty string';
+  }
+
+  return null;
+}
+
+/**
+ * Validate diversification options
+ * @param {object} options - { diversify, collapseRanges } from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDiversity({ diversify, collapseRanges }) {
+  if (diversify !== undefined && typeof diversify !== 'boolean') {
+    if (typeof diversify !== 'object' || diversify === null || Array.isArray(diversify)) {
+      return 'diversify must be a boolean or an object with "lambda"';
+    }
+    const unknown = Object.keys(diversify).find(key => key !== 'lambda');
+    if (unknown) {
+      return `Unknown diversify option "${unknown}". Use "lambda"`;
+    }
+    if (diversify.lambda !== undefined && !(typeof diversify.lambda === 'number' && diversify.lambda >= 0 && diversify.lambda <= 1)) {
+      return 'diversify.lambda must be a number between 0 and 1';
+    }
+  }
+
+  if (collapseRanges !== undefined && typeof collapseRanges !== 'boolean') {
+    return 'collapseRanges must be a boolean';
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the ranking weights a request asks for
+ * @param {object} options - { profile, rankingWeights } from the request body
+ * @returns {object} { profile, weights }
+ * @throws {RankingProfileError} When the profile is unknown or the weights are invalid
+ */
+function resolveRanking({ profile, rankingWeights }) {
+  if (profile !== undefined && typeof profile !== 'string') {
+    throw new RankingProfileError('profile must be a string');
+  }
+
+  return rankingProfileRegistry.resolve({ profile, weights: rankingWeights });
+}
+
 /**
  * POST /api/search
- * Perform semantic or keyword search
+ * Perform semantic, keyword or hybrid search, one page at a time
  */
 router.post('/', async (req, res) => {
   try {
-    const { query, mode = 'semantic', topK = 10, includeRanges = true } = req.body;
+    const {
+      query,
+      mode = 'semantic',
+      topK,
+      limit = topK,
+      offset = 0,
+      cursor,
+      includeRanges = true,
+      vectorSearch,
+      fusion,
+      rrfK,
+      weights,
+      profile,
+      rankingWeights,
+      diversify,
+      collapseRanges,
+      filters
+    } = req.body;
+
+    const pagingError = validatePaging({ limit, offset, cursor });
+    if (pagingError) {
+      return res.status(400).json({ error: pagingError });
+    }
+
+    // A cursor carries the query, mode and options of the search it continues
+    if (cursor !== undefined) {
+      const page = await searchService.searchPage(null, { cursor, limit });
+      return res.json({
+        ...page,
+        timestamp: new Date().toISOString(),
+        stats: searchService.getStats()
+      });
+    }
 
     if (!query || typeof query !== 'string') {
       return res.status(400).json({
@@ -39,41 +170,99 @@ router.post('/', async (req, res) => {
       });
     }
 
-    let results = [];
-
-    if (mode === 'semantic') {
-      results = await searchService.search(query, { topK, includeRanges });
-    } else if (mode === 'keyword') {
-      results = await searchService.keywordSearch(query, { topK, includeRanges });
-    } else if (mode === 'both') {
-      const [semanticResults, keywordResults] = await Promise.all([
-        searchService.search(query, { topK, includeRanges }),
-        searchService.keywordSearch(query, { topK, includeRanges })
-      ]);
-      
-      results = {
-        semantic: semanticResults,
-        keyword: keywordResults,
-        comparison: {
-          semanticCount: semanticResults.length,
-          keywordCount: keywordResults.length,
-          overlap: calculateOverlap(semanticResults, keywordResults)
-        }
-      };
-    } else {
+    if (vectorSearch !== undefined && !VECTOR_SEARCH_MODES.includes(vectorSearch)) {
       return res.status(400).json({
-        error: 'Invalid mode. Use "semantic", "keyword", or "both"'
+        error: `Invalid vectorSearch. Use ${VECTOR_SEARCH_MODES.map(m => `"${m}"`).join(', ')}`
       });
     }
 
+    const fusionError = validateFusionOptions({ fusion, rrfK, weights });
+    if (fusionError) {
+      return res.status(400).json({ error: fusionError });
+    }
+
+    const filtersError = validateSearchFilters(filters);
+    if (filtersError) {
+      return res.status(400).json({ error: filtersError });
+    }
+
+    const diversityError = validateDiversity({ diversify, collapseRanges });
+    if (diversityError) {
+      return res.status(400).json({ error: diversityError });
+    }
+
+    // Ranking profiles weight the semantic features; keyword scores are pure BM25
+    const ranking = resolveRanking({ profile, rankingWeights });
+    const pageOptions = { offset, limit, includeRanges, filters, diversify, collapseRanges };
+
+    if (PAGED_SEARCH_MODES.includes(mode)) {
+      const page = await searchService.searchPage(query, {
+        ...pageOptions,
+        mode,
+        ...(mode !== 'keyword' && { vectorSearch, scoreWeights: ranking.weights }),
+        ...(mode === 'hybrid' && { fusion, rrfK, weights })
+      });
+
+      return res.json({
+        ...page,
+        ...(mode !== 'keyword' && { ranking }),
+        timestamp: new Date().toISOString(),
+        stats: searchService.getStats()
+      });
+    }
+
+    if (mode !== 'both') {
+      return res.status(400).json({
+        error: 'Invalid mode. Use "semantic", "keyword", "hybrid", or "both"'
+      });
+    }
+
+    // Facets count every candidate of either list, not just the returned page
+    const candidates = [];
+    const onCandidates = docs => candidates.push(...docs);
+
+    const [semanticPage, keywordPage] = await Promise.all([
+      searchService.searchPage(query, {
+        ...pageOptions,
+        mode: 'semantic',
+        vectorSearch,
+        scoreWeights: ranking.weights,
+        onCandidates
+      }),
+      searchService.searchPage(query, { ...pageOptions, mode: 'keyword', onCandidates })
+    ]);
+
     res.json({
       query,
       mode,
-      results,
+      results: {
+        semantic: semanticPage.results,
+        keyword: keywordPage.results,
+        comparison: {
+          semanticCount: semanticPage.results.length,
+          keywordCount: keywordPage.results.length,
+          overlap: calculateOverlap(semanticPage.results, keywordPage.results)
+        }
+      },
+      offset: semanticPage.offset,
+      limit: semanticPage.limit,
+      totalMatches: { semantic: semanticPage.totalMatches, keyword: keywordPage.totalMatches },
+      nextCursor: { semantic: semanticPage.nextCursor, keyword: keywordPage.nextCursor },
+      indexVersion: semanticPage.indexVersion,
+      facets: computeFacets(candidates),
+      ranking,
       timestamp: new Date().toISOString(),
       stats: searchService.getStats()
     });
   } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+
+    if (error instanceof InvalidCursorError || error instanceof RankingProfileError) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Search error:', error);
     res.status(500).json({
       error: 'Search failed',
@@ -82,6 +271,235 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/search/explain
+ * Break down how one document scores for a query
+ */
+router.post('/explain', async (req, res) => {
+  try {
+    const { query, docId, includeRanges = true, vectorSearch, filters, profile, rankingWeights } = req.body;
+
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({
+        error: 'Query is required and must be a string'
+      });
+    }
+
+    if (!docId || typeof docId !== 'string') {
+      return res.status(400).json({
+        error: 'docId is required and must be a string'
+      });
+    }
+
+    if (vectorSearch !== undefined && !VECTOR_SEARCH_MODES.includes(vectorSearch)) {
+      return res.status(400).json({
+        error: `Invalid vectorSearch. Use ${VECTOR_SEARCH_MODES.map(m => `"${m}"`).join(', ')}`
+      });
+    }
+
+    const filtersError = validateSearchFilters(filters);
+    if (filtersError) {
+      return res.status(400).json({ error: filtersError });
+    }
+
+    const ranking = resolveRanking({ profile, rankingWeights });
+    const explanation = await searchService.explainScore(query, docId, {
+      includeRanges,
+      vectorSearch,
+      filters,
+      scoreWeights: ranking.weights
+    });
+    if (!explanation) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    res.json({
+      ...explanation,
+      ranking,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+
+    if (error instanceof RankingProfileError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Explain error:', error);
+    res.status(500).json({
+      error: 'Failed to explain score',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Read a boolean query-string parameter
+ * @param {string} value - Raw value from req.query
+ * @param {boolean} defaultValue - Value when the parameter is absent
+ * @returns {boolean|null} Parsed value, or null if it is not "true" or "false"
+ */
+function parseBooleanParam(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
+/**
+ * GET /api/search/similar/:docId
+ * Find documents like an indexed one ("more like this")
+ */
+router.get('/similar/:docId', async (req, res) => {
+  try {
+    const { docId } = req.params;
+    const { topK, limit = topK, vectorSearch } = req.query;
+
+    const pageSize = limit === undefined ? undefined : Number(limit);
+    if (pageSize !== undefined && !(Number.isInteger(pageSize) && pageSize > 0)) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const otherWorkbooks = parseBooleanParam(req.query.otherWorkbooks, false);
+    const includeRanges = parseBooleanParam(req.query.includeRanges, true);
+    if (otherWorkbooks === null || includeRanges === null) {
+      return res.status(400).json({ error: 'otherWorkbooks and includeRanges must be "true" or "false"' });
+    }
+
+    if (vectorSearch !== undefined && !VECTOR_SEARCH_MODES.includes(vectorSearch)) {
+      return res.status(400).json({
+        error: `Invalid vectorSearch. Use ${VECTOR_SEARCH_MODES.map(m => `"${m}"`).join(', ')}`
+      });
+    }
+
+    const similar = await searchService.findSimilar(docId, {
+      topK: pageSize,
+      otherWorkbooks,
+      includeRanges,
+      vectorSearch
+    });
+    if (!similar) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    res.json({
+      ...similar,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Similar search error:', error);
+    res.status(500).json({
+      error: 'Similar search failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/search/profiles
+ * List built-in and custom ranking profiles
+ */
+router.get('/profiles', (req, res) => {
+  try {
+    const profiles = rankingProfileRegistry.list();
+    res.json({
+      profiles,
+      count: profiles.length
+    });
+  } catch (error) {
+    console.error('List profiles error:', error);
+    res.status(500).json({
+      error: 'Failed to list ranking profiles',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/search/profiles/:name
+ * Get a single ranking profile
+ */
+router.get('/profiles/:name', (req, res) => {
+  try {
+    const profile = rankingProfileRegistry.get(req.params.name);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Ranking profile not found'
+      });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      error: 'Failed to get ranking profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/search/profiles/:name
+ * Create or replace a custom ranking profile
+ */
+router.put('/profiles/:name', async (req, res) => {
+  try {
+    const { description, weights } = req.body;
+    const { profile, created } = await rankingProfileRegistry.set(req.params.name, { description, weights });
+
+    res.status(created ? 201 : 200).json(profile);
+  } catch (error) {
+    if (error instanceof RankingProfileError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Save profile error:', error);
+    res.status(500).json({
+      error: 'Failed to save ranking profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/search/profiles/:name
+ * Delete a custom ranking profile
+ */
+router.delete('/profiles/:name', async (req, res) => {
+  try {
+    const removed = await rankingProfileRegistry.remove(req.params.name);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Ranking profile not found'
+      });
+    }
+
+    res.json({
+      message: 'Ranking profile deleted successfully',
+      name: req.params.name,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof RankingProfileError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Delete profile error:', error);
+    res.status(500).json({
+      error: 'Failed to delete ranking profile',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/search/stats
  * Get search statistics
@@ -101,11 +519,12 @@ router.get('/stats', (req, res) => {
 
 /**
  * POST /api/search/clear
- * Clear search index
+ * Clear search index and the workbooks registered in it
  */
-router.post('/clear', (req, res) => {
+router.post('/clear', async (req, res) => {
   try {
-    searchService.clearIndex();
+    await searchService.clearIndex();
+    await workbookRegistry.clear();
     res.json({
       message: 'Search index cleared successfully',
       timestamp: new Date().toISOString()
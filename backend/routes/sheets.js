@@ -1,7 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
-import { excelParserService, searchService } from '../services/index.js';
+import { jobService } from '../services/index.js';
 
 const router = express.Router();
 
@@ -24,9 +24,9 @@ const upload = multer({
 
 /**
  * POST /api/sheets/upload
- * Upload and parse Excel files
+ * Upload Excel files and queue them for background ingestion
  */
-router.post('/upload', upload.array('files', 5), async (req, res) => {
+router.post('/upload', upload.array('files', 5), (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -34,56 +34,19 @@ router.post('/upload', upload.array('files', 5), async (req, res) => {
       });
     }
 
-    const results = [];
-    const allCells = [];
-    const allRanges = [];
-
-    for (const file of req.files) {
-      try {
-        console.log(`📊 Processing file: ${file.originalname}`);
-        
-        const spreadsheetData = await excelParserService.parseExcelFile(file.path);
-        
-        results.push({
-          fileName: file.originalname,
-          filePath: file.path,
-          ...spreadsheetData
-        });
-
-        // Collect all cells and ranges for indexing
-        Object.values(spreadsheetData.sheets).forEach(sheet => {
-          allCells.push(...sheet.cells);
-          allRanges.push(...sheet.ranges);
-        });
-
-      } catch (error) {
-        console.error(`Failed to process file ${file.originalname}:`, error.message);
-        results.push({
-          fileName: file.originalname,
-          error: error.message,
-          success: false
-        });
-      }
-    }
-
-    // Index all loaded data
-    if (allCells.length > 0) {
-      console.log(`📚 Indexing ${allCells.length} cells...`);
-      await searchService.addToIndex(allCells);
-    }
-
-    if (allRanges.length > 0) {
-      console.log(`📚 Indexing ${allRanges.length} ranges...`);
-      await searchService.addRangesToIndex(allRanges);
-    }
-
-    res.json({
-      message: 'Files processed successfully',
-      results,
-      stats: {
-        totalCells: allCells.length,
-        totalRanges: allRanges.length,
-        searchIndexSize: searchService.getStats().totalDocuments
+    const files = req.files.map(file => ({
+      path: file.path,
+      originalname: file.originalname
+    }));
+    const job = jobService.enqueue('upload', { files });
+
+    res.status(202).json({
+      message: 'Files queued for ingestion',
+      jobId: job.id,
+      job,
+      links: {
+        status: `/api/jobs/${job.id}`,
+        events: `/api/jobs/${job.id}/events`
       },
       timestamp: new Date().toISOString()
     });
@@ -98,33 +61,22 @@ router.post('/upload', upload.array('files', 5), async (req, res) => {
 
 /**
  * POST /api/sheets/load-default
- * Load default Excel files from project directory
+ * Queue the default Excel files from the project directory for ingestion
  */
-router.post('/load-default', async (req, res) => {
+router.post('/load-default', (req, res) => {
   try {
     const { options = {} } = req.body;
 
-    console.log('📊 Loading default Excel files...');
-    const { results, allCells, allRanges } = await excelParserService.loadDefaultFiles(options);
+    console.log('📊 Queueing default Excel files...');
+    const job = jobService.enqueue('load-default', { options });
 
-    // Index all loaded data
-    if (allCells.length > 0) {
-      console.log(`📚 Indexing ${allCells.length} cells...`);
-      await searchService.addToIndex(allCells);
-    }
-
-    if (allRanges.length > 0) {
-      console.log(`📚 Indexing ${allRanges.length} ranges...`);
-      await searchService.addRangesToIndex(allRanges);
-    }
-
-    res.json({
-      message: 'Default files loaded successfully',
-      results,
-      stats: {
-        totalCells: allCells.length,
-        totalRanges: allRanges.length,
-        searchIndexSize: searchService.getStats().totalDocuments
+    res.status(202).json({
+      message: 'Default files queued for ingestion',
+      jobId: job.id,
+      job,
+      links: {
+        status: `/api/jobs/${job.id}`,
+        events: `/api/jobs/${job.id}/events`
       },
       timestamp: new Date().toISOString()
     });
@@ -1,5 +1,5 @@
 import express from 'express';
-import { cacheService, searchService, excelParserService, embeddingService, labelService } from '../services/index.js';
+import { cacheService, searchService, excelParserService, embeddingService, labelService, indexStore, workbookRegistry, jobService, rankingProfileRegistry, openaiRateLimiter } from '../services/index.js';
 
 const router = express.Router();
 
@@ -24,7 +24,8 @@ router.get('/', (req, res) => {
         search: {
           initialized: searchService?.initialized || false,
           status: searchService?.initialized ? 'ready' : 'not initialized',
-          stats: searchService?.getStats() || {}
+          stats: searchService?.getStats() || {},
+          persistence: indexStore?.getStats() || {}
         },
         embedding: {
           initialized: embeddingService?.initialized || false,
@@ -36,15 +37,30 @@ router.get('/', (req, res) => {
           status: labelService?.initialized ? 'ready' : 'not initialized',
           stats: labelService?.getStats() || {}
         },
+        workbooks: {
+          initialized: workbookRegistry?.initialized || false,
+          stats: workbookRegistry?.getStats() || {}
+        },
+        rankingProfiles: {
+          initialized: rankingProfileRegistry?.initialized || false,
+          stats: rankingProfileRegistry?.getStats() || {}
+        },
+        jobs: {
+          stats: jobService?.getStats() || {}
+        },
         cache: {
           status: 'ready',
           stats: cacheService?.getStats() || {}
         }
       },
+      rateLimits: {
+        openai: openaiRateLimiter?.getStats() || {}
+      },
       environment: {
         nodeEnv: process.env.NODE_ENV || 'development',
         port: process.env.PORT || 3000,
         hasOpenAIKey: !!process.env.OPENAI_API_KEY,
+        embeddingProvider: embeddingService?.provider?.name || null,
         hasExcelFiles: true,
       },
       timestamp: new Date().toISOString()
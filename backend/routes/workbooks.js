@@ -0,0 +1,147 @@
+import express from 'express';
+import { workbookRegistry } from '../services/index.js';
+import { ISSUE_TYPES } from '../utils/formula-issues.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/workbooks
+ * List all ingested workbooks
+ */
+router.get('/', (req, res) => {
+  try {
+    const workbooks = workbookRegistry.list();
+    res.json({
+      workbooks,
+      count: workbooks.length
+    });
+  } catch (error) {
+    console.error('List workbooks error:', error);
+    res.status(500).json({
+      error: 'Failed to list workbooks',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/workbooks/:id
+ * Get a single workbook
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const workbook = workbookRegistry.get(req.params.id);
+
+    if (!workbook) {
+      return res.status(404).json({
+        error: 'Workbook not found'
+      });
+    }
+
+    res.json(workbook);
+  } catch (error) {
+    console.error('Get workbook error:', error);
+    res.status(500).json({
+      error: 'Failed to get workbook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/workbooks/:id/issues
+ * Model-health report: circular and broken references, error values
+ */
+router.get('/:id/issues', (req, res) => {
+  try {
+    const { type, severity } = req.query;
+
+    if (type !== undefined && !Object.hasOwn(ISSUE_TYPES, type)) {
+      return res.status(400).json({
+        error: `Invalid type. Use ${Object.keys(ISSUE_TYPES).map(t => `"${t}"`).join(', ')}`
+      });
+    }
+    if (severity !== undefined && !['error', 'warning'].includes(severity)) {
+      return res.status(400).json({
+        error: 'Invalid severity. Use "error" or "warning"'
+      });
+    }
+
+    const report = workbookRegistry.getIssues(req.params.id, { type, severity });
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Workbook not found'
+      });
+    }
+
+    res.json({
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get workbook issues error:', error);
+    res.status(500).json({
+      error: 'Failed to get workbook issues',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/workbooks/:id
+ * Remove a workbook and its indexed documents
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await workbookRegistry.remove(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Workbook not found'
+      });
+    }
+
+    res.json({
+      message: 'Workbook removed successfully',
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Delete workbook error:', error);
+    res.status(500).json({
+      error: 'Failed to remove workbook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/workbooks/:id/reindex
+ * Re-parse a workbook from its source file and refresh its documents
+ */
+router.post('/:id/reindex', async (req, res) => {
+  try {
+    const result = await workbookRegistry.reindex(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Workbook not found'
+      });
+    }
+
+    res.json({
+      message: 'Workbook reindexed successfully',
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Reindex workbook error:', error);
+    res.status(500).json({
+      error: 'Failed to reindex workbook',
+      message: error.message
+    });
+  }
+});
+
+export default router;
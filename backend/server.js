@@ -8,6 +8,9 @@ import { fileURLToPath } from 'url';
 import searchRoutes from './routes/search.js';
 import sheetsRoutes from './routes/sheets.js';
 import statusRoutes from './routes/status.js';
+import workbooksRoutes from './routes/workbooks.js';
+import jobsRoutes from './routes/jobs.js';
+import cellsRoutes from './routes/cells.js';
 
 // Import services
 import { initializeServices } from './services/index.js';
@@ -33,6 +36,9 @@ await initializeServices();
 app.use('/api/search', searchRoutes);
 app.use('/api/sheets', sheetsRoutes);
 app.use('/api/status', statusRoutes);
+app.use('/api/workbooks', workbooksRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/cells', cellsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
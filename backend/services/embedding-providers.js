@@ -0,0 +1,182 @@
+import OpenAI from 'openai';
+
+/**
+ * Embedding providers share one interface:
+ *   name        - provider identifier
+ *   model       - model identifier (part of cache keys)
+ *   remote      - whether calls go over the network and need rate limiting
+ *   client      - underlying SDK client, if any
+ *   initialize()        - prepare the provider; throws if misconfigured
+ *   embed(input)        - embed a string or array of strings, returns an array of vectors
+ */
+
+/**
+ * Provider backed by the OpenAI embeddings API or any OpenAI-compatible server
+ */
+export class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.model = options.model || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.baseURL = options.baseURL || null;
+    this.apiKeyVars = options.apiKeyVars || ['OPENAI_API_KEY'];
+    this.requireApiKey = options.requireApiKey ?? true;
+    this.remote = true;
+    this.client = null;
+  }
+
+  /**
+   * Create the API client
+   */
+  async initialize() {
+    if (this.client) return;
+
+    // Read the key at initialization so it can be configured after startup
+    const apiKey = this.apiKeyVars.map(name => process.env[name]).find(Boolean);
+    if (this.requireApiKey && !apiKey) {
+      throw new Error('OpenAI API key not found. Please set OPENAI_API_KEY environment variable.');
+    }
+
+    this.client = new OpenAI({
+      apiKey: apiKey || 'not-needed', // Local OpenAI-compatible servers often ignore the key
+      ...(this.baseURL && { baseURL: this.baseURL }),
+      maxRetries: 0 // Retries are handled by the rate limiter
+    });
+  }
+
+  /**
+   * Embed one or more texts
+   * @param {string|array} input - Text or texts to embed
+   * @returns {array} Embedding vectors in input order
+   */
+  async embed(input) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input,
+      encoding_format: 'float'
+    });
+
+    // The API may return items out of order; `index` ties them back to inputs
+    return response.data
+      .slice()
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(item => item.embedding);
+  }
+}
+
+/**
+ * Offline provider producing hashed word and character n-gram vectors.
+ *
+ * Each feature is hashed into a fixed number of signed buckets, weighted by
+ * sublinear term frequency and L2-normalized, so cosine similarity reflects
+ * shared vocabulary and spelling without any network access.
+ */
+export class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 512;
+    this.ngramSize = options.ngramSize || 3;
+    this.model = `hashed-ngram-${this.ngramSize}-${this.dimensions}`;
+    this.remote = false;
+    this.client = null;
+  }
+
+  /**
+   * Nothing to prepare for local embeddings
+   */
+  async initialize() {}
+
+  /**
+   * Embed one or more texts
+   * @param {string|array} input - Text or texts to embed
+   * @returns {array} Embedding vectors in input order
+   */
+  async embed(input) {
+    const texts = Array.isArray(input) ? input : [input];
+    return texts.map(text => this.vectorize(text));
+  }
+
+  /**
+   * Build the hashed feature vector for a text
+   * @param {string} text - Text to embed
+   * @returns {array} Normalized vector
+   */
+  vectorize(text) {
+    const counts = new Map();
+    for (const feature of this.extractFeatures(text)) {
+      counts.set(feature, (counts.get(feature) || 0) + 1);
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = fnv1a(feature);
+      const bucket = hash % this.dimensions;
+      const sign = (hash >>> 31) === 0 ? 1 : -1;
+      vector[bucket] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  /**
+   * Extract word unigrams and padded character n-grams
+   * @param {string} text - Text to analyze
+   * @returns {array} Features
+   */
+  extractFeatures(text) {
+    const words = String(text).toLowerCase().match(/[a-z0-9%]+/g) || [];
+    const features = [];
+
+    for (const word of words) {
+      features.push(`w:${word}`);
+
+      const padded = `#${word}#`;
+      for (let i = 0; i + this.ngramSize <= padded.length; i++) {
+        features.push(`c:${padded.slice(i, i + this.ngramSize)}`);
+      }
+    }
+
+    return features;
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create the embedding provider selected by configuration
+ * @param {string} name - 'openai', 'openai-compatible' or 'local'
+ * @returns {object} Embedding provider
+ */
+export function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'openai') {
+  switch (name) {
+    case 'openai':
+      return new OpenAIEmbeddingProvider();
+    case 'openai-compatible':
+      if (!process.env.EMBEDDING_BASE_URL) {
+        throw new Error('EMBEDDING_BASE_URL is required for the openai-compatible embedding provider');
+      }
+      return new OpenAIEmbeddingProvider({
+        name: 'openai-compatible',
+        baseURL: process.env.EMBEDDING_BASE_URL,
+        apiKeyVars: ['EMBEDDING_API_KEY', 'OPENAI_API_KEY'],
+        model: process.env.EMBEDDING_MODEL || process.env.OPENAI_EMBEDDING_MODEL,
+        requireApiKey: false
+      });
+    case 'local':
+      return new LocalEmbeddingProvider();
+    default:
+      throw new Error(`Unknown embedding provider "${name}". Use "openai", "openai-compatible" or "local".`);
+  }
+}
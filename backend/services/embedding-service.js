@@ -1,33 +1,51 @@
-import OpenAI from 'openai';
+import { createEmbeddingProvider } from './embedding-providers.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { contentHash } from '../utils/content-hash.js';
+import { RateLimiter } from '../utils/rate-limiter.js';
 
 /**
  * Service for generating and managing embeddings
  */
 export class EmbeddingService {
-  constructor() {
-    this.openai = null;
-    this.model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
-    this.rateLimitDelay = 1000; // 1 second between requests
+  constructor(options = {}) {
+    this.provider = options.provider || createEmbeddingProvider();
+    this.model = this.provider.model;
+    this.rateLimiter = options.rateLimiter || new RateLimiter({ name: 'embeddings' }); // Shared with labeling in services/index.js
+    this.batchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 100; // Inputs per request
+    this.maxBatchTokens = parseInt(process.env.EMBEDDING_MAX_BATCH_TOKENS) || 50000; // Estimated tokens per request
+    this.maxInputTokens = parseInt(process.env.EMBEDDING_MAX_INPUT_TOKENS) || 8000; // Longer inputs are truncated
+    this.concurrency = parseInt(process.env.EMBEDDING_CONCURRENCY) || 4; // Requests in flight
     this.initialized = false;
     this.embeddingCache = new Map(); // Simple in-memory cache
   }
 
   /**
-   * Initialize OpenAI client
+   * Initialize the embedding provider
    */
   async initialize() {
     if (this.initialized) return;
 
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key not found. Please set OPENAI_API_KEY environment variable.');
-    }
-
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    await this.provider.initialize();
 
     this.initialized = true;
-    console.log('✅ OpenAI API initialized');
+    console.log(`✅ Embedding provider initialized (${this.provider.name}, ${this.model})`);
+  }
+
+  /**
+   * Call the provider, going through the rate limiter for remote providers
+   * @param {string|array} input - Text or texts to embed
+   * @returns {array} Embedding vectors in input order
+   */
+  async embed(input) {
+    if (!this.provider.remote) {
+      return this.provider.embed(input);
+    }
+
+    const texts = Array.isArray(input) ? input : [input];
+    return this.rateLimiter.schedule(
+      () => this.provider.embed(input),
+      { tokens: texts.reduce((sum, text) => sum + this.estimateTokens(text), 0) }
+    );
   }
 
   /**
@@ -40,24 +58,15 @@ export class EmbeddingService {
     await this.initialize();
 
     // Check cache first
-    const cacheKey = `embedding_${type}_${this.hashText(text)}`;
+    const cacheKey = this.getCacheKey(text, type);
     const cached = this.embeddingCache.get(cacheKey);
     if (cached) {
       return cached;
     }
 
     try {
-      // Add delay to respect rate limits
-      await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-
-      const response = await this.openai.embeddings.create({
-        model: this.model,
-        input: text,
-        encoding_format: 'float'
-      });
+      const [embedding] = await this.embed(text);
 
-      const embedding = response.data[0].embedding;
-      
       // Cache the embedding
       this.embeddingCache.set(cacheKey, embedding);
       
@@ -72,60 +81,123 @@ export class EmbeddingService {
    * Generate embeddings for multiple texts
    * @param {array} texts - Array of texts to embed
    * @param {string} type - Type of content
+   * @param {object} options - Options
+   * @param {function} options.onBatch - Called with the number of texts embedded by each request
    * @returns {array} Array of embedding vectors
    */
-  async generateEmbeddings(texts, type = 'cell') {
+  async generateEmbeddings(texts, type = 'cell', options = {}) {
     await this.initialize();
 
+    const { onBatch } = options;
     const embeddings = [];
-    const uncachedTexts = [];
-    const uncachedIndices = [];
+    const uncached = new Map(); // text -> indices waiting for it
 
-    // Check cache for each text
+    // Check cache for each text, collapsing duplicates into one input
     for (let i = 0; i < texts.length; i++) {
       const text = texts[i];
-      const cacheKey = `embedding_${type}_${this.hashText(text)}`;
+      const cacheKey = this.getCacheKey(text, type);
       const cached = this.embeddingCache.get(cacheKey);
       
       if (cached) {
         embeddings[i] = cached;
+      } else if (uncached.has(text)) {
+        uncached.get(text).push(i);
       } else {
-        uncachedTexts.push(text);
-        uncachedIndices.push(i);
+        uncached.set(text, [i]);
       }
     }
 
-    // Generate embeddings for uncached texts
-    if (uncachedTexts.length > 0) {
-      try {
-        // Add delay to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
+    const uncachedTexts = Array.from(uncached.keys());
+    const cachedCount = texts.length - Array.from(uncached.values()).reduce((sum, indices) => sum + indices.length, 0);
+    if (cachedCount > 0) {
+      onBatch?.(cachedCount);
+    }
+
+    // Generate embeddings for uncached texts in token-bounded batches
+    const batches = this.createBatches(uncachedTexts);
+
+    await mapWithConcurrency(batches, this.concurrency, async (batch) => {
+      const batchEmbeddings = await this.requestEmbeddings(batch);
 
-        const response = await this.openai.embeddings.create({
-          model: this.model,
-          input: uncachedTexts,
-          encoding_format: 'float'
+      batch.forEach((text, i) => {
+        const embedding = batchEmbeddings[i];
+        uncached.get(text).forEach(index => {
+          embeddings[index] = embedding;
         });
 
-        // Cache and store new embeddings
-        for (let i = 0; i < response.data.length; i++) {
-          const embedding = response.data[i].embedding;
-          const originalIndex = uncachedIndices[i];
-          const text = uncachedTexts[i];
-          
-          embeddings[originalIndex] = embedding;
-          
-          // Cache the embedding
-          const cacheKey = `embedding_${type}_${this.hashText(text)}`;
-          this.embeddingCache.set(cacheKey, embedding);
-        }
-      } catch (error) {
-        console.error('Failed to generate embeddings:', error.message);
-        throw error;
+        // Cache the embedding
+        const cacheKey = this.getCacheKey(text, type);
+        this.embeddingCache.set(cacheKey, embedding);
+      });
+
+      onBatch?.(batch.reduce((sum, text) => sum + uncached.get(text).length, 0));
+    });
+
+    return embeddings;
+  }
+
+  /**
+   * Request embeddings for one batch of texts
+   * @param {array} batch - Texts to embed in a single provider call
+   * @returns {array} Embedding vectors in input order
+   */
+  async requestEmbeddings(batch) {
+    try {
+      return await this.embed(batch.map(text => this.truncateToTokenLimit(text)));
+    } catch (error) {
+      console.error('Failed to generate embeddings:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Split texts into batches bounded by input count and estimated tokens
+   * @param {array} texts - Texts to embed
+   * @returns {array} Array of text batches
+   */
+  createBatches(texts) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const text of texts) {
+      const tokens = Math.min(this.estimateTokens(text), this.maxInputTokens);
+
+      if (current.length > 0 &&
+          (current.length >= this.batchSize || currentTokens + tokens > this.maxBatchTokens)) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
       }
+
+      current.push(text);
+      currentTokens += tokens;
     }
 
-    return embeddings;
+    if (current.length > 0) {
+      batches.push(current);
+    }
+
+    return batches;
+  }
+
+  /**
+   * Estimate the token count of a text (roughly four characters per token)
+   * @param {string} text - Text to measure
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Truncate a text so it fits the per-input token limit
+   * @param {string} text - Text to truncate
+   * @returns {string} Text within the limit
+   */
+  truncateToTokenLimit(text) {
+    const maxChars = this.maxInputTokens * 4;
+    return text.length > maxChars ? text.slice(0, maxChars) : text;
   }
 
   /**
@@ -178,20 +250,26 @@ export class EmbeddingService {
     return similarities.slice(0, topK);
   }
 
+  /**
+   * Build the cache key for a text's embedding
+   *
+   * The digest covers provider and model, so vectors from a different
+   * embedding model are never reused.
+   * @param {string} text - Embedded text
+   * @param {string} type - Type of content (cell, range, query)
+   * @returns {string} Cache key
+   */
+  getCacheKey(text, type) {
+    return `embedding:${type}:${this.hashText(text)}`;
+  }
+
   /**
    * Hash text for cache key
    * @param {string} text - Text to hash
-   * @returns {string} Hash string
+   * @returns {string} SHA-256 hex digest of provider, model and text
    */
   hashText(text) {
-    // Simple hash function for cache keys
-    let hash = 0;
-    for (let i = 0; i < text.length; i++) {
-      const char = text.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash).toString(36);
+    return contentHash(this.provider.name, this.model, text);
   }
 
   /**
@@ -200,15 +278,16 @@ export class EmbeddingService {
    */
   getStats() {
     const embeddingKeys = Array.from(this.embeddingCache.keys());
-    const cellEmbeddings = embeddingKeys.filter(key => key.includes('_cell_')).length;
-    const rangeEmbeddings = embeddingKeys.filter(key => key.includes('_range_')).length;
-    const queryEmbeddings = embeddingKeys.filter(key => key.includes('_query_')).length;
+    const cellEmbeddings = embeddingKeys.filter(key => key.startsWith('embedding:cell:')).length;
+    const rangeEmbeddings = embeddingKeys.filter(key => key.startsWith('embedding:range:')).length;
+    const queryEmbeddings = embeddingKeys.filter(key => key.startsWith('embedding:query:')).length;
 
     return {
       total: embeddingKeys.length,
       cell: cellEmbeddings,
       range: rangeEmbeddings,
       query: queryEmbeddings,
+      provider: this.provider.name,
       model: this.model
     };
   }
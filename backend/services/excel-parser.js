@@ -1,8 +1,14 @@
 import XLSX from 'xlsx';
 import { parseFormula } from '../utils/formula-parser.js';
 import { detectHeaders } from '../utils/heuristics.js';
+import { slugify, buildWorkbookId, buildSheetId, buildCellId, buildRangeId } from '../utils/document-ids.js';
+import { parseNumericValue } from '../utils/numeric-values.js';
+import { linkDependencies } from '../utils/dependency-graph.js';
+import { detectIssues } from '../utils/formula-issues.js';
+import { getR1C1Formula } from '../utils/formula-consistency.js';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 
 /**
  * Service for parsing Excel files
@@ -33,12 +39,15 @@ export class ExcelParserService {
     try {
       // Read the Excel file
       const workbook = XLSX.readFile(filePath);
-      const fileName = path.basename(filePath, path.extname(filePath));
+      const sourceName = options.fileName || filePath;
+      const fileName = path.basename(sourceName, path.extname(sourceName));
+      const fileHash = await this.hashFile(filePath);
       
       const spreadsheetData = {
-        id: this.generateId(fileName),
+        id: buildWorkbookId(fileName, fileHash),
         title: fileName,
         filePath: filePath,
+        fileHash,
         sheets: {},
         loadedAt: new Date().toISOString()
       };
@@ -47,7 +56,7 @@ export class ExcelParserService {
       for (const sheetName of workbook.SheetNames) {
         try {
           console.log(`📊 Parsing sheet: ${sheetName}`);
-          const sheetData = await this.parseSheet(workbook, sheetName, options);
+          const sheetData = await this.parseSheet(workbook, sheetName, options, spreadsheetData.id);
           spreadsheetData.sheets[sheetName] = sheetData;
         } catch (error) {
           console.error(`Failed to parse sheet ${sheetName}:`, error.message);
@@ -55,6 +64,16 @@ export class ExcelParserService {
         }
       }
 
+      // Resolve formula references across all sheets once every sheet is parsed
+      spreadsheetData.dependencies = linkDependencies(spreadsheetData.sheets);
+      console.log(`🔗 Linked ${spreadsheetData.dependencies.edges} formula dependencies in ${fileName}`);
+
+      // Circular and broken references, error values
+      spreadsheetData.issues = detectIssues(spreadsheetData.sheets);
+      if (spreadsheetData.issues.errors + spreadsheetData.issues.warnings > 0) {
+        console.warn(`⚠️ Found ${spreadsheetData.issues.errors} errors and ${spreadsheetData.issues.warnings} warnings in ${fileName}`);
+      }
+
       return spreadsheetData;
     } catch (error) {
       console.error(`Failed to parse Excel file ${filePath}:`, error.message);
@@ -62,14 +81,25 @@ export class ExcelParserService {
     }
   }
 
+  /**
+   * Compute a SHA-256 digest of the source file
+   * @param {string} filePath - Path to the Excel file
+   * @returns {string} Hex digest
+   */
+  async hashFile(filePath) {
+    const buffer = await fs.promises.readFile(filePath);
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
   /**
    * Parse a specific sheet from workbook
    * @param {object} workbook - XLSX workbook object
    * @param {string} sheetName - Name of the sheet
    * @param {object} options - Parsing options
+   * @param {string} workbookId - ID of the workbook the sheet belongs to
    * @returns {object} Parsed sheet data
    */
-  async parseSheet(workbook, sheetName, options = {}) {
+  async parseSheet(workbook, sheetName, options = {}, workbookId = this.generateId(sheetName)) {
     const worksheet = workbook.Sheets[sheetName];
     
     // Convert sheet to JSON with formulas
@@ -103,8 +133,9 @@ export class ExcelParserService {
         const cellFormula = this.getCellFormula(worksheet, cellRef);
         
         const cell = {
-          id: `${this.generateId(sheetName)}_${rowIndex + 1}_${colIndex + 1}`,
-          spreadsheetId: this.generateId(sheetName),
+          id: buildCellId(workbookId, sheetName, cellRef),
+          spreadsheetId: workbookId,
+          sheetId: buildSheetId(sheetName),
           sheetName: sheetName,
           row: rowIndex + 1,
           column: colIndex + 1,
@@ -112,6 +143,7 @@ export class ExcelParserService {
           rawValue: cellValue,
           formattedValue: cellValue,
           formula: cellFormula || null,
+          cachedValue: this.getCachedValue(worksheet, cellRef),
           note: null, // Excel files don't have notes in this format
           userEnteredFormat: null,
           effectiveFormat: null
@@ -120,8 +152,12 @@ export class ExcelParserService {
         // Parse formula if present
         if (cell.formula) {
           cell.parsedFormula = parseFormula(cell.formula);
+          cell.formulaR1C1 = getR1C1Formula(cell);
         }
 
+        // Normalize displayed numbers ("$1,200", "(500)", "12%") for numeric queries
+        cell.numericValue = parseNumericValue(cellValue)?.value ?? null;
+
         // Determine cell type
         cell.type = this.determineCellType(cell);
 
@@ -136,7 +172,8 @@ export class ExcelParserService {
     const rangeDocuments = this.createRangeDocuments(cells, headerInfo);
 
     return {
-      spreadsheetId: this.generateId(sheetName),
+      spreadsheetId: workbookId,
+      sheetId: buildSheetId(sheetName),
       sheetName: sheetName,
       title: sheetName,
       rowCount: jsonData.length,
@@ -177,23 +214,37 @@ export class ExcelParserService {
    * Get cell formula from worksheet
    * @param {object} worksheet - XLSX worksheet object
    * @param {string} cellRef - Cell reference
-   * @returns {string|null} Cell formula or null
+   * @returns {string|null} Cell formula with its leading "=", or null
    */
   getCellFormula(worksheet, cellRef) {
     const cell = worksheet[cellRef];
     if (cell && cell.f) {
-      return cell.f;
+      // SheetJS stores formulas without the "="
+      return cell.f.startsWith('=') ? cell.f : `=${cell.f}`;
     }
     return null;
   }
 
+  /**
+   * Get the unformatted value stored in the file; for formulas, the result
+   * Excel last calculated
+   * @param {object} worksheet - XLSX worksheet object
+   * @param {string} cellRef - Cell reference
+   * @returns {*} Number, string, boolean or error value such as "#N/A"; null if none is stored
+   */
+  getCachedValue(worksheet, cellRef) {
+    const cell = worksheet[cellRef];
+    if (!cell || cell.v === undefined) return null;
+    return cell.t === 'e' ? (cell.w || '#N/A') : cell.v;
+  }
+
   /**
    * Generate a simple ID from name
    * @param {string} name - Name to generate ID from
    * @returns {string} Generated ID
    */
   generateId(name) {
-    return name.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    return slugify(name);
   }
 
   /**
@@ -205,6 +256,7 @@ export class ExcelParserService {
     if (cell.formula) return 'formula';
     if (cell.formattedValue?.includes('%')) return 'percentage';
     if (!isNaN(cell.rawValue) && cell.rawValue !== '') return 'number';
+    if (cell.numericValue !== undefined && cell.numericValue !== null) return 'number'; // Currency, separators, accounting negatives
     if (cell.rawValue instanceof Date || /^\d{4}-\d{2}-\d{2}/.test(cell.rawValue)) return 'date';
     return 'text';
   }
@@ -270,7 +322,8 @@ export class ExcelParserService {
     for (const cell of cells) {
       if (processedCells.has(cell.id)) continue;
 
-      const groupKey = `${cell.sheetName}_${cell.headers.column || 'unknown'}`;
+      // Keyed by range ID, so two groups can never be given the same ID
+      const groupKey = buildRangeId(cell.spreadsheetId, cell.sheetName, cell.headers.column);
       
       if (!cellGroups.has(groupKey)) {
         cellGroups.set(groupKey, []);
@@ -284,8 +337,9 @@ export class ExcelParserService {
       if (groupCells.length < 2) continue; // Skip single cells
 
       const range = {
-        id: `range_${groupKey}`,
+        id: groupKey,
         spreadsheetId: groupCells[0].spreadsheetId,
+        sheetId: groupCells[0].sheetId,
         sheetName: groupCells[0].sheetName,
         header: groupCells[0].headers.column,
         cells: groupCells,
@@ -330,6 +384,27 @@ export class ExcelParserService {
     return 'mixed';
   }
 
+  /**
+   * Get paths of the default Excel files that exist in the project directory
+   * @returns {array} Absolute file paths
+   */
+  getDefaultFilePaths() {
+    const defaultFiles = [
+      '[Test] FInancial Model.xlsx',
+      '[Test] Sales Dashboard.xlsx'
+    ];
+
+    return defaultFiles
+      .map(fileName => path.join(process.cwd(), fileName))
+      .filter(filePath => {
+        if (!fs.existsSync(filePath)) {
+          console.warn(`File not found: ${filePath}`);
+          return false;
+        }
+        return true;
+      });
+  }
+
   /**
    * Load default Excel files from the project directory
    * @param {object} options - Loading options
@@ -338,22 +413,12 @@ export class ExcelParserService {
   async loadDefaultFiles(options = {}) {
     await this.initialize();
 
-    const defaultFiles = [
-      '[Test] FInancial Model.xlsx',
-      '[Test] Sales Dashboard.xlsx'
-    ];
-
     const results = [];
     const allCells = [];
     const allRanges = [];
 
-    for (const fileName of defaultFiles) {
-      const filePath = path.join(process.cwd(), fileName);
-      
-      if (!fs.existsSync(filePath)) {
-        console.warn(`File not found: ${filePath}`);
-        continue;
-      }
+    for (const filePath of this.getDefaultFilePaths()) {
+      const fileName = path.basename(filePath);
 
       try {
         console.log(`📊 Loading Excel file: ${fileName}`);
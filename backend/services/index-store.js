@@ -0,0 +1,352 @@
+import fs from 'fs';
+import path from 'path';
+import { migrateLegacyDocument, buildSheetId, buildCellId, buildRangeId } from '../utils/document-ids.js';
+
+/**
+ * Current on-disk schema version of the index snapshot
+ */
+export const INDEX_SCHEMA_VERSION = 3;
+
+/**
+ * Migrations keyed by the version they upgrade from. Each migration receives
+ * the documents loaded at that version and returns them at version + 1.
+ */
+const MIGRATIONS = {
+  // v1 -> v2: document IDs are namespaced by workbook instead of by sheet
+  1: (documents) => {
+    const migrated = new Map();
+    for (const doc of documents.values()) {
+      const updated = migrateLegacyDocument(doc);
+      migrated.set(updated.id, updated);
+    }
+    return migrated;
+  },
+  // v2 -> v3: sheet and header names that are not slugs get a hash suffix, and
+  // precedents follow the cells they point to
+  2: (documents) => {
+    const rekey = doc => {
+      if (doc.cells) return buildRangeId(doc.spreadsheetId, doc.sheetName, doc.header);
+      return doc.cellRef ? buildCellId(doc.spreadsheetId, doc.sheetName, doc.cellRef) : doc.id;
+    };
+    const newIds = new Map(Array.from(documents.values(), doc => [doc.id, rekey(doc)]));
+    const update = doc => ({
+      ...doc,
+      id: newIds.get(doc.id) ?? rekey(doc),
+      sheetId: buildSheetId(doc.sheetName),
+      ...(doc.precedents && { precedents: doc.precedents.map(id => newIds.get(id) ?? id) })
+    });
+
+    const migrated = new Map();
+    for (const doc of documents.values()) {
+      const updated = update(doc);
+      if (doc.cells) updated.cells = doc.cells.map(update);
+      migrated.set(updated.id, updated);
+    }
+    return migrated;
+  }
+};
+
+/**
+ * Durable, append-only store for search index documents.
+ *
+ * The file is JSON Lines: a header line carrying the schema version, followed
+ * by `put`, `delete` and `clear` operations that are replayed on load. Replaced
+ * and deleted documents leave dead entries behind, so the owner rewrites the
+ * file once needsCompaction reports that they outnumber the live documents.
+ */
+export class IndexStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      process.env.INDEX_STORE_PATH ||
+      path.join(process.cwd(), 'data', 'search-index.jsonl');
+    this.enabled = options.enabled ?? process.env.INDEX_PERSISTENCE !== 'false';
+    this.compactionRatio = options.compactionRatio || 2;
+    this.minCompactionOperations = options.minCompactionOperations ?? 1000;
+    this.writeQueue = Promise.resolve();
+    this.operationCount = 0;
+    this.documentCount = 0;
+    this.skippedLines = 0;
+    this.loadedVersion = null;
+  }
+
+  /**
+   * Load all persisted documents, migrating older snapshots if needed
+   * @returns {Map} Documents keyed by ID
+   */
+  async load() {
+    const documents = new Map();
+    if (!this.enabled) return documents;
+
+    if (!fs.existsSync(this.filePath)) {
+      await this.writeSnapshot(documents);
+      return documents;
+    }
+
+    const content = await fs.promises.readFile(this.filePath, 'utf8');
+    const lines = content.split('\n').filter(line => line.trim());
+
+    const header = this.parseLine(lines[0]);
+    if (!header || header.op !== 'header' || typeof header.schemaVersion !== 'number') {
+      await this.quarantine('missing or invalid header');
+      await this.writeSnapshot(documents);
+      return documents;
+    }
+
+    this.loadedVersion = header.schemaVersion;
+
+    if (header.schemaVersion > INDEX_SCHEMA_VERSION) {
+      // Never write over a snapshot produced by a newer release
+      this.enabled = false;
+      console.warn(`⚠️ Index snapshot schema v${header.schemaVersion} is newer than supported v${INDEX_SCHEMA_VERSION}; persistence disabled`);
+      return documents;
+    }
+
+    this.skippedLines = 0;
+    for (const line of lines.slice(1)) {
+      const entry = this.parseLine(line);
+      if (!entry) {
+        this.skippedLines++;
+        continue;
+      }
+      this.applyOperation(documents, entry);
+    }
+
+    if (this.skippedLines > 0) {
+      console.warn(`⚠️ Skipped ${this.skippedLines} unreadable index store entries`);
+    }
+
+    this.operationCount = lines.length - 1;
+    this.documentCount = documents.size;
+
+    if (header.schemaVersion < INDEX_SCHEMA_VERSION) {
+      const migrated = await this.migrate(documents, header.schemaVersion);
+      if (!migrated) {
+        await this.quarantine(`no migration path from v${header.schemaVersion}`);
+        documents.clear();
+        await this.writeSnapshot(documents);
+        return documents;
+      }
+      await this.writeSnapshot(migrated);
+      console.log(`🔄 Migrated index snapshot from v${header.schemaVersion} to v${INDEX_SCHEMA_VERSION}`);
+      return migrated;
+    }
+
+    if (this.needsCompaction(this.documentCount)) {
+      await this.writeSnapshot(documents);
+    }
+
+    console.log(`💾 Loaded ${documents.size} documents from ${this.filePath}`);
+    return documents;
+  }
+
+  /**
+   * Persist documents (insert or replace by ID)
+   * @param {array} documents - Indexed documents
+   */
+  async put(documents) {
+    if (!documents.length) return;
+    await this.append(documents.map(doc => ({ op: 'put', doc: this.serializeDocument(doc) })));
+  }
+
+  /**
+   * Remove documents by ID
+   * @param {array} ids - Document IDs
+   */
+  async delete(ids) {
+    if (!ids.length) return;
+    await this.append(ids.map(id => ({ op: 'delete', id })));
+  }
+
+  /**
+   * Remove all documents
+   */
+  async clear() {
+    await this.enqueue(() => this.writeSnapshot(new Map()));
+  }
+
+  /**
+   * Rewrite the store so it only contains the given documents
+   * @param {Map} documents - Live documents keyed by ID
+   */
+  async compact(documents) {
+    await this.enqueue(() => this.writeSnapshot(documents));
+  }
+
+  /**
+   * Whether the log has grown enough past the live documents to be rewritten
+   * @param {number} liveCount - Number of live documents
+   * @returns {boolean} True when compaction is due
+   */
+  needsCompaction(liveCount) {
+    return this.enabled &&
+      this.operationCount >= this.minCompactionOperations &&
+      this.operationCount > liveCount * this.compactionRatio;
+  }
+
+  /**
+   * Apply a single log operation to the document map
+   * @param {Map} documents - Documents keyed by ID
+   * @param {object} entry - Log entry
+   */
+  applyOperation(documents, entry) {
+    if (entry.op === 'put' && entry.doc?.id !== undefined) {
+      documents.set(entry.doc.id, this.deserializeDocument(entry.doc));
+    } else if (entry.op === 'delete') {
+      documents.delete(entry.id);
+    } else if (entry.op === 'clear') {
+      documents.clear();
+    }
+  }
+
+  /**
+   * Run the registered migrations from a given schema version
+   * @param {Map} documents - Documents at the old version
+   * @param {number} fromVersion - Version the documents were written with
+   * @returns {Map|null} Migrated documents or null when no path exists
+   */
+  async migrate(documents, fromVersion) {
+    let current = documents;
+    for (let version = fromVersion; version < INDEX_SCHEMA_VERSION; version++) {
+      const migration = MIGRATIONS[version];
+      if (!migration) return null;
+      current = await migration(current);
+    }
+    return current;
+  }
+
+  /**
+   * Encode a document for storage; embeddings are packed as base64 float32
+   * @param {object} doc - Indexed document
+   * @returns {object} Serializable document
+   */
+  serializeDocument(doc) {
+    if (!Array.isArray(doc.embedding)) return doc;
+
+    const buffer = Buffer.from(new Float32Array(doc.embedding).buffer);
+    return {
+      ...doc,
+      embedding: { dtype: 'float32', data: buffer.toString('base64') }
+    };
+  }
+
+  /**
+   * Decode a stored document
+   * @param {object} doc - Stored document
+   * @returns {object} Indexed document
+   */
+  deserializeDocument(doc) {
+    if (doc.embedding?.dtype !== 'float32') return doc;
+
+    // Copy out of the shared Buffer pool so the float view is 4-byte aligned
+    const buffer = Buffer.from(doc.embedding.data, 'base64');
+    const bytes = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    const floats = new Float32Array(bytes);
+    return {
+      ...doc,
+      embedding: Array.from(floats)
+    };
+  }
+
+  /**
+   * Append entries to the log
+   * @param {array} entries - Log entries
+   */
+  async append(entries) {
+    if (!this.enabled) return;
+
+    await this.enqueue(async () => {
+      await this.ensureDirectory();
+      if (!fs.existsSync(this.filePath)) {
+        await this.writeSnapshot(new Map());
+      }
+      const payload = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+      await fs.promises.appendFile(this.filePath, payload, 'utf8');
+      this.operationCount += entries.length;
+    });
+  }
+
+  /**
+   * Atomically replace the file with a header plus one entry per document
+   * @param {Map} documents - Documents keyed by ID
+   */
+  async writeSnapshot(documents) {
+    if (!this.enabled) return;
+
+    await this.ensureDirectory();
+
+    const lines = [JSON.stringify({
+      op: 'header',
+      schemaVersion: INDEX_SCHEMA_VERSION,
+      createdAt: new Date().toISOString()
+    })];
+    for (const doc of documents.values()) {
+      lines.push(JSON.stringify({ op: 'put', doc: this.serializeDocument(doc) }));
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, lines.join('\n') + '\n', 'utf8');
+    await fs.promises.rename(tempPath, this.filePath);
+
+    this.operationCount = documents.size;
+    this.documentCount = documents.size;
+    this.loadedVersion = INDEX_SCHEMA_VERSION;
+  }
+
+  /**
+   * Move an unusable snapshot aside so it is never overwritten
+   * @param {string} reason - Why the snapshot was rejected
+   */
+  async quarantine(reason) {
+    const backupPath = `${this.filePath}.${Date.now()}.bak`;
+    await fs.promises.rename(this.filePath, backupPath);
+    console.warn(`⚠️ Index snapshot rejected (${reason}); moved to ${backupPath}`);
+  }
+
+  /**
+   * Serialize writes so log entries never interleave
+   * @param {function} task - Async write task
+   */
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(error => {
+      console.error('Index store write failed:', error.message);
+    });
+    return run;
+  }
+
+  /**
+   * Create the store directory if missing
+   */
+  async ensureDirectory() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+  }
+
+  /**
+   * Parse one JSON line
+   * @param {string} line - Raw line
+   * @returns {object|null} Parsed entry or null if unreadable
+   */
+  parseLine(line) {
+    if (!line) return null;
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get store statistics
+   * @returns {object} Store statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      filePath: this.filePath,
+      schemaVersion: INDEX_SCHEMA_VERSION,
+      loadedVersion: this.loadedVersion,
+      operations: this.operationCount,
+      skippedLines: this.skippedLines
+    };
+  }
+}
@@ -3,6 +3,11 @@ import { EmbeddingService } from './embedding-service.js';
 import { SearchService } from './search-service.js';
 import { LabelService } from './label-service.js';
 import { CacheService } from './cache-service.js';
+import { IndexStore } from './index-store.js';
+import { WorkbookRegistry } from './workbook-registry.js';
+import { JobService } from './job-service.js';
+import { RankingProfileRegistry } from './ranking-profiles.js';
+import { RateLimiter } from '../utils/rate-limiter.js';
 
 // Global service instances
 export let excelParserService;
@@ -10,6 +15,11 @@ export let embeddingService;
 export let searchService;
 export let labelService;
 export let cacheService;
+export let indexStore;
+export let workbookRegistry;
+export let jobService;
+export let rankingProfileRegistry;
+export let openaiRateLimiter;
 
 /**
  * Initialize all services
@@ -20,12 +30,24 @@ export async function initializeServices() {
     
     // Initialize cache service first
     cacheService = new CacheService();
+    indexStore = new IndexStore();
     
+    // Embeddings and labeling draw on the same API key, so they share its budget
+    openaiRateLimiter = new RateLimiter({ name: 'openai' });
+
     // Initialize other services
     excelParserService = new ExcelParserService();
-    embeddingService = new EmbeddingService();
-    labelService = new LabelService();
+    embeddingService = new EmbeddingService({ rateLimiter: openaiRateLimiter });
+    labelService = new LabelService({ rateLimiter: openaiRateLimiter });
     searchService = new SearchService();
+    workbookRegistry = new WorkbookRegistry();
+    jobService = new JobService();
+    rankingProfileRegistry = new RankingProfileRegistry();
+
+    // Hydrate the search index, workbook registry and ranking profiles from disk
+    await searchService.initialize();
+    await workbookRegistry.initialize();
+    await rankingProfileRegistry.initialize();
     
     console.log('✅ All services initialized successfully');
   } catch (error) {
@@ -39,5 +61,9 @@ export {
   EmbeddingService,
   SearchService,
   LabelService,
-  CacheService
+  CacheService,
+  IndexStore,
+  WorkbookRegistry,
+  JobService,
+  RankingProfileRegistry
 };
@@ -0,0 +1,335 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { excelParserService, searchService, workbookRegistry } from './index.js';
+
+/**
+ * Job phases in the order a successful ingestion passes through them
+ */
+export const JOB_PHASES = ['queued', 'parsing', 'indexing_cells', 'indexing_ranges', 'completed'];
+
+/**
+ * Service running workbook ingestion in the background and reporting progress
+ */
+export class JobService {
+  constructor(options = {}) {
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = false;
+    this.historyLimit = options.historyLimit || parseInt(process.env.JOB_HISTORY_LIMIT) || 50;
+    this.progressInterval = options.progressInterval ?? 250; // Minimum ms between progress events
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * Queue an ingestion job
+   * @param {string} type - Job type ('upload' or 'load-default')
+   * @param {object} payload - Job input ({ files } for uploads, { options } for defaults)
+   * @returns {object} Public job view
+   */
+  enqueue(type, payload = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      phase: 'queued',
+      payload,
+      progress: {
+        filesTotal: payload.files?.length || 0,
+        filesParsed: 0,
+        cellsParsed: 0,
+        rangesParsed: 0,
+        cellsEmbedded: 0,
+        rangesEmbedded: 0,
+        labelsGenerated: 0
+      },
+      errors: [],
+      result: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      indexingStartedAt: null,
+      lastNotifiedAt: 0
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.pruneHistory();
+
+    console.log(`🧾 Queued ${type} job ${job.id}`);
+    setImmediate(() => this.processQueue());
+
+    return this.toJSON(job);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {object|null} Public job view
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toJSON(job) : null;
+  }
+
+  /**
+   * List jobs, most recent first
+   * @returns {array} Public job views
+   */
+  list() {
+    return Array.from(this.jobs.values())
+      .reverse()
+      .map(job => this.toJSON(job));
+  }
+
+  /**
+   * Subscribe to updates for a job
+   * @param {string} id - Job ID
+   * @param {function} listener - Called with the public job view
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(id, listener) {
+    const eventName = `job:${id}`;
+    this.events.on(eventName, listener);
+    return () => this.events.off(eventName, listener);
+  }
+
+  /**
+   * Check whether a job has finished
+   * @param {object} job - Public job view
+   * @returns {boolean} True if completed or failed
+   */
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+
+  /**
+   * Run queued jobs one at a time
+   */
+  async processQueue() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const job = this.queue.shift();
+        await this.runJob(job);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run a single ingestion job
+   * @param {object} job - Internal job
+   */
+  async runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const files = job.type === 'load-default'
+        ? excelParserService.getDefaultFilePaths().map(filePath => ({ path: filePath }))
+        : job.payload.files;
+      job.progress.filesTotal = files.length;
+
+      this.setPhase(job, 'parsing');
+      const { results, workbooks, cells, ranges } = await this.parseFiles(job, files);
+
+      job.indexingStartedAt = Date.now();
+      let stagedCells = [];
+      let stagedRanges = [];
+
+      if (cells.length > 0) {
+        this.setPhase(job, 'indexing_cells');
+        stagedCells = await searchService.addToIndex(cells, {
+          stage: true,
+          onProgress: ({ embedded = 0, labeled = 0 }) => {
+            job.progress.cellsEmbedded += embedded;
+            job.progress.labelsGenerated += labeled;
+            this.notify(job);
+          }
+        });
+      }
+
+      if (ranges.length > 0) {
+        this.setPhase(job, 'indexing_ranges');
+        stagedRanges = await searchService.addRangesToIndex(ranges, {
+          stage: true,
+          onProgress: ({ embedded = 0, labeled = 0 }) => {
+            job.progress.rangesEmbedded += embedded;
+            job.progress.labelsGenerated += labeled;
+            this.notify(job);
+          }
+        });
+      }
+
+      // Previous documents of re-uploaded workbooks stay searchable until now
+      await searchService.replaceWorkbookDocuments(workbooks.map(workbook => workbook.id), [...stagedCells, ...stagedRanges]);
+      for (const workbook of workbooks) {
+        await workbookRegistry.register(workbook);
+      }
+
+      job.result = {
+        results,
+        stats: {
+          totalCells: cells.length,
+          totalRanges: ranges.length,
+          searchIndexSize: searchService.getStats().totalDocuments
+        }
+      };
+      job.status = 'completed';
+      this.setPhase(job, 'completed');
+      console.log(`✅ Job ${job.id} completed`);
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error.message);
+      job.errors.push({ phase: job.phase, message: error.message });
+      job.status = 'failed';
+      this.setPhase(job, 'failed');
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      job.payload = null;
+      this.notify(job, true);
+    }
+  }
+
+  /**
+   * Parse every file of a job, recording per-file errors
+   * @param {object} job - Internal job
+   * @param {array} files - Files as { path, originalname? }
+   * @returns {object} Per-file results, the parsed workbooks to register, and all cells and ranges
+   */
+  async parseFiles(job, files) {
+    const results = [];
+    const workbooks = [];
+    const cells = [];
+    const ranges = [];
+
+    for (const file of files) {
+      const fileName = file.originalname || file.path.split(/[\\/]/).pop();
+
+      try {
+        console.log(`📊 Processing file: ${fileName}`);
+        const spreadsheetData = await excelParserService.parseExcelFile(file.path, { ...job.payload.options, fileName });
+        workbooks.push({ ...spreadsheetData, fileName });
+
+        const sheets = Object.values(spreadsheetData.sheets);
+        sheets.forEach(sheet => {
+          cells.push(...sheet.cells);
+          ranges.push(...sheet.ranges);
+        });
+
+        const cellCount = sheets.reduce((sum, sheet) => sum + sheet.cells.length, 0);
+        const rangeCount = sheets.reduce((sum, sheet) => sum + sheet.ranges.length, 0);
+        job.progress.cellsParsed += cellCount;
+        job.progress.rangesParsed += rangeCount;
+
+        results.push({
+          fileName,
+          workbookId: spreadsheetData.id,
+          title: spreadsheetData.title,
+          sheets: sheets.length,
+          cells: cellCount,
+          ranges: rangeCount,
+          success: true
+        });
+      } catch (error) {
+        console.error(`Failed to process file ${fileName}:`, error.message);
+        job.errors.push({ phase: 'parsing', fileName, message: error.message });
+        results.push({ fileName, error: error.message, success: false });
+      }
+
+      job.progress.filesParsed++;
+      this.notify(job);
+    }
+
+    return { results, workbooks, cells, ranges };
+  }
+
+  /**
+   * Move a job to a new phase and notify subscribers
+   * @param {object} job - Internal job
+   * @param {string} phase - New phase
+   */
+  setPhase(job, phase) {
+    job.phase = phase;
+    this.notify(job, true);
+  }
+
+  /**
+   * Emit a progress update, throttled unless forced
+   * @param {object} job - Internal job
+   * @param {boolean} force - Emit regardless of throttling
+   */
+  notify(job, force = false) {
+    const now = Date.now();
+    if (!force && now - job.lastNotifiedAt < this.progressInterval) return;
+
+    job.lastNotifiedAt = now;
+    this.events.emit(`job:${job.id}`, this.toJSON(job));
+  }
+
+  /**
+   * Estimate seconds remaining from the embedding rate so far
+   * @param {object} job - Internal job
+   * @returns {number|null} Estimated seconds, or null if unknown
+   */
+  estimateRemaining(job) {
+    if (job.status !== 'running' || !job.indexingStartedAt) return null;
+
+    const { cellsParsed, rangesParsed, cellsEmbedded, rangesEmbedded } = job.progress;
+    const embedded = cellsEmbedded + rangesEmbedded;
+    if (embedded === 0) return null;
+
+    const elapsed = (Date.now() - job.indexingStartedAt) / 1000;
+    const remaining = cellsParsed + rangesParsed - embedded;
+    return Math.max(0, Math.round(remaining * (elapsed / embedded)));
+  }
+
+  /**
+   * Build the public view of a job
+   * @param {object} job - Internal job
+   * @returns {object} Public job view
+   */
+  toJSON(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      phase: job.phase,
+      progress: { ...job.progress },
+      errors: [...job.errors],
+      etaSeconds: this.estimateRemaining(job),
+      result: job.result,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the history limit
+   */
+  pruneHistory() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+    const excess = this.jobs.size - this.historyLimit;
+
+    finished.slice(0, Math.max(0, excess)).forEach(job => this.jobs.delete(job.id));
+  }
+
+  /**
+   * Get job statistics
+   * @returns {object} Job statistics
+   */
+  getStats() {
+    const jobs = Array.from(this.jobs.values());
+    return {
+      total: jobs.length,
+      queued: jobs.filter(job => job.status === 'queued').length,
+      running: jobs.filter(job => job.status === 'running').length,
+      completed: jobs.filter(job => job.status === 'completed').length,
+      failed: jobs.filter(job => job.status === 'failed').length
+    };
+  }
+}
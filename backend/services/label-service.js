@@ -1,15 +1,18 @@
 import OpenAI from 'openai';
 import { detectBusinessConcepts } from '../utils/heuristics.js';
+import { RateLimiter } from '../utils/rate-limiter.js';
+import { contentHash } from '../utils/content-hash.js';
 
 /**
  * Service for generating semantic labels using LLM
  */
 export class LabelService {
-  constructor() {
+  constructor(options = {}) {
     this.openai = null;
     this.model = 'gpt-3.5-turbo';
     this.initialized = false;
-    this.rateLimitDelay = 1000; // 1 second between requests
+    this.rateLimiter = options.rateLimiter || new RateLimiter({ name: 'labeling' }); // Shared with embeddings in services/index.js
+    this.maxCompletionTokens = 150;
     this.labelCache = new Map(); // Simple in-memory cache
   }
 
@@ -25,7 +28,8 @@ export class LabelService {
     }
 
     this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
+      apiKey: process.env.OPENAI_API_KEY,
+      maxRetries: 0 // Retries are handled by the rate limiter
     });
 
     this.initialized = true;
@@ -33,11 +37,29 @@ export class LabelService {
   }
 
   /**
-   * Generate labels for a cell using heuristics + LLM
+   * Generate labels for a cell: business concepts plus model health labels
    * @param {object} cell - Cell data
    * @returns {object} Labeling result
    */
   async generateLabels(cell) {
+    const result = await this.generateConceptLabels(cell);
+
+    if (!(cell.issues || []).some(issue => issue.type === 'inconsistent-formula')) {
+      return result;
+    }
+    return {
+      ...result,
+      labels: [...result.labels, 'inconsistent formula'],
+      explanation: `${result.explanation}; breaks the formula pattern of its row or column`
+    };
+  }
+
+  /**
+   * Generate business concept labels for a cell using heuristics + LLM
+   * @param {object} cell - Cell data
+   * @returns {object} Labeling result
+   */
+  async generateConceptLabels(cell) {
     // First, get heuristic labels
     const heuristicLabels = detectBusinessConcepts(cell);
     
@@ -84,34 +106,35 @@ export class LabelService {
   async generateLLMLabels(cell) {
     await this.initialize();
 
-    // Check cache first
-    const cacheKey = `labels_${cell.id}`;
+    const prompt = this.buildClassificationPrompt(cell);
+
+    // Check cache first; the key covers everything the model sees
+    const cacheKey = `labels:${contentHash(this.model, prompt)}`;
     const cached = this.labelCache.get(cacheKey);
     if (cached) {
       return cached;
     }
 
     try {
-      // Add delay to respect rate limits
-      await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-
-      const prompt = this.buildClassificationPrompt(cell);
-      
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a business analyst expert. Classify spreadsheet cells into business concepts. Return only valid JSON.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 150,
-        temperature: 0.3
-      });
+      // Budget the prompt (about four characters per token) plus the completion
+      const response = await this.rateLimiter.schedule(
+        () => this.openai.chat.completions.create({
+          model: this.model,
+          messages: [
+            {
+              role: 'system',
+              content: 'You are a business analyst expert. Classify spreadsheet cells into business concepts. Return only valid JSON.'
+            },
+            {
+              role: 'user',
+              content: prompt
+            }
+          ],
+          max_tokens: this.maxCompletionTokens,
+          temperature: 0.3
+        }),
+        { tokens: Math.ceil(prompt.length / 4) + this.maxCompletionTokens }
+      );
 
       const content = response.choices[0].message.content;
       const result = JSON.parse(content);
@@ -251,7 +274,8 @@ export class LabelService {
       sheetName: range.sheetName,
       headers: { column: range.header },
       formattedValue: range.sampleValues?.join(', ') || '',
-      formula: range.hasFormulas ? 'formula_range' : null
+      formula: range.hasFormulas ? 'formula_range' : null,
+      issues: (range.cells || []).flatMap(cell => cell.issues || [])
     };
 
     return await this.generateLabels(syntheticCell);
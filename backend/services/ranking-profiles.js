@@ -0,0 +1,232 @@
+import fs from 'fs';
+import path from 'path';
+import { getDefaultWeights, validateRankingWeights, normalizeWeights } from '../utils/ranking-weights.js';
+
+/**
+ * Current on-disk schema version of the ranking profile file
+ */
+export const PROFILES_SCHEMA_VERSION = 1;
+
+/**
+ * Profiles shipped with the server. "default" follows the environment weights.
+ */
+const BUILT_IN_PROFILES = {
+  default: {
+    description: 'Environment-configured weights',
+    getWeights: getDefaultWeights
+  },
+  'formula-audit': {
+    description: 'Favors complex formulas and key drivers, for reviewing how a model is calculated',
+    getWeights: () => ({ semantic: 0.4, concept: 0.1, formula: 0.35, sheet: 0.05, centrality: 0.1 })
+  },
+  'kpi-finder': {
+    description: 'Favors headline metrics on dashboard and summary sheets',
+    getWeights: () => ({ semantic: 0.55, concept: 0.25, formula: 0.05, sheet: 0.15, centrality: 0 })
+  },
+  'semantic-only': {
+    description: 'Embedding similarity alone, without heuristic boosts',
+    getWeights: () => ({ semantic: 1, concept: 0, formula: 0, sheet: 0, centrality: 0 })
+  }
+};
+
+/**
+ * Lowercase words joined by hyphens, as used in request bodies and URLs
+ */
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/**
+ * Raised for unknown profiles and invalid profile definitions or overrides
+ */
+export class RankingProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RankingProfileError';
+  }
+}
+
+/**
+ * Service storing named ranking profiles and resolving the feature weights
+ * a search request ranks with
+ */
+export class RankingProfileRegistry {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      process.env.RANKING_PROFILES_PATH ||
+      path.join(process.cwd(), 'data', 'ranking-profiles.json');
+    this.enabled = options.enabled ?? process.env.INDEX_PERSISTENCE !== 'false';
+    this.profiles = new Map(); // name -> { name, description, weights, updatedAt }
+    this.initialized = false;
+  }
+
+  /**
+   * Load persisted custom profiles
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    if (this.enabled && fs.existsSync(this.filePath)) {
+      try {
+        const content = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        if (content.schemaVersion === PROFILES_SCHEMA_VERSION) {
+          content.profiles
+            .filter(profile => !Object.hasOwn(BUILT_IN_PROFILES, profile.name))
+            .forEach(profile => this.profiles.set(profile.name, profile));
+        } else {
+          console.warn(`⚠️ Ignoring ranking profiles with schema v${content.schemaVersion}`);
+        }
+      } catch (error) {
+        console.error('Failed to load ranking profiles:', error.message);
+      }
+    }
+
+    this.initialized = true;
+    console.log(`✅ Ranking profiles initialized (${this.profiles.size} custom)`);
+  }
+
+  /**
+   * List built-in and custom profiles
+   * @returns {array} Profiles, built-in first
+   */
+  list() {
+    return [
+      ...Object.keys(BUILT_IN_PROFILES).map(name => this.get(name)),
+      ...Array.from(this.profiles.values()).map(profile => ({ ...profile, builtIn: false }))
+    ];
+  }
+
+  /**
+   * Get a profile
+   * @param {string} name - Profile name
+   * @returns {object|null} { name, description, weights, builtIn }, or null if unknown
+   */
+  get(name) {
+    if (Object.hasOwn(BUILT_IN_PROFILES, name)) {
+      const { description, getWeights } = BUILT_IN_PROFILES[name];
+      return { name, description, weights: getWeights(), builtIn: true };
+    }
+
+    const profile = this.profiles.get(name);
+    return profile ? { ...profile, builtIn: false } : null;
+  }
+
+  /**
+   * Create or replace a custom profile
+   * @param {string} name - Profile name
+   * @param {object} definition - { description, weights } where weights cover every feature and sum to 1
+   * @returns {object} { profile, created }
+   * @throws {RankingProfileError} When the name is reserved or invalid, or the weights are invalid
+   */
+  async set(name, { description = '', weights } = {}) {
+    await this.initialize();
+
+    if (Object.hasOwn(BUILT_IN_PROFILES, name)) {
+      throw new RankingProfileError(`Profile "${name}" is built in and cannot be changed`);
+    }
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      throw new RankingProfileError('Profile names must be 1-40 lowercase letters, digits or hyphens');
+    }
+    if (typeof description !== 'string') {
+      throw new RankingProfileError('Profile description must be a string');
+    }
+
+    const error = validateRankingWeights(weights, { complete: true });
+    if (error) {
+      throw new RankingProfileError(error);
+    }
+
+    const created = !this.profiles.has(name);
+    const profile = {
+      name,
+      description,
+      weights: normalizeWeights(weights),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.profiles.set(name, profile);
+    await this.save();
+
+    console.log(`⚖️ ${created ? 'Created' : 'Updated'} ranking profile ${name}`);
+    return { profile: { ...profile, builtIn: false }, created };
+  }
+
+  /**
+   * Delete a custom profile
+   * @param {string} name - Profile name
+   * @returns {boolean} True if the profile existed
+   * @throws {RankingProfileError} When the profile is built in
+   */
+  async remove(name) {
+    await this.initialize();
+
+    if (Object.hasOwn(BUILT_IN_PROFILES, name)) {
+      throw new RankingProfileError(`Profile "${name}" is built in and cannot be deleted`);
+    }
+    if (!this.profiles.delete(name)) return false;
+
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Resolve the feature weights for a request: the chosen profile's weights
+   * with explicit overrides applied, scaled to sum to 1
+   * @param {object} options - Options
+   * @param {string} options.profile - Profile name (default "default")
+   * @param {object} options.weights - Partial weight overrides
+   * @returns {object} { profile, weights }
+   * @throws {RankingProfileError} When the profile is unknown or the overrides are invalid
+   */
+  resolve({ profile = 'default', weights } = {}) {
+    const base = this.get(profile);
+    if (!base) {
+      throw new RankingProfileError(
+        `Unknown ranking profile "${profile}". Use ${this.list().map(p => `"${p.name}"`).join(', ')}`
+      );
+    }
+
+    if (weights !== undefined) {
+      const error = validateRankingWeights(weights);
+      if (error) {
+        throw new RankingProfileError(error);
+      }
+    }
+
+    try {
+      return { profile, weights: normalizeWeights({ ...base.weights, ...weights }) };
+    } catch (error) {
+      throw new RankingProfileError(error.message);
+    }
+  }
+
+  /**
+   * Persist custom profiles
+   */
+  async save() {
+    if (!this.enabled) return;
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      const content = {
+        schemaVersion: PROFILES_SCHEMA_VERSION,
+        profiles: Array.from(this.profiles.values())
+      };
+      await fs.promises.writeFile(tempPath, JSON.stringify(content, null, 2), 'utf8');
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Failed to save ranking profiles:', error.message);
+    }
+  }
+
+  /**
+   * Get registry statistics
+   * @returns {object} Profile counts
+   */
+  getStats() {
+    return {
+      builtIn: Object.keys(BUILT_IN_PROFILES).length,
+      custom: this.profiles.size,
+      persisted: this.enabled
+    };
+  }
+}
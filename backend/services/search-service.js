@@ -1,5 +1,47 @@
-import { embeddingService, labelService } from './index.js';
+import crypto from 'crypto';
+import { embeddingService, labelService, indexStore } from './index.js';
 import { detectBusinessConcepts, calculateConceptMatch, detectFormulaComplexity, calculateSheetImportance } from '../utils/heuristics.js';
+import { chunk, mapWithConcurrency } from '../utils/concurrency.js';
+import { HnswIndex } from '../utils/hnsw.js';
+import { fuseRankings, DEFAULT_RRF_K } from '../utils/fusion.js';
+import { Bm25Index } from '../utils/bm25.js';
+import { createDocumentFilter, mergeFilters } from '../utils/search-filters.js';
+import { parseSearchQuery } from '../utils/query-parser.js';
+import { computeFacets } from '../utils/facets.js';
+import { encodeCursor, decodeCursor, InvalidCursorError } from '../utils/search-cursor.js';
+import { getDefaultWeights } from '../utils/ranking-weights.js';
+import { collapseIntoRanges, mmrRerank, DEFAULT_MMR_LAMBDA } from '../utils/diversify.js';
+import { formulaShape, formulaSimilarity, jaccard } from '../utils/formula-similarity.js';
+import { DependencyGraph } from '../utils/dependency-graph.js';
+import { WorkbookCalculator, storedValue, valuesMatch } from '../utils/formula-evaluator.js';
+
+/**
+ * How keyword index fields are described in match explanations
+ */
+const KEYWORD_FIELD_LABELS = {
+  columnHeader: 'header',
+  rowHeader: 'row header',
+  labels: 'label',
+  sheetName: 'sheet name',
+  formula: 'formula',
+  value: 'value'
+};
+
+/**
+ * Ways to find semantic candidates: brute-force cosine over every document,
+ * the HNSW graph, or the graph once the index is large enough
+ */
+export const VECTOR_SEARCH_MODES = ['exact', 'approximate', 'auto'];
+
+/**
+ * Modes searchPage can rank and page through
+ */
+export const PAGED_SEARCH_MODES = ['semantic', 'keyword', 'hybrid'];
+
+/**
+ * Directions a dependency trace can follow
+ */
+export const DEPENDENCY_DIRECTIONS = ['precedents', 'dependents'];
 
 /**
  * Service for semantic search functionality
@@ -7,14 +49,40 @@ import { detectBusinessConcepts, calculateConceptMatch, detectFormulaComplexity,
 export class SearchService {
   constructor() {
     this.index = new Map(); // In-memory search index
+    this.indexBatchSize = parseInt(process.env.INDEX_BATCH_SIZE) || 500; // Documents embedded and persisted together
+    this.vectorIndex = new HnswIndex(); // Approximate nearest-neighbor graph over document embeddings
+    this.vectorIndexBuilt = false; // The graph is built on first approximate search, then kept in sync
+    this.keywordIndex = new Bm25Index(); // BM25 inverted index over document fields
+    this.vectorSearch = VECTOR_SEARCH_MODES.includes(process.env.VECTOR_SEARCH) ? process.env.VECTOR_SEARCH : 'auto';
+    this.annMinDocuments = parseInt(process.env.ANN_MIN_DOCUMENTS) || 2000; // 'auto' switches to approximate at this size
+    this.annCandidateMultiplier = parseInt(process.env.ANN_CANDIDATE_MULTIPLIER) || 10; // Neighbors fetched per requested result
+    this.hybridCandidateDepth = parseInt(process.env.HYBRID_CANDIDATE_DEPTH) || 50; // Results taken from each sub-ranker by hybridSearch; paged searches fuse every candidate
+    this.diversifyDepth = parseInt(process.env.DIVERSIFY_DEPTH) || 100; // Leading results reranked by MMR
+    this.mmrLambda = parseFloat(process.env.MMR_LAMBDA) || DEFAULT_MMR_LAMBDA;
+    this.dependencyGraph = null; // Rebuilt from the indexed cells' precedents when the index changes
+    this.dependencyGraphVersion = null;
+    this.centrality = new Map(); // Cell ID -> PageRank scaled to [0, 1] within its workbook
+    this.dependencyMaxDepth = parseInt(process.env.DEPENDENCY_MAX_DEPTH) || 10; // Deepest dependency trace served
+    this.indexVersion = 0; // Bumped whenever documents are added or removed
+    this.snapshots = new Map(); // Ranked result lists that cursors page through
+    this.snapshotTtlMs = (parseInt(process.env.SEARCH_CURSOR_TTL_SECONDS) || 600) * 1000;
+    this.snapshotLimit = parseInt(process.env.SEARCH_SNAPSHOT_LIMIT) || 100; // Oldest snapshots are dropped beyond this
     this.initialized = false;
   }
 
   /**
-   * Initialize search service
+   * Initialize search service and hydrate the index from the durable store
    */
   async initialize() {
     if (this.initialized) return;
+
+    if (indexStore) {
+      const documents = await indexStore.load();
+      for (const [docId, doc] of documents) {
+        this.index.set(docId, doc);
+        this.keywordIndex.add(docId, this.getKeywordFields(doc));
+      }
+    }
     
     this.initialized = true;
     console.log('✅ Search service initialized');
@@ -23,236 +91,1082 @@ export class SearchService {
   /**
    * Add documents to search index
    * @param {array} documents - Array of documents to index
+   * @param {object} options - Indexing options
+   * @param {function} options.onProgress - Called with { embedded, labeled } deltas
+   * @param {boolean} options.stage - Return the indexed documents without storing them
+   * @returns {array} Indexed documents
    */
-  async addToIndex(documents) {
-    await this.initialize();
-
-    for (const doc of documents) {
-      // Generate embedding for the document
-      const embeddingText = this.generateEmbeddingText(doc);
-      const embedding = await embeddingService.generateEmbedding(embeddingText, 'cell');
-      
-      // Generate labels
-      const labels = await labelService.generateLabels(doc);
-      
-      // Store in index
-      this.index.set(doc.id, {
-        ...doc,
-        embedding,
-        labels: labels.labels,
-        labelConfidence: labels.confidence,
-        labelMethod: labels.method,
-        labelExplanation: labels.explanation
-      });
-    }
+  async addToIndex(documents, options = {}) {
+    const entries = await this.indexDocuments(documents, {
+      ...options,
+      type: 'cell',
+      getText: doc => this.generateEmbeddingText(doc),
+      getLabels: doc => labelService.generateLabels(doc)
+    });
 
-    console.log(`📚 Indexed ${documents.length} documents`);
+    console.log(`📚 ${options.stage ? 'Prepared' : 'Indexed'} ${documents.length} documents`);
+    return entries;
   }
 
   /**
    * Add ranges to search index
    * @param {array} ranges - Array of ranges to index
+   * @param {object} options - Indexing options
+   * @param {function} options.onProgress - Called with { embedded, labeled } deltas
+   * @param {boolean} options.stage - Return the indexed ranges without storing them
+   * @returns {array} Indexed ranges
+   */
+  async addRangesToIndex(ranges, options = {}) {
+    const entries = await this.indexDocuments(ranges, {
+      ...options,
+      type: 'range',
+      getText: range => this.generateRangeEmbeddingText(range),
+      getLabels: range => labelService.generateRangeLabels(range)
+    });
+
+    console.log(`📚 ${options.stage ? 'Prepared' : 'Indexed'} ${ranges.length} ranges`);
+    return entries;
+  }
+
+  /**
+   * Embed, label and store documents in chunks so each chunk is embedded with
+   * batched requests and persisted before the next one starts. Staged
+   * documents are only embedded and labeled; replaceWorkbookDocuments stores them.
+   * @param {array} documents - Documents to index
+   * @param {object} options - Indexing options
+   * @returns {array} Indexed documents
    */
-  async addRangesToIndex(ranges) {
+  async indexDocuments(documents, options) {
     await this.initialize();
 
-    for (const range of ranges) {
-      // Generate embedding for the range
-      const embeddingText = this.generateRangeEmbeddingText(range);
-      const embedding = await embeddingService.generateEmbedding(embeddingText, 'range');
-      
-      // Generate labels
-      const labels = await labelService.generateRangeLabels(range);
-      
-      // Store in index
-      this.index.set(range.id, {
-        ...range,
-        embedding,
-        labels: labels.labels,
-        labelConfidence: labels.confidence,
-        labelMethod: labels.method,
-        labelExplanation: labels.explanation
+    const { type, getText, getLabels, onProgress, stage = false } = options;
+    const indexed = [];
+
+    for (const batch of chunk(documents, this.indexBatchSize)) {
+      // Generate embeddings for the whole chunk
+      const embeddings = await embeddingService.generateEmbeddings(
+        batch.map(getText),
+        type,
+        { onBatch: count => onProgress?.({ embedded: count, labeled: 0 }) }
+      );
+
+      // Label with as many requests in flight as embedding uses
+      const entries = await mapWithConcurrency(batch, embeddingService.concurrency, async (doc, i) => {
+        const labels = await getLabels(doc);
+        return {
+          ...doc,
+          embedding: embeddings[i],
+          labels: labels.labels,
+          labelConfidence: labels.confidence,
+          labelMethod: labels.method,
+          labelExplanation: labels.explanation
+        };
       });
+
+      if (!stage) {
+        this.storeEntries(entries);
+        await this.persist(entries);
+      }
+      indexed.push(...entries);
+      onProgress?.({ embedded: 0, labeled: batch.length });
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Put indexed documents into the in-memory indexes
+   * @param {array} entries - Indexed documents
+   */
+  storeEntries(entries) {
+    for (const entry of entries) {
+      this.index.set(entry.id, entry);
+      this.keywordIndex.add(entry.id, this.getKeywordFields(entry));
+      if (this.vectorIndexBuilt) {
+        this.vectorIndex.add(entry.id, entry.embedding);
+      }
+    }
+    this.indexVersion++;
+  }
+
+  /**
+   * Write indexed documents to the durable store, if one is configured
+   * @param {array} entries - Indexed documents
+   */
+  async persist(entries) {
+    if (!indexStore) return;
+
+    try {
+      await indexStore.put(entries);
+    } catch (error) {
+      console.error('Failed to persist index entries:', error.message);
     }
+    await this.compactStore();
+  }
 
-    console.log(`📚 Indexed ${ranges.length} ranges`);
+  /**
+   * Rewrite the durable store once replaced and deleted documents dominate it,
+   * so the log does not grow without bound while the server runs
+   */
+  async compactStore() {
+    if (!indexStore?.needsCompaction(this.index.size)) return;
+
+    try {
+      await indexStore.compact(this.index);
+    } catch (error) {
+      console.error('Failed to compact index store:', error.message);
+    }
   }
 
   /**
    * Perform semantic search
-   * @param {string} query - Search query
+   * @param {string} query - Search query, which may contain field operators
    * @param {object} options - Search options
+   * @param {number} options.topK - Number of results
+   * @param {number} options.offset - Number of ranked results to skip
+   * @param {object} options.filters - Structured filters applied before scoring
+   * @param {boolean} options.parseQuery - Parse field operators out of the query (default true)
+   * @param {object} options.scoreWeights - Feature weights for this search (defaults to getScoreWeights)
+   * @param {boolean|object} options.diversify - Rerank with MMR; true or { lambda }
+   * @param {boolean} options.collapseRanges - Fold cells into their range document when both match
+   * @param {function} options.onCandidates - Called with every scored document, before the top K cut
    * @returns {array} Search results
+   * @throws {QuerySyntaxError} When the query is malformed
    */
   async search(query, options = {}) {
+    const { topK = parseInt(process.env.DEFAULT_TOP_K) || 10, offset = 0 } = options;
+
+    const { text, ranked } = await this.rankSemantic(query, { ...options, topK: offset + topK });
+
+    // Format the requested page only
+    return ranked.slice(offset, offset + topK).map(result => this.formatSearchResult(result, text));
+  }
+
+  /**
+   * Score and sort every semantic candidate for a query
+   * @param {string} query - Search query
+   * @param {object} options - Search options (see search); topK only sizes the approximate neighbor list
+   * @returns {object} { text, ranked } where ranked holds unformatted results, best first
+   */
+  async rankSemantic(query, options = {}) {
     await this.initialize();
 
     const {
       topK = parseInt(process.env.DEFAULT_TOP_K) || 10,
-      mode = 'semantic',
-      includeRanges = true
+      includeRanges = true,
+      vectorSearch = this.vectorSearch,
+      filters,
+      parseQuery = true,
+      scoreWeights,
+      diversify,
+      collapseRanges,
+      onCandidates
     } = options;
 
     if (this.index.size === 0) {
-      return [];
+      return { text: query, ranked: [] };
     }
 
-    // Generate query embedding
-    const queryEmbedding = await embeddingService.generateEmbedding(query, 'query');
+    const { text, filter } = this.prepareQuery(query, { filters, includeRanges, parseQuery });
+
+    // Generate query embedding from the free text only; a filter-only query
+    // ranks the matching documents on the other features
+    const queryEmbedding = text ? await embeddingService.generateEmbedding(text, 'query') : null;
     
     // Detect query concepts
-    const queryConcepts = this.detectQueryConcepts(query);
+    const queryConcepts = this.detectQueryConcepts(text);
     
     // Calculate similarities
     const similarities = [];
+    const candidates = queryEmbedding
+      ? this.findVectorCandidates(queryEmbedding, { topK, vectorSearch, filter })
+      : this.filterDocuments(filter).map(doc => ({ docId: doc.id, doc, similarity: 0 }));
+    onCandidates?.(candidates.map(({ doc }) => doc));
     
-    for (const [docId, doc] of this.index) {
-      // Skip ranges if not requested
-      if (!includeRanges && doc.cells) continue;
-      
-      // Calculate cosine similarity
-      const similarity = embeddingService.calculateCosineSimilarity(queryEmbedding, doc.embedding);
-      
-      // Calculate concept match
-      const conceptMatch = calculateConceptMatch(doc.labels || [], queryConcepts);
-      
-      // Calculate formula complexity boost
-      const formulaComplexity = doc.parsedFormula ? 
-        detectFormulaComplexity(doc.parsedFormula) : 0;
-      
-      // Calculate sheet importance
-      const sheetImportance = calculateSheetImportance(doc.sheetName);
-      
-      // Calculate final score
-      const finalScore = this.calculateFinalScore(
-        similarity,
-        conceptMatch,
-        formulaComplexity,
-        sheetImportance
-      );
-      
-      similarities.push({
-        docId,
-        doc,
-        similarity,
-        conceptMatch,
-        formulaComplexity,
-        sheetImportance,
-        finalScore
-      });
+    for (const { docId, doc, similarity } of candidates) {
+      similarities.push({ docId, doc, ...this.scoreDocument(doc, similarity, queryConcepts, scoreWeights) });
     }
 
     // Sort by final score
     similarities.sort((a, b) => b.finalScore - a.finalScore);
-    
-    // Take top K results
-    const topResults = similarities.slice(0, topK);
-    
-    // Format results
-    return topResults.map(result => this.formatSearchResult(result, query));
+
+    const ranked = this.diversifyRanking(similarities, {
+      diversify,
+      collapseRanges,
+      topK,
+      getScore: result => result.finalScore
+    });
+
+    return { text, ranked };
   }
 
   /**
-   * Perform keyword search
+   * Perform hybrid search by fusing the semantic and keyword rankings
    * @param {string} query - Search query
+   * @param {object} options - Search options, plus:
+   * @param {number} options.offset - Number of fused results to skip
+   * @param {string} options.fusion - 'rrf' or 'weighted'
+   * @param {number} options.rrfK - RRF smoothing constant
+   * @param {object} options.weights - { semantic, keyword } weights
+   * @returns {array} Fused results with per-ranker `ranks` and `scores`
+   */
+  async hybridSearch(query, options = {}) {
+    const { topK = parseInt(process.env.DEFAULT_TOP_K) || 10, offset = 0, ...hybridOptions } = options;
+
+    const fused = await this.rankHybrid(query, { ...hybridOptions, topK: offset + topK });
+    return fused.slice(offset, offset + topK).map(result => this.formatHybridResult(result));
+  }
+
+  /**
+   * Fuse the semantic and keyword rankings for a query
+   * @param {string} query - Search query
+   * @param {object} options - Hybrid search options (see hybridSearch); topK is the number of fused results needed
+   * @param {boolean} options.allCandidates - Fuse every candidate of both sub-rankings instead of their top results
+   * @returns {array} Unformatted fused results, best first (see formatHybridResult)
+   */
+  async rankHybrid(query, options = {}) {
+    const {
+      topK = parseInt(process.env.DEFAULT_TOP_K) || 10,
+      allCandidates = false,
+      fusion = process.env.HYBRID_FUSION || 'rrf',
+      rrfK = parseInt(process.env.HYBRID_RRF_K) || DEFAULT_RRF_K,
+      weights = {},
+      diversify,
+      collapseRanges,
+      ...searchOptions
+    } = options;
+
+    // Each sub-ranker contributes a deeper list so documents just outside one
+    // list's top K can still make the fused top K
+    const depth = Math.max(topK, this.hybridCandidateDepth);
+    const [semantic, keyword] = await Promise.all([
+      this.rankSemantic(query, { ...searchOptions, topK: depth }),
+      this.rankKeyword(query, { ...searchOptions, topK: depth })
+    ]);
+    const cut = allCandidates ? Infinity : depth;
+
+    // Formatting runs an explanation per document, so it is deferred until a
+    // result is returned
+    const fused = fuseRankings({
+      semantic: semantic.ranked.slice(0, cut).map(result => ({
+        id: result.docId,
+        relevance: result.finalScore,
+        format: () => this.formatSearchResult(result, semantic.text)
+      })),
+      keyword: keyword.ranked.slice(0, cut).map(result => ({
+        id: result.docId,
+        relevance: result.relevance,
+        format: () => this.formatKeywordResult(result, keyword.text)
+      }))
+    }, {
+      method: fusion,
+      rrfK,
+      weights: {
+        semantic: weights.semantic ?? (parseFloat(process.env.HYBRID_SEMANTIC_WEIGHT) || 1),
+        keyword: weights.keyword ?? (parseFloat(process.env.HYBRID_KEYWORD_WEIGHT) || 1)
+      }
+    });
+
+    // Diversify the fused list only, so neither sub-ranking is cut short
+    return this.diversifyRanking(fused, {
+      diversify,
+      collapseRanges,
+      topK,
+      getDoc: result => this.index.get(result.id),
+      getScore: result => result.relevance
+    });
+  }
+
+  /**
+   * Format a fused result from the first sub-ranking it appears in, keeping
+   * the fused relevance, ranks and scores
+   * @param {object} result - Result from rankHybrid
+   * @returns {object} Formatted result
+   */
+  formatHybridResult(result) {
+    const { format, ...fused } = result;
+    return { ...format(), ...fused };
+  }
+
+  /**
+   * Run a search and return one page of it. The full ranking is kept as a
+   * snapshot, so following `nextCursor` pages through the same list even if
+   * workbooks are ingested or removed in between.
+   * @param {string} query - Search query; ignored when resuming from a cursor
+   * @param {object} options - Search options for the mode, plus:
+   * @param {string} options.mode - 'semantic', 'keyword' or 'hybrid'
+   * @param {number} options.offset - Number of ranked results to skip
+   * @param {number} options.limit - Page size (defaults to the cursor's page size)
+   * @param {string} options.cursor - Cursor from a previous page
+   * @returns {object} { query, mode, results, offset, limit, totalMatches, nextCursor, indexVersion, facets }
+   * @throws {InvalidCursorError} When the cursor is malformed or its snapshot has expired
+   * @throws {QuerySyntaxError} When the query is malformed
+   */
+  async searchPage(query, options = {}) {
+    const {
+      mode = 'semantic',
+      offset = 0,
+      limit,
+      cursor,
+      ...searchOptions
+    } = options;
+
+    let snapshot;
+    let start = offset;
+    let pageSize = limit ?? (parseInt(process.env.DEFAULT_TOP_K) || 10);
+
+    if (cursor !== undefined) {
+      const position = decodeCursor(cursor);
+      snapshot = this.getSnapshot(position.snapshotId);
+      if (!snapshot) {
+        throw new InvalidCursorError('Cursor has expired; run the search again');
+      }
+      start = position.offset;
+      pageSize = limit ?? position.limit;
+    } else {
+      snapshot = await this.createSnapshot(query, mode, { ...searchOptions, topK: offset + pageSize });
+    }
+
+    const page = snapshot.ranked.slice(start, start + pageSize);
+    const nextOffset = start + page.length;
+
+    return {
+      query: snapshot.query,
+      mode: snapshot.mode,
+      results: page.map(snapshot.format),
+      offset: start,
+      limit: pageSize,
+      totalMatches: snapshot.ranked.length,
+      nextCursor: nextOffset < snapshot.ranked.length
+        ? encodeCursor({ snapshotId: snapshot.id, offset: nextOffset, limit: pageSize })
+        : null,
+      indexVersion: snapshot.indexVersion,
+      facets: snapshot.facets
+    };
+  }
+
+  /**
+   * Rank a query in full and store the ranking for later pages
+   * @param {string} query - Search query
+   * @param {string} mode - 'semantic', 'keyword' or 'hybrid'
+   * @param {object} options - Search options; topK is the depth the first page needs
+   * @returns {object} Stored snapshot
+   */
+  async createSnapshot(query, mode, options) {
+    const candidates = [];
+    const onCandidates = docs => {
+      candidates.push(...docs);
+      options.onCandidates?.(docs);
+    };
+    const indexVersion = this.indexVersion;
+
+    let ranked;
+    let format;
+    if (mode === 'semantic') {
+      const semantic = await this.rankSemantic(query, { ...options, onCandidates });
+      ranked = semantic.ranked;
+      format = result => this.formatSearchResult(result, semantic.text);
+    } else if (mode === 'keyword') {
+      const keyword = await this.rankKeyword(query, { ...options, onCandidates });
+      ranked = keyword.ranked;
+      format = result => this.formatKeywordResult(result, keyword.text);
+    } else if (mode === 'hybrid') {
+      // Fuse every candidate, not just the top of each list, so later pages,
+      // totalMatches and facets all cover the same documents
+      ranked = await this.rankHybrid(query, { ...options, allCandidates: true, onCandidates });
+      format = result => this.formatHybridResult(result);
+    } else {
+      throw new Error(`Invalid mode "${mode}". Use ${PAGED_SEARCH_MODES.map(m => `"${m}"`).join(', ')}`);
+    }
+
+    const snapshot = {
+      id: crypto.randomUUID(),
+      query,
+      mode,
+      ranked,
+      format,
+      facets: computeFacets(candidates),
+      indexVersion,
+      expiresAt: Date.now() + this.snapshotTtlMs
+    };
+
+    this.pruneSnapshots();
+    this.snapshots.set(snapshot.id, snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Look up a live snapshot
+   * @param {string} snapshotId - Snapshot ID from a cursor
+   * @returns {object|null} Snapshot, or null if unknown or expired
+   */
+  getSnapshot(snapshotId) {
+    const snapshot = this.snapshots.get(snapshotId);
+    if (!snapshot || snapshot.expiresAt <= Date.now()) {
+      this.snapshots.delete(snapshotId);
+      return null;
+    }
+    return snapshot;
+  }
+
+  /**
+   * Drop expired snapshots, then the oldest ones until there is room for another
+   */
+  pruneSnapshots() {
+    const now = Date.now();
+    for (const [snapshotId, snapshot] of this.snapshots) {
+      if (snapshot.expiresAt <= now) {
+        this.snapshots.delete(snapshotId);
+      }
+    }
+
+    // Maps iterate in insertion order, so the first keys are the oldest
+    for (const snapshotId of this.snapshots.keys()) {
+      if (this.snapshots.size < this.snapshotLimit) break;
+      this.snapshots.delete(snapshotId);
+    }
+  }
+
+  /**
+   * Find documents to score against a query embedding
+   * @param {array} queryEmbedding - Query vector
+   * @param {object} options - Options
+   * @param {number} options.topK - Number of results the caller wants
+   * @param {string} options.vectorSearch - 'exact', 'approximate' or 'auto'
+   * @param {function} options.filter - Predicate on documents; others are never scored
+   * @returns {array} Array of {docId, doc, similarity}
+   */
+  findVectorCandidates(queryEmbedding, options = {}) {
+    const { topK = 10, vectorSearch = this.vectorSearch, filter = null } = options;
+
+    if (this.useApproximateSearch(vectorSearch) && this.ensureVectorIndex() > 0) {
+      // Over-fetch so the other ranking features can reorder the neighbors
+      const neighbors = this.vectorIndex.search(
+        queryEmbedding,
+        Math.max(topK * this.annCandidateMultiplier, this.vectorIndex.efSearch)
+      );
+
+      const candidates = neighbors
+        .filter(({ id }) => this.index.has(id) && (!filter || filter(this.index.get(id))))
+        .map(({ id, similarity }) => ({ docId: id, doc: this.index.get(id), similarity }));
+
+      // A selective filter can discard most neighbors; scan the matching
+      // documents exactly rather than return a short list
+      if (!filter || candidates.length >= topK) {
+        return candidates;
+      }
+    }
+
+    const candidates = [];
+    for (const [docId, doc] of this.index) {
+      if (filter && !filter(doc)) continue;
+
+      // Documents embedded by a different provider have other dimensions
+      // and only score on the other features
+      const similarity = doc.embedding?.length === queryEmbedding.length
+        ? embeddingService.calculateCosineSimilarity(queryEmbedding, doc.embedding)
+        : 0;
+      candidates.push({ docId, doc, similarity });
+    }
+    return candidates;
+  }
+
+  /**
+   * Decide whether a search should use the approximate index
+   * @param {string} vectorSearch - 'exact', 'approximate' or 'auto'
+   * @returns {boolean} True to search the HNSW graph
+   */
+  useApproximateSearch(vectorSearch) {
+    if (vectorSearch === 'exact') return false;
+    if (vectorSearch === 'approximate') return true;
+    return this.index.size >= this.annMinDocuments;
+  }
+
+  /**
+   * Build the approximate index from every indexed document, once
+   * @returns {number} Number of vectors in the approximate index
+   */
+  ensureVectorIndex() {
+    if (!this.vectorIndexBuilt) {
+      const startTime = Date.now();
+      for (const [docId, doc] of this.index) {
+        this.vectorIndex.add(docId, doc.embedding);
+      }
+      this.vectorIndexBuilt = true;
+      console.log(`🧭 Built approximate vector index over ${this.vectorIndex.size} documents in ${Date.now() - startTime}ms`);
+    }
+
+    return this.vectorIndex.size;
+  }
+
+  /**
+   * Perform keyword search
+   * @param {string} query - Search query, which may contain field operators
    * @param {object} options - Search options
+   * @param {number} options.topK - Number of results
+   * @param {number} options.offset - Number of ranked results to skip
+   * @param {object} options.filters - Structured filters applied before scoring
+   * @param {boolean} options.parseQuery - Parse field operators out of the query (default true)
+   * @param {function} options.onCandidates - Called with every matching document, before the top K cut
    * @returns {array} Search results
+   * @throws {QuerySyntaxError} When the query is malformed
    */
   async keywordSearch(query, options = {}) {
+    const { topK = parseInt(process.env.DEFAULT_TOP_K) || 10, offset = 0 } = options;
+
+    const { text, ranked } = await this.rankKeyword(query, { ...options, topK: offset + topK });
+
+    // Format the requested page only
+    return ranked.slice(offset, offset + topK).map(result => this.formatKeywordResult(result, text));
+  }
+
+  /**
+   * Score and sort every keyword match for a query
+   * @param {string} query - Search query
+   * @param {object} options - Search options (see keywordSearch)
+   * @returns {object} { text, ranked } where ranked holds unformatted results, best first
+   */
+  async rankKeyword(query, options = {}) {
     await this.initialize();
 
     const {
       topK = parseInt(process.env.DEFAULT_TOP_K) || 10,
-      includeRanges = true
+      includeRanges = true,
+      filters,
+      parseQuery = true,
+      diversify,
+      collapseRanges,
+      onCandidates
     } = options;
 
     if (this.index.size === 0) {
-      return [];
+      return { text: query, ranked: [] };
     }
 
-    const queryTerms = query.toLowerCase().split(/\s+/);
-    const results = [];
+    const { text, filter } = this.prepareQuery(query, { filters, includeRanges, parseQuery });
 
-    for (const [docId, doc] of this.index) {
-      // Skip ranges if not requested
-      if (!includeRanges && doc.cells) continue;
-      
-      let score = 0;
-      const matches = [];
-
-      // Search in headers
-      if (doc.headers?.column) {
-        const headerText = doc.headers.column.toLowerCase();
-        queryTerms.forEach(term => {
-          if (headerText.includes(term)) {
-            score += 2; // Higher weight for header matches
-            matches.push(`header contains "${term}"`);
-          }
-        });
-      }
+    // Score with BM25; a filter-only query returns the matching documents unranked
+    const hits = text
+      ? this.keywordIndex.search(text, {
+        filter: filter && (docId => this.index.has(docId) && filter(this.index.get(docId)))
+      })
+      : this.filterDocuments(filter).map(doc => ({ id: doc.id, score: 1, matches: [] }));
+    onCandidates?.(hits.map(({ id }) => this.index.get(id)));
+    const topScore = hits[0]?.score || 1;
 
-      if (doc.headers?.row) {
-        const rowText = doc.headers.row.toLowerCase();
-        queryTerms.forEach(term => {
-          if (rowText.includes(term)) {
-            score += 1.5;
-            matches.push(`row header contains "${term}"`);
-          }
-        });
-      }
+    const ranked = hits.map(({ id, score, matches }) => ({
+      docId: id,
+      doc: this.index.get(id),
+      score,
+      relevance: score / topScore,
+      matches: matches.map(({ field, token }) => `${KEYWORD_FIELD_LABELS[field]} matches "${token}"`)
+    }));
 
-      // Search in values
-      if (doc.formattedValue) {
-        const valueText = doc.formattedValue.toLowerCase();
-        queryTerms.forEach(term => {
-          if (valueText.includes(term)) {
-            score += 1;
-            matches.push(`value contains "${term}"`);
-          }
-        });
-      }
+    return {
+      text,
+      ranked: this.diversifyRanking(ranked, { diversify, collapseRanges, topK, getScore: result => result.relevance })
+    };
+  }
 
-      // Search in formulas
-      if (doc.formula) {
-        const formulaText = doc.formula.toLowerCase();
-        queryTerms.forEach(term => {
-          if (formulaText.includes(term)) {
-            score += 1.5;
-            matches.push(`formula contains "${term}"`);
-          }
-        });
-      }
+  /**
+   * Optionally collapse cells into their ranges and rerank with MMR
+   * @param {array} ranked - Ranked items, best first
+   * @param {object} options - Options
+   * @param {boolean|object} options.diversify - true or { lambda } to rerank with MMR
+   * @param {boolean} options.collapseRanges - Fold cells into their range document
+   * @param {number} options.topK - Results the caller needs; at least this many are reranked
+   * @param {function} options.getDoc - Maps an item to its document (default item.doc)
+   * @param {function} options.getScore - Maps an item to its relevance
+   * @returns {array} Ranked items
+   */
+  diversifyRanking(ranked, options) {
+    const { diversify, collapseRanges, topK = 0, getDoc = result => result.doc, getScore } = options;
 
-      // Search in labels
-      if (doc.labels) {
-        doc.labels.forEach(label => {
-          queryTerms.forEach(term => {
-            if (label.toLowerCase().includes(term)) {
-              score += 1.5;
-              matches.push(`label matches "${term}"`);
-            }
-          });
-        });
-      }
+    let items = collapseRanges ? collapseIntoRanges(ranked, { getDoc }) : ranked;
+    if (diversify) {
+      items = mmrRerank(items, {
+        getDoc,
+        getScore,
+        lambda: diversify.lambda ?? this.mmrLambda,
+        depth: Math.max(topK, this.diversifyDepth),
+        contentSimilarity: (a, b) => this.contentSimilarity(a, b)
+      });
+    }
 
-      if (score > 0) {
-        results.push({
-          docId,
-          doc,
-          score,
-          matches
-        });
+    return items;
+  }
+
+  /**
+   * Cosine similarity of two documents' embeddings, floored at 0
+   * @param {object} a - Document
+   * @param {object} b - Document
+   * @returns {number} Similarity, or 0 when the embeddings are missing or incompatible
+   */
+  contentSimilarity(a, b) {
+    if (!a.embedding || a.embedding.length !== b.embedding?.length) return 0;
+    return Math.max(0, embeddingService.calculateCosineSimilarity(a.embedding, b.embedding));
+  }
+
+  /**
+   * Break down how a document scores for a query, in both the semantic and
+   * the keyword ranking
+   * @param {string} query - Search query, which may contain field operators
+   * @param {string} docId - Document ID
+   * @param {object} options - Search options: filters, includeRanges, parseQuery, vectorSearch, scoreWeights
+   * @returns {object|null} Score breakdown, or null if the document is not indexed
+   * @throws {QuerySyntaxError} When the query is malformed
+   */
+  async explainScore(query, docId, options = {}) {
+    await this.initialize();
+
+    const doc = this.index.get(docId);
+    if (!doc) return null;
+
+    const {
+      filters,
+      includeRanges = true,
+      parseQuery = true,
+      vectorSearch = this.vectorSearch,
+      scoreWeights = this.getScoreWeights()
+    } = options;
+    const searchOptions = { filters, includeRanges, parseQuery };
+
+    const { text, filter } = this.prepareQuery(query, searchOptions);
+    const [semantic, keyword] = await Promise.all([
+      this.rankSemantic(query, { ...searchOptions, vectorSearch, scoreWeights }),
+      this.rankKeyword(query, searchOptions)
+    ]);
+
+    // Recompute the document's features directly so filtered-out documents are explained too
+    const queryEmbedding = text ? await embeddingService.generateEmbedding(text, 'query') : null;
+    const embeddingCompared = Boolean(queryEmbedding) && doc.embedding?.length === queryEmbedding.length;
+    const similarity = embeddingCompared
+      ? embeddingService.calculateCosineSimilarity(queryEmbedding, doc.embedding)
+      : null;
+    const queryConcepts = this.detectQueryConcepts(text);
+    const scores = this.scoreDocument(doc, similarity ?? 0, queryConcepts, scoreWeights);
+    const weights = scoreWeights;
+
+    const keywordScore = text ? this.keywordIndex.explain(docId, text) : null;
+    const keywordRank = keyword.ranked.findIndex(result => result.docId === docId);
+    const semanticRank = semantic.ranked.findIndex(result => result.docId === docId);
+
+    return {
+      query,
+      text,
+      document: {
+        id: doc.id,
+        type: doc.cells ? 'range' : 'cell',
+        location: this.getLocation(doc),
+        formula: doc.formula || null,
+        value: doc.formattedValue || null,
+        labels: doc.labels || []
+      },
+      matchesFilters: !filter || filter(doc),
+      semantic: {
+        rank: semanticRank === -1 ? null : semanticRank + 1,
+        candidates: semantic.ranked.length,
+        similarity,
+        embeddingCompared,
+        queryConcepts,
+        sharedConcepts: (doc.labels || []).filter(label => queryConcepts.includes(label)),
+        conceptMatch: scores.conceptMatch,
+        formulaComplexity: scores.formulaComplexity,
+        sheetImportance: scores.sheetImportance,
+        centrality: scores.centrality,
+        dependents: this.getDependentCount(doc),
+        weights,
+        contributions: {
+          semantic: weights.semantic * scores.similarity,
+          concept: weights.concept * scores.conceptMatch,
+          formula: weights.formula * scores.formulaComplexity,
+          sheet: weights.sheet * scores.sheetImportance,
+          centrality: weights.centrality * scores.centrality
+        },
+        finalScore: scores.finalScore
+      },
+      keyword: {
+        rank: keywordRank === -1 ? null : keywordRank + 1,
+        candidates: keyword.ranked.length,
+        score: keywordScore?.score ?? 0,
+        relevance: keywordRank === -1 ? 0 : keyword.ranked[keywordRank].relevance,
+        parameters: { k1: this.keywordIndex.k1, b: this.keywordIndex.b },
+        terms: (keywordScore?.terms || []).map(term => ({
+          ...term,
+          fields: term.fields.map(field => ({ ...field, label: KEYWORD_FIELD_LABELS[field.field] }))
+        }))
       }
+    };
+  }
+
+  /**
+   * Find documents like an indexed one: close embeddings, the same formula
+   * structure and shared labels
+   * @param {string} docId - ID of the source document
+   * @param {object} options - Options
+   * @param {number} options.topK - Number of results
+   * @param {boolean} options.otherWorkbooks - Only return documents from other workbooks
+   * @param {boolean} options.includeRanges - Whether range documents may match
+   * @param {string} options.vectorSearch - 'exact', 'approximate' or 'auto'
+   * @returns {object|null} { document, weights, candidates, results }, or null if the document is not indexed
+   */
+  async findSimilar(docId, options = {}) {
+    await this.initialize();
+
+    const source = this.index.get(docId);
+    if (!source) return null;
+
+    const {
+      topK = parseInt(process.env.DEFAULT_TOP_K) || 10,
+      otherWorkbooks = false,
+      includeRanges = true,
+      vectorSearch = this.vectorSearch
+    } = options;
+
+    const filter = doc => doc.id !== docId &&
+      (!otherWorkbooks || doc.spreadsheetId !== source.spreadsheetId) &&
+      (includeRanges || !doc.cells);
+    const candidates = source.embedding
+      ? this.findVectorCandidates(source.embedding, { topK, vectorSearch, filter })
+      : this.filterDocuments(filter).map(doc => ({ docId: doc.id, doc, similarity: 0 }));
+
+    const sourceShape = this.getFormulaShape(source);
+    const sourceLabels = new Set(source.labels || []);
+    const weights = this.getSimilarityWeights({ formula: Boolean(sourceShape), labels: sourceLabels.size > 0 });
+
+    const ranked = candidates.map(({ doc, similarity }) => {
+      const shape = sourceShape && this.getFormulaShape(doc);
+      const scores = {
+        embedding: Math.max(0, similarity),
+        formula: shape ? formulaSimilarity(sourceShape, shape) : 0,
+        labels: sourceLabels.size > 0 ? jaccard(sourceLabels, new Set(doc.labels || [])) : 0
+      };
+      const score = weights.embedding * scores.embedding + weights.formula * scores.formula + weights.labels * scores.labels;
+      return { doc, scores, score, sameSkeleton: Boolean(shape) && shape.skeleton === sourceShape.skeleton };
+    });
+    ranked.sort((a, b) => b.score - a.score);
+
+    return {
+      document: {
+        id: source.id,
+        type: source.cells ? 'range' : 'cell',
+        location: this.getLocation(source),
+        formula: this.getFormulaCell(source)?.formula || null,
+        labels: source.labels || []
+      },
+      weights,
+      candidates: ranked.length,
+      results: ranked.slice(0, topK).map(result => this.formatSimilarResult(result, source))
+    };
+  }
+
+  /**
+   * Weights of the "more like this" features, spread over the features the
+   * source document has
+   * @param {object} available - { formula, labels } flags for the source document
+   * @returns {object} { embedding, formula, labels } summing to 1
+   */
+  getSimilarityWeights({ formula, labels }) {
+    const weights = {
+      embedding: parseFloat(process.env.SIMILAR_EMBEDDING_WEIGHT) || 0.6,
+      formula: formula ? (parseFloat(process.env.SIMILAR_FORMULA_WEIGHT) || 0.25) : 0,
+      labels: labels ? (parseFloat(process.env.SIMILAR_LABEL_WEIGHT) || 0.15) : 0
+    };
+    const total = weights.embedding + weights.formula + weights.labels;
+    return {
+      embedding: weights.embedding / total,
+      formula: weights.formula / total,
+      labels: weights.labels / total
+    };
+  }
+
+  /**
+   * The cell whose formula represents a document: the cell itself, or a
+   * range's first formula cell
+   * @param {object} doc - Cell or range document
+   * @returns {object|null} Cell with a formula
+   */
+  getFormulaCell(doc) {
+    if (doc.cells) return doc.cells.find(cell => cell.formula) || null;
+    return doc.formula ? doc : null;
+  }
+
+  /**
+   * Structural description of a document's formula
+   * @param {object} doc - Cell or range document
+   * @returns {object|null} Result of formulaShape, or null without a parseable formula
+   */
+  getFormulaShape(doc) {
+    const cell = this.getFormulaCell(doc);
+    return cell ? formulaShape(cell.parsedFormula, { row: cell.row, column: cell.column }) : null;
+  }
+
+  /**
+   * Format a "more like this" result
+   * @param {object} result - { doc, scores, score, sameSkeleton }
+   * @param {object} source - Source document
+   * @returns {object} Formatted result
+   */
+  formatSimilarResult(result, source) {
+    const { doc, scores, score, sameSkeleton } = result;
+    const sourceFunctions = this.getFormulaCell(source)?.parsedFormula?.functions || [];
+    const sharedFunctions = (this.getFormulaCell(doc)?.parsedFormula?.functions || [])
+      .filter(name => sourceFunctions.includes(name));
+    const sharedLabels = (doc.labels || []).filter(label => (source.labels || []).includes(label));
+
+    const reasons = [];
+    if (scores.embedding > 0.8) {
+      reasons.push('very similar content');
+    } else if (scores.embedding > 0.6) {
+      reasons.push('similar content');
+    }
+    if (sameSkeleton) {
+      reasons.push('same formula structure');
+    } else if (sharedFunctions.length > 0) {
+      reasons.push(`also uses ${sharedFunctions.join(', ')}`);
+    }
+    if (sharedLabels.length > 0) {
+      reasons.push(`shares ${sharedLabels.join(', ')}`);
+    }
+    if (doc.spreadsheetId !== source.spreadsheetId) {
+      reasons.push('in another workbook');
     }
 
-    // Sort by score
-    results.sort((a, b) => b.score - a.score);
-    
-    // Take top K results
-    const topResults = results.slice(0, topK);
-    
-    // Format results
-    return topResults.map(result => this.formatKeywordResult(result, query));
+    return {
+      id: doc.id,
+      concept: this.getPrimaryConcept(doc),
+      location: this.getLocation(doc),
+      formula: doc.formula || this.getFormulaCell(doc)?.formula || null,
+      value: doc.formattedValue || null,
+      relevance: score,
+      similarity: scores,
+      sharedFunctions,
+      sharedLabels,
+      reasons,
+      labels: doc.labels || [],
+      type: doc.cells ? 'range' : 'cell'
+    };
+  }
+
+  /**
+   * Follow a cell's formula dependencies
+   * @param {string} cellId - Cell document ID
+   * @param {object} options - Options
+   * @param {string} options.direction - 'precedents' (cells it reads) or 'dependents' (formulas reading it)
+   * @param {number} options.depth - Number of steps to follow, capped at DEPENDENCY_MAX_DEPTH (default 1)
+   * @returns {object|null} { cell, direction, depth, count, truncated, cells }, or null if the cell is not indexed
+   */
+  async traceDependencies(cellId, options = {}) {
+    await this.initialize();
+
+    const source = this.index.get(cellId);
+    if (!source || source.cells) return null;
+
+    const { direction = 'precedents' } = options;
+    const depth = Math.min(options.depth || 1, this.dependencyMaxDepth);
+    const { cells, truncated } = this.getDependencyGraph().traverse(cellId, { direction, depth });
+    const traced = cells
+      .filter(({ id }) => this.index.has(id))
+      .map(({ id, depth: distance, via }) => ({ ...this.formatCellSummary(this.index.get(id)), depth: distance, via }));
+
+    return {
+      cell: this.formatCellSummary(source),
+      direction,
+      depth,
+      count: traced.length,
+      truncated,
+      cells: traced
+    };
+  }
+
+  /**
+   * Change a cell's value and recalculate every formula that depends on it,
+   * directly or through other formulas. Nothing is written to the index.
+   * @param {string} cellId - Cell document ID
+   * @param {number|string|boolean} value - New value
+   * @returns {object|null} { cell, before, after, count, changed, cells } where
+   *   each cell carries its depth and before/after values, or null if the cell is not indexed
+   */
+  async whatIf(cellId, value) {
+    await this.initialize();
+
+    const source = this.index.get(cellId);
+    if (!source || source.cells) return null;
+
+    const workbookCells = Array.from(this.index.values()).filter(doc => doc.spreadsheetId === source.spreadsheetId);
+    const calculator = new WorkbookCalculator(workbookCells);
+
+    const cells = calculator.setValue(cellId, value)
+      .filter(({ id }) => this.index.has(id))
+      .map(({ id, depth }) => {
+        const doc = this.index.get(id);
+        const result = calculator.calculate(id);
+        const before = storedValue(doc);
+        // Formulas that cannot be evaluated keep their value
+        const after = result.unsupported.length > 0 ? before : result.error ?? result.value;
+
+        return {
+          ...this.formatCellSummary(doc),
+          depth,
+          before,
+          after,
+          change: typeof before === 'number' && typeof after === 'number' ? after - before : null,
+          unsupported: result.unsupported
+        };
+      });
+
+    return {
+      cell: this.formatCellSummary(source),
+      before: storedValue(source),
+      after: value,
+      count: cells.length,
+      changed: cells.filter(cell => !valuesMatch(cell.before, cell.after)).length,
+      cells
+    };
+  }
+
+  /**
+   * Dependency graph over the indexed cells, rebuilt after the index changes
+   * @returns {DependencyGraph} Graph
+   */
+  getDependencyGraph() {
+    if (this.dependencyGraphVersion !== this.indexVersion) {
+      this.dependencyGraph = DependencyGraph.fromDocuments(this.index.values());
+      this.dependencyGraphVersion = this.indexVersion;
+      this.centrality = this.computeCentrality(this.dependencyGraph);
+    }
+    return this.dependencyGraph;
+  }
+
+  /**
+   * PageRank of every cell in the dependency graph, min-max scaled within
+   * each workbook so workbooks of different sizes score alike
+   * @param {DependencyGraph} graph - Dependency graph
+   * @returns {Map} Centrality between 0 and 1 keyed by cell ID
+   */
+  computeCentrality(graph) {
+    const ranks = graph.pageRank();
+    const bounds = new Map(); // workbook ID -> { min, max }
+    for (const [id, rank] of ranks) {
+      const workbookId = this.index.get(id)?.spreadsheetId;
+      const range = bounds.get(workbookId) || { min: rank, max: rank };
+      bounds.set(workbookId, { min: Math.min(range.min, rank), max: Math.max(range.max, rank) });
+    }
+
+    const centrality = new Map();
+    for (const [id, rank] of ranks) {
+      const { min, max } = bounds.get(this.index.get(id)?.spreadsheetId);
+      centrality.set(id, max > min ? (rank - min) / (max - min) : 0);
+    }
+    return centrality;
+  }
+
+  /**
+   * How much of the workbook builds on a document; a range takes its most central cell
+   * @param {object} doc - Cell or range document
+   * @returns {number} Centrality between 0 and 1
+   */
+  getCentrality(doc) {
+    this.getDependencyGraph();
+    if (doc.cells) {
+      return Math.max(0, ...doc.cells.map(cell => this.centrality.get(cell.id) || 0));
+    }
+    return this.centrality.get(doc.id) || 0;
+  }
+
+  /**
+   * Number of formulas reading a document; for a range, formulas reading any of its cells
+   * @param {object} doc - Cell or range document
+   * @returns {number} Direct dependent count
+   */
+  getDependentCount(doc) {
+    const graph = this.getDependencyGraph();
+    if (!doc.cells) return graph.neighbors(doc.id, 'dependents').length;
+
+    const dependents = new Set(doc.cells.flatMap(cell => graph.neighbors(cell.id, 'dependents')));
+    return dependents.size;
+  }
+
+  /**
+   * Format a cell in a dependency trace or issue report
+   * @param {object} doc - Cell document
+   * @returns {object} { id, concept, location, cellRef, formula, value }
+   */
+  formatCellSummary(doc) {
+    return {
+      id: doc.id,
+      concept: this.getPrimaryConcept(doc),
+      location: this.getLocation(doc),
+      cellRef: doc.cellRef,
+      formula: doc.formula || null,
+      value: doc.formattedValue ?? null
+    };
+  }
+
+  /**
+   * Split a query into the free text to score and the document predicate
+   * @param {string} query - Search query
+   * @param {object} options - Options
+   * @param {object} options.filters - Structured filters from the request
+   * @param {boolean} options.includeRanges - Whether range documents may match
+   * @param {boolean} options.parseQuery - Parse field operators out of the query
+   * @returns {object} { text, filter }
+   */
+  prepareQuery(query, { filters, includeRanges = true, parseQuery = true } = {}) {
+    const parsed = parseQuery ? parseSearchQuery(query) : { text: query, filters: undefined };
+    return {
+      text: parsed.text,
+      filter: this.buildDocumentFilter({ filters: mergeFilters(filters, parsed.filters), includeRanges })
+    };
+  }
+
+  /**
+   * Indexed documents matching a predicate, in index order
+   * @param {function|null} filter - Predicate on documents
+   * @returns {array} Documents
+   */
+  filterDocuments(filter) {
+    const documents = Array.from(this.index.values());
+    return filter ? documents.filter(filter) : documents;
+  }
+
+  /**
+   * Combine request filters and includeRanges into one document predicate
+   * @param {object} options - Options
+   * @param {object} options.filters - Validated search filters
+   * @param {boolean} options.includeRanges - Whether range documents may match
+   * @returns {function|null} Predicate on documents, or null to keep everything
+   */
+  buildDocumentFilter({ filters, includeRanges = true } = {}) {
+    const filter = createDocumentFilter(filters, { getFields: doc => this.getKeywordFields(doc) });
+    if (includeRanges) return filter;
+    return doc => !doc.cells && (!filter || filter(doc));
+  }
+
+  /**
+   * Extract the text fields the keyword index searches
+   * @param {object} doc - Cell or range document
+   * @returns {object} Map of field name to text
+   */
+  getKeywordFields(doc) {
+    if (doc.cells) {
+      return {
+        columnHeader: doc.header,
+        labels: (doc.labels || []).join(' '),
+        sheetName: doc.sheetName,
+        formula: doc.cells.find(cell => cell.formula)?.formula,
+        value: (doc.sampleValues || []).join(' ')
+      };
+    }
+
+    return {
+      columnHeader: doc.headers?.column,
+      rowHeader: doc.headers?.row,
+      labels: (doc.labels || []).join(' '),
+      sheetName: doc.sheetName,
+      formula: doc.formula,
+      value: doc.formattedValue
+    };
   }
 
   /**
@@ -293,27 +1207,65 @@ export class SearchService {
     return [...new Set(concepts)]; // Remove duplicates
   }
 
+  /**
+   * Score one document on every semantic ranking feature
+   * @param {object} doc - Indexed document
+   * @param {number} similarity - Cosine similarity to the query
+   * @param {array} queryConcepts - Concepts detected in the query
+   * @param {object} weights - Feature weights (defaults to getScoreWeights)
+   * @returns {object} { similarity, conceptMatch, formulaComplexity, sheetImportance, centrality, finalScore }
+   */
+  scoreDocument(doc, similarity, queryConcepts, weights) {
+    // Calculate concept match
+    const conceptMatch = calculateConceptMatch(doc.labels || [], queryConcepts);
+
+    // Calculate formula complexity boost
+    const formulaComplexity = doc.parsedFormula ?
+      detectFormulaComplexity(doc.parsedFormula) : 0;
+
+    // Calculate sheet importance
+    const sheetImportance = calculateSheetImportance(doc.sheetName);
+
+    // How much of the workbook builds on this cell
+    const centrality = this.getCentrality(doc);
+
+    return {
+      similarity,
+      conceptMatch,
+      formulaComplexity,
+      sheetImportance,
+      centrality,
+      finalScore: this.calculateFinalScore(similarity, conceptMatch, formulaComplexity, sheetImportance, centrality, weights)
+    };
+  }
+
+  /**
+   * Default weights of the semantic ranking features, used when a request
+   * does not choose a ranking profile
+   * @returns {object} { semantic, concept, formula, sheet }
+   */
+  getScoreWeights() {
+    return getDefaultWeights();
+  }
+
   /**
    * Calculate final search score
    * @param {number} similarity - Cosine similarity
    * @param {number} conceptMatch - Concept match score
    * @param {number} formulaComplexity - Formula complexity score
    * @param {number} sheetImportance - Sheet importance score
+   * @param {number} centrality - Dependency graph centrality
+   * @param {object} weights - Feature weights (defaults to getScoreWeights)
    * @returns {number} Final score
    */
-  calculateFinalScore(similarity, conceptMatch, formulaComplexity, sheetImportance) {
-    const weights = {
-      semantic: parseFloat(process.env.SEMANTIC_WEIGHT) || 0.7,
-      concept: parseFloat(process.env.CONCEPT_MATCH_WEIGHT) || 0.15,
-      formula: parseFloat(process.env.FORMULA_COMPLEXITY_WEIGHT) || 0.1,
-      sheet: parseFloat(process.env.SHEET_IMPORTANCE_WEIGHT) || 0.05
-    };
+  calculateFinalScore(similarity, conceptMatch, formulaComplexity, sheetImportance, centrality, weights = this.getScoreWeights()) {
 
     return (
       weights.semantic * similarity +
       weights.concept * conceptMatch +
       weights.formula * formulaComplexity +
-      weights.sheet * sheetImportance
+      weights.sheet * sheetImportance +
+      weights.centrality * centrality
     );
   }
 
@@ -324,22 +1276,20 @@ export class SearchService {
    * @returns {object} Formatted result
    */
   formatSearchResult(result, query) {
-    const { doc, finalScore, similarity, conceptMatch } = result;
+    const { doc, finalScore, similarity, conceptMatch, centrality } = result;
     
     return {
       id: doc.id,
       concept: this.getPrimaryConcept(doc),
-      location: {
-        sheet: doc.sheetName,
-        range: doc.cells ? `${doc.startRow}-${doc.endRow}` : `${doc.row}:${doc.column}`
-      },
+      location: this.getLocation(doc),
       formula: doc.formula || null,
       value: doc.formattedValue || null,
       explanation: labelService.generateSearchExplanation(doc, query),
       relevance: finalScore,
-      reasons: this.generateReasons(doc, query, similarity, conceptMatch),
+      reasons: this.generateReasons(doc, query, similarity, conceptMatch, centrality),
       labels: doc.labels || [],
-      type: doc.cells ? 'range' : 'cell'
+      type: doc.cells ? 'range' : 'cell',
+      ...(result.collapsed && { collapsed: result.collapsed })
     };
   }
 
@@ -350,22 +1300,33 @@ export class SearchService {
    * @returns {object} Formatted result
    */
   formatKeywordResult(result, query) {
-    const { doc, score, matches } = result;
+    const { doc, relevance, matches } = result;
     
     return {
       id: doc.id,
       concept: this.getPrimaryConcept(doc),
-      location: {
-        sheet: doc.sheetName,
-        range: doc.cells ? `${doc.startRow}-${doc.endRow}` : `${doc.row}:${doc.column}`
-      },
+      location: this.getLocation(doc),
       formula: doc.formula || null,
       value: doc.formattedValue || null,
-      explanation: `Keyword matches: ${matches.join(', ')}`,
-      relevance: score / 10, // Normalize to 0-1 range
+      explanation: matches.length > 0 ? `Keyword matches: ${matches.join(', ')}` : 'Matches the query filters',
+      relevance, // BM25 score relative to the best match
       reasons: matches,
       labels: doc.labels || [],
-      type: doc.cells ? 'range' : 'cell'
+      type: doc.cells ? 'range' : 'cell',
+      ...(result.collapsed && { collapsed: result.collapsed })
+    };
+  }
+
+  /**
+   * Where a document sits, as reported in results
+   * @param {object} doc - Document
+   * @returns {object} { workbook, sheet, range }
+   */
+  getLocation(doc) {
+    return {
+      workbook: doc.spreadsheetId,
+      sheet: doc.sheetName,
+      range: doc.cells ? `${doc.startRow}-${doc.endRow}` : `${doc.row}:${doc.column}`
     };
   }
 
@@ -396,9 +1357,10 @@ export class SearchService {
    * @param {string} query - Original query
    * @param {number} similarity - Similarity score
    * @param {number} conceptMatch - Concept match score
+   * @param {number} centrality - Dependency graph centrality
    * @returns {array} Array of reasons
    */
-  generateReasons(doc, query, similarity, conceptMatch) {
+  generateReasons(doc, query, similarity, conceptMatch, centrality = 0) {
     const reasons = [];
     
     if (similarity > 0.8) {
@@ -410,6 +1372,10 @@ export class SearchService {
     if (conceptMatch > 0.5) {
       reasons.push('concept match');
     }
+
+    if (centrality > 0.5) {
+      reasons.push('many cells depend on it');
+    }
     
     if (doc.formula) {
       if (doc.formula.includes('SUM')) {
@@ -481,15 +1447,140 @@ export class SearchService {
       totalDocuments: this.index.size,
       cells: Array.from(this.index.values()).filter(doc => !doc.cells).length,
       ranges: Array.from(this.index.values()).filter(doc => doc.cells).length,
+      vectorSearch: this.vectorSearch,
+      vectorIndex: { built: this.vectorIndexBuilt, ...this.vectorIndex.getStats() },
+      keywordIndex: this.keywordIndex.getStats(),
+      dependencyGraph: this.getDependencyGraph().getStats(),
+      indexVersion: this.indexVersion,
+      cursorSnapshots: this.snapshots.size,
       initialized: this.initialized
     };
   }
 
+  /**
+   * Count indexed cells, ranges and cell issues per workbook
+   * @returns {Map} { cells, ranges, errors, warnings } keyed by workbook ID
+   */
+  getWorkbookCounts() {
+    const counts = new Map();
+
+    for (const doc of this.index.values()) {
+      if (!doc.spreadsheetId) continue;
+
+      if (!counts.has(doc.spreadsheetId)) {
+        counts.set(doc.spreadsheetId, { cells: 0, ranges: 0, errors: 0, warnings: 0 });
+      }
+      const entry = counts.get(doc.spreadsheetId);
+      if (doc.cells) {
+        entry.ranges++;
+      } else {
+        entry.cells++;
+        (doc.issues || []).forEach(issue => {
+          entry[issue.severity === 'error' ? 'errors' : 'warnings']++;
+        });
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Issues found on a workbook's indexed cells, in sheet and cell order
+   * @param {string} workbookId - Workbook ID
+   * @returns {array} Issues, each with the cell it was found on
+   */
+  getWorkbookIssues(workbookId) {
+    const issues = [];
+    for (const doc of this.index.values()) {
+      if (doc.cells || doc.spreadsheetId !== workbookId || !doc.issues?.length) continue;
+
+      const cell = this.formatCellSummary(doc);
+      doc.issues.forEach(issue => issues.push({ ...issue, cell }));
+    }
+    return issues;
+  }
+
+  /**
+   * Remove every document that came from a workbook
+   * @param {string} workbookId - Workbook ID
+   * @returns {number} Number of removed documents
+   */
+  async removeWorkbookDocuments(workbookId) {
+    await this.initialize();
+
+    const ids = [];
+    for (const [docId, doc] of this.index) {
+      if (doc.spreadsheetId === workbookId) {
+        ids.push(docId);
+      }
+    }
+
+    ids.forEach(docId => {
+      this.index.delete(docId);
+      this.keywordIndex.remove(docId);
+      this.vectorIndex.remove(docId);
+    });
+    if (ids.length > 0) {
+      this.indexVersion++;
+    }
+
+    if (indexStore && ids.length > 0) {
+      await indexStore.delete(ids);
+      await this.compactStore();
+    }
+
+    return ids.length;
+  }
+
+  /**
+   * Swap workbooks' documents for freshly staged ones in one step, so a
+   * re-upload that fails while embedding leaves the previous documents in place
+   * @param {array} workbookIds - Workbooks whose previous documents are replaced
+   * @param {array} entries - Documents indexed with `stage: true`
+   * @returns {number} Number of previous documents replaced or removed
+   */
+  async replaceWorkbookDocuments(workbookIds, entries) {
+    await this.initialize();
+
+    const workbooks = new Set(workbookIds);
+    const incoming = new Set(entries.map(entry => entry.id));
+    const previous = [];
+    for (const [docId, doc] of this.index) {
+      if (workbooks.has(doc.spreadsheetId)) {
+        previous.push(docId);
+      }
+    }
+
+    const stale = previous.filter(docId => !incoming.has(docId));
+    stale.forEach(docId => {
+      this.index.delete(docId);
+      this.keywordIndex.remove(docId);
+      this.vectorIndex.remove(docId);
+    });
+    this.storeEntries(entries);
+
+    if (indexStore && stale.length > 0) {
+      await indexStore.delete(stale);
+    }
+    for (const batch of chunk(entries, this.indexBatchSize)) {
+      await this.persist(batch);
+    }
+
+    return previous.length;
+  }
+
   /**
    * Clear search index
    */
-  clearIndex() {
+  async clearIndex() {
     this.index.clear();
+    this.keywordIndex.reset();
+    this.vectorIndex.reset();
+    this.vectorIndexBuilt = false;
+    this.indexVersion++;
+    if (indexStore) {
+      await indexStore.clear();
+    }
     console.log('🗑️ Search index cleared');
   }
 }
@@ -0,0 +1,259 @@
+import fs from 'fs';
+import path from 'path';
+import { excelParserService, searchService } from './index.js';
+import { ISSUE_TYPES } from '../utils/formula-issues.js';
+
+/**
+ * Current on-disk schema version of the workbook registry
+ */
+export const REGISTRY_SCHEMA_VERSION = 1;
+
+/**
+ * Service tracking every ingested workbook and the documents it produced
+ */
+export class WorkbookRegistry {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      process.env.WORKBOOK_REGISTRY_PATH ||
+      path.join(process.cwd(), 'data', 'workbooks.json');
+    this.enabled = options.enabled ?? process.env.INDEX_PERSISTENCE !== 'false';
+    this.workbooks = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Load persisted workbook records
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    if (this.enabled && fs.existsSync(this.filePath)) {
+      try {
+        const content = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        if (content.schemaVersion === REGISTRY_SCHEMA_VERSION) {
+          content.workbooks.forEach(record => this.workbooks.set(record.id, record));
+        } else {
+          console.warn(`⚠️ Ignoring workbook registry with schema v${content.schemaVersion}`);
+        }
+      } catch (error) {
+        console.error('Failed to load workbook registry:', error.message);
+      }
+    }
+
+    this.initialized = true;
+    console.log(`✅ Workbook registry initialized (${this.workbooks.size} workbooks)`);
+  }
+
+  /**
+   * Register a parsed workbook once its documents are indexed, replacing the
+   * record of a previous load
+   * @param {object} spreadsheetData - Result of ExcelParserService.parseExcelFile
+   * @returns {object} Workbook record
+   */
+  async register(spreadsheetData) {
+    await this.initialize();
+
+    const sheets = Object.values(spreadsheetData.sheets || {});
+    const record = {
+      id: spreadsheetData.id,
+      title: spreadsheetData.title,
+      fileName: spreadsheetData.fileName || path.basename(spreadsheetData.filePath),
+      filePath: spreadsheetData.filePath,
+      fileHash: spreadsheetData.fileHash || null,
+      sheetCount: sheets.length,
+      sheetNames: sheets.map(sheet => sheet.sheetName),
+      parsedCells: sheets.reduce((sum, sheet) => sum + sheet.cells.length, 0),
+      parsedRanges: sheets.reduce((sum, sheet) => sum + sheet.ranges.length, 0),
+      loadedAt: spreadsheetData.loadedAt
+    };
+
+    this.workbooks.set(record.id, record);
+    await this.save();
+
+    return record;
+  }
+
+  /**
+   * List all workbooks with their current index counts
+   * @returns {array} Workbook summaries
+   */
+  list() {
+    const counts = searchService.getWorkbookCounts();
+    return Array.from(this.workbooks.values()).map(record => this.summarize(record, counts));
+  }
+
+  /**
+   * Get a single workbook
+   * @param {string} id - Workbook ID
+   * @returns {object|null} Workbook summary
+   */
+  get(id) {
+    const record = this.workbooks.get(id);
+    if (!record) return null;
+    return this.summarize(record, searchService.getWorkbookCounts());
+  }
+
+  /**
+   * Model-health report: the issues found on a workbook's cells, errors first
+   * @param {string} id - Workbook ID
+   * @param {object} filters - Filters
+   * @param {string} filters.type - Only issues of this type (a key of ISSUE_TYPES)
+   * @param {string} filters.severity - Only 'error' or 'warning' issues
+   * @returns {object|null} { workbook, summary, count, issues }, or null if the workbook is unknown
+   */
+  getIssues(id, { type, severity } = {}) {
+    const record = this.workbooks.get(id);
+    if (!record) return null;
+
+    const all = searchService.getWorkbookIssues(id);
+    const summary = { errors: 0, warnings: 0, byType: Object.fromEntries(Object.keys(ISSUE_TYPES).map(key => [key, 0])) };
+    all.forEach(issue => {
+      summary[issue.severity === 'error' ? 'errors' : 'warnings']++;
+      summary.byType[issue.type]++;
+    });
+
+    const issues = all
+      .filter(issue => (!type || issue.type === type) && (!severity || issue.severity === severity))
+      .sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+
+    return {
+      workbook: { id: record.id, title: record.title },
+      summary,
+      count: issues.length,
+      issues
+    };
+  }
+
+  /**
+   * Remove a workbook and all of its indexed documents
+   * @param {string} id - Workbook ID
+   * @returns {object|null} Removal summary, or null if the workbook is unknown
+   */
+  async remove(id) {
+    await this.initialize();
+
+    const record = this.workbooks.get(id);
+    if (!record) return null;
+
+    const removedDocuments = await searchService.removeWorkbookDocuments(id);
+    this.workbooks.delete(id);
+    await this.save();
+
+    console.log(`🗑️ Removed workbook ${record.title} (${removedDocuments} documents)`);
+    return { id, title: record.title, removedDocuments };
+  }
+
+  /**
+   * Re-parse a workbook from its source file and refresh its documents
+   * @param {string} id - Workbook ID
+   * @returns {object|null} Reindex summary, or null if the workbook is unknown
+   */
+  async reindex(id) {
+    await this.initialize();
+
+    const record = this.workbooks.get(id);
+    if (!record) return null;
+
+    if (!record.filePath || !fs.existsSync(record.filePath)) {
+      throw new Error(`Source file for workbook ${id} is no longer available`);
+    }
+
+    const spreadsheetData = await excelParserService.parseExcelFile(record.filePath, {
+      fileName: record.fileName
+    });
+
+    // Index before touching the old documents, so a failure leaves them in place
+    const { cells, ranges } = this.collectDocuments(spreadsheetData);
+    const staged = [
+      ...(cells.length > 0 ? await searchService.addToIndex(cells, { stage: true }) : []),
+      ...(ranges.length > 0 ? await searchService.addRangesToIndex(ranges, { stage: true }) : [])
+    ];
+    const removedDocuments = await searchService.replaceWorkbookDocuments([id, spreadsheetData.id], staged);
+
+    if (spreadsheetData.id !== id) {
+      this.workbooks.delete(id);
+    }
+    const updated = await this.register({ ...spreadsheetData, fileName: record.fileName });
+
+    return {
+      workbook: this.get(updated.id),
+      removedDocuments,
+      indexedCells: cells.length,
+      indexedRanges: ranges.length
+    };
+  }
+
+  /**
+   * Forget every workbook, for when the whole search index is cleared
+   */
+  async clear() {
+    await this.initialize();
+
+    this.workbooks.clear();
+    await this.save();
+  }
+
+  /**
+   * Collect all cells and ranges from parsed workbook data
+   * @param {object} spreadsheetData - Parsed workbook
+   * @returns {object} Cells and ranges
+   */
+  collectDocuments(spreadsheetData) {
+    const cells = [];
+    const ranges = [];
+
+    Object.values(spreadsheetData.sheets || {}).forEach(sheet => {
+      cells.push(...sheet.cells);
+      ranges.push(...sheet.ranges);
+    });
+
+    return { cells, ranges };
+  }
+
+  /**
+   * Combine a stored record with live index counts
+   * @param {object} record - Workbook record
+   * @param {Map} counts - Document counts keyed by workbook ID
+   * @returns {object} Workbook summary
+   */
+  summarize(record, counts) {
+    const { cells = 0, ranges = 0, errors = 0, warnings = 0 } = counts.get(record.id) || {};
+    return {
+      ...record,
+      cellCount: cells,
+      rangeCount: ranges,
+      issueCount: { errors, warnings }
+    };
+  }
+
+  /**
+   * Persist workbook records
+   */
+  async save() {
+    if (!this.enabled) return;
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      const content = {
+        schemaVersion: REGISTRY_SCHEMA_VERSION,
+        workbooks: Array.from(this.workbooks.values())
+      };
+      await fs.promises.writeFile(tempPath, JSON.stringify(content, null, 2), 'utf8');
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Failed to save workbook registry:', error.message);
+    }
+  }
+
+  /**
+   * Get registry statistics
+   * @returns {object} Registry statistics
+   */
+  getStats() {
+    return {
+      workbooks: this.workbooks.size,
+      persisted: this.enabled
+    };
+  }
+}
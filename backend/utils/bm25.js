@@ -0,0 +1,223 @@
+import { analyze, analyzeTerms } from './text-analysis.js';
+
+/**
+ * Default per-field boosts: headers describe what a cell means, so they
+ * outweigh the raw value
+ */
+export const DEFAULT_FIELD_BOOSTS = {
+  columnHeader: 3,
+  rowHeader: 2,
+  labels: 2,
+  sheetName: 1,
+  formula: 1.5,
+  value: 1
+};
+
+/**
+ * Inverted index scored with BM25F: term frequencies are length-normalized
+ * per field, weighted by field boost and summed before saturation, so a term
+ * repeated across fields is not counted as independent evidence.
+ */
+export class Bm25Index {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? (parseFloat(process.env.BM25_K1) || 1.2);
+    this.b = options.b ?? (parseFloat(process.env.BM25_B) || 0.75);
+    this.fieldBoosts = { ...DEFAULT_FIELD_BOOSTS, ...options.fieldBoosts };
+    this.reset();
+  }
+
+  /**
+   * Remove every document
+   */
+  reset() {
+    this.postings = new Map(); // term -> Set of document IDs
+    this.documents = new Map(); // document ID -> { fields: { field: Map(term -> tf) }, lengths: { field: n } }
+    this.totalFieldLengths = Object.fromEntries(Object.keys(this.fieldBoosts).map(field => [field, 0]));
+  }
+
+  /**
+   * Number of indexed documents
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Index or re-index a document
+   * @param {string} id - Document ID
+   * @param {object} fields - Map of field name to text
+   */
+  add(id, fields) {
+    if (this.documents.has(id)) {
+      this.remove(id);
+    }
+
+    const entry = { fields: {}, lengths: {} };
+
+    for (const field of Object.keys(this.fieldBoosts)) {
+      const terms = analyzeTerms(fields[field]);
+      if (terms.length === 0) continue;
+
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Set());
+        }
+        this.postings.get(term).add(id);
+      }
+
+      entry.fields[field] = frequencies;
+      entry.lengths[field] = terms.length;
+      this.totalFieldLengths[field] += terms.length;
+    }
+
+    this.documents.set(id, entry);
+  }
+
+  /**
+   * Remove a document
+   * @param {string} id - Document ID
+   * @returns {boolean} True if the document was indexed
+   */
+  remove(id) {
+    const entry = this.documents.get(id);
+    if (!entry) return false;
+
+    for (const [field, frequencies] of Object.entries(entry.fields)) {
+      this.totalFieldLengths[field] -= entry.lengths[field];
+      for (const term of frequencies.keys()) {
+        const ids = this.postings.get(term);
+        ids?.delete(id);
+        if (ids?.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+    }
+
+    this.documents.delete(id);
+    return true;
+  }
+
+  /**
+   * Score documents against a query
+   * @param {string} query - Query text
+   * @param {object} options - Options
+   * @param {function} options.filter - Predicate on document ID
+   * @returns {array} Array of {id, score, matches: [{field, term, token}]}, best first
+   */
+  search(query, options = {}) {
+    const { filter } = options;
+
+    const scores = new Map();
+
+    for (const [term, token] of this.analyzeQuery(query)) {
+      const ids = this.postings.get(term);
+      if (!ids) continue;
+
+      const idf = this.idf(term);
+
+      for (const id of ids) {
+        if (filter && !filter(id)) continue;
+
+        const { weightedTf, fields } = this.scoreTerm(this.documents.get(id), term);
+
+        if (!scores.has(id)) {
+          scores.set(id, { id, score: 0, matches: [] });
+        }
+        const result = scores.get(id);
+        result.score += idf * weightedTf / (this.k1 + weightedTf);
+        fields.forEach(({ field }) => result.matches.push({ field, term, token }));
+      }
+    }
+
+    return Array.from(scores.values()).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Break one document's score for a query down by term and field
+   * @param {string} id - Document ID
+   * @param {string} query - Query text
+   * @returns {object|null} { score, terms: [{term, token, idf, weightedTf, score, fields}] }, or null if not indexed
+   */
+  explain(id, query) {
+    const entry = this.documents.get(id);
+    if (!entry) return null;
+
+    const terms = [];
+    for (const [term, token] of this.analyzeQuery(query)) {
+      const { weightedTf, fields } = this.scoreTerm(entry, term);
+      const idf = this.postings.has(term) ? this.idf(term) : 0;
+      terms.push({
+        term,
+        token,
+        idf,
+        weightedTf,
+        score: weightedTf > 0 ? idf * weightedTf / (this.k1 + weightedTf) : 0,
+        fields
+      });
+    }
+
+    return { score: terms.reduce((sum, { score }) => sum + score, 0), terms };
+  }
+
+  /**
+   * Distinct analyzed query terms, each with its first surface form for match explanations
+   * @param {string} query - Query text
+   * @returns {Map} term -> token
+   */
+  analyzeQuery(query) {
+    const queryTerms = new Map();
+    for (const { token, term } of analyze(query)) {
+      if (!queryTerms.has(term)) queryTerms.set(term, token);
+    }
+    return queryTerms;
+  }
+
+  /**
+   * Inverse document frequency of an indexed term
+   * @param {string} term - Analyzed term
+   * @returns {number} BM25 IDF
+   */
+  idf(term) {
+    const documentFrequency = this.postings.get(term).size;
+    return Math.log(1 + (this.documents.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * Boosted, length-normalized frequency of a term across a document's fields
+   * @param {object} entry - Indexed document entry
+   * @param {string} term - Analyzed term
+   * @returns {object} { weightedTf, fields: [{field, tf, boost, normalization}] }
+   */
+  scoreTerm(entry, term) {
+    let weightedTf = 0;
+    const fields = [];
+
+    for (const [field, frequencies] of Object.entries(entry.fields)) {
+      const tf = frequencies.get(term);
+      if (!tf) continue;
+
+      const averageLength = this.totalFieldLengths[field] / this.documents.size;
+      const normalization = 1 - this.b + this.b * (entry.lengths[field] / (averageLength || 1));
+      weightedTf += this.fieldBoosts[field] * tf / normalization;
+      fields.push({ field, tf, boost: this.fieldBoosts[field], normalization });
+    }
+
+    return { weightedTf, fields };
+  }
+
+  /**
+   * Get index statistics
+   * @returns {object} Document and term counts and parameters
+   */
+  getStats() {
+    return {
+      documents: this.documents.size,
+      terms: this.postings.size,
+      k1: this.k1,
+      b: this.b,
+      fieldBoosts: this.fieldBoosts
+    };
+  }
+}
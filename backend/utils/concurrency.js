@@ -0,0 +1,41 @@
+/**
+ * Helpers for bounded parallelism
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight, preserving order
+ * @param {array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {function} fn - Async mapper called with (item, index)
+ * @returns {array} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Split an array into consecutive chunks
+ * @param {array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {array} Array of chunks
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
@@ -0,0 +1,17 @@
+import crypto from 'crypto';
+
+/**
+ * Hash one or more strings into a SHA-256 hex digest for use in cache keys.
+ *
+ * Parts are length-prefixed so ('ab', 'c') and ('a', 'bc') never hash alike.
+ * @param {...string} parts - Values identifying the cached content
+ * @returns {string} Hex digest
+ */
+export function contentHash(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    const value = String(part ?? '');
+    hash.update(`${value.length}:`).update(value);
+  }
+  return hash.digest('hex');
+}
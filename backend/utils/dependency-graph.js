@@ -0,0 +1,307 @@
+/**
+ * Formula dependency graph: which cells a formula reads (its precedents) and
+ * which formulas read a cell (its dependents)
+ *
+ *   B12 =SUM(B2:B11)  ->  precedents of B12: B2 … B11
+ *                         dependents of B5: B12
+ */
+
+/**
+ * Share of PageRank passed along references; the rest is spread evenly
+ */
+export const DEFAULT_DAMPING = 0.85;
+
+/**
+ * Resolve every formula's references to the IDs of the parsed cells they
+ * read and store them on the cell as `precedents`. Ranges resolve to their
+ * non-empty cells; references to sheets missing from the workbook are
+ * counted as unresolved.
+ * @param {object} sheets - Parsed sheets keyed by name, as in parseExcelFile's result
+ * @returns {object} { formulas, edges, unresolved } counts
+ */
+export function linkDependencies(sheets) {
+  const sheetCells = new Map(); // lowercase sheet name -> Map("row:column" -> cell)
+  for (const sheet of Object.values(sheets)) {
+    sheetCells.set(sheet.sheetName.toLowerCase(), new Map(sheet.cells.map(cell => [`${cell.row}:${cell.column}`, cell])));
+  }
+
+  const summary = { formulas: 0, edges: 0, unresolved: 0 };
+
+  for (const sheet of Object.values(sheets)) {
+    for (const cell of sheet.cells) {
+      if (!cell.parsedFormula?.ast) continue;
+
+      const precedents = new Set();
+      collectReferences(cell.parsedFormula.ast, node => {
+        const cells = sheetCells.get((node.sheet || sheet.sheetName).toLowerCase());
+        if (!cells) {
+          summary.unresolved++;
+          return;
+        }
+        resolveReference(node, cells).forEach(target => precedents.add(target.id));
+      });
+
+      cell.precedents = Array.from(precedents);
+      summary.formulas++;
+      summary.edges += precedents.size;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Call a function with every reference node of a syntax tree
+ * @param {object} node - Syntax tree node
+ * @param {function} onReference - Called with CELL_REFERENCE and CELL_RANGE nodes
+ */
+export function collectReferences(node, onReference) {
+  if (node.type === 'CELL_REFERENCE' || node.type === 'CELL_RANGE') {
+    onReference(node);
+    return;
+  }
+  node.args?.forEach(arg => collectReferences(arg, onReference));
+  node.rows?.forEach(row => row.forEach(item => collectReferences(item, onReference)));
+}
+
+/**
+ * Parsed cells a reference covers
+ * @param {object} node - CELL_REFERENCE or CELL_RANGE node
+ * @param {Map} cells - The sheet's cells keyed by "row:column"
+ * @returns {array} Cells
+ */
+export function resolveReference(node, cells) {
+  if (node.type === 'CELL_REFERENCE') {
+    const cell = cells.get(`${node.row}:${node.column}`);
+    return cell ? [cell] : [];
+  }
+
+  // Whole rows and columns are unbounded on one axis
+  const startRow = Math.min(node.start.row ?? 1, node.end.row ?? 1);
+  const endRow = node.start.row === null ? Infinity : Math.max(node.start.row, node.end.row);
+  const startColumn = Math.min(node.start.column ?? 1, node.end.column ?? 1);
+  const endColumn = node.start.column === null ? Infinity : Math.max(node.start.column, node.end.column);
+
+  // Walk whichever is smaller, the range's area or the sheet's cells
+  const area = (endRow - startRow + 1) * (endColumn - startColumn + 1);
+  if (area > cells.size) {
+    return Array.from(cells.values()).filter(cell =>
+      cell.row >= startRow && cell.row <= endRow && cell.column >= startColumn && cell.column <= endColumn
+    );
+  }
+
+  const covered = [];
+  for (let row = startRow; row <= endRow; row++) {
+    for (let column = startColumn; column <= endColumn; column++) {
+      const cell = cells.get(`${row}:${column}`);
+      if (cell) covered.push(cell);
+    }
+  }
+  return covered;
+}
+
+/**
+ * Precedent and dependent adjacency between cell IDs
+ */
+export class DependencyGraph {
+  constructor() {
+    this.precedents = new Map(); // cell ID -> IDs it reads
+    this.dependents = new Map(); // cell ID -> IDs of formulas reading it
+    this.edgeCount = 0;
+  }
+
+  /**
+   * Build a graph from indexed documents carrying `precedents`
+   * @param {Iterable} documents - Cell and range documents; ranges are skipped
+   * @returns {DependencyGraph} Graph
+   */
+  static fromDocuments(documents) {
+    const graph = new DependencyGraph();
+    for (const doc of documents) {
+      if (!doc.cells && doc.precedents?.length) {
+        graph.add(doc.id, doc.precedents);
+      }
+    }
+    return graph;
+  }
+
+  /**
+   * Record the cells a formula cell reads
+   * @param {string} cellId - Formula cell ID
+   * @param {array} precedentIds - IDs of the cells it reads
+   */
+  add(cellId, precedentIds) {
+    this.precedents.set(cellId, precedentIds);
+    for (const precedentId of precedentIds) {
+      if (!this.dependents.has(precedentId)) {
+        this.dependents.set(precedentId, []);
+      }
+      this.dependents.get(precedentId).push(cellId);
+    }
+    this.edgeCount += precedentIds.length;
+  }
+
+  /**
+   * Cells one step away
+   * @param {string} cellId - Cell ID
+   * @param {string} direction - 'precedents' or 'dependents'
+   * @returns {array} Cell IDs
+   */
+  neighbors(cellId, direction) {
+    return (direction === 'precedents' ? this.precedents : this.dependents).get(cellId) || [];
+  }
+
+  /**
+   * Breadth-first walk from a cell, visiting each cell once at its shortest distance
+   * @param {string} cellId - Starting cell ID
+   * @param {object} options - Options
+   * @param {string} options.direction - 'precedents' or 'dependents'
+   * @param {number} options.depth - Number of steps to follow
+   * @returns {object} { cells: [{ id, depth, via }], truncated } where via is the
+   *   cell one step closer to the start and truncated means cells lie beyond depth
+   */
+  traverse(cellId, { direction, depth }) {
+    const visited = new Set([cellId]);
+    const cells = [];
+    let frontier = [cellId];
+    let truncated = false;
+
+    for (let level = 1; frontier.length > 0; level++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const neighbor of this.neighbors(id, direction)) {
+          if (visited.has(neighbor)) continue;
+          if (level > depth) {
+            truncated = true;
+            break;
+          }
+          visited.add(neighbor);
+          cells.push({ id: neighbor, depth: level, via: id });
+          next.push(neighbor);
+        }
+        if (truncated) break;
+      }
+      if (truncated) break;
+      frontier = next;
+    }
+
+    return { cells, truncated };
+  }
+
+  /**
+   * Circular references: groups of cells that read each other, directly or
+   * through other formulas (Tarjan's strongly connected components), plus
+   * cells that read themselves
+   * @returns {array} Cycles as arrays of cell IDs; a simple cycle lists each
+   *   cell before the one it reads
+   */
+  findCycles() {
+    const index = new Map(); // cell ID -> discovery order
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+    let counter = 0;
+
+    for (const root of this.precedents.keys()) {
+      if (index.has(root)) continue;
+
+      // Iterative depth-first search, so long chains cannot overflow the call stack
+      const work = [{ id: root, next: 0 }];
+      index.set(root, counter);
+      lowLink.set(root, counter++);
+      stack.push(root);
+      onStack.add(root);
+
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const neighbors = this.neighbors(frame.id, 'precedents');
+
+        if (frame.next < neighbors.length) {
+          const neighbor = neighbors[frame.next++];
+          if (!index.has(neighbor)) {
+            index.set(neighbor, counter);
+            lowLink.set(neighbor, counter++);
+            stack.push(neighbor);
+            onStack.add(neighbor);
+            work.push({ id: neighbor, next: 0 });
+          } else if (onStack.has(neighbor)) {
+            lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(neighbor)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].id;
+          lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.id)));
+        }
+
+        if (lowLink.get(frame.id) === index.get(frame.id)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== frame.id);
+
+          if (component.length > 1 || this.neighbors(frame.id, 'precedents').includes(frame.id)) {
+            cycles.push(component.reverse());
+          }
+        }
+      }
+    }
+
+    return cycles;
+  }
+
+  /**
+   * PageRank over the references: each formula passes its rank to the cells
+   * it reads, so cells many formulas build on, directly or through other
+   * formulas, rank highest. Cells nothing reads keep the baseline rank.
+   * @param {object} options - Options
+   * @param {number} options.damping - Share of rank passed along references
+   * @param {number} options.iterations - Maximum number of power iterations
+   * @param {number} options.tolerance - Stop once the total change falls below this
+   * @returns {Map} Rank keyed by cell ID, summing to 1
+   */
+  pageRank({ damping = DEFAULT_DAMPING, iterations = 100, tolerance = 1e-9 } = {}) {
+    const nodes = Array.from(new Set([...this.precedents.keys(), ...this.dependents.keys()]));
+    if (nodes.length === 0) return new Map();
+
+    let rank = new Map(nodes.map(id => [id, 1 / nodes.length]));
+    for (let i = 0; i < iterations; i++) {
+      // Cells that read nothing spread their rank over every cell
+      let dangling = 0;
+      for (const id of nodes) {
+        if (!this.precedents.get(id)?.length) dangling += rank.get(id);
+      }
+
+      const base = (1 - damping + damping * dangling) / nodes.length;
+      const next = new Map(nodes.map(id => [id, base]));
+      for (const [id, precedentIds] of this.precedents) {
+        const share = damping * rank.get(id) / precedentIds.length;
+        precedentIds.forEach(precedentId => next.set(precedentId, next.get(precedentId) + share));
+      }
+
+      let change = 0;
+      for (const id of nodes) change += Math.abs(next.get(id) - rank.get(id));
+      rank = next;
+      if (change < tolerance) break;
+    }
+
+    return rank;
+  }
+
+  /**
+   * Get graph statistics
+   * @returns {object} { formulas, edges }
+   */
+  getStats() {
+    return {
+      formulas: this.precedents.size,
+      edges: this.edgeCount
+    };
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Result diversification: collapsing cells into their range documents and
+ * maximal marginal relevance (Carbonell & Goldstein, 1998) reranking
+ */
+
+/**
+ * Default trade-off between relevance (1) and novelty (0)
+ */
+export const DEFAULT_MMR_LAMBDA = 0.7;
+
+/**
+ * Similarity floor of two documents on the same sheet
+ */
+const SAME_SHEET_SIMILARITY = 0.2;
+
+/**
+ * Rows or columns over which the similarity of aligned documents decays by 1/e
+ */
+const ALIGNMENT_DECAY = 3;
+
+/**
+ * Fold cells into a range document of the same list that contains them. The
+ * range takes the position of its best-ranked member and lists the folded
+ * cell IDs, best first, in `collapsed`.
+ * @param {array} items - Ranked items, best first
+ * @param {object} options - Options
+ * @param {function} options.getDoc - Maps an item to its document
+ * @returns {array} Ranked items without the folded cells
+ */
+export function collapseIntoRanges(items, { getDoc }) {
+  const rangeItems = new Map(); // range ID -> item
+  const parentOf = new Map(); // cell ID -> range ID
+  for (const item of items) {
+    const doc = getDoc(item);
+    if (!doc?.cells) continue;
+    rangeItems.set(doc.id, item);
+    for (const cell of doc.cells) {
+      if (!parentOf.has(cell.id)) parentOf.set(cell.id, doc.id);
+    }
+  }
+  if (parentOf.size === 0) return items;
+
+  const groups = new Map(); // range ID -> folded cell IDs
+  const order = []; // items without a range, and range IDs, in order of first appearance
+
+  for (const item of items) {
+    const doc = getDoc(item);
+    const rangeId = doc?.cells ? doc.id : parentOf.get(doc?.id);
+    if (!rangeId) {
+      order.push({ item });
+      continue;
+    }
+
+    if (!groups.has(rangeId)) {
+      groups.set(rangeId, []);
+      order.push({ rangeId });
+    }
+    if (!doc.cells) {
+      groups.get(rangeId).push(doc.id);
+    }
+  }
+
+  return order.map(({ item, rangeId }) => {
+    if (item) return item;
+    const collapsed = groups.get(rangeId);
+    const range = rangeItems.get(rangeId);
+    return collapsed.length > 0 ? { ...range, collapsed } : range;
+  });
+}
+
+/**
+ * Rerank the head of a list with maximal marginal relevance: each pick
+ * maximizes lambda * relevance - (1 - lambda) * (similarity to the closest
+ * earlier pick), where similarity is the larger of content and location
+ * similarity. Items past `depth` keep their order after the reranked head.
+ * @param {array} items - Ranked items, best first
+ * @param {object} options - Options
+ * @param {function} options.getDoc - Maps an item to its document
+ * @param {function} options.getScore - Maps an item to its relevance
+ * @param {function} options.contentSimilarity - (docA, docB) -> similarity in [0, 1]
+ * @param {number} options.lambda - Relevance weight between 0 and 1
+ * @param {number} options.depth - Number of leading items to rerank
+ * @returns {array} Reranked items
+ */
+export function mmrRerank(items, options) {
+  const { getDoc, getScore, contentSimilarity, lambda = DEFAULT_MMR_LAMBDA, depth = items.length } = options;
+
+  const head = items.slice(0, depth);
+  if (head.length < 3) return items;
+
+  // Relevance is normalized so the trade-off means the same for every ranker's scale
+  const scores = head.map(getScore);
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  const relevance = scores.map(score => (max === min ? 1 : (score - min) / (max - min)));
+
+  const docs = head.map(getDoc);
+  const redundancy = new Array(head.length).fill(0); // similarity to the closest pick so far
+  const remaining = new Set(head.keys());
+  const picked = [];
+
+  while (remaining.size > 0) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (const i of remaining) {
+      const score = lambda * relevance[i] - (1 - lambda) * redundancy[i];
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    }
+
+    remaining.delete(best);
+    picked.push(head[best]);
+
+    for (const i of remaining) {
+      const similarity = Math.max(
+        contentSimilarity(docs[i], docs[best]),
+        locationSimilarity(docs[i], docs[best])
+      );
+      if (similarity > redundancy[i]) redundancy[i] = similarity;
+    }
+  }
+
+  return [...picked, ...items.slice(depth)];
+}
+
+/**
+ * How close two documents sit in a workbook: 1 when they overlap (a range
+ * and one of its cells), decaying with distance along a shared row or
+ * column, and a small floor for anywhere else on the same sheet
+ * @param {object} a - Cell or range document
+ * @param {object} b - Cell or range document
+ * @returns {number} Similarity between 0 and 1
+ */
+export function locationSimilarity(a, b) {
+  if (a.spreadsheetId !== b.spreadsheetId || a.sheetName !== b.sheetName) return 0;
+
+  const boundsA = getBounds(a);
+  const boundsB = getBounds(b);
+  if (!boundsA || !boundsB) return SAME_SHEET_SIMILARITY;
+
+  const rowGap = gap(boundsA.startRow, boundsA.endRow, boundsB.startRow, boundsB.endRow);
+  const columnGap = gap(boundsA.startColumn, boundsA.endColumn, boundsB.startColumn, boundsB.endColumn);
+
+  if (rowGap > 0 && columnGap > 0) return SAME_SHEET_SIMILARITY;
+  return SAME_SHEET_SIMILARITY + (1 - SAME_SHEET_SIMILARITY) * Math.exp(-(rowGap + columnGap) / ALIGNMENT_DECAY);
+}
+
+/**
+ * Row and column bounds of a document
+ */
+function getBounds(doc) {
+  if (doc.cells) {
+    return { startRow: doc.startRow, endRow: doc.endRow, startColumn: doc.startColumn, endColumn: doc.endColumn };
+  }
+  if (doc.row === undefined || doc.column === undefined) return null;
+  return { startRow: doc.row, endRow: doc.row, startColumn: doc.column, endColumn: doc.column };
+}
+
+/**
+ * Distance between two closed intervals, 0 when they overlap
+ */
+function gap(startA, endA, startB, endB) {
+  return Math.max(0, startB - endA, startA - endB);
+}
@@ -0,0 +1,122 @@
+/**
+ * Helpers for building globally unique document IDs.
+ *
+ * IDs are colon-separated so their parts never run together:
+ *   cell:  <workbookId>:<sheetId>:<cellRef>        e.g. budget_1a2b3c4d5e6f:summary:B12
+ *   range: <workbookId>:<sheetId>:range_<header>   e.g. budget_1a2b3c4d5e6f:summary:range_revenue
+ *
+ * Sheet and header names that are not already slugs carry a short hash of the
+ * raw name (p_l-5f1c2a9e for "P&L"), so names differing only in punctuation
+ * never share an ID.
+ */
+
+import { contentHash } from './content-hash.js';
+
+/**
+ * Workbook namespace used for documents persisted before IDs included the workbook
+ */
+export const LEGACY_WORKBOOK_ID = 'legacy';
+
+/**
+ * Number of hex characters of the file hash kept in the workbook ID
+ */
+const HASH_PREFIX_LENGTH = 12;
+
+/**
+ * Number of hex characters of the name hash appended to lossy name segments
+ */
+const NAME_HASH_LENGTH = 8;
+
+/**
+ * Turn a name into an ID-safe slug
+ * @param {string} name - Name to convert
+ * @returns {string} Slug
+ */
+export function slugify(name) {
+  return String(name ?? '').toLowerCase().replace(/[^a-z0-9]/g, '_');
+}
+
+/**
+ * Turn a sheet or header name into an ID segment no other name maps to. A name
+ * its slug represents exactly is kept as the slug; any other gets "-" and a
+ * hash of the name appended ("-" never appears in a slug)
+ * @param {string} name - Name to convert
+ * @param {object} options - Options
+ * @param {boolean} options.ignoreCase - Treat names differing only in case as one
+ * @returns {string} ID segment
+ */
+export function nameSegment(name, { ignoreCase = false } = {}) {
+  const canonical = ignoreCase ? String(name ?? '').toLowerCase() : String(name ?? '');
+  const slug = slugify(canonical);
+  return slug === canonical ? slug : `${slug}-${contentHash(canonical).slice(0, NAME_HASH_LENGTH)}`;
+}
+
+/**
+ * Build a sheet ID. Excel sheet names are unique regardless of case, so
+ * "Summary" keeps the readable ID "summary"
+ * @param {string} sheetName - Sheet name
+ * @returns {string} Sheet ID
+ */
+export function buildSheetId(sheetName) {
+  return nameSegment(sheetName, { ignoreCase: true });
+}
+
+/**
+ * Build the workbook ID from its title and file content hash
+ * @param {string} title - Workbook title
+ * @param {string|null} fileHash - SHA-256 of the file contents
+ * @returns {string} Workbook ID
+ */
+export function buildWorkbookId(title, fileHash) {
+  const slug = slugify(title);
+  return fileHash ? `${slug}_${fileHash.slice(0, HASH_PREFIX_LENGTH)}` : slug;
+}
+
+/**
+ * Build a cell document ID
+ * @param {string} workbookId - Workbook ID
+ * @param {string} sheetName - Sheet name
+ * @param {string} cellRef - A1 reference
+ * @returns {string} Cell ID
+ */
+export function buildCellId(workbookId, sheetName, cellRef) {
+  return `${workbookId}:${buildSheetId(sheetName)}:${cellRef}`;
+}
+
+/**
+ * Build a range document ID. Headers differing only in case share an ID, so
+ * ranges are grouped by this ID rather than by the raw header
+ * @param {string} workbookId - Workbook ID
+ * @param {string} sheetName - Sheet name
+ * @param {string|null} header - Column header the range is grouped by
+ * @returns {string} Range ID
+ */
+export function buildRangeId(workbookId, sheetName, header) {
+  return `${workbookId}:${buildSheetId(sheetName)}:range_${nameSegment(header || 'unknown', { ignoreCase: true })}`;
+}
+
+/**
+ * Convert a document persisted with sheet-scoped IDs to the workbook-scoped scheme
+ * @param {object} doc - Legacy document
+ * @returns {object} Migrated document
+ */
+export function migrateLegacyDocument(doc) {
+  const { workbookId, ...rest } = doc;
+  const spreadsheetId = workbookId || LEGACY_WORKBOOK_ID;
+
+  const migrated = {
+    ...rest,
+    spreadsheetId,
+    sheetId: buildSheetId(doc.sheetName),
+    legacyId: doc.id
+  };
+
+  if (doc.cells) {
+    migrated.id = buildRangeId(spreadsheetId, doc.sheetName, doc.header);
+    migrated.cells = doc.cells.map(migrateLegacyDocument);
+  } else {
+    migrated.id = buildCellId(spreadsheetId, doc.sheetName, doc.cellRef || doc.id);
+  }
+
+  return migrated;
+}
@@ -0,0 +1,62 @@
+/**
+ * Facet counts over a set of search candidates
+ */
+
+/**
+ * Facets, keyed by the search filter each one drills down into. `values`
+ * lists a document's distinct values; a range contributes the values of all
+ * its cells once, mirroring how cell-level filters match ranges.
+ */
+const FACETS = {
+  workbook: doc => [doc.spreadsheetId],
+  sheet: doc => [doc.sheetName],
+  labels: doc => doc.labels || [],
+  cellType: doc => cellsOf(doc).map(cell => cell.type),
+  formulaType: doc => cellsOf(doc).map(cell => cell.parsedFormula?.type),
+  functions: doc => cellsOf(doc).flatMap(cell => cell.parsedFormula?.functions || [])
+};
+
+/**
+ * Names of the facets returned by computeFacets
+ */
+export const FACET_KEYS = Object.keys(FACETS);
+
+/**
+ * Count documents per facet value
+ * @param {array} documents - Candidate documents; duplicates (by id) are counted once
+ * @param {object} options - Options
+ * @param {number} options.limit - Maximum values returned per facet
+ * @returns {object} Map of facet key to [{value, count}], most frequent first
+ */
+export function computeFacets(documents, options = {}) {
+  const { limit = parseInt(process.env.FACET_LIMIT) || 20 } = options;
+
+  const counts = Object.fromEntries(FACET_KEYS.map(key => [key, new Map()]));
+  const seen = new Set();
+
+  for (const doc of documents) {
+    if (!doc || seen.has(doc.id)) continue;
+    seen.add(doc.id);
+
+    for (const [key, values] of Object.entries(FACETS)) {
+      for (const value of new Set(values(doc))) {
+        if (value === null || value === undefined || value === '') continue;
+        counts[key].set(value, (counts[key].get(value) || 0) + 1);
+      }
+    }
+  }
+
+  return Object.fromEntries(FACET_KEYS.map(key => [
+    key,
+    Array.from(counts[key], ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+      .slice(0, limit)
+  ]));
+}
+
+/**
+ * A cell as a one-element list, or a range's cells
+ */
+function cellsOf(doc) {
+  return doc.cells || [doc];
+}
@@ -0,0 +1,476 @@
+/**
+ * Tokenizer and parser turning spreadsheet formulas into syntax trees
+ *
+ * Node shapes:
+ *   { type: 'NUMBER' | 'STRING' | 'BOOLEAN' | 'ERROR' | 'NAME', value }
+ *   { type: 'CELL_REFERENCE', value: 'B2', sheet, absolute, row, column, absoluteRow, absoluteColumn }
+ *   { type: 'CELL_RANGE', value: 'B2:B10', sheet, absolute, start, end }
+ *     where start and end are { row, column, absoluteRow, absoluteColumn }
+ *   { type: 'FUNCTION', name, args }
+ *   { type: 'OPERATOR', value, args, unary? }
+ *   { type: 'ARRAY', rows }
+ */
+
+const CELL_PATTERN = /^(\$?)([A-Z]{1,3})(\$?)(\d+)$/;
+const COLUMN_PATTERN = /^(\$?)([A-Z]{1,3})$/;
+const ROW_PATTERN = /^(\$?)(\d+)$/;
+const ERROR_PATTERN = /^#(?:NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|GETTING_DATA|SPILL!|CALC!)/i;
+
+const COMPARISON_OPERATORS = ['=', '<>', '<', '>', '<=', '>='];
+
+/**
+ * Binding strength of each operator, as parseFormulaExpression applies it
+ */
+const PRECEDENCE = {
+  ...Object.fromEntries(COMPARISON_OPERATORS.map(operator => [operator, 1])),
+  '&': 2,
+  '+': 3,
+  '-': 3,
+  '*': 4,
+  '/': 4,
+  '^': 5
+};
+const UNARY_PRECEDENCE = { '-': 6, '%': 7 };
+
+/**
+ * Convert a column letter to its 1-based index
+ * @param {string} letters - Column letters (e.g. "A", "AB")
+ * @returns {number} Column index
+ */
+export function columnToIndex(letters) {
+  let index = 0;
+  for (const letter of letters.toUpperCase()) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index;
+}
+
+/**
+ * Convert a 1-based column index to its letters
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+export function indexToColumn(index) {
+  let letters = '';
+  while (index > 0) {
+    const remainder = (index - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    index = Math.floor((index - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Parse an A1-style cell reference
+ * @param {string} ref - Reference such as "B2" or "$B$2"
+ * @returns {object|null} { row, column, absolute, absoluteRow, absoluteColumn },
+ *   or null if not a cell reference
+ */
+export function parseCellRef(ref) {
+  const match = CELL_PATTERN.exec(ref.toUpperCase());
+  if (!match) return null;
+  return {
+    row: parseInt(match[4]),
+    column: columnToIndex(match[2]),
+    absolute: Boolean(match[1] || match[3]),
+    absoluteRow: Boolean(match[3]),
+    absoluteColumn: Boolean(match[1])
+  };
+}
+
+/**
+ * Parse one side of a range: a cell, a whole column or a whole row
+ * @param {string} ref - Range endpoint
+ * @returns {object|null} { row, column, absolute } with null for an unbounded axis
+ */
+function parseRangeEndpoint(ref) {
+  const upper = ref.toUpperCase();
+  const cell = parseCellRef(upper);
+  if (cell) return cell;
+
+  const column = COLUMN_PATTERN.exec(upper);
+  if (column) {
+    const absolute = Boolean(column[1]);
+    return { row: null, column: columnToIndex(column[2]), absolute, absoluteRow: false, absoluteColumn: absolute };
+  }
+
+  const row = ROW_PATTERN.exec(upper);
+  if (row) {
+    const absolute = Boolean(row[1]);
+    return { row: parseInt(row[2]), column: null, absolute, absoluteRow: absolute, absoluteColumn: false };
+  }
+
+  return null;
+}
+
+/**
+ * Split a formula expression into tokens
+ * @param {string} expression - Formula without the leading "="
+ * @returns {array} Array of {type, value}
+ */
+export function tokenizeFormula(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+    const rest = expression.slice(i);
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // String literal, "" escapes a quote
+    if (char === '"') {
+      let value = '';
+      i++;
+      while (i < expression.length) {
+        if (expression[i] === '"') {
+          if (expression[i + 1] === '"') {
+            value += '"';
+            i += 2;
+            continue;
+          }
+          break;
+        }
+        value += expression[i++];
+      }
+      if (i >= expression.length) throw new Error('Unterminated string literal');
+      i++;
+      tokens.push({ type: 'STRING', value });
+      continue;
+    }
+
+    const error = ERROR_PATTERN.exec(rest);
+    if (error) {
+      tokens.push({ type: 'ERROR', value: error[0].toUpperCase() });
+      i += error[0].length;
+      continue;
+    }
+
+    // Sheet-qualified reference: 'My Sheet'!A1 or Sheet1!A1:B2
+    let sheet = null;
+    const quotedSheet = /^'((?:[^']|'')+)'!/.exec(rest);
+    const plainSheet = /^([A-Za-z_][\w.]*)!/.exec(rest);
+    if (quotedSheet) {
+      sheet = quotedSheet[1].replace(/''/g, "'");
+      i += quotedSheet[0].length;
+    } else if (plainSheet) {
+      sheet = plainSheet[1];
+      i += plainSheet[0].length;
+    }
+
+    const reference = /^(\$?[A-Za-z]{1,3}\$?\d+|\$?[A-Za-z]{1,3}|\$?\d+)(?::(\$?[A-Za-z]{1,3}\$?\d+|\$?[A-Za-z]{1,3}|\$?\d+))?(?![\w(.])/
+      .exec(expression.slice(i));
+    if (reference && isReference(reference)) {
+      tokens.push({ type: 'REFERENCE', value: reference[0], sheet });
+      i += reference[0].length;
+      continue;
+    }
+    if (sheet) throw new Error(`Invalid reference after sheet "${sheet}"`);
+
+    const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(rest);
+    if (number) {
+      tokens.push({ type: 'NUMBER', value: parseFloat(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_][\w.]*/.exec(rest);
+    if (word) {
+      const upper = word[0].toUpperCase();
+      i += word[0].length;
+      if (/^\s*\(/.test(expression.slice(i))) {
+        tokens.push({ type: 'FUNCTION', value: upper });
+      } else if (upper === 'TRUE' || upper === 'FALSE') {
+        tokens.push({ type: 'BOOLEAN', value: upper === 'TRUE' });
+      } else {
+        tokens.push({ type: 'NAME', value: word[0] });
+      }
+      continue;
+    }
+
+    const twoChar = rest.slice(0, 2);
+    if (['<>', '<=', '>='].includes(twoChar)) {
+      tokens.push({ type: 'OPERATOR', value: twoChar });
+      i += 2;
+      continue;
+    }
+
+    if ('+-*/^&=<>%'.includes(char)) {
+      tokens.push({ type: 'OPERATOR', value: char });
+    } else if ('(),;{}'.includes(char)) {
+      tokens.push({ type: 'PUNCTUATION', value: char });
+    } else {
+      throw new Error(`Unexpected character "${char}"`);
+    }
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Whether a reference-shaped match is really a reference: bare column
+ * letters and bare row numbers only count as the two ends of a range
+ */
+function isReference(match) {
+  const [, start, end] = match;
+  if (end === undefined) return Boolean(parseCellRef(start));
+
+  const startEndpoint = parseRangeEndpoint(start);
+  const endEndpoint = parseRangeEndpoint(end);
+  return Boolean(startEndpoint && endEndpoint &&
+    (startEndpoint.row === null) === (endEndpoint.row === null) &&
+    (startEndpoint.column === null) === (endEndpoint.column === null));
+}
+
+/**
+ * Build the node for a reference token
+ * @param {object} token - REFERENCE token
+ * @returns {object} CELL_REFERENCE or CELL_RANGE node
+ */
+function referenceNode(token) {
+  const [startRef, endRef] = token.value.split(':');
+
+  if (endRef === undefined) {
+    const cell = parseCellRef(startRef);
+    return {
+      type: 'CELL_REFERENCE',
+      value: startRef.replace(/\$/g, '').toUpperCase(),
+      sheet: token.sheet,
+      absolute: cell.absolute,
+      row: cell.row,
+      column: cell.column,
+      absoluteRow: cell.absoluteRow,
+      absoluteColumn: cell.absoluteColumn
+    };
+  }
+
+  const start = parseRangeEndpoint(startRef);
+  const end = parseRangeEndpoint(endRef);
+  return {
+    type: 'CELL_RANGE',
+    value: token.value.replace(/\$/g, '').toUpperCase(),
+    sheet: token.sheet,
+    absolute: start.absolute || end.absolute,
+    start: { row: start.row, column: start.column, absoluteRow: start.absoluteRow, absoluteColumn: start.absoluteColumn },
+    end: { row: end.row, column: end.column, absoluteRow: end.absoluteRow, absoluteColumn: end.absoluteColumn }
+  };
+}
+
+/**
+ * Parse a formula expression into a syntax tree, using Excel operator
+ * precedence: comparison < & < +- < * / < ^ < unary minus < %
+ * @param {string} expression - Formula with or without the leading "="
+ * @returns {object} Root node
+ */
+export function parseFormulaExpression(expression) {
+  const tokens = tokenizeFormula(expression.replace(/^=/, ''));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) => peek()?.type === 'OPERATOR' && values.includes(peek().value);
+  const isPunctuation = value => peek()?.type === 'PUNCTUATION' && peek().value === value;
+
+  function expect(value) {
+    if (!isPunctuation(value)) {
+      throw new Error(`Expected "${value}" but found ${peek() ? `"${peek().value}"` : 'end of formula'}`);
+    }
+    position++;
+  }
+
+  function binary(parseOperand, operators) {
+    let left = parseOperand();
+    while (isOperator(...operators)) {
+      const value = tokens[position++].value;
+      left = { type: 'OPERATOR', value, args: [left, parseOperand()] };
+    }
+    return left;
+  }
+
+  const parseComparison = () => binary(parseConcat, COMPARISON_OPERATORS);
+  const parseConcat = () => binary(parseAdditive, ['&']);
+  const parseAdditive = () => binary(parseMultiplicative, ['+', '-']);
+  const parseMultiplicative = () => binary(parseExponent, ['*', '/']);
+  const parseExponent = () => binary(parseUnary, ['^']);
+
+  function parseUnary() {
+    if (isOperator('-', '+')) {
+      const value = tokens[position++].value;
+      const operand = parseUnary();
+      return value === '+' ? operand : { type: 'OPERATOR', value, args: [operand], unary: true };
+    }
+    return parsePostfix();
+  }
+
+  function parsePostfix() {
+    let node = parsePrimary();
+    while (isOperator('%')) {
+      position++;
+      node = { type: 'OPERATOR', value: '%', args: [node], unary: true };
+    }
+    return node;
+  }
+
+  function parseArguments() {
+    const args = [];
+    expect('(');
+    if (isPunctuation(')')) {
+      position++;
+      return args;
+    }
+    while (true) {
+      // Omitted arguments, e.g. IF(A1,,0)
+      args.push(isPunctuation(',') || isPunctuation(';') || isPunctuation(')')
+        ? { type: 'EMPTY' }
+        : parseComparison());
+      if (isPunctuation(',') || isPunctuation(';')) {
+        position++;
+        continue;
+      }
+      expect(')');
+      return args;
+    }
+  }
+
+  function parseArray() {
+    const rows = [[]];
+    expect('{');
+    while (!isPunctuation('}')) {
+      rows[rows.length - 1].push(parseUnary());
+      if (isPunctuation(',')) {
+        position++;
+      } else if (isPunctuation(';')) {
+        position++;
+        rows.push([]);
+      } else if (!isPunctuation('}')) {
+        throw new Error('Invalid array constant');
+      }
+    }
+    position++;
+    return { type: 'ARRAY', rows };
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of formula');
+
+    switch (token.type) {
+      case 'NUMBER':
+      case 'STRING':
+      case 'BOOLEAN':
+      case 'ERROR':
+      case 'NAME':
+        position++;
+        return { type: token.type, value: token.value };
+      case 'REFERENCE':
+        position++;
+        return referenceNode(token);
+      case 'FUNCTION':
+        position++;
+        return { type: 'FUNCTION', name: token.value, args: parseArguments() };
+      case 'PUNCTUATION':
+        if (token.value === '(') {
+          position++;
+          const inner = parseComparison();
+          expect(')');
+          return inner;
+        }
+        if (token.value === '{') return parseArray();
+        break;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const root = parseComparison();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}"`);
+  }
+  return root;
+}
+
+/**
+ * Print a syntax tree as a formula with R1C1 references relative to the cell
+ * holding it, so formulas filled across a row or down a column print alike:
+ * =B5*1.1 in C5 and =C5*1.1 in D5 both become =RC[-1]*1.1, while $B$2 stays R2C2
+ * @param {object} ast - Syntax tree
+ * @param {object} origin - { row, column } of the cell holding the formula
+ * @returns {string} Formula with its leading "="
+ */
+export function toR1C1(ast, origin) {
+  return `=${printNode(ast, origin)}`;
+}
+
+/**
+ * Print one node, adding only the parentheses precedence requires
+ */
+function printNode(node, origin) {
+  switch (node.type) {
+    case 'NUMBER':
+      return String(node.value);
+    case 'STRING':
+      return `"${node.value.replace(/"/g, '""')}"`;
+    case 'BOOLEAN':
+      return node.value ? 'TRUE' : 'FALSE';
+    case 'ERROR':
+    case 'NAME':
+      return node.value;
+    case 'CELL_REFERENCE':
+      return sheetPrefix(node.sheet) + printR1C1(node, origin, node.absolute);
+    case 'CELL_RANGE':
+      return sheetPrefix(node.sheet) +
+        `${printR1C1(node.start, origin, node.absolute)}:${printR1C1(node.end, origin, node.absolute)}`;
+    case 'FUNCTION':
+      return `${node.name}(${node.args.map(arg => printNode(arg, origin)).join(',')})`;
+    case 'ARRAY':
+      return `{${node.rows.map(row => row.map(item => printNode(item, origin)).join(',')).join(';')}}`;
+    case 'OPERATOR': {
+      if (node.unary) {
+        const operand = printOperand(node.args[0], UNARY_PRECEDENCE[node.value], origin);
+        return node.value === '%' ? `${operand}%` : `${node.value}${operand}`;
+      }
+      const level = PRECEDENCE[node.value];
+      return printOperand(node.args[0], level, origin) + node.value + printOperand(node.args[1], level, origin, true);
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Print an operator's operand, in parentheses if it binds more loosely
+ * (or, on the right of a left-associative operator, as loosely)
+ */
+function printOperand(node, parentLevel, origin, isRight = false) {
+  const text = printNode(node, origin);
+  if (node.type !== 'OPERATOR') return text;
+
+  const level = node.unary ? UNARY_PRECEDENCE[node.value] : PRECEDENCE[node.value];
+  return level < parentLevel || (isRight && level === parentLevel) ? `(${text})` : text;
+}
+
+/**
+ * R1C1 form of a cell or range endpoint: R[-1]C[2] relative, R5C3 absolute.
+ * Trees parsed before per-axis flags were recorded fall back to `absolute`.
+ */
+function printR1C1(ref, origin, absolute) {
+  const axis = (letter, index, originIndex, isAbsolute) => {
+    if (index === null) return '';
+    if (isAbsolute) return `${letter}${index}`;
+    const offset = index - originIndex;
+    return offset === 0 ? letter : `${letter}[${offset}]`;
+  };
+  return axis('R', ref.row, origin.row, ref.absoluteRow ?? absolute) +
+    axis('C', ref.column, origin.column, ref.absoluteColumn ?? absolute);
+}
+
+/**
+ * Sheet qualifier for a reference, quoted when the name needs it
+ */
+function sheetPrefix(sheet) {
+  if (!sheet) return '';
+  return /^[A-Za-z_][A-Za-z0-9_.]*$/.test(sheet) ? `${sheet}!` : `'${sheet.replace(/'/g, "''")}'!`;
+}
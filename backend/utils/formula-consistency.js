@@ -0,0 +1,113 @@
+/**
+ * Inconsistent formula detection: a formula, or a hardcoded number, that
+ * breaks the pattern of the formulas around it in a row or column
+ *
+ *   C5 =B5*1.1   D5 =C5*1.1   E5 =D5*1.2   F5 =E5*1.1
+ *      RC[-1]*1.1   RC[-1]*1.1   RC[-1]*1.2   RC[-1]*1.1   -> E5 is inconsistent
+ */
+
+import { toR1C1 } from './formula-ast.js';
+
+/**
+ * Shortest run of neighboring cells that can establish a pattern
+ */
+const MIN_RUN_LENGTH = 3;
+
+/**
+ * A formula in R1C1 form, relative to its own cell
+ * @param {object} cell - Cell with parsedFormula, row and column
+ * @returns {string|null} R1C1 formula, or null for cells without a parsed formula
+ */
+export function getR1C1Formula(cell) {
+  if (!cell.parsedFormula?.ast) return null;
+  return toR1C1(cell.parsedFormula.ast, { row: cell.row, column: cell.column });
+}
+
+/**
+ * Find cells that break the pattern of their row or column. Rows and columns
+ * are split into runs of adjacent formula and number cells (text and empty
+ * cells end a run). A run's pattern is the R1C1 formula most of its cells
+ * share, and a cell is inconsistent when it holds a different formula or a
+ * plain number while cells on both sides of it follow the pattern, so the
+ * seed value at the start of a row or the total at its end is not flagged.
+ * @param {array} cells - Cells of one sheet
+ * @returns {Map} Cell ID -> { direction: 'row' | 'column', line, pattern, formula, matching }
+ *   where formula is the cell's own R1C1 formula (null for a number) and
+ *   matching the number of cells in the run following the pattern
+ */
+export function findInconsistentFormulas(cells) {
+  const findings = new Map();
+  const candidates = cells
+    .filter(cell => cell.parsedFormula?.ast || isNumber(cell))
+    .map(cell => ({ cell, formula: getR1C1Formula(cell) }));
+
+  for (const direction of ['column', 'row']) {
+    const along = direction === 'column' ? 'row' : 'column';
+    const lines = new Map();
+    for (const candidate of candidates) {
+      const line = candidate.cell[direction];
+      if (!lines.has(line)) lines.set(line, []);
+      lines.get(line).push(candidate);
+    }
+
+    for (const [line, members] of lines) {
+      members.sort((a, b) => a.cell[along] - b.cell[along]);
+      for (const run of splitRuns(members, along)) {
+        checkRun(run, { direction, line }, findings);
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Split cells sorted along a line into runs of adjacent cells
+ */
+function splitRuns(members, along) {
+  const runs = [];
+  let run = [];
+  for (const member of members) {
+    if (run.length > 0 && member.cell[along] !== run[run.length - 1].cell[along] + 1) {
+      runs.push(run);
+      run = [];
+    }
+    run.push(member);
+  }
+  if (run.length > 0) runs.push(run);
+  return runs.filter(r => r.length >= MIN_RUN_LENGTH);
+}
+
+/**
+ * Record the cells of one run that break its pattern
+ */
+function checkRun(run, { direction, line }, findings) {
+  const counts = new Map();
+  run.forEach(({ formula }) => {
+    if (formula) counts.set(formula, (counts.get(formula) || 0) + 1);
+  });
+
+  let pattern = null;
+  let matching = 0;
+  for (const [formula, count] of counts) {
+    if (count > matching) [pattern, matching] = [formula, count];
+  }
+  if (matching < 2 || matching * 2 < run.length) return;
+
+  const first = run.findIndex(({ formula }) => formula === pattern);
+  const last = run.findLastIndex(({ formula }) => formula === pattern);
+  for (let i = first + 1; i < last; i++) {
+    const { cell, formula } = run[i];
+    if (formula === pattern || findings.has(cell.id)) continue;
+    findings.set(cell.id, { direction, line, pattern, formula, matching });
+  }
+}
+
+/**
+ * Whether a cell without a formula holds a number
+ */
+function isNumber(cell) {
+  if (cell.formula) return false;
+  return typeof cell.cachedValue === 'number' ||
+    (cell.numericValue !== undefined && cell.numericValue !== null);
+}
@@ -0,0 +1,472 @@
+import hotFormulaParser from 'hot-formula-parser';
+import { DependencyGraph } from './dependency-graph.js';
+
+/**
+ * Formula evaluation over parsed workbooks
+ *
+ * Syntax trees from formula-ast.js are walked here, so references keep their
+ * sheet and resolve through a callback into the parsed cells; operators,
+ * conditionals and lookups follow Excel's rules, and every other function
+ * call is handed to hot-formula-parser.
+ *
+ * Values are numbers, strings, booleans, null for empty cells, 2D arrays for
+ * ranges, and Error objects whose message is the error value, e.g. "#DIV/0!".
+ */
+
+const { Parser, SUPPORTED_FORMULAS } = hotFormulaParser;
+
+/**
+ * Spreadsheet error values a cell can display
+ */
+export const ERROR_VALUES = ['#NULL!', '#DIV/0!', '#VALUE!', '#REF!', '#NAME?', '#NUM!', '#N/A'];
+
+/**
+ * Functions whose result changes on every calculation
+ */
+export const VOLATILE_FUNCTIONS = ['NOW', 'TODAY', 'RAND', 'RANDBETWEEN'];
+
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+
+const COMPARISONS = {
+  '=': order => order === 0,
+  '<>': order => order !== 0,
+  '<': order => order < 0,
+  '>': order => order > 0,
+  '<=': order => order <= 0,
+  '>=': order => order >= 0
+};
+
+// Evaluates one library function call at a time, with arguments passed as variables
+const functionParser = new Parser();
+
+/**
+ * Evaluate a formula syntax tree
+ * @param {object} ast - Syntax tree from parseFormulaExpression
+ * @param {function} resolve - Called with CELL_REFERENCE, CELL_RANGE and NAME
+ *   nodes; returns the cell's value, a 2D array for ranges, or undefined if unknown
+ * @returns {object} { value, error, unsupported, volatile } where error is an
+ *   error value such as "#DIV/0!" and unsupported lists the functions and
+ *   names that could not be evaluated
+ */
+export function evaluateFormula(ast, resolve) {
+  const context = { resolve, unsupported: new Set(), volatile: false };
+
+  let result = evaluateNode(ast, context);
+  if (Array.isArray(result)) result = result[0]?.[0]; // A range shows its first cell
+  result ??= 0; // A reference to an empty cell shows 0
+
+  return {
+    value: isError(result) ? null : result,
+    error: isError(result) ? result.message : null,
+    unsupported: Array.from(context.unsupported),
+    volatile: context.volatile
+  };
+}
+
+/**
+ * Evaluate one syntax tree node
+ */
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'NUMBER':
+    case 'STRING':
+    case 'BOOLEAN':
+      return node.value;
+    case 'ERROR':
+      return formulaError(node.value);
+    case 'CELL_REFERENCE':
+    case 'CELL_RANGE':
+    case 'NAME': {
+      const value = context.resolve(node);
+      if (value !== undefined) return value;
+      if (node.type === 'NAME') context.unsupported.add(node.value);
+      return formulaError(node.type === 'NAME' ? '#NAME?' : '#REF!');
+    }
+    case 'ARRAY':
+      return node.rows.map(row => row.map(item => toScalar(evaluateNode(item, context))));
+    case 'OPERATOR':
+      return evaluateOperator(node, context);
+    case 'FUNCTION':
+      return evaluateFunction(node, context);
+    default:
+      return formulaError('#VALUE!');
+  }
+}
+
+/**
+ * Evaluate an operator; the first error among the operands wins
+ */
+function evaluateOperator(node, context) {
+  const operands = node.args.map(arg => toScalar(evaluateNode(arg, context)));
+  const error = operands.find(isError);
+  if (error) return error;
+
+  if (node.unary) {
+    const number = toNumber(operands[0]);
+    if (isError(number)) return number;
+    return node.value === '%' ? number / 100 : -number;
+  }
+
+  const [left, right] = operands;
+  if (node.value === '&') return toText(left) + toText(right);
+  if (COMPARISONS[node.value]) return COMPARISONS[node.value](compareValues(left, right));
+
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (isError(a)) return a;
+  if (isError(b)) return b;
+
+  switch (node.value) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return b === 0 ? formulaError('#DIV/0!') : a / b;
+    case '^': {
+      const power = Math.pow(a, b);
+      return Number.isFinite(power) ? power : formulaError('#NUM!');
+    }
+    default: return formulaError('#VALUE!');
+  }
+}
+
+/**
+ * Functions that decide for themselves which arguments to evaluate and
+ * which errors to pass on
+ */
+const CONDITIONAL_FUNCTIONS = {
+  IF: ([condition, whenTrue, whenFalse], context) => {
+    const test = toBoolean(toScalar(evaluateNode(condition, context)));
+    if (isError(test)) return test;
+    const branch = test ? whenTrue : whenFalse;
+    return branch ? evaluateNode(branch, context) : test;
+  },
+  IFERROR: ([value, fallback], context) => {
+    const result = evaluateNode(value, context);
+    return isError(toScalar(result)) ? evaluateNode(fallback, context) : result;
+  },
+  IFNA: ([value, fallback], context) => {
+    const result = evaluateNode(value, context);
+    return toScalar(result)?.message === '#N/A' ? evaluateNode(fallback, context) : result;
+  },
+  ISERROR: ([value], context) => isError(toScalar(evaluateNode(value, context))),
+  ISERR: ([value], context) => {
+    const result = toScalar(evaluateNode(value, context));
+    return isError(result) && result.message !== '#N/A';
+  },
+  ISNA: ([value], context) => toScalar(evaluateNode(value, context))?.message === '#N/A'
+};
+
+/**
+ * Lookups, which hot-formula-parser lacks or expects flat lists for
+ */
+const LOOKUP_FUNCTIONS = {
+  MATCH: (value, range, type = 1) => {
+    const position = matchPosition(value, toGrid(range).flat(), toNumber(type));
+    return position < 0 ? formulaError('#N/A') : position + 1;
+  },
+  VLOOKUP: (value, table, column, approximate = true) => lookup(value, toGrid(table), column, approximate),
+  HLOOKUP: (value, table, row, approximate = true) => lookup(value, transpose(toGrid(table)), row, approximate),
+  INDEX: (array, row, column) => {
+    const grid = toGrid(array);
+    let r = toNumber(row);
+    let c = column === undefined ? 1 : toNumber(column);
+    if (isError(r)) return r;
+    if (isError(c)) return c;
+    if (grid.length === 1 && column === undefined) [r, c] = [1, r]; // INDEX(row, n)
+
+    if (r < 0 || c < 0 || r > grid.length || c > (grid[0]?.length ?? 0)) return formulaError('#REF!');
+    if (r === 0) return grid.map(values => [values[c - 1]]);
+    if (c === 0) return [grid[r - 1]];
+    return grid[r - 1][c - 1];
+  }
+};
+
+/**
+ * Evaluate a function call, passing on the first error among its arguments
+ */
+function evaluateFunction(node, context) {
+  const name = node.name.toUpperCase().replace(/^_XLFN\./, '');
+  if (VOLATILE_FUNCTIONS.includes(name)) context.volatile = true;
+  if (CONDITIONAL_FUNCTIONS[name]) return CONDITIONAL_FUNCTIONS[name](node.args, context);
+
+  const args = node.args.map(arg => evaluateNode(arg, context));
+  const error = args.flat(2).find(isError);
+  if (error) return error;
+
+  if (LOOKUP_FUNCTIONS[name]) return LOOKUP_FUNCTIONS[name](...args);
+  if (!SUPPORTED_FORMULAS.includes(name)) {
+    context.unsupported.add(name);
+    return formulaError('#NAME?');
+  }
+
+  args.forEach((arg, i) => functionParser.setVariable(`ARG_${i}`, arg));
+  const { result, error: libraryError } = functionParser.parse(`${name}(${args.map((_, i) => `ARG_${i}`).join(',')})`);
+  if (libraryError) return formulaError(libraryError);
+  return result instanceof Date ? toSerialNumber(result) : result ?? null;
+}
+
+/**
+ * Row of a table whose first column matches, then the value in the given column
+ */
+function lookup(value, grid, index, approximate) {
+  const column = toNumber(index);
+  if (isError(column)) return column;
+  if (column < 1) return formulaError('#VALUE!');
+  if (column > (grid[0]?.length ?? 0)) return formulaError('#REF!');
+
+  const exact = toBoolean(approximate) === false;
+  const row = matchPosition(value, grid.map(values => values[0]), exact ? 0 : 1);
+  return row < 0 ? formulaError('#N/A') : grid[row][column - 1];
+}
+
+/**
+ * Position of a value in a list, as MATCH finds it
+ * @param {*} value - Value to find
+ * @param {array} list - Values to search
+ * @param {number} type - 0 for an exact match, 1 for the largest value not
+ *   above it in an ascending list, -1 for the smallest not below it in a descending one
+ * @returns {number} 0-based position, or -1 if not found
+ */
+function matchPosition(value, list, type) {
+  if (type === 0) {
+    return list.findIndex(item => item !== null && compareValues(item, value) === 0);
+  }
+
+  let found = -1;
+  for (let i = 0; i < list.length; i++) {
+    if (list[i] === null || typeof list[i] !== typeof value) continue;
+    const order = compareValues(list[i], value) * Math.sign(type);
+    if (order > 0) break;
+    found = i;
+    if (order === 0) break;
+  }
+  return found;
+}
+
+/**
+ * Order two values the way Excel does: numbers < text < booleans, text
+ * case-insensitively, and an empty cell as the other side's blank
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(left, right) {
+  const blankOf = value => typeof value === 'string' ? '' : typeof value === 'boolean' ? false : 0;
+  const rank = value => typeof value === 'number' ? 0 : typeof value === 'string' ? 1 : 2;
+  if (left === null) left = blankOf(right);
+  if (right === null) right = blankOf(left);
+
+  if (rank(left) !== rank(right)) return rank(left) - rank(right);
+  if (typeof left === 'string') {
+    const [a, b] = [left.toLowerCase(), right.toLowerCase()];
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return Number(left) - Number(right);
+}
+
+/**
+ * Whether a computed value agrees with the value cached in the file, allowing
+ * for floating-point noise
+ * @param {*} cached - Cached value; errors as error values such as "#N/A"
+ * @param {*} computed - Computed value; errors as error values
+ * @returns {boolean} True if they match
+ */
+export function valuesMatch(cached, computed) {
+  if (typeof cached === 'number' && typeof computed === 'number') {
+    return Math.abs(cached - computed) <= 1e-9 * Math.max(1, Math.abs(cached), Math.abs(computed));
+  }
+  return cached === computed;
+}
+
+/**
+ * The error value a cell displays, if any
+ * @param {*} value - Displayed value
+ * @returns {string|null} Error value such as "#DIV/0!"
+ */
+export function getErrorValue(value) {
+  const text = String(value ?? '').trim().toUpperCase();
+  return ERROR_VALUES.includes(text) ? text : null;
+}
+
+/**
+ * The value stored for a cell: the one cached in the file, falling back to
+ * the displayed value for documents indexed before values were cached
+ * @param {object} cell - Cell document
+ * @returns {*} Number, string, boolean, error value or null
+ */
+export function storedValue(cell) {
+  if (cell.cachedValue !== undefined && cell.cachedValue !== null) return cell.cachedValue;
+  if (cell.numericValue !== undefined && cell.numericValue !== null) return cell.numericValue;
+
+  const text = cell.formattedValue ?? null;
+  if (text === 'TRUE' || text === 'FALSE') return text === 'TRUE';
+  return text;
+}
+
+const formulaError = code => new Error(code);
+const isError = value => value instanceof Error;
+const toGrid = value => Array.isArray(value) ? value : [[value]];
+const transpose = grid => (grid[0] || []).map((_, column) => grid.map(values => values[column]));
+
+/**
+ * A single value from a range: a 1x1 range is its cell, anything larger is #VALUE!
+ */
+function toScalar(value) {
+  if (!Array.isArray(value)) return value;
+  return value.length === 1 && value[0].length === 1 ? value[0][0] : formulaError('#VALUE!');
+}
+
+function toNumber(value) {
+  if (typeof value === 'number' || isError(value)) return value;
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const number = Number(String(value).trim());
+  return String(value).trim() !== '' && Number.isFinite(number) ? number : formulaError('#VALUE!');
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean' || isError(value)) return value;
+  if (value === null) return false;
+  if (typeof value === 'number') return value !== 0;
+  const upper = String(value).toUpperCase();
+  return upper === 'TRUE' || upper === 'FALSE' ? upper === 'TRUE' : formulaError('#VALUE!');
+}
+
+function toText(value) {
+  if (value === null) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number') return String(Number(value.toPrecision(15)));
+  return String(value);
+}
+
+/**
+ * Excel serial number of a date (days since 1899-12-30)
+ */
+function toSerialNumber(date) {
+  const local = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+  return (local - EXCEL_EPOCH) / MS_PER_DAY;
+}
+
+/**
+ * Recalculates a workbook from its parsed cells. Formulas read the values
+ * cached in the file, so each one can be checked on its own, except
+ * downstream of cells changed with setValue, which are recomputed.
+ */
+export class WorkbookCalculator {
+  /**
+   * @param {Iterable} cells - Cell documents of one workbook; ranges are skipped
+   */
+  constructor(cells) {
+    this.cells = new Map(); // cell ID -> cell
+    this.sheets = new Map(); // lowercase sheet name -> { cells: Map("row:column" -> cell), rows, columns }
+    for (const cell of cells) {
+      if (cell.cells) continue;
+      this.cells.set(cell.id, cell);
+
+      const key = cell.sheetName.toLowerCase();
+      if (!this.sheets.has(key)) {
+        this.sheets.set(key, { cells: new Map(), rows: 0, columns: 0 });
+      }
+      const sheet = this.sheets.get(key);
+      sheet.cells.set(`${cell.row}:${cell.column}`, cell);
+      sheet.rows = Math.max(sheet.rows, cell.row);
+      sheet.columns = Math.max(sheet.columns, cell.column);
+    }
+
+    this.graph = DependencyGraph.fromDocuments(this.cells.values());
+    this.overrides = new Map(); // cell ID -> value set with setValue
+    this.stale = new Set(); // formulas downstream of an override
+    this.results = new Map(); // cell ID -> evaluation result
+    this.evaluating = new Set(); // guards circular references
+  }
+
+  /**
+   * Change a cell's value, marking every formula depending on it for recalculation
+   * @param {string} cellId - Cell ID
+   * @param {*} value - New value
+   * @returns {array} The dependent formulas, as { id, depth, via } in breadth-first order
+   */
+  setValue(cellId, value) {
+    this.overrides.set(cellId, value);
+    this.results.clear();
+
+    const { cells } = this.graph.traverse(cellId, { direction: 'dependents', depth: Infinity });
+    cells.forEach(({ id }) => this.stale.add(id));
+    return cells;
+  }
+
+  /**
+   * Evaluate a formula cell against the current values of the cells it reads
+   * @param {string} cellId - Cell ID
+   * @returns {object|null} { value, error, unsupported, volatile } as from
+   *   evaluateFormula, or null if the cell has no formula syntax tree
+   */
+  calculate(cellId) {
+    if (this.results.has(cellId)) return this.results.get(cellId);
+
+    const cell = this.cells.get(cellId);
+    if (!cell?.parsedFormula?.ast) return null;
+
+    this.evaluating.add(cellId);
+    const result = evaluateFormula(cell.parsedFormula.ast, node => this.resolve(node, cell.sheetName));
+    this.evaluating.delete(cellId);
+
+    this.results.set(cellId, result);
+    return result;
+  }
+
+  /**
+   * Value a formula sees when it reads a cell. Formulas caught in a circular
+   * reference, or using functions that cannot be evaluated, keep their cached value.
+   * @param {object} cell - Cell document
+   * @returns {*} Value
+   */
+  valueOf(cell) {
+    if (this.overrides.has(cell.id)) return this.overrides.get(cell.id);
+
+    const recalculate = this.stale.has(cell.id) || cell.cachedValue === undefined || cell.cachedValue === null;
+    if (recalculate && cell.parsedFormula?.ast && !this.evaluating.has(cell.id)) {
+      const result = this.calculate(cell.id);
+      if (result.unsupported.length === 0) {
+        return result.error ? formulaError(result.error) : result.value;
+      }
+    }
+
+    const value = storedValue(cell);
+    const errorValue = typeof value === 'string' ? getErrorValue(value) : null;
+    return errorValue ? formulaError(errorValue) : value;
+  }
+
+  /**
+   * Values a reference covers. Whole rows and columns, and ranges running past
+   * the sheet's last used row or column, stop there.
+   * @param {object} node - CELL_REFERENCE, CELL_RANGE or NAME node
+   * @param {string} sheetName - Sheet of the formula holding the reference
+   * @returns {*} Value, 2D array of values, or undefined for names
+   */
+  resolve(node, sheetName) {
+    if (node.type === 'NAME') return undefined;
+
+    const sheet = this.sheets.get((node.sheet || sheetName).toLowerCase());
+    if (node.type === 'CELL_REFERENCE') {
+      const cell = sheet?.cells.get(`${node.row}:${node.column}`);
+      return cell ? this.valueOf(cell) : (sheet ? null : formulaError('#REF!'));
+    }
+    if (!sheet) return formulaError('#REF!');
+
+    const startRow = Math.min(node.start.row ?? 1, node.end.row ?? 1);
+    const endRow = Math.min(node.start.row === null ? Infinity : Math.max(node.start.row, node.end.row), sheet.rows);
+    const startColumn = Math.min(node.start.column ?? 1, node.end.column ?? 1);
+    const endColumn = Math.min(node.start.column === null ? Infinity : Math.max(node.start.column, node.end.column), sheet.columns);
+
+    const grid = [];
+    for (let row = startRow; row <= endRow; row++) {
+      const values = [];
+      for (let column = startColumn; column <= endColumn; column++) {
+        const cell = sheet.cells.get(`${row}:${column}`);
+        values.push(cell ? this.valueOf(cell) : null);
+      }
+      grid.push(values);
+    }
+    return grid;
+  }
+}
@@ -0,0 +1,189 @@
+import { collectReferences, resolveReference, DependencyGraph } from './dependency-graph.js';
+import { indexToColumn } from './formula-ast.js';
+import { WorkbookCalculator, getErrorValue, valuesMatch } from './formula-evaluator.js';
+import { findInconsistentFormulas } from './formula-consistency.js';
+
+/**
+ * Model-health issues found while parsing, with their severity
+ */
+export const ISSUE_TYPES = {
+  'circular-reference': 'error',
+  'broken-reference': 'error',
+  'missing-sheet': 'error',
+  'error-value': 'error',
+  'out-of-bounds-reference': 'warning',
+  'empty-reference': 'warning',
+  'calculation-mismatch': 'warning',
+  'inconsistent-formula': 'warning'
+};
+
+/**
+ * Check every cell of a parsed workbook and store what is wrong with it as
+ * `issues` ([] when healthy). Run after linkDependencies, whose precedents
+ * the circular reference check follows.
+ * @param {object} sheets - Parsed sheets keyed by name, as in parseExcelFile's result
+ * @returns {object} { errors, warnings, byType } counts
+ */
+export function detectIssues(sheets) {
+  const sheetList = Object.values(sheets);
+  const sheetsByName = new Map(sheetList.map(sheet => [sheet.sheetName.toLowerCase(), {
+    sheet,
+    cells: new Map(sheet.cells.map(cell => [`${cell.row}:${cell.column}`, cell]))
+  }]));
+  const cellsById = new Map(sheetList.flatMap(sheet => sheet.cells.map(cell => [cell.id, cell])));
+  const calculator = new WorkbookCalculator(cellsById.values());
+
+  for (const cell of cellsById.values()) {
+    cell.issues = [];
+
+    const errorValue = getErrorValue(cell.formattedValue);
+    if (errorValue) {
+      cell.issues.push(createIssue('error-value', `Shows ${errorValue}`, { value: errorValue }));
+    }
+
+    if (cell.parsedFormula?.ast) {
+      cell.issues.push(...checkReferences(cell, sheetsByName));
+
+      const mismatch = checkCalculation(cell, calculator);
+      if (mismatch) cell.issues.push(mismatch);
+    }
+  }
+
+  for (const sheet of sheetList) {
+    for (const [id, finding] of findInconsistentFormulas(sheet.cells)) {
+      cellsById.get(id).issues.push(describeInconsistency(finding));
+    }
+  }
+
+  const graph = DependencyGraph.fromDocuments(cellsById.values());
+  for (const cycle of graph.findCycles()) {
+    const path = [...cycle, cycle[0]].map(id => describeCell(cellsById.get(id))).join(' → ');
+    cycle.forEach(id => {
+      cellsById.get(id).issues.push(createIssue('circular-reference', `Circular reference: ${path}`, { cells: cycle }));
+    });
+  }
+
+  const summary = { errors: 0, warnings: 0, byType: {} };
+  for (const cell of cellsById.values()) {
+    for (const issue of cell.issues) {
+      summary[issue.severity === 'error' ? 'errors' : 'warnings']++;
+      summary.byType[issue.type] = (summary.byType[issue.type] || 0) + 1;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Problems with the references of one formula
+ * @param {object} cell - Formula cell
+ * @param {Map} sheetsByName - Lowercase sheet name -> { sheet, cells }
+ * @returns {array} Issues
+ */
+function checkReferences(cell, sheetsByName) {
+  const issues = [];
+
+  if (containsError(cell.parsedFormula.ast, '#REF!')) {
+    issues.push(createIssue('broken-reference', 'Formula contains #REF!, a reference to deleted cells'));
+  }
+
+  collectReferences(cell.parsedFormula.ast, node => {
+    const reference = node.sheet ? `${node.sheet}!${node.value}` : node.value;
+    const target = sheetsByName.get((node.sheet || cell.sheetName).toLowerCase());
+
+    if (!target) {
+      issues.push(createIssue('missing-sheet', `References sheet "${node.sheet}", which is not in the workbook`, { reference }));
+      return;
+    }
+    if (resolveReference(node, target.cells).length > 0) return;
+
+    const { rowCount, columnCount } = target.sheet;
+    if (isOutOfBounds(node, rowCount, columnCount)) {
+      const usedRange = rowCount > 0 ? `A1:${indexToColumn(columnCount)}${rowCount}` : 'empty';
+      issues.push(createIssue('out-of-bounds-reference',
+        `References ${reference}, outside the sheet's used range (${usedRange})`, { reference }));
+    } else {
+      issues.push(createIssue('empty-reference', node.type === 'CELL_RANGE'
+        ? `References ${reference}, which has no values`
+        : `References empty cell ${reference}`, { reference }));
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Recompute a formula from the cached values of the cells it reads and
+ * compare the result with its own cached value. Formulas that use volatile or
+ * unsupported functions, or reference missing sheets, are not checked.
+ * @param {object} cell - Formula cell
+ * @param {WorkbookCalculator} calculator - Calculator over the workbook's cells
+ * @returns {object|null} Issue, or null if the values agree
+ */
+function checkCalculation(cell, calculator) {
+  if (cell.cachedValue === undefined || cell.cachedValue === null) return null;
+  if (cell.issues.some(issue => issue.type === 'missing-sheet' || issue.type === 'broken-reference')) return null;
+
+  const result = calculator.calculate(cell.id);
+  if (result.unsupported.length > 0 || result.volatile) return null;
+
+  const computedValue = result.error ?? result.value;
+  if (valuesMatch(cell.cachedValue, computedValue)) return null;
+
+  return createIssue('calculation-mismatch',
+    `Cached value ${JSON.stringify(cell.cachedValue)} differs from the computed value ${JSON.stringify(computedValue)}`,
+    { cachedValue: cell.cachedValue, computedValue });
+}
+
+/**
+ * Issue for a cell that breaks the formula pattern of its row or column
+ * @param {object} finding - Entry of findInconsistentFormulas
+ * @returns {object} Issue
+ */
+function describeInconsistency({ direction, line, pattern, formula, matching }) {
+  const where = direction === 'row' ? `row ${line}` : `column ${indexToColumn(line)}`;
+  const message = formula
+    ? `Formula ${formula} differs from ${pattern}, used by ${matching} neighboring cells in ${where}`
+    : `Hardcoded value where ${matching} neighboring cells in ${where} use ${pattern}`;
+  return createIssue('inconsistent-formula', message, { pattern, r1c1: formula });
+}
+
+/**
+ * Whether a reference lies entirely outside a sheet's used range
+ */
+function isOutOfBounds(node, rowCount, columnCount) {
+  if (node.type === 'CELL_REFERENCE') {
+    return node.row > rowCount || node.column > columnCount;
+  }
+  const firstRow = Math.min(node.start.row ?? 1, node.end.row ?? 1);
+  const firstColumn = Math.min(node.start.column ?? 1, node.end.column ?? 1);
+  return firstRow > rowCount || firstColumn > columnCount;
+}
+
+/**
+ * Whether a syntax tree contains an error literal
+ */
+function containsError(node, value) {
+  if (node.type === 'ERROR') return node.value === value;
+  return Boolean(
+    node.args?.some(arg => containsError(arg, value)) ||
+    node.rows?.some(row => row.some(item => containsError(item, value)))
+  );
+}
+
+/**
+ * Build an issue of a known type
+ * @param {string} type - Key of ISSUE_TYPES
+ * @param {string} message - Human-readable description
+ * @param {object} details - Extra fields such as reference or cells
+ * @returns {object} { type, severity, message, ...details }
+ */
+function createIssue(type, message, details = {}) {
+  return { type, severity: ISSUE_TYPES[type], message, ...details };
+}
+
+/**
+ * Sheet-qualified A1 reference of a cell, e.g. "Model!B5"
+ */
+function describeCell(cell) {
+  return `${cell.sheetName}!${cell.cellRef}`;
+}
@@ -1,6 +1,4 @@
-import { Parser } from 'hot-formula-parser';
-
-const parser = new Parser();
+import { parseFormulaExpression } from './formula-ast.js';
 
 /**
  * Parse a formula and extract its components
@@ -13,17 +11,7 @@ export function parseFormula(formula) {
   }
 
   try {
-    const parsed = parser.parse(formula);
-    
-    if (parsed.error) {
-      return {
-        error: parsed.error,
-        original: formula,
-        functions: [],
-        references: [],
-        operators: []
-      };
-    }
+    const parsed = parseFormulaExpression(formula);
 
     return {
       original: formula,
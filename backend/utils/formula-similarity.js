@@ -0,0 +1,143 @@
+/**
+ * Structural comparison of formulas, independent of where they sit
+ *
+ *   =SUM(B2:B10) in B11  and  =SUM(D5:D40) in D41  -> same shape
+ *   =B5/B3 in B6         and  =C12/C8 in C13       -> same shape
+ */
+
+/**
+ * Share of the formula similarity given to each component
+ */
+const SKELETON_WEIGHT = 0.4;
+const OPERATIONS_WEIGHT = 0.3;
+const REFERENCES_WEIGHT = 0.3;
+
+/**
+ * Describe a formula's structure relative to the cell holding it
+ * @param {object} parsedFormula - Result of parseFormula
+ * @param {object} origin - { row, column } of the cell holding the formula
+ * @returns {object|null} { skeleton, operations, references }, or null for missing or unparseable formulas
+ */
+export function formulaShape(parsedFormula, origin = {}) {
+  if (!parsedFormula?.ast) return null;
+
+  const references = new Set();
+  const skeleton = serialize(parsedFormula.ast, node => references.add(describeReference(node, origin)));
+
+  return {
+    skeleton,
+    operations: new Set([
+      ...(parsedFormula.functions || []).map(name => `fn:${name}`),
+      ...(parsedFormula.operators || []).map(operator => `op:${operator}`)
+    ]),
+    references
+  };
+}
+
+/**
+ * Similarity of two formula shapes: whether the syntax trees match once
+ * references and constants are erased, plus the overlap of the functions
+ * and operators used and of how references sit relative to the formula
+ * @param {object} a - Result of formulaShape
+ * @param {object} b - Result of formulaShape
+ * @returns {number} Similarity between 0 and 1
+ */
+export function formulaSimilarity(a, b) {
+  return (
+    SKELETON_WEIGHT * (a.skeleton === b.skeleton ? 1 : 0) +
+    OPERATIONS_WEIGHT * jaccard(a.operations, b.operations) +
+    REFERENCES_WEIGHT * jaccard(a.references, b.references)
+  );
+}
+
+/**
+ * Jaccard similarity of two sets; two empty sets are identical
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+export function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+
+  let shared = 0;
+  for (const value of a) {
+    if (b.has(value)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Serialize a syntax tree with references and constants erased
+ * @param {object} node - Syntax tree node
+ * @param {function} onReference - Called with every reference node
+ * @returns {string} Skeleton such as "SUM(range)" or "(ref/ref)"
+ */
+function serialize(node, onReference) {
+  switch (node?.type) {
+    case 'CELL_REFERENCE':
+      onReference(node);
+      return 'ref';
+    case 'CELL_RANGE':
+      onReference(node);
+      return 'range';
+    case 'FUNCTION':
+      return `${node.name}(${node.args.map(arg => serialize(arg, onReference)).join(',')})`;
+    case 'OPERATOR':
+      return node.args.length === 1
+        ? `${node.value}(${serialize(node.args[0], onReference)})`
+        : `(${serialize(node.args[0], onReference)}${node.value}${serialize(node.args[1], onReference)})`;
+    case 'NUMBER':
+      return 'n';
+    case 'STRING':
+      return 's';
+    case 'BOOLEAN':
+      return 'b';
+    case 'ARRAY':
+      return 'array';
+    case 'NAME':
+      return 'name';
+    default:
+      return '_';
+  }
+}
+
+/**
+ * Describe where a reference points relative to the formula's cell, e.g.
+ * "cell:above", "range:column:aligned" or "cell:other-sheet"
+ * @param {object} node - CELL_REFERENCE or CELL_RANGE node
+ * @param {object} origin - { row, column } of the formula's cell
+ * @returns {string} Reference shape
+ */
+function describeReference(node, origin) {
+  if (node.type === 'CELL_REFERENCE') {
+    if (node.sheet) return 'cell:other-sheet';
+    if (node.absolute) return 'cell:absolute';
+    if (origin.row === undefined || origin.column === undefined) return 'cell';
+
+    const rowOffset = node.row - origin.row;
+    const columnOffset = node.column - origin.column;
+    if (columnOffset === 0) return rowOffset < 0 ? 'cell:above' : 'cell:below';
+    if (rowOffset === 0) return columnOffset < 0 ? 'cell:left' : 'cell:right';
+    return 'cell:offset';
+  }
+
+  const { start, end } = node;
+  let orientation;
+  let aligned = false;
+  if (start.row === null) {
+    orientation = 'columns';
+  } else if (start.column === null) {
+    orientation = 'rows';
+  } else if (start.column === end.column) {
+    orientation = 'column';
+    aligned = start.column === origin.column;
+  } else if (start.row === end.row) {
+    orientation = 'row';
+    aligned = start.row === origin.row;
+  } else {
+    orientation = 'block';
+  }
+
+  if (node.sheet) return `range:${orientation}:other-sheet`;
+  return `range:${orientation}${aligned ? ':aligned' : ''}`;
+}
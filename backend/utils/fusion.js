@@ -0,0 +1,86 @@
+/**
+ * Merge several ranked result lists into one ranking
+ */
+
+/**
+ * Supported fusion methods
+ */
+export const FUSION_METHODS = ['rrf', 'weighted'];
+
+/**
+ * Default RRF smoothing constant (Cormack et al., 2009)
+ */
+export const DEFAULT_RRF_K = 60;
+
+/**
+ * Fuse ranked lists of search results into one deduplicated ranking
+ * @param {object} rankings - Map of ranker name to results (best first, each with `id` and `relevance`)
+ * @param {object} options - Options
+ * @param {string} options.method - 'rrf' (reciprocal rank fusion) or 'weighted' (min-max normalized scores)
+ * @param {number} options.rrfK - RRF smoothing constant
+ * @param {object} options.weights - Map of ranker name to weight (default 1 each)
+ * @returns {array} Results with `relevance` set to the fused score, plus `ranks` and `scores` per ranker
+ */
+export function fuseRankings(rankings, options = {}) {
+  const { method = 'rrf', rrfK = DEFAULT_RRF_K, weights = {} } = options;
+  const names = Object.keys(rankings);
+  const fused = new Map();
+
+  for (const name of names) {
+    const results = rankings[name];
+    const weight = weights[name] ?? 1;
+    const normalize = method === 'weighted' ? minMaxNormalizer(results) : null;
+
+    results.forEach((result, index) => {
+      if (!fused.has(result.id)) {
+        fused.set(result.id, {
+          result,
+          score: 0,
+          ranks: Object.fromEntries(names.map(n => [n, null])),
+          scores: Object.fromEntries(names.map(n => [n, null]))
+        });
+      }
+
+      const entry = fused.get(result.id);
+      entry.ranks[name] = index + 1;
+      entry.scores[name] = result.relevance;
+      entry.score += method === 'weighted'
+        ? weight * normalize(result.relevance)
+        : weight / (rrfK + index + 1);
+    });
+  }
+
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score || bestRank(a.ranks) - bestRank(b.ranks))
+    .map(({ result, score, ranks, scores }) => ({
+      ...result,
+      relevance: score,
+      ranks,
+      scores
+    }));
+}
+
+/**
+ * Build a function mapping a list's scores onto [0, 1]
+ * @param {array} results - Results with `relevance`
+ * @returns {function} Normalizer
+ */
+function minMaxNormalizer(results) {
+  // A loop rather than Math.min(...values), which overflows the stack on long lists
+  let min = Infinity;
+  let max = -Infinity;
+  for (const { relevance } of results) {
+    min = Math.min(min, relevance);
+    max = Math.max(max, relevance);
+  }
+  return value => (max === min ? 1 : (value - min) / (max - min));
+}
+
+/**
+ * Best (lowest) rank across rankers, used to break score ties
+ * @param {object} ranks - Map of ranker name to rank or null
+ * @returns {number} Best rank
+ */
+function bestRank(ranks) {
+  return Math.min(...Object.values(ranks).map(rank => rank ?? Infinity));
+}
@@ -168,7 +168,7 @@ export function calculateConceptMatch(cellConcepts, queryConcepts) {
  * @returns {number} Complexity score (0-1)
  */
 export function detectFormulaComplexity(parsedFormula) {
-  if (!parsedFormula || !parsedFormula.functions) return 0;
+  if (!parsedFormula || parsedFormula.error || !parsedFormula.functions) return 0;
   
   const { functions, references, complexity } = parsedFormula;
   
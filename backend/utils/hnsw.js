@@ -0,0 +1,380 @@
+/**
+ * Hierarchical Navigable Small World graph for approximate nearest-neighbor
+ * search over cosine similarity (Malkov & Yashunin, 2016).
+ *
+ * Vectors are normalized on insert so distance is 1 - dot product. Deletes
+ * leave a tombstone that still routes searches but is never returned; the
+ * graph is rebuilt from live nodes once tombstones pass `rebuildRatio`.
+ */
+
+/**
+ * Binary heap ordered by a comparator (smallest first)
+ */
+class BinaryHeap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const nearestFirst = (a, b) => a.distance - b.distance;
+const furthestFirst = (a, b) => b.distance - a.distance;
+
+/**
+ * Normalize a vector to unit length
+ * @param {array} vector - Input vector
+ * @returns {Float32Array} Unit vector (all zeros stays zeros)
+ */
+function normalize(vector) {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) {
+    norm += result[i] * result[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] /= norm;
+    }
+  }
+  return result;
+}
+
+/**
+ * Approximate nearest-neighbor index supporting incremental inserts and deletes
+ */
+export class HnswIndex {
+  constructor(options = {}) {
+    this.M = options.M || parseInt(process.env.HNSW_M) || 16; // Links per node on upper layers
+    this.maxConnections0 = this.M * 2; // Links per node on layer 0
+    this.efConstruction = options.efConstruction || parseInt(process.env.HNSW_EF_CONSTRUCTION) || 100;
+    this.efSearch = options.efSearch || parseInt(process.env.HNSW_EF_SEARCH) || 64;
+    this.rebuildRatio = options.rebuildRatio ?? 0.3;
+    this.levelMultiplier = 1 / Math.log(this.M);
+    this.random = options.random || Math.random;
+    this.reset();
+  }
+
+  /**
+   * Remove every vector
+   */
+  reset() {
+    this.nodes = []; // { id, vector, level, neighbors: [layer][nodeIndex], deleted }
+    this.idToNode = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.dimensions = null;
+    this.deletedCount = 0;
+  }
+
+  /**
+   * Number of live vectors
+   */
+  get size() {
+    return this.idToNode.size;
+  }
+
+  /**
+   * Check whether an ID is indexed
+   * @param {string} id - Document ID
+   * @returns {boolean} True if present
+   */
+  has(id) {
+    return this.idToNode.has(id);
+  }
+
+  /**
+   * Insert or replace a vector
+   * @param {string} id - Document ID
+   * @param {array} vector - Embedding vector
+   * @returns {boolean} False if the vector's dimensions don't match the index
+   */
+  add(id, vector) {
+    if (this.idToNode.has(id)) {
+      this.remove(id);
+    }
+
+    if (!vector || vector.length === 0) return false;
+    if (this.dimensions === null) {
+      this.dimensions = vector.length;
+    } else if (vector.length !== this.dimensions) {
+      return false;
+    }
+
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+    const index = this.nodes.length;
+    const node = {
+      id,
+      vector: normalize(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      deleted: false
+    };
+    this.nodes.push(node);
+    this.idToNode.set(id, index);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = index;
+      this.maxLevel = level;
+      return true;
+    }
+
+    // Descend greedily through layers above the new node's level
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.searchLayer(node.vector, [entry], 1, layer)[0].node;
+    }
+
+    // Link the node on each of its layers
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(node.vector, [entry], this.efConstruction, layer);
+      const maxConnections = layer === 0 ? this.maxConnections0 : this.M;
+
+      node.neighbors[layer] = this.selectNeighbors(candidates, this.M);
+      for (const neighbor of node.neighbors[layer]) {
+        const links = this.nodes[neighbor].neighbors[layer];
+        links.push(index);
+        if (links.length > maxConnections) {
+          this.pruneConnections(neighbor, layer, maxConnections);
+        }
+      }
+
+      entry = candidates[0].node;
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = index;
+      this.maxLevel = level;
+    }
+
+    return true;
+  }
+
+  /**
+   * Delete a vector
+   * @param {string} id - Document ID
+   * @returns {boolean} True if the ID was indexed
+   */
+  remove(id) {
+    const index = this.idToNode.get(id);
+    if (index === undefined) return false;
+
+    this.nodes[index].deleted = true;
+    this.idToNode.delete(id);
+    this.deletedCount++;
+
+    if (this.idToNode.size === 0) {
+      this.reset();
+    } else if (this.deletedCount > this.nodes.length * this.rebuildRatio) {
+      this.rebuild();
+    }
+
+    return true;
+  }
+
+  /**
+   * Rebuild the graph from live nodes, dropping tombstones
+   */
+  rebuild() {
+    const live = this.nodes.filter(node => !node.deleted);
+    this.reset();
+    for (const node of live) {
+      this.add(node.id, node.vector);
+    }
+  }
+
+  /**
+   * Find the nearest live vectors to a query
+   * @param {array} query - Query vector
+   * @param {number} k - Number of neighbors
+   * @param {object} options - Options
+   * @param {number} options.ef - Candidate list size (higher is slower but more accurate)
+   * @returns {array} Array of {id, similarity}, most similar first
+   */
+  search(query, k = 10, options = {}) {
+    if (this.entryPoint === -1 || !query || query.length !== this.dimensions) {
+      return [];
+    }
+
+    const vector = normalize(query);
+    const ef = Math.max(options.ef || this.efSearch, k);
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.searchLayer(vector, [entry], 1, layer)[0].node;
+    }
+
+    // Widen the search a little so tombstones don't crowd out live results
+    return this.searchLayer(vector, [entry], ef + Math.min(this.deletedCount, ef), 0)
+      .filter(candidate => !this.nodes[candidate.node].deleted)
+      .slice(0, k)
+      .map(candidate => ({
+        id: this.nodes[candidate.node].id,
+        similarity: 1 - candidate.distance
+      }));
+  }
+
+  /**
+   * Best-first search within one layer
+   * @param {Float32Array} query - Normalized query vector
+   * @param {array} entryPoints - Node indices to start from
+   * @param {number} ef - Number of closest nodes to keep
+   * @param {number} layer - Layer to search
+   * @returns {array} Array of {node, distance}, nearest first
+   */
+  searchLayer(query, entryPoints, ef, layer) {
+    const visited = new Set(entryPoints);
+    const candidates = new BinaryHeap(nearestFirst);
+    const results = new BinaryHeap(furthestFirst);
+
+    for (const node of entryPoints) {
+      const item = { node, distance: this.distanceTo(query, node) };
+      candidates.push(item);
+      results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) break;
+
+      for (const neighbor of this.nodes[current.node].neighbors[layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const distance = this.distanceTo(query, neighbor);
+        if (results.size < ef || distance < results.peek().distance) {
+          const item = { node: neighbor, distance };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.slice().sort(nearestFirst);
+  }
+
+  /**
+   * Pick diverse neighbors: keep a candidate only if it is closer to the
+   * base node than to any neighbor already kept, then top up with the rest
+   * @param {array} candidates - Array of {node, distance}, nearest first
+   * @param {number} count - Maximum neighbors
+   * @returns {array} Node indices
+   */
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      const diverse = selected.every(kept =>
+        this.distanceBetween(candidate.node, kept.node) > candidate.distance
+      );
+      (diverse ? selected : skipped).push(candidate);
+    }
+
+    for (const candidate of skipped) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected.map(candidate => candidate.node);
+  }
+
+  /**
+   * Shrink a node's links on a layer back to the connection limit
+   * @param {number} index - Node index
+   * @param {number} layer - Layer
+   * @param {number} maxConnections - Connection limit
+   */
+  pruneConnections(index, layer, maxConnections) {
+    const node = this.nodes[index];
+    const candidates = node.neighbors[layer]
+      .map(neighbor => ({ node: neighbor, distance: this.distanceBetween(index, neighbor) }))
+      .sort(nearestFirst);
+    // Plain nearest-first keeps pruning cheap; diversity comes from insertion
+    node.neighbors[layer] = candidates.slice(0, maxConnections).map(candidate => candidate.node);
+  }
+
+  /**
+   * Cosine distance between a query and a node
+   * @param {Float32Array} query - Normalized query vector
+   * @param {number} index - Node index
+   * @returns {number} Distance in [0, 2]
+   */
+  distanceTo(query, index) {
+    const vector = this.nodes[index].vector;
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += query[i] * vector[i];
+    }
+    return 1 - dot;
+  }
+
+  /**
+   * Cosine distance between two nodes
+   * @param {number} a - Node index
+   * @param {number} b - Node index
+   * @returns {number} Distance in [0, 2]
+   */
+  distanceBetween(a, b) {
+    return this.distanceTo(this.nodes[a].vector, b);
+  }
+
+  /**
+   * Get index statistics
+   * @returns {object} Size and graph parameters
+   */
+  getStats() {
+    return {
+      size: this.size,
+      deleted: this.deletedCount,
+      dimensions: this.dimensions,
+      maxLevel: this.maxLevel,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch
+    };
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Numeric normalization of displayed cell values and query numbers
+ *
+ *   "$1,250,000" -> 1250000      "(3,400)" -> -3400
+ *   "12.5%"      -> 0.125        "1.2M"    -> 1200000
+ */
+
+/**
+ * Multipliers for scale suffixes, as written in dashboards and queries
+ */
+const SCALES = {
+  k: 1e3,
+  thousand: 1e3,
+  m: 1e6,
+  mm: 1e6,
+  mn: 1e6,
+  million: 1e6,
+  b: 1e9,
+  bn: 1e9,
+  billion: 1e9
+};
+
+/**
+ * Sign, currency, digits with optional thousands separators, scale, percent
+ */
+const NUMBER_PATTERN = new RegExp(
+  '^(?<sign>[-+−])?' +
+  '(?<currency>(?:[$€£¥]|USD|EUR|GBP|JPY)\\s?)?' +
+  '(?<digits>\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?|\\.\\d+)' +
+  `(?:\\s?(?<scale>${Object.keys(SCALES).join('|')})\\b)?` +
+  '(?<percent>\\s?%)?$',
+  'i'
+);
+
+/**
+ * Parse a number, tolerating currency symbols, thousands separators,
+ * percentages, scale suffixes and accounting-style negatives
+ * @param {number|string} input - Raw value
+ * @returns {object|null} { value, percent } where percentages are fractions, or null if not numeric
+ */
+export function parseNumericValue(input) {
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? { value: input, percent: false } : null;
+  }
+  if (typeof input !== 'string') return null;
+
+  let text = input.trim();
+  let negative = false;
+
+  // Accounting negatives: (1,200) or ($1,200)
+  const parenthesized = /^\((.+)\)$/.exec(text);
+  if (parenthesized) {
+    text = parenthesized[1].trim();
+    negative = true;
+  }
+
+  // The sign may also follow the currency symbol: $-1,200
+  text = text.replace(/^([$€£¥])([-+−])/, '$2$1');
+
+  const match = NUMBER_PATTERN.exec(text);
+  if (!match) return null;
+
+  const { sign, digits, scale, percent } = match.groups;
+  let value = parseFloat(digits.replace(/,/g, ''));
+  if (scale) value *= SCALES[scale.toLowerCase()];
+  if (percent) value /= 100;
+  if (sign === '-' || sign === '−') negative = !negative;
+
+  return { value: negative ? -value : value, percent: Boolean(percent) };
+}
+
+/**
+ * Whether a word is a scale suffix such as "million" or "k"
+ * @param {string} word - Word to test
+ * @returns {boolean} True for a known scale
+ */
+export function isScaleWord(word) {
+  return Object.hasOwn(SCALES, String(word).toLowerCase());
+}
+
+/**
+ * Numeric value of a cell document
+ * @param {object} cell - Cell document
+ * @returns {object|null} { value, percent }, or null for non-numeric cells
+ */
+export function getCellNumber(cell) {
+  // Documents indexed before numericValue existed are normalized on the fly
+  const parsed = cell.numericValue !== undefined
+    ? (cell.numericValue === null ? null : { value: cell.numericValue })
+    : parseNumericValue(cell.rawValue ?? cell.formattedValue);
+  if (!parsed) return null;
+
+  const percent = cell.type === 'percentage' || /%\s*$/.test(String(cell.formattedValue ?? ''));
+  return { value: parsed.value, percent };
+}
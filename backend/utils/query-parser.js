@@ -0,0 +1,444 @@
+/**
+ * Inline query language: field operators, negation, quoted phrases and OR
+ *
+ *   sheet:"P&L" fn:VLOOKUP label:revenue margin
+ *   type:formula -label:budget
+ *   issue:inconsistent-formula sheet:Model
+ *   "operating margin" sheet:Summary OR sheet:Dashboard
+ *   revenue value>1M, margin below 10%, cost between 5k and 20k
+ */
+
+import { CELL_TYPES, DOCUMENT_TYPES, FORMULA_TYPES } from './search-filters.js';
+import { ISSUE_TYPES } from './formula-issues.js';
+import { columnToIndex } from './formula-ast.js';
+import { parseNumericValue, isScaleWord } from './numeric-values.js';
+
+/**
+ * Raised for malformed queries; `position` is the zero-based offset of the problem
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Query field names and the filter each one sets
+ */
+export const QUERY_FIELDS = {
+  sheet: 'sheet',
+  workbook: 'workbook',
+  book: 'workbook',
+  type: 'type',
+  ftype: 'formulaType',
+  formulatype: 'formulaType',
+  fn: 'functions',
+  function: 'functions',
+  issue: 'issues',
+  label: 'labels',
+  labels: 'labels',
+  row: 'rows',
+  rows: 'rows',
+  col: 'columns',
+  column: 'columns',
+  value: 'value',
+  val: 'value'
+};
+
+/**
+ * Comparison operators accepted after value fields (value>1M), and the
+ * value filter bound each one sets
+ */
+const COMPARISON_OPERATORS = {
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte'
+};
+
+/**
+ * Phrases that introduce a numeric comparison in plain language
+ */
+const COMPARISON_PHRASES = [
+  { words: ['above'], operator: '>' },
+  { words: ['over'], operator: '>' },
+  { words: ['exceeding'], operator: '>' },
+  { words: ['greater', 'than'], operator: '>' },
+  { words: ['more', 'than'], operator: '>' },
+  { words: ['higher', 'than'], operator: '>' },
+  { words: ['at', 'least'], operator: '>=' },
+  { words: ['below'], operator: '<' },
+  { words: ['under'], operator: '<' },
+  { words: ['less', 'than'], operator: '<' },
+  { words: ['fewer', 'than'], operator: '<' },
+  { words: ['lower', 'than'], operator: '<' },
+  { words: ['at', 'most'], operator: '<=' }
+];
+
+/**
+ * Split a query into phrase, field, word and OR tokens
+ * @param {string} input - Raw query
+ * @returns {array} Array of {kind, position, negated, field, value}
+ */
+function scan(input) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = start => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) throw new QuerySyntaxError('Unterminated quote', start);
+    return { value: input.slice(start + 1, end), next: end + 1 };
+  };
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    const rest = input.slice(i);
+
+    if (/^OR(?=\s|$)/.test(rest)) {
+      tokens.push({ kind: 'or', position });
+      i += 2;
+      continue;
+    }
+
+    // "-" negates the next term, but "-5%" and a lone "-" are plain text
+    const negated = input[i] === '-' && /^-[^\s\d-]/.test(rest);
+    if (negated) i++;
+
+    if (input[i] === '"') {
+      const { value, next } = readQuoted(i);
+      tokens.push({ kind: 'phrase', position, negated, value });
+      i = next;
+      continue;
+    }
+
+    // Only known field names start a field; "ratio: debt to equity" or "a<b" is plain text
+    const field = /^([A-Za-z]+)(>=|<=|>|<|=|:)/.exec(input.slice(i));
+    const name = field?.[1].toLowerCase();
+    if (field && name in QUERY_FIELDS) {
+      if (field[2] !== ':' && QUERY_FIELDS[name] !== 'value') {
+        // Comparisons only apply to values
+        throw new QuerySyntaxError(`Field "${field[1]}" does not support "${field[2]}"; use "${field[1]}:"`, i + field[1].length);
+      }
+
+      const valuePosition = i + field[0].length;
+      let value;
+      if (input[valuePosition] === '"') {
+        ({ value, next: i } = readQuoted(valuePosition));
+      } else {
+        value = /^\S*/.exec(input.slice(valuePosition))[0];
+        i = valuePosition + value.length;
+      }
+
+      if (value.trim() === '') {
+        throw new QuerySyntaxError(`Missing value for "${field[1]}${field[2]}"`, valuePosition);
+      }
+
+      tokens.push({ kind: 'field', position, negated, field: name, operator: field[2], value, valuePosition });
+      continue;
+    }
+
+    const word = /^\S+/.exec(input.slice(i))[0];
+    tokens.push({ kind: negated ? 'phrase' : 'word', position, negated, value: word });
+    i += word.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Convert a field token to a filter object
+ * @param {object} token - Field token
+ * @returns {object} Filters
+ */
+function fieldFilter(token) {
+  const { field, value, valuePosition } = token;
+  const key = QUERY_FIELDS[field];
+
+  const normalized = value.toLowerCase();
+  const oneOf = (filterKey, allowed, suggestions = allowed) => {
+    if (!allowed.includes(normalized)) {
+      throw new QuerySyntaxError(
+        `Invalid ${field} "${value}". Use ${suggestions.join(', ')}`,
+        valuePosition
+      );
+    }
+    return { [filterKey]: normalized };
+  };
+
+  switch (key) {
+    case 'type':
+      // type: covers both cell types and cell/range document types
+      return DOCUMENT_TYPES.includes(normalized)
+        ? { docType: normalized }
+        : oneOf('cellType', CELL_TYPES, [...CELL_TYPES, ...DOCUMENT_TYPES]);
+    case 'formulaType':
+      return oneOf('formulaType', FORMULA_TYPES);
+    case 'issues':
+      return oneOf('issues', Object.keys(ISSUE_TYPES));
+    case 'rows':
+    case 'columns':
+      return { [key]: parseBounds(field, value, valuePosition) };
+    case 'value':
+      return { value: parseValueComparison(token) };
+    default:
+      return { [key]: value };
+  }
+}
+
+/**
+ * Parse "5", "2..10", "3.." or "..8" (columns also accept letters) into bounds
+ * @param {string} field - Field name for error messages
+ * @param {string} value - Bound expression
+ * @param {number} position - Offset of the value
+ * @returns {object} { min, max }
+ */
+function parseBounds(field, value, position) {
+  const parts = value.includes('..') ? value.split('..') : [value, value];
+  const allowLetters = QUERY_FIELDS[field] === 'columns';
+
+  const invalid = () => new QuerySyntaxError(
+    `Invalid ${field} "${value}". Use a number${allowLetters ? ' or column letters' : ''}, or a range like ${allowLetters ? 'B..D' : '2..10'}`,
+    position
+  );
+
+  const resolve = part => {
+    if (part === '') return undefined;
+    if (/^\d+$/.test(part) && parseInt(part) > 0) return parseInt(part);
+    if (allowLetters && /^[A-Za-z]{1,3}$/.test(part)) return columnToIndex(part);
+    throw invalid();
+  };
+
+  if (parts.length !== 2 || (parts[0] === '' && parts[1] === '')) {
+    throw invalid();
+  }
+
+  const bounds = {};
+  const min = resolve(parts[0]);
+  const max = resolve(parts[1]);
+  if (min !== undefined) bounds.min = min;
+  if (max !== undefined) bounds.max = max;
+
+  if (min !== undefined && max !== undefined && min > max) {
+    throw new QuerySyntaxError(`Empty ${field} range "${value}"`, position);
+  }
+
+  return bounds;
+}
+
+/**
+ * Parse a value comparison such as value>1M, value<=10% or value:5k..20k
+ * @param {object} token - Field token with `operator` and `value`
+ * @returns {object} Value filter { gt, gte, lt, lte }
+ */
+function parseValueComparison({ field, operator, value, valuePosition }) {
+  const invalid = text => new QuerySyntaxError(
+    `Invalid ${field} "${text}". Use a number such as 1000000, 1.5M, $2,500 or 10%`,
+    valuePosition
+  );
+  const parseNumber = text => {
+    const parsed = parseNumericValue(text);
+    if (!parsed) throw invalid(text);
+    return parsed;
+  };
+
+  const bounds = {};
+  if (operator in COMPARISON_OPERATORS) {
+    bounds[COMPARISON_OPERATORS[operator]] = parseNumber(value);
+  } else if (value.includes('..')) {
+    const [min, max, ...rest] = value.split('..');
+    if (rest.length > 0 || (min === '' && max === '')) throw invalid(value);
+    if (min !== '') bounds.gte = parseNumber(min);
+    if (max !== '') bounds.lte = parseNumber(max);
+  } else {
+    bounds.gte = parseNumber(value);
+    bounds.lte = bounds.gte;
+  }
+
+  if (bounds.gte && bounds.lte && bounds.gte.value > bounds.lte.value) {
+    throw new QuerySyntaxError(`Empty ${field} range "${value}"`, valuePosition);
+  }
+
+  return Object.fromEntries(Object.entries(bounds).map(([name, { value: bound }]) => [name, bound]));
+}
+
+/**
+ * Read a number from word tokens, joining a trailing scale word ("1 million")
+ * @param {array} tokens - Scanned tokens
+ * @param {number} index - Index of the first number token
+ * @returns {object|null} { text, position, next, qualified }, or null if no number starts there;
+ *   qualified when the number carries a percent, currency or scale
+ */
+function readNumberWords(tokens, index) {
+  const token = tokens[index];
+  if (token?.kind !== 'word' || !parseNumericValue(token.value)) return null;
+
+  const scale = tokens[index + 1];
+  if (scale?.kind === 'word' && isScaleWord(scale.value) && /\d$/.test(token.value)) {
+    return { text: `${token.value} ${scale.value}`, position: token.position, next: index + 2, qualified: true };
+  }
+  return {
+    text: token.value,
+    position: token.position,
+    next: index + 1,
+    qualified: /[^\d.,()+\-−]/.test(token.value)
+  };
+}
+
+/**
+ * Turn plain-language comparisons ("above 1 million", "between 5% and 10%")
+ * into value field tokens. Bare numbers stay free text, since "growth over
+ * 5 years" or "costs under 2020 budget" are not value filters.
+ * @param {array} tokens - Scanned tokens
+ * @returns {array} Tokens with comparisons replaced
+ */
+function rewriteComparisons(tokens) {
+  const rewritten = [];
+  const wordAt = index => (tokens[index]?.kind === 'word' ? tokens[index].value.toLowerCase() : null);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (wordAt(i) === 'between') {
+      const low = readNumberWords(tokens, i + 1);
+      const high = low && wordAt(low.next) === 'and' && readNumberWords(tokens, low.next + 1);
+      if (high && (low.qualified || high.qualified)) {
+        rewritten.push({
+          kind: 'field',
+          position: token.position,
+          negated: false,
+          field: 'value',
+          operator: ':',
+          value: `${low.text}..${high.text}`,
+          valuePosition: low.position
+        });
+        i = high.next - 1;
+        continue;
+      }
+    }
+
+    const phrase = COMPARISON_PHRASES.find(({ words }) => words.every((word, j) => wordAt(i + j) === word));
+    const number = phrase && readNumberWords(tokens, i + phrase.words.length);
+    if (number?.qualified) {
+      rewritten.push({
+        kind: 'field',
+        position: token.position,
+        negated: false,
+        field: 'value',
+        operator: phrase.operator,
+        value: number.text,
+        valuePosition: number.position
+      });
+      i = number.next - 1;
+      continue;
+    }
+
+    rewritten.push(token);
+  }
+
+  return rewritten;
+}
+
+/**
+ * Filters a single token contributes, or null for free text
+ */
+function tokenFilter(token) {
+  if (token.kind === 'word') return null;
+  const filter = token.kind === 'field' ? fieldFilter(token) : { text: token.value };
+  return token.negated ? { not: filter } : filter;
+}
+
+/**
+ * Group tokens joined by OR
+ * @param {array} tokens - Scanned tokens
+ * @returns {array} Array of token groups
+ */
+function groupAlternatives(tokens) {
+  const groups = [];
+  let expectOperand = true;
+
+  tokens.forEach((token, index) => {
+    if (token.kind === 'or') {
+      if (expectOperand || index === tokens.length - 1) {
+        throw new QuerySyntaxError('OR must be between two terms', token.position);
+      }
+      expectOperand = true;
+      return;
+    }
+
+    if (expectOperand && groups.length > 0 && tokens[index - 1]?.kind === 'or') {
+      groups[groups.length - 1].push(token);
+    } else {
+      groups.push([token]);
+    }
+    expectOperand = false;
+  });
+
+  return groups;
+}
+
+/**
+ * Combine filter objects, keeping single-key filters flat where they do not collide
+ * @param {array} conditions - Filter objects that must all match
+ * @returns {object|undefined} Filters
+ */
+function combineConditions(conditions) {
+  if (conditions.length === 0) return undefined;
+
+  const combined = {};
+  const allOf = [];
+  for (const condition of conditions) {
+    const [key] = Object.keys(condition);
+    if (Object.keys(condition).length === 1 && key !== 'allOf' && !(key in combined)) {
+      combined[key] = condition[key];
+    } else {
+      allOf.push(condition);
+    }
+  }
+
+  if (allOf.length > 0) combined.allOf = allOf;
+  return combined;
+}
+
+/**
+ * Parse a search query into free text and filters
+ * @param {string} input - Raw query
+ * @returns {object} { text, filters } where text is what gets embedded and scored
+ * @throws {QuerySyntaxError} When the query is malformed
+ */
+export function parseSearchQuery(input) {
+  const textParts = [];
+  const conditions = [];
+
+  for (const group of groupAlternatives(rewriteComparisons(scan(input)))) {
+    const freeWords = group.filter(token => token.kind === 'word');
+
+    if (group.length === 1 || freeWords.length === group.length) {
+      // A term on its own, or free words joined by OR: both still describe what to find
+      freeWords.forEach(token => textParts.push(token.value));
+      if (freeWords.length === 0) {
+        conditions.push(tokenFilter(group[0]));
+      }
+    } else if (freeWords.length > 0) {
+      throw new QuerySyntaxError('OR cannot join free text and a filter', freeWords[0].position);
+    } else {
+      conditions.push({ anyOf: group.map(tokenFilter) });
+    }
+
+    // Phrases are searched for as well as required
+    group
+      .filter(token => token.kind === 'phrase' && !token.negated)
+      .forEach(token => textParts.push(token.value));
+  }
+
+  return {
+    text: textParts.join(' '),
+    filters: combineConditions(conditions)
+  };
+}
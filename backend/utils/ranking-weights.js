@@ -0,0 +1,97 @@
+/**
+ * Weights of the semantic ranking features
+ */
+
+/**
+ * Features combined into a semantic result's final score
+ */
+export const RANKING_FEATURES = ['semantic', 'concept', 'formula', 'sheet', 'centrality'];
+
+/**
+ * Read a non-negative weight setting; unlike `parseFloat(...) || fallback`, 0 is kept
+ * so a feature can be switched off
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Weight
+ */
+function readWeightSetting(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Weights configured through the environment, used when no profile is chosen
+ * @returns {object} { semantic, concept, formula, sheet, centrality }
+ */
+export function getDefaultWeights() {
+  return {
+    semantic: readWeightSetting('SEMANTIC_WEIGHT', 0.65),
+    concept: readWeightSetting('CONCEPT_MATCH_WEIGHT', 0.15),
+    formula: readWeightSetting('FORMULA_COMPLEXITY_WEIGHT', 0.1),
+    sheet: readWeightSetting('SHEET_IMPORTANCE_WEIGHT', 0.05),
+    centrality: readWeightSetting('CENTRALITY_WEIGHT', 0.05)
+  };
+}
+
+/**
+ * Validate ranking weights
+ * @param {object} weights - Weights keyed by feature
+ * @param {object} options - Options
+ * @param {boolean} options.complete - Require every feature and a total of 1
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRankingWeights(weights, options = {}) {
+  const { complete = false } = options;
+
+  if (typeof weights !== 'object' || weights === null || Array.isArray(weights)) {
+    return `Ranking weights must be an object with ${RANKING_FEATURES.map(f => `"${f}"`).join(', ')}`;
+  }
+
+  for (const [feature, weight] of Object.entries(weights)) {
+    if (!RANKING_FEATURES.includes(feature)) {
+      return `Unknown ranking weight "${feature}". Use ${RANKING_FEATURES.map(f => `"${f}"`).join(', ')}`;
+    }
+    if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+      return `Ranking weight "${feature}" must be a number between 0 and 1`;
+    }
+  }
+
+  if (complete) {
+    const missing = RANKING_FEATURES.find(feature => weights[feature] === undefined);
+    if (missing) {
+      return `Ranking weight "${missing}" is required`;
+    }
+
+    // Stored profiles sum to 1 so their relevance scores are comparable
+    const total = sumWeights(weights);
+    if (Math.abs(total - 1) > 0.01) {
+      return `Ranking weights must sum to 1 (got ${Number(total.toFixed(4))})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Scale weights to sum to 1. Scaling every weight by the same factor leaves
+ * the ranking unchanged and keeps relevance between 0 and 1. Features
+ * missing from profiles stored before they existed count as 0.
+ * @param {object} weights - Complete weights
+ * @returns {object} Normalized weights
+ * @throws {Error} When every weight is zero
+ */
+export function normalizeWeights(weights) {
+  const total = sumWeights(weights);
+  if (!(total > 0)) {
+    throw new Error('At least one ranking weight must be greater than 0');
+  }
+
+  return Object.fromEntries(RANKING_FEATURES.map(feature => [feature, (weights[feature] || 0) / total]));
+}
+
+/**
+ * Sum of the feature weights
+ */
+function sumWeights(weights) {
+  return RANKING_FEATURES.reduce((sum, feature) => sum + (weights[feature] || 0), 0);
+}
@@ -0,0 +1,257 @@
+/**
+ * Token-bucket rate limiting with retry and backoff for OpenAI calls
+ */
+
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a non-negative integer setting; unlike `parseInt(...) || fallback`, 0 is kept
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Setting
+ */
+function readCountSetting(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Read a header from either a Headers instance or a plain object
+ * @param {object} headers - Response headers
+ * @param {string} name - Header name (lower case)
+ * @returns {string|null} Header value
+ */
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+/**
+ * Check whether an API error is worth retrying
+ * @param {Error} error - Error thrown by the API client
+ * @returns {boolean} True for 429, 5xx and network failures
+ */
+export function isRetryableError(error) {
+  const status = error?.status;
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  if (status) return false;
+
+  return RETRYABLE_ERROR_CODES.includes(error?.code) ||
+    error?.name === 'APIConnectionError' ||
+    error?.name === 'APIConnectionTimeoutError';
+}
+
+/**
+ * Parse Retry-After / retry-after-ms into milliseconds
+ * @param {Error} error - Error thrown by the API client
+ * @returns {number|null} Delay in milliseconds, or null when absent
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.headers;
+
+  const retryAfterMs = parseFloat(readHeader(headers, 'retry-after-ms'));
+  if (!isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = readHeader(headers, 'retry-after');
+  if (retryAfter === null || retryAfter === undefined) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Rate limiter enforcing requests-per-minute and tokens-per-minute budgets.
+ * The budgets belong to the API key, so every service calling OpenAI must
+ * share one instance (see services/index.js)
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.requestsPerMinute = options.requestsPerMinute ||
+      parseInt(process.env.OPENAI_RATE_LIMIT_PER_MINUTE) || 60;
+    this.tokensPerMinute = options.tokensPerMinute ||
+      parseInt(process.env.OPENAI_TOKENS_PER_MINUTE) || 1000000;
+    this.maxRetries = options.maxRetries ?? readCountSetting('OPENAI_MAX_RETRIES', 5);
+    this.baseDelay = options.baseDelay ?? (parseInt(process.env.OPENAI_RETRY_BASE_DELAY_MS) || 500);
+    this.maxDelay = options.maxDelay ?? (parseInt(process.env.OPENAI_RETRY_MAX_DELAY_MS) || 30000);
+
+    // Buckets start full so short bursts are not delayed
+    this.requestBucket = this.requestsPerMinute;
+    this.tokenBucket = this.tokensPerMinute;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+
+    this.waiting = [];
+    this.timer = null;
+    this.inFlight = 0;
+
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      throttled: 0,
+      delayed: 0,
+      failures: 0
+    };
+  }
+
+  /**
+   * Run an API call within the rate limits, retrying transient failures
+   * @param {function} fn - Async function performing the call
+   * @param {object} options - Options
+   * @param {number} options.tokens - Estimated tokens the call consumes
+   * @returns {any} Result of fn
+   */
+  async schedule(fn, options = {}) {
+    const { tokens = 1 } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(tokens);
+
+      this.inFlight++;
+      this.stats.requests++;
+      try {
+        return await fn();
+      } catch (error) {
+        if (error?.status === 429) {
+          this.stats.throttled++;
+        }
+
+        if (!isRetryableError(error) || attempt >= this.maxRetries) {
+          this.stats.failures++;
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        this.stats.retries++;
+        console.warn(`⏳ ${this.name} request failed (${error.status || error.code || error.message}); retrying in ${Math.round(delay)}ms`);
+
+        // A server-requested pause applies to every queued request
+        if (getRetryAfterMs(error) !== null) {
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        }
+        await sleep(delay);
+      } finally {
+        this.inFlight--;
+      }
+    }
+  }
+
+  /**
+   * Compute the delay before the next retry
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+
+    // Exponential backoff with equal jitter
+    const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+
+  /**
+   * Wait until a request and its tokens fit the budgets, in FIFO order
+   * @param {number} tokens - Estimated tokens
+   */
+  acquire(tokens = 1) {
+    return new Promise(resolve => {
+      this.waiting.push({
+        tokens: Math.min(Math.max(tokens, 1), this.tokensPerMinute),
+        resolve
+      });
+      this.drain();
+    });
+  }
+
+  /**
+   * Release queued requests that fit the current budgets
+   */
+  drain() {
+    if (this.timer) return;
+
+    while (this.waiting.length > 0) {
+      this.refill();
+
+      const head = this.waiting[0];
+      const waitMs = Math.max(
+        this.pausedUntil - Date.now(),
+        this.timeUntilAvailable(head.tokens)
+      );
+
+      if (waitMs > 0) {
+        this.stats.delayed++;
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, waitMs);
+        return;
+      }
+
+      this.requestBucket -= 1;
+      this.tokenBucket -= head.tokens;
+      this.waiting.shift();
+      head.resolve();
+    }
+  }
+
+  /**
+   * Top up both buckets for the time elapsed since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsedMinutes = (now - this.lastRefill) / 60000;
+    this.lastRefill = now;
+
+    this.requestBucket = Math.min(this.requestsPerMinute, this.requestBucket + elapsedMinutes * this.requestsPerMinute);
+    this.tokenBucket = Math.min(this.tokensPerMinute, this.tokenBucket + elapsedMinutes * this.tokensPerMinute);
+  }
+
+  /**
+   * Milliseconds until one request with the given tokens fits
+   * @param {number} tokens - Estimated tokens
+   * @returns {number} Milliseconds to wait (0 if available now)
+   */
+  timeUntilAvailable(tokens) {
+    const requestDeficit = 1 - this.requestBucket;
+    const tokenDeficit = tokens - this.tokenBucket;
+
+    const requestWait = requestDeficit > 0 ? (requestDeficit / this.requestsPerMinute) * 60000 : 0;
+    const tokenWait = tokenDeficit > 0 ? (tokenDeficit / this.tokensPerMinute) * 60000 : 0;
+
+    return Math.ceil(Math.max(requestWait, tokenWait));
+  }
+
+  /**
+   * Get limiter statistics
+   * @returns {object} Queue depth, throttle counts and budgets
+   */
+  getStats() {
+    return {
+      name: this.name,
+      queueDepth: this.waiting.length,
+      inFlight: this.inFlight,
+      ...this.stats,
+      limits: {
+        requestsPerMinute: this.requestsPerMinute,
+        tokensPerMinute: this.tokensPerMinute,
+        maxRetries: this.maxRetries
+      }
+    };
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Opaque pagination cursors pointing into a stored result snapshot
+ */
+
+/**
+ * Raised for cursors that are malformed or whose snapshot has expired
+ */
+export class InvalidCursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * Encode a cursor
+ * @param {object} cursor - { snapshotId, offset, limit }
+ * @returns {string} URL-safe opaque cursor
+ */
+export function encodeCursor({ snapshotId, offset, limit }) {
+  return Buffer.from(JSON.stringify({ s: snapshotId, o: offset, l: limit })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {object} { snapshotId, offset, limit }
+ * @throws {InvalidCursorError} When the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new InvalidCursorError('Malformed cursor');
+  }
+
+  const { s: snapshotId, o: offset, l: limit } = decoded || {};
+  if (typeof snapshotId !== 'string' || !Number.isInteger(offset) || offset < 0 ||
+      !Number.isInteger(limit) || limit < 1) {
+    throw new InvalidCursorError('Malformed cursor');
+  }
+
+  return { snapshotId, offset, limit };
+}
@@ -0,0 +1,367 @@
+/**
+ * Structured filters applied to documents before they are scored
+ */
+
+import { columnToIndex } from './formula-ast.js';
+import { analyzeTerms } from './text-analysis.js';
+import { parseNumericValue, getCellNumber } from './numeric-values.js';
+import { ISSUE_TYPES } from './formula-issues.js';
+
+/**
+ * Document types a search can be restricted to
+ */
+export const DOCUMENT_TYPES = ['cell', 'range'];
+
+/**
+ * Cell types assigned by ExcelParserService.determineCellType
+ */
+export const CELL_TYPES = ['formula', 'percentage', 'number', 'date', 'text'];
+
+/**
+ * Formula types assigned by parseFormula
+ */
+export const FORMULA_TYPES = ['aggregation', 'conditional', 'lookup', 'percentage', 'calculation', 'financial', 'other'];
+
+/**
+ * Filters that take one value or a list of alternatives
+ */
+const LIST_FILTERS = {
+  workbook: null,
+  sheet: null,
+  docType: DOCUMENT_TYPES,
+  cellType: CELL_TYPES,
+  formulaType: FORMULA_TYPES,
+  functions: null,
+  issues: Object.keys(ISSUE_TYPES),
+  labels: null,
+  text: null
+};
+
+/**
+ * Filters that take { min, max } bounds
+ */
+const BOUND_FILTERS = ['rows', 'columns'];
+
+/**
+ * Comparisons the `value` filter takes, with how each tests a cell's number
+ */
+const VALUE_COMPARISONS = {
+  gt: (number, bound) => number > bound,
+  gte: (number, bound) => number >= bound,
+  lt: (number, bound) => number < bound,
+  lte: (number, bound) => number <= bound
+};
+
+/**
+ * Filters combining nested filter objects
+ */
+const COMBINATORS = ['allOf', 'anyOf', 'not'];
+
+/**
+ * Names of every supported filter
+ */
+export const SEARCH_FILTER_KEYS = [...Object.keys(LIST_FILTERS), ...BOUND_FILTERS, 'value', ...COMBINATORS];
+
+/**
+ * Validate a filters object from a search request
+ * @param {object} filters - Filters from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSearchFilters(filters) {
+  if (filters === undefined) return null;
+
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    return 'filters must be an object';
+  }
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (key in LIST_FILTERS) {
+      const values = toList(value);
+      if (values.length === 0 || !values.every(v => typeof v === 'string' && v.length > 0)) {
+        return `Filter "${key}" must be a non-empty string or array of strings`;
+      }
+
+      const allowed = LIST_FILTERS[key];
+      const invalid = allowed && values.find(v => !allowed.includes(v));
+      if (invalid) {
+        return `Invalid ${key} "${invalid}". Use ${allowed.map(v => `"${v}"`).join(', ')}`;
+      }
+    } else if (BOUND_FILTERS.includes(key)) {
+      const error = validateBounds(key, value);
+      if (error) return error;
+    } else if (key === 'value') {
+      const error = validateValueFilter(value);
+      if (error) return error;
+    } else if (key === 'not') {
+      const error = validateSearchFilters(value);
+      if (error) return error;
+    } else if (COMBINATORS.includes(key)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        return `Filter "${key}" must be a non-empty array of filter objects`;
+      }
+      for (const nested of value) {
+        const error = validateSearchFilters(nested);
+        if (error) return error;
+      }
+    } else {
+      return `Unknown filter "${key}". Use ${SEARCH_FILTER_KEYS.map(k => `"${k}"`).join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate { min, max } row or column bounds
+ * @param {string} key - 'rows' or 'columns'
+ * @param {object} bounds - Bounds from the request
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBounds(key, bounds) {
+  if (typeof bounds !== 'object' || bounds === null || Array.isArray(bounds)) {
+    return `Filter "${key}" must be an object with "min" and/or "max"`;
+  }
+
+  const resolved = {};
+  for (const [name, value] of Object.entries(bounds)) {
+    if (!['min', 'max'].includes(name)) {
+      return `Unknown bound "${name}" in filter "${key}". Use "min" or "max"`;
+    }
+
+    resolved[name] = resolveBound(key, value);
+    if (resolved[name] === null) {
+      return key === 'columns'
+        ? `Filter "${key}.${name}" must be a positive integer or column letters`
+        : `Filter "${key}.${name}" must be a positive integer`;
+    }
+  }
+
+  if (resolved.min !== undefined && resolved.max !== undefined && resolved.min > resolved.max) {
+    return `Filter "${key}" has min greater than max`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a { gt, gte, lt, lte, percent } numeric value filter
+ * @param {object} filter - Value filter from the request
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateValueFilter(filter) {
+  if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+    return 'Filter "value" must be an object with "gt", "gte", "lt" and/or "lte"';
+  }
+
+  for (const [name, bound] of Object.entries(filter)) {
+    if (name === 'percent') {
+      if (typeof bound !== 'boolean') return 'Filter "value.percent" must be a boolean';
+    } else if (!(name in VALUE_COMPARISONS)) {
+      return `Unknown comparison "${name}" in filter "value". Use "gt", "gte", "lt" or "lte"`;
+    } else if (!parseNumericValue(bound)) {
+      return `Filter "value.${name}" must be a number or numeric string such as "1.5M" or "10%"`;
+    }
+  }
+
+  const { lower, upper } = resolveValueFilter(filter);
+  if (!lower && !upper) {
+    return 'Filter "value" needs at least one of "gt", "gte", "lt" or "lte"';
+  }
+  if (lower && upper && lower.bound > upper.bound) {
+    return 'Filter "value" has a lower bound greater than its upper bound';
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a value filter's bounds to numbers. A percentage bound such as
+ * "10%" becomes 0.1, so it also matches ratios stored as plain decimals
+ * @param {object} filter - Validated value filter
+ * @returns {object} { comparisons, lower, upper }
+ */
+function resolveValueFilter(filter) {
+  const comparisons = Object.keys(VALUE_COMPARISONS)
+    .filter(name => filter[name] !== undefined)
+    .map(name => ({ name, bound: parseNumericValue(filter[name]).value }));
+
+  return {
+    comparisons,
+    lower: comparisons.find(({ name }) => name === 'gt' || name === 'gte'),
+    upper: comparisons.find(({ name }) => name === 'lt' || name === 'lte')
+  };
+}
+
+/**
+ * Resolve a bound to a 1-based index; columns also accept letters
+ * @param {string} key - 'rows' or 'columns'
+ * @param {number|string} value - Bound value
+ * @returns {number|null} Index, or null if invalid
+ */
+function resolveBound(key, value) {
+  if (Number.isInteger(value) && value > 0) return value;
+  if (key === 'columns' && typeof value === 'string' && /^[A-Za-z]{1,3}$/.test(value)) {
+    return columnToIndex(value);
+  }
+  return null;
+}
+
+/**
+ * Wrap a single value in an array
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Require every filter object that is set
+ * @param {array} filters - Filter objects, some possibly undefined
+ * @returns {object|undefined} Combined filters
+ */
+export function mergeFilters(...filters) {
+  const present = filters.filter(f => f && Object.keys(f).length > 0);
+  if (present.length <= 1) return present[0];
+  return { allOf: present };
+}
+
+/**
+ * Build a predicate from validated filters. Values within one filter are
+ * alternatives; different filters must all match. Ranges match cell-level
+ * filters (including `value`) when any of their cells does, and row/column
+ * bounds when they overlap them.
+ * @param {object} filters - Validated filters
+ * @param {object} options - Options
+ * @param {function} options.getFields - Map a document to its searchable text fields (required for `text`)
+ * @returns {function|null} Predicate on a document, or null when nothing is filtered
+ */
+export function createDocumentFilter(filters = {}, options = {}) {
+  const checks = [];
+
+  if (filters.workbook) {
+    const workbooks = new Set(toList(filters.workbook));
+    checks.push(doc => workbooks.has(doc.spreadsheetId));
+  }
+
+  if (filters.sheet) {
+    const sheets = new Set(toList(filters.sheet).map(sheet => sheet.toLowerCase()));
+    checks.push(doc => sheets.has(String(doc.sheetName).toLowerCase()));
+  }
+
+  if (filters.docType) {
+    const docTypes = new Set(toList(filters.docType));
+    checks.push(doc => docTypes.has(doc.cells ? 'range' : 'cell'));
+  }
+
+  if (filters.cellType) {
+    const cellTypes = new Set(toList(filters.cellType));
+    checks.push(doc => someCell(doc, cell => cellTypes.has(cell.type)));
+  }
+
+  if (filters.formulaType) {
+    const formulaTypes = new Set(toList(filters.formulaType));
+    checks.push(doc => someCell(doc, cell => formulaTypes.has(cell.parsedFormula?.type)));
+  }
+
+  if (filters.functions) {
+    const functions = new Set(toList(filters.functions).map(fn => fn.toUpperCase()));
+    checks.push(doc => someCell(doc, cell => (cell.parsedFormula?.functions || []).some(fn => functions.has(fn))));
+  }
+
+  if (filters.issues) {
+    const issueTypes = new Set(toList(filters.issues));
+    checks.push(doc => someCell(doc, cell => (cell.issues || []).some(issue => issueTypes.has(issue.type))));
+  }
+
+  if (filters.labels) {
+    const labels = new Set(toList(filters.labels).map(label => label.toLowerCase()));
+    checks.push(doc => (doc.labels || []).some(label => labels.has(String(label).toLowerCase())));
+  }
+
+  if (filters.rows) {
+    const { min, max } = resolveBounds('rows', filters.rows);
+    checks.push(doc => overlaps(doc.cells ? doc.startRow : doc.row, doc.cells ? doc.endRow : doc.row, min, max));
+  }
+
+  if (filters.columns) {
+    const { min, max } = resolveBounds('columns', filters.columns);
+    checks.push(doc => overlaps(
+      doc.cells ? doc.startColumn : doc.column,
+      doc.cells ? doc.endColumn : doc.column,
+      min,
+      max
+    ));
+  }
+
+  if (filters.value) {
+    const { comparisons } = resolveValueFilter(filters.value);
+    const { percent } = filters.value;
+    checks.push(doc => someCell(doc, cell => {
+      const number = getCellNumber(cell);
+      if (!number || (percent !== undefined && number.percent !== percent)) return false;
+      return comparisons.every(({ name, bound }) => VALUE_COMPARISONS[name](number.value, bound));
+    }));
+  }
+
+  if (filters.text) {
+    const phrases = toList(filters.text).map(analyzeTerms).filter(terms => terms.length > 0);
+    const getFields = options.getFields || (() => ({}));
+    if (phrases.length > 0) {
+      checks.push(doc => {
+        const fieldTerms = Object.values(getFields(doc)).map(analyzeTerms);
+        return phrases.some(phrase => fieldTerms.some(terms => containsSequence(terms, phrase)));
+      });
+    }
+  }
+
+  if (filters.allOf) {
+    const nested = filters.allOf.map(f => createDocumentFilter(f, options)).filter(Boolean);
+    checks.push(doc => nested.every(check => check(doc)));
+  }
+
+  if (filters.anyOf) {
+    const nested = filters.anyOf.map(f => createDocumentFilter(f, options) || (() => true));
+    checks.push(doc => nested.some(check => check(doc)));
+  }
+
+  if (filters.not) {
+    const nested = createDocumentFilter(filters.not, options);
+    if (nested) checks.push(doc => !nested(doc));
+  }
+
+  if (checks.length === 0) return null;
+  return doc => checks.every(check => check(doc));
+}
+
+/**
+ * Whether `sequence` occurs contiguously in `terms`
+ */
+function containsSequence(terms, sequence) {
+  for (let i = 0; i + sequence.length <= terms.length; i++) {
+    if (sequence.every((term, j) => terms[i + j] === term)) return true;
+  }
+  return false;
+}
+
+/**
+ * Resolve both bounds, leaving missing ones open
+ */
+function resolveBounds(key, bounds) {
+  return {
+    min: bounds.min === undefined ? -Infinity : resolveBound(key, bounds.min),
+    max: bounds.max === undefined ? Infinity : resolveBound(key, bounds.max)
+  };
+}
+
+/**
+ * Whether [start, end] intersects [min, max]
+ */
+function overlaps(start, end, min, max) {
+  return start <= max && end >= min;
+}
+
+/**
+ * Test a cell, or any cell of a range
+ */
+function someCell(doc, predicate) {
+  return doc.cells ? doc.cells.some(predicate) : predicate(doc);
+}
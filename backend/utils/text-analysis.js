@@ -0,0 +1,226 @@
+/**
+ * Tokenization, stop-word removal and stemming for keyword search
+ */
+
+/**
+ * English stop words ignored by keyword search
+ */
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves',
+  'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such',
+  'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they',
+  'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+/**
+ * Split text into lower-case word tokens.
+ *
+ * camelCase and snake_case identifiers are split into words, and
+ * punctuation (including formula operators and cell-reference colons)
+ * separates tokens, so "=SUM(B2:B10)" yields sum, b2, b10.
+ * @param {string} text - Text to tokenize
+ * @returns {array} Tokens in order
+ */
+export function tokenize(text) {
+  if (text === null || text === undefined) return [];
+
+  return String(text)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .match(/[a-z0-9]+(?:\.[0-9]+)?%?/g) || [];
+}
+
+/**
+ * Tokenize, drop stop words and stem
+ * @param {string} text - Text to analyze
+ * @returns {array} Array of {token, term} where term is the stemmed form
+ */
+export function analyze(text) {
+  return tokenize(text)
+    .filter(token => !STOP_WORDS.has(token))
+    .map(token => ({ token, term: stem(token) }));
+}
+
+/**
+ * Analyze text and return only the index terms
+ * @param {string} text - Text to analyze
+ * @returns {array} Stemmed terms
+ */
+export function analyzeTerms(text) {
+  return analyze(text).map(({ term }) => term);
+}
+
+// Porter stemmer (M.F. Porter, 1980)
+
+const step2Suffixes = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+const step3Suffixes = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const step4Suffixes = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+/**
+ * Whether the letter at index i is a consonant
+ */
+function isConsonant(word, i) {
+  const char = word[i];
+  if ('aeiou'.includes(char)) return false;
+  if (char === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+/**
+ * Number of vowel-consonant sequences (Porter's m)
+ */
+function measure(stemPart) {
+  let count = 0;
+  let i = 0;
+  const length = stemPart.length;
+
+  while (i < length && isConsonant(stemPart, i)) i++;
+  while (i < length) {
+    while (i < length && !isConsonant(stemPart, i)) i++;
+    if (i >= length) break;
+    while (i < length && isConsonant(stemPart, i)) i++;
+    count++;
+  }
+
+  return count;
+}
+
+function hasVowel(stemPart) {
+  for (let i = 0; i < stemPart.length; i++) {
+    if (!isConsonant(stemPart, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const length = word.length;
+  return length >= 2 && word[length - 1] === word[length - 2] && isConsonant(word, length - 1);
+}
+
+/**
+ * Ends consonant-vowel-consonant, where the last consonant is not w, x or y
+ */
+function endsCvc(word) {
+  const length = word.length;
+  return length >= 3 &&
+    isConsonant(word, length - 3) &&
+    !isConsonant(word, length - 2) &&
+    isConsonant(word, length - 1) &&
+    !'wxy'.includes(word[length - 1]);
+}
+
+/**
+ * Replace a suffix if the remaining stem has measure greater than minMeasure
+ * @returns {string|null} New word, or null if the suffix does not match
+ */
+function replaceSuffix(word, suffix, replacement, minMeasure) {
+  if (!word.endsWith(suffix)) return null;
+  const stemPart = word.slice(0, -suffix.length);
+  return measure(stemPart) > minMeasure ? stemPart + replacement : word;
+}
+
+/**
+ * Reduce a word to its Porter stem
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+  if (word.length <= 2 || /[^a-z]/.test(word)) return word;
+
+  // Step 1a: plurals
+  if (word.endsWith('sses')) word = word.slice(0, -2);
+  else if (word.endsWith('ies')) word = word.slice(0, -2);
+  else if (word.endsWith('ss')) { /* keep */ }
+  else if (word.endsWith('s')) word = word.slice(0, -1);
+
+  // Step 1b: -ed and -ing
+  let step1bExtra = false;
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+  } else if (word.endsWith('ed') && hasVowel(word.slice(0, -2))) {
+    word = word.slice(0, -2);
+    step1bExtra = true;
+  } else if (word.endsWith('ing') && hasVowel(word.slice(0, -3))) {
+    word = word.slice(0, -3);
+    step1bExtra = true;
+  }
+
+  if (step1bExtra) {
+    if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+      word += 'e';
+    } else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+      word = word.slice(0, -1);
+    } else if (measure(word) === 1 && endsCvc(word)) {
+      word += 'e';
+    }
+  }
+
+  // Step 1c: y -> i
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  // Step 2
+  for (const [suffix, replacement] of step2Suffixes) {
+    const replaced = replaceSuffix(word, suffix, replacement, 0);
+    if (replaced !== null) {
+      word = replaced;
+      break;
+    }
+  }
+
+  // Step 3
+  for (const [suffix, replacement] of step3Suffixes) {
+    const replaced = replaceSuffix(word, suffix, replacement, 0);
+    if (replaced !== null) {
+      word = replaced;
+      break;
+    }
+  }
+
+  // Step 4
+  for (const suffix of step4Suffixes) {
+    if (!word.endsWith(suffix)) continue;
+    const stemPart = word.slice(0, -suffix.length);
+    if (measure(stemPart) > 1 &&
+        (suffix !== 'ion' || stemPart.endsWith('s') || stemPart.endsWith('t'))) {
+      word = stemPart;
+    }
+    break;
+  }
+
+  // Step 5a: final e
+  if (word.endsWith('e')) {
+    const stemPart = word.slice(0, -1);
+    const m = measure(stemPart);
+    if (m > 1 || (m === 1 && !endsCvc(stemPart))) {
+      word = stemPart;
+    }
+  }
+
+  // Step 5b: -ll
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
@@ -1,10 +1,22 @@
 // Semantic Spreadsheet Search Frontend
+
+// Query operator that drills down into each facet
+const FACET_QUERY_FIELDS = {
+    workbook: 'workbook',
+    sheet: 'sheet',
+    labels: 'label',
+    cellType: 'type',
+    formulaType: 'ftype',
+    functions: 'fn'
+};
+
 class SpreadsheetSearchApp {
     constructor() {
         this.apiBase = '/api';
         this.currentResults = null;
         this.initializeEventListeners();
         this.updateSystemStatus();
+        this.loadRankingProfiles();
         
         // Update status every 30 seconds
         setInterval(() => this.updateSystemStatus(), 30000);
@@ -51,16 +63,21 @@ class SpreadsheetSearchApp {
             
             const data = await response.json();
             
-            if (response.ok) {
-                status.innerHTML = `
-                    <div class="status-message success">
-                        ✅ Loaded ${data.stats.totalCells} cells and ${data.stats.totalRanges} ranges from ${data.results.length} files
-                    </div>
-                `;
-                this.updateSystemStatus();
-            } else {
+            if (!response.ok) {
                 throw new Error(data.error || 'Failed to load files');
             }
+
+            const job = await this.watchJob(data.jobId, status);
+            if (job.status === 'failed') {
+                throw new Error(job.errors.map(e => e.message).join('; ') || 'Ingestion failed');
+            }
+
+            status.innerHTML = `
+                <div class="status-message success">
+                    ✅ Loaded ${job.result.stats.totalCells} cells and ${job.result.stats.totalRanges} ranges from ${job.result.results.length} files
+                </div>
+            `;
+            this.updateSystemStatus();
         } catch (error) {
             status.innerHTML = `
                 <div class="status-message error">
@@ -109,17 +126,22 @@ class SpreadsheetSearchApp {
             
             const data = await response.json();
             
-            if (response.ok) {
-                const successCount = data.results.filter(r => !r.error).length;
-                status.innerHTML = `
-                    <div class="status-message success">
-                        ✅ Loaded ${data.stats.totalCells} cells and ${data.stats.totalRanges} ranges from ${successCount} files
-                    </div>
-                `;
-                this.updateSystemStatus();
-            } else {
+            if (!response.ok) {
                 throw new Error(data.error || 'Failed to load files');
             }
+
+            const job = await this.watchJob(data.jobId, status);
+            if (job.status === 'failed') {
+                throw new Error(job.errors.map(e => e.message).join('; ') || 'Ingestion failed');
+            }
+
+            const successCount = job.result.results.filter(r => !r.error).length;
+            status.innerHTML = `
+                <div class="status-message success">
+                    ✅ Loaded ${job.result.stats.totalCells} cells and ${job.result.stats.totalRanges} ranges from ${successCount} files
+                </div>
+            `;
+            this.updateSystemStatus();
         } catch (error) {
             status.innerHTML = `
                 <div class="status-message error">
@@ -132,9 +154,39 @@ class SpreadsheetSearchApp {
         }
     }
 
+    watchJob(jobId, status) {
+        return new Promise((resolve, reject) => {
+            const source = new EventSource(`${this.apiBase}/jobs/${jobId}/events`);
+
+            const render = (job) => {
+                const { progress } = job;
+                const embedded = progress.cellsEmbedded + progress.rangesEmbedded;
+                const total = progress.cellsParsed + progress.rangesParsed;
+                const eta = job.etaSeconds !== null ? ` · ~${job.etaSeconds}s left` : '';
+                status.innerHTML = `
+                    <div class="status-message">
+                        ⏳ ${job.phase.replace('_', ' ')}: ${progress.filesParsed}/${progress.filesTotal} files parsed, ${embedded}/${total} documents embedded${eta}
+                    </div>
+                `;
+            };
+
+            source.addEventListener('progress', (event) => render(JSON.parse(event.data)));
+            source.addEventListener('done', (event) => {
+                source.close();
+                resolve(JSON.parse(event.data));
+            });
+            source.onerror = () => {
+                source.close();
+                reject(new Error('Lost connection to ingestion job'));
+            };
+        });
+    }
+
     async performSearch() {
         const query = document.getElementById('searchQuery').value.trim();
         const mode = document.querySelector('input[name="searchMode"]:checked').value;
+        const profile = document.getElementById('rankingProfile').value;
+        const diversify = document.getElementById('diversifyResults').checked;
         const btn = document.getElementById('searchBtn');
         const status = document.getElementById('searchStatus');
         const resultsContainer = document.getElementById('resultsContainer');
@@ -158,7 +210,7 @@ class SpreadsheetSearchApp {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ query, mode, topK: 20 })
+                body: JSON.stringify({ query, mode, profile, diversify, collapseRanges: diversify, topK: 20 })
             });
             
             const data = await response.json();
@@ -193,9 +245,9 @@ class SpreadsheetSearchApp {
 
     getResultCount(data) {
         if (data.mode === 'both') {
-            return data.results.semantic.length + data.results.keyword.length;
+            return data.totalMatches.semantic + data.totalMatches.keyword;
         }
-        return data.results.length;
+        return data.totalMatches;
     }
 
     displayResults(data) {
@@ -206,6 +258,130 @@ class SpreadsheetSearchApp {
         } else {
             this.displaySingleResults(data.results);
         }
+
+        if (data.facets) {
+            resultsContainer.insertAdjacentHTML('afterbegin', this.createFacetsHTML(data.facets));
+            resultsContainer.querySelectorAll('.facet-chip').forEach(chip => {
+                chip.addEventListener('click', () => this.applyFacet(chip.dataset.field, decodeURIComponent(chip.dataset.value)));
+            });
+        }
+
+        this.showLoadMore(data);
+        this.bindSimilarLinks();
+    }
+
+    bindSimilarLinks() {
+        document.querySelectorAll('.similar-link').forEach(link => {
+            link.addEventListener('click', () => this.findSimilar(decodeURIComponent(link.dataset.docId)));
+        });
+    }
+
+    async findSimilar(docId) {
+        const status = document.getElementById('searchStatus');
+        const resultsContainer = document.getElementById('resultsContainer');
+
+        try {
+            const response = await fetch(`${this.apiBase}/search/similar/${encodeURIComponent(docId)}?limit=10`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Similar search failed');
+            }
+
+            this.displaySingleResults(data.results);
+            const { sheet, range } = data.document.location;
+            resultsContainer.insertAdjacentHTML('afterbegin', `
+                <div class="similar-header">More like ${sheet} - ${range}${data.document.formula ? ` (${data.document.formula})` : ''}</div>
+            `);
+            this.bindSimilarLinks();
+            status.innerHTML = `
+                <div class="status-message success">
+                    ✅ Found ${data.results.length} similar results
+                </div>
+            `;
+        } catch (error) {
+            status.innerHTML = `
+                <div class="status-message error">
+                    ❌ Error: ${error.message}
+                </div>
+            `;
+        }
+    }
+
+    showLoadMore(data) {
+        if (data.mode === 'both' || !data.nextCursor) return;
+
+        const resultsContainer = document.getElementById('resultsContainer');
+        const shown = data.offset + data.results.length;
+        resultsContainer.insertAdjacentHTML('beforeend', `
+            <button class="btn btn-primary load-more" id="loadMoreBtn">
+                Load more (${shown} of ${data.totalMatches})
+            </button>
+        `);
+        document.getElementById('loadMoreBtn').addEventListener('click', () => this.loadMore(data.nextCursor));
+    }
+
+    async loadMore(cursor) {
+        const btn = document.getElementById('loadMoreBtn');
+        btn.disabled = true;
+        btn.innerHTML = '<span class="loading"></span> Loading...';
+
+        try {
+            // The cursor pages through the original ranking, even if workbooks were ingested since
+            const response = await fetch(`${this.apiBase}/search`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ cursor })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Search failed');
+            }
+
+            btn.remove();
+            const resultsContainer = document.getElementById('resultsContainer');
+            resultsContainer.insertAdjacentHTML('beforeend', data.results.map(result => this.createResultHTML(result)).join(''));
+            this.showLoadMore(data);
+        } catch (error) {
+            btn.disabled = false;
+            btn.innerHTML = `❌ ${error.message} - retry`;
+        }
+    }
+
+    createFacetsHTML(facets) {
+        const groups = [
+            ['labels', 'Labels'],
+            ['sheet', 'Sheets'],
+            ['cellType', 'Cell types'],
+            ['formulaType', 'Formula types'],
+            ['functions', 'Functions'],
+            ['workbook', 'Workbooks']
+        ];
+
+        const html = groups
+            .filter(([key]) => facets[key]?.length > (key === 'workbook' ? 1 : 0))
+            .map(([key, title]) => `
+                <div class="facet-group">
+                    <span class="facet-title">${title}</span>
+                    ${facets[key].slice(0, 8).map(({ value, count }) => `
+                        <button class="facet-chip" data-field="${FACET_QUERY_FIELDS[key]}" data-value="${encodeURIComponent(value)}">
+                            ${value} (${count})
+                        </button>
+                    `).join('')}
+                </div>
+            `).join('');
+
+        return html ? `<div class="facets">${html}</div>` : '';
+    }
+
+    applyFacet(field, value) {
+        const input = document.getElementById('searchQuery');
+        const term = /[\s"]/.test(value) ? `${field}:"${value.replace(/"/g, '')}"` : `${field}:${value}`;
+        input.value = `${input.value.trim()} ${term}`.trim();
+        this.performSearch();
     }
 
     displaySingleResults(results) {
@@ -294,8 +470,11 @@ class SpreadsheetSearchApp {
                     <div class="result-relevance">${relevance}%</div>
                 </div>
                 <div class="result-location">
-                    <strong>Location:</strong> ${location}
+                    <strong>Location:</strong> ${location}${result.collapsed ? ` (includes ${result.collapsed.length} matching cells)` : ''}
                 </div>
+                ${result.ranks ? `<div class="result-location">
+                    <strong>Rank:</strong> semantic ${result.ranks.semantic ?? '–'}, keyword ${result.ranks.keyword ?? '–'}
+                </div>` : ''}
                 <div class="result-content">
                     ${contentHTML}
                 </div>
@@ -306,10 +485,26 @@ class SpreadsheetSearchApp {
                     ${reasonsHTML}
                 </div>
                 ${labelsHTML ? `<div class="result-labels">${labelsHTML}</div>` : ''}
+                <button class="similar-link" data-doc-id="${encodeURIComponent(result.id)}">More like this</button>
             </div>
         `;
     }
 
+    async loadRankingProfiles() {
+        try {
+            const response = await fetch(`${this.apiBase}/search/profiles`);
+            const data = await response.json();
+
+            if (response.ok) {
+                document.getElementById('rankingProfile').innerHTML = data.profiles
+                    .map(profile => `<option value="${profile.name}" title="${profile.description}">${profile.name}</option>`)
+                    .join('');
+            }
+        } catch (error) {
+            console.error('Failed to load ranking profiles:', error);
+        }
+    }
+
     async updateSystemStatus() {
         try {
             const response = await fetch(`${this.apiBase}/status`);
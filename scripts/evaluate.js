@@ -1,5 +1,5 @@
 import { initializeServices } from '../backend/services/index.js';
-import { searchService } from '../backend/services/index.js';
+import { searchService, embeddingService } from '../backend/services/index.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -275,6 +275,96 @@ async function evaluateQuery(testQuery) {
     }
 }
 
+/**
+ * Benchmark approximate (HNSW) against exact nearest-neighbor retrieval.
+ * Documents embedded with other dimensions than the current provider's
+ * (e.g. before a provider switch) are skipped and counted.
+ * @param {number} k - Neighbors compared per query
+ * @returns {object} Recall@k and latency for several efSearch settings
+ */
+async function benchmarkVectorSearch(k = 10) {
+    // Queries: the evaluation queries plus a spread of indexed documents
+    const queries = [];
+    for (const testQuery of TEST_QUERIES) {
+        queries.push(await embeddingService.generateEmbedding(testQuery.query, 'query'));
+    }
+
+    const dimensions = queries[0]?.length;
+    const embedded = Array.from(searchService.index.entries())
+        .filter(([, doc]) => doc.embedding?.length);
+    const docs = embedded.filter(([, doc]) => doc.embedding.length === dimensions);
+    const skipped = embedded.length - docs.length;
+    if (docs.length === 0) {
+        return { documents: 0, skipped, queries: 0, k, buildMs: 0, exactLatencyMs: 0, settings: [] };
+    }
+
+    const step = Math.max(1, Math.floor(docs.length / 100));
+    for (let i = 0; i < docs.length; i += step) {
+        queries.push(docs[i][1].embedding);
+    }
+
+    const buildStart = Date.now();
+    searchService.ensureVectorIndex();
+    const buildMs = Date.now() - buildStart;
+
+    // Ground truth by brute force. Many cells share a text and therefore a
+    // vector, so a neighbor counts as correct when it is at least as similar
+    // as the exact k-th neighbor rather than by ID
+    const exactStart = Date.now();
+    const thresholds = queries.map(query => {
+        const exact = embeddingService.findSimilarVectors(query, docs.map(([, doc]) => doc.embedding), k);
+        return exact[exact.length - 1].similarity - 1e-6;
+    });
+    const exactLatencyMs = (Date.now() - exactStart) / queries.length;
+
+    const settings = [16, 32, 64, 128, 256].map(efSearch => {
+        let found = 0;
+        let expected = 0;
+        const start = Date.now();
+
+        queries.forEach((query, i) => {
+            const approximate = searchService.vectorIndex.search(query, k, { ef: efSearch });
+            found += approximate.filter(({ similarity }) => similarity >= thresholds[i]).length;
+            expected += Math.min(k, docs.length);
+        });
+
+        return {
+            efSearch,
+            recall: expected > 0 ? found / expected : 1,
+            latencyMs: (Date.now() - start) / queries.length
+        };
+    });
+
+    return {
+        documents: docs.length,
+        skipped,
+        queries: queries.length,
+        k,
+        buildMs,
+        exactLatencyMs,
+        settings
+    };
+}
+
+/**
+ * Print the nearest-neighbor benchmark
+ * @param {object} benchmark - Result of benchmarkVectorSearch
+ */
+function printVectorBenchmark(benchmark) {
+    console.log('\n🧭 APPROXIMATE VECTOR SEARCH');
+    console.log('============================');
+    console.log(`Documents: ${benchmark.documents}, queries: ${benchmark.queries}, k: ${benchmark.k}`);
+    if (benchmark.skipped > 0) {
+        console.log(`⚠️  Skipped ${benchmark.skipped} documents embedded with other dimensions; reindex them to include them`);
+    }
+    console.log(`Index build: ${benchmark.buildMs}ms, exact search: ${benchmark.exactLatencyMs.toFixed(2)}ms/query`);
+    console.log('efSearch | Recall@k | Latency (ms/query)');
+    console.log('---------|----------|------------------');
+    benchmark.settings.forEach(setting => {
+        console.log(`${String(setting.efSearch).padEnd(8)} | ${setting.recall.toFixed(3)}    | ${setting.latencyMs.toFixed(2)}`);
+    });
+}
+
 /**
  * Generate evaluation report
  * @param {array} results - Evaluation results
@@ -511,6 +601,12 @@ async function main() {
         }
         
         console.log(`📚 Search index contains ${stats.totalDocuments} documents`);
+
+        // Recall benchmark only: node scripts/evaluate.js --ann
+        if (process.argv.includes('--ann')) {
+            printVectorBenchmark(await benchmarkVectorSearch());
+            return;
+        }
         
         // Run evaluation
         console.log(`\n🔍 Running evaluation on ${TEST_QUERIES.length} test queries...`);
@@ -550,7 +646,7 @@ async function main() {
             console.log(`F1-Score@3      | ${report.averageMetrics.semantic.f1_3.toFixed(3)}    | ${report.averageMetrics.keyword.f1_3.toFixed(3)}    | ${report.averageMetrics.improvement.f1_3.toFixed(3)}`);
             console.log(`F1-Score@5      | ${report.averageMetrics.semantic.f1_5.toFixed(3)}    | ${report.averageMetrics.keyword.f1_5.toFixed(3)}    | ${report.averageMetrics.improvement.f1_5.toFixed(3)}`);
         }
-        
+
         // Save results
         await saveResults(report);
         
@@ -567,4 +663,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     main();
 }
 
-export { TEST_QUERIES, evaluateQuery, generateReport };
+export { TEST_QUERIES, evaluateQuery, generateReport, benchmarkVectorSearch };
@@ -1,6 +1,6 @@
 import dotenv from 'dotenv';
 import { initializeServices } from '../backend/services/index.js';
-import { excelParserService, searchService } from '../backend/services/index.js';
+import { excelParserService, searchService, workbookRegistry } from '../backend/services/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,6 +22,10 @@ async function loadAndIndexSheets() {
         
         console.log('📊 Loading default Excel files...');
         const { results, allCells, allRanges } = await excelParserService.loadDefaultFiles();
+
+        for (const spreadsheetData of results.filter(result => !result.error)) {
+            await workbookRegistry.register(spreadsheetData);
+        }
         
         // Index all loaded data
         if (allCells.length > 0) {
@@ -5,13 +5,19 @@ import { initializeServices } from '../../backend/services/index.js';
 import searchRoutes from '../../backend/routes/search.js';
 import sheetsRoutes from '../../backend/routes/sheets.js';
 import statusRoutes from '../../backend/routes/status.js';
+import workbooksRoutes from '../../backend/routes/workbooks.js';
+import jobsRoutes from '../../backend/routes/jobs.js';
+import cellsRoutes from '../../backend/routes/cells.js';
 
 // Mock services
 vi.mock('../../backend/services/index.js', () => ({
   initializeServices: vi.fn(),
   searchService: {
-    search: vi.fn(),
-    keywordSearch: vi.fn(),
+    searchPage: vi.fn(),
+    explainScore: vi.fn(),
+    findSimilar: vi.fn(),
+    traceDependencies: vi.fn(),
+    whatIf: vi.fn(),
     getStats: vi.fn(() => ({ totalDocuments: 100 }))
   },
   excelParserService: {
@@ -26,6 +32,41 @@ vi.mock('../../backend/services/index.js', () => ({
   },
   cacheService: {
     getStats: vi.fn(() => ({ total: 20 }))
+  },
+  indexStore: {
+    getStats: vi.fn(() => ({ enabled: false }))
+  },
+  openaiRateLimiter: {
+    getStats: vi.fn(() => ({ requests: 12, queueDepth: 0 }))
+  },
+  workbookRegistry: {
+    register: vi.fn(),
+    list: vi.fn(() => []),
+    get: vi.fn(),
+    remove: vi.fn(),
+    reindex: vi.fn(),
+    getIssues: vi.fn(),
+    clear: vi.fn(),
+    getStats: vi.fn(() => ({ workbooks: 0 }))
+  },
+  rankingProfileRegistry: {
+    resolve: vi.fn(({ profile = 'default' } = {}) => ({
+      profile,
+      weights: { semantic: 0.65, concept: 0.15, formula: 0.1, sheet: 0.05, centrality: 0.05 }
+    })),
+    list: vi.fn(() => []),
+    get: vi.fn(),
+    set: vi.fn(),
+    remove: vi.fn(),
+    getStats: vi.fn(() => ({ builtIn: 4, custom: 0 }))
+  },
+  jobService: {
+    enqueue: vi.fn(),
+    get: vi.fn(),
+    list: vi.fn(() => []),
+    subscribe: vi.fn(() => () => {}),
+    isFinished: vi.fn(job => job.status === 'completed' || job.status === 'failed'),
+    getStats: vi.fn(() => ({ total: 0 }))
   }
 }));
 
@@ -39,19 +80,38 @@ describe('API Integration Tests', () => {
     app.use('/api/search', searchRoutes);
     app.use('/api/sheets', sheetsRoutes);
     app.use('/api/status', statusRoutes);
+    app.use('/api/workbooks', workbooksRoutes);
+    app.use('/api/jobs', jobsRoutes);
+    app.use('/api/cells', cellsRoutes);
   });
 
   describe('Search API', () => {
+    /**
+     * A searchPage result holding the given results
+     */
+    const pageOf = (results, page = {}) => ({
+      query: 'test',
+      mode: 'semantic',
+      results,
+      offset: 0,
+      limit: 10,
+      totalMatches: results.length,
+      nextCursor: null,
+      indexVersion: 1,
+      facets: {},
+      ...page
+    });
+
     test('POST /api/search should perform semantic search', async () => {
       const { searchService } = await import('../../backend/services/index.js');
-      searchService.search.mockResolvedValue([
+      searchService.searchPage.mockResolvedValue(pageOf([
         {
           id: 'test1',
           concept: 'revenue',
           relevance: 0.85,
           explanation: 'Revenue calculation'
         }
-      ]);
+      ], { query: 'revenue metrics', mode: 'semantic' }));
 
       const response = await request(app)
         .post('/api/search')
@@ -66,18 +126,23 @@ describe('API Integration Tests', () => {
       expect(response.body.mode).toBe('semantic');
       expect(response.body.results).toHaveLength(1);
       expect(response.body.results[0].concept).toBe('revenue');
+      expect(searchService.searchPage).toHaveBeenCalledWith('revenue metrics', expect.objectContaining({
+        mode: 'semantic',
+        limit: 5,
+        offset: 0
+      }));
     });
 
     test('POST /api/search should perform keyword search', async () => {
       const { searchService } = await import('../../backend/services/index.js');
-      searchService.keywordSearch.mockResolvedValue([
+      searchService.searchPage.mockResolvedValue(pageOf([
         {
           id: 'test1',
           concept: 'revenue',
           relevance: 0.75,
           explanation: 'Keyword match'
         }
-      ]);
+      ], { query: 'revenue', mode: 'keyword' }));
 
       const response = await request(app)
         .post('/api/search')
@@ -94,12 +159,9 @@ describe('API Integration Tests', () => {
 
     test('POST /api/search should perform both search modes', async () => {
       const { searchService } = await import('../../backend/services/index.js');
-      searchService.search.mockResolvedValue([
-        { id: 'test1', concept: 'revenue', relevance: 0.85 }
-      ]);
-      searchService.keywordSearch.mockResolvedValue([
-        { id: 'test2', concept: 'profit', relevance: 0.75 }
-      ]);
+      searchService.searchPage.mockImplementation(async (query, { mode }) => (mode === 'semantic'
+        ? pageOf([{ id: 'test1', concept: 'revenue', relevance: 0.85 }], { mode, totalMatches: 12 })
+        : pageOf([{ id: 'test2', concept: 'profit', relevance: 0.75 }], { mode, totalMatches: 3 })));
 
       const response = await request(app)
         .post('/api/search')
@@ -114,6 +176,47 @@ describe('API Integration Tests', () => {
       expect(response.body.results).toHaveProperty('semantic');
       expect(response.body.results).toHaveProperty('keyword');
       expect(response.body.results).toHaveProperty('comparison');
+      expect(response.body.totalMatches).toEqual({ semantic: 12, keyword: 3 });
+    });
+
+    test('POST /api/search should perform hybrid search', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.searchPage.mockResolvedValue(pageOf([
+        { id: 'test1', relevance: 0.032, ranks: { semantic: 1, keyword: 2 }, scores: { semantic: 0.85, keyword: 0.4 } }
+      ], { mode: 'hybrid' }));
+
+      const response = await request(app)
+        .post('/api/search')
+        .send({
+          query: 'financial metrics',
+          mode: 'hybrid',
+          topK: 5,
+          fusion: 'weighted',
+          weights: { semantic: 2, keyword: 1 }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results[0].ranks).toEqual({ semantic: 1, keyword: 2 });
+      expect(searchService.searchPage).toHaveBeenCalledWith('financial metrics', expect.objectContaining({
+        mode: 'hybrid',
+        limit: 5,
+        fusion: 'weighted',
+        weights: { semantic: 2, keyword: 1 }
+      }));
+    });
+
+    test('POST /api/search should validate fusion options', async () => {
+      const invalidFusion = await request(app)
+        .post('/api/search')
+        .send({ query: 'test', mode: 'hybrid', fusion: 'borda' });
+      const invalidWeight = await request(app)
+        .post('/api/search')
+        .send({ query: 'test', mode: 'hybrid', weights: { semantic: -1 } });
+
+      expect(invalidFusion.status).toBe(400);
+      expect(invalidFusion.body.error).toBe('Invalid fusion. Use "rrf" or "weighted"');
+      expect(invalidWeight.status).toBe(400);
+      expect(invalidWeight.body.error).toBe('Weight "semantic" must be a non-negative number');
     });
 
     test('POST /api/search should validate query parameter', async () => {
@@ -138,7 +241,360 @@ describe('API Integration Tests', () => {
         });
 
       expect(response.status).toBe(400);
-      expect(response.body.error).toBe('Invalid mode. Use "semantic", "keyword", or "both"');
+      expect(response.body.error).toBe('Invalid mode. Use "semantic", "keyword", "hybrid", or "both"');
+    });
+
+    test('POST /api/search should validate vectorSearch', async () => {
+      const response = await request(app)
+        .post('/api/search')
+        .send({ query: 'test', vectorSearch: 'fuzzy' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid vectorSearch. Use "exact", "approximate", "auto"');
+    });
+
+    test('POST /api/search should pass filters to the search service', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.searchPage.mockResolvedValue(pageOf([], { mode: 'keyword' }));
+      const filters = { sheet: 'Dashboard', cellType: ['formula', 'percentage'], columns: { min: 'B', max: 'D' } };
+
+      const response = await request(app)
+        .post('/api/search')
+        .send({ query: 'margin', mode: 'keyword', filters });
+
+      expect(response.status).toBe(200);
+      expect(searchService.searchPage).toHaveBeenCalledWith('margin', expect.objectContaining({ mode: 'keyword', filters }));
+    });
+
+    test('POST /api/search should validate filters', async () => {
+      const unknownFilter = await request(app)
+        .post('/api/search')
+        .send({ query: 'test', filters: { color: 'red' } });
+      const invalidCellType = await request(app)
+        .post('/api/search')
+        .send({ query: 'test', filters: { cellType: 'boolean' } });
+      const invalidBounds = await request(app)
+        .post('/api/search')
+        .send({ query: 'test', filters: { rows: { min: 10, max: 2 } } });
+
+      expect(unknownFilter.status).toBe(400);
+      expect(unknownFilter.body.error).toMatch(/^Unknown filter "color"/);
+      expect(invalidCellType.status).toBe(400);
+      expect(invalidCellType.body.error).toBe('Invalid cellType "boolean". Use "formula", "percentage", "number", "date", "text"');
+      expect(invalidBounds.status).toBe(400);
+      expect(invalidBounds.body.error).toBe('Filter "rows" has min greater than max');
+    });
+
+    test('POST /api/search should return facets over all candidates of both lists', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.searchPage.mockImplementation(async (query, { mode, onCandidates }) => {
+        onCandidates(mode === 'semantic'
+          ? [{ id: 'a', spreadsheetId: 'book', sheetName: 'Summary', type: 'number', labels: ['revenue'] }]
+          : [{ id: 'b', spreadsheetId: 'book', sheetName: 'Data', type: 'number', labels: ['revenue', 'cost'] }]);
+        return pageOf([{ id: 'a', relevance: 0.9 }], { mode });
+      });
+
+      const response = await request(app)
+        .post('/api/search')
+        .send({ query: 'revenue', mode: 'both', topK: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results.semantic).toHaveLength(1);
+      expect(response.body.facets.labels).toEqual([{ value: 'revenue', count: 2 }, { value: 'cost', count: 1 }]);
+      expect(response.body.facets.sheet).toHaveLength(2);
+    });
+
+    test('POST /api/search should report query syntax errors with their position', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      const { QuerySyntaxError } = await import('../../backend/utils/query-parser.js');
+      searchService.searchPage.mockRejectedValueOnce(new QuerySyntaxError('Unterminated quote', 6));
+
+      const response = await request(app)
+        .post('/api/search')
+        .send({ query: 'sheet:"P&L margin' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Unterminated quote at position 6', position: 6 });
+    });
+
+    test('POST /api/search should return paging details', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.searchPage.mockResolvedValue(pageOf([{ id: 'c' }], {
+        offset: 20,
+        limit: 1,
+        totalMatches: 42,
+        nextCursor: 'next',
+        indexVersion: 7
+      }));
+
+      const response = await request(app)
+        .post('/api/search')
+        .send({ query: 'revenue', offset: 20, limit: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ offset: 20, limit: 1, totalMatches: 42, nextCursor: 'next', indexVersion: 7 });
+      expect(searchService.searchPage).toHaveBeenCalledWith('revenue', expect.objectContaining({ offset: 20, limit: 1 }));
+    });
+
+    test('POST /api/search should continue from a cursor without a query', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.searchPage.mockResolvedValue(pageOf([{ id: 'd' }], { query: 'revenue', mode: 'keyword', offset: 10 }));
+
+      const response = await request(app)
+        .post('/api/search')
+        .send({ cursor: 'abc' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ query: 'revenue', mode: 'keyword', offset: 10 });
+      expect(searchService.searchPage).toHaveBeenCalledWith(null, { cursor: 'abc', limit: undefined });
+    });
+
+    test('POST /api/search should reject invalid paging options', async () => {
+      const invalidLimit = await request(app)
+        .post('/api/search')
+        .send({ query: 'test', limit: 0 });
+      const invalidOffset = await request(app)
+        .post('/api/search')
+        .send({ query: 'test', offset: -1 });
+      const invalidCursor = await request(app)
+        .post('/api/search')
+        .send({ cursor: 5 });
+
+      expect(invalidLimit.status).toBe(400);
+      expect(invalidLimit.body.error).toBe('limit must be a positive integer');
+      expect(invalidOffset.status).toBe(400);
+      expect(invalidOffset.body.error).toBe('offset must be a non-negative integer');
+      expect(invalidCursor.status).toBe(400);
+      expect(invalidCursor.body.error).toBe('cursor must be a non-empty string');
+    });
+
+    test('POST /api/search should reject expired cursors', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      const { InvalidCursorError } = await import('../../backend/utils/search-cursor.js');
+      searchService.searchPage.mockRejectedValueOnce(new InvalidCursorError('Cursor has expired; run the search again'));
+
+      const response = await request(app)
+        .post('/api/search')
+        .send({ cursor: 'stale' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Cursor has expired; run the search again' });
+    });
+
+    test('POST /api/search/explain should return the score breakdown', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.explainScore.mockResolvedValue({
+        query: 'revenue',
+        semantic: { rank: 2, similarity: 0.81, finalScore: 0.64 },
+        keyword: { rank: 1, score: 1.3 }
+      });
+
+      const response = await request(app)
+        .post('/api/search/explain')
+        .send({ query: 'revenue', docId: 'book:summary:C4', filters: { sheet: 'Summary' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.semantic.rank).toBe(2);
+      expect(searchService.explainScore).toHaveBeenCalledWith('revenue', 'book:summary:C4', expect.objectContaining({
+        filters: { sheet: 'Summary' }
+      }));
+    });
+
+    test('POST /api/search should pass diversification options through', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.searchPage.mockResolvedValue(pageOf([]));
+
+      const response = await request(app)
+        .post('/api/search')
+        .send({ query: 'revenue', mode: 'keyword', diversify: { lambda: 0.5 }, collapseRanges: true });
+
+      expect(response.status).toBe(200);
+      expect(searchService.searchPage).toHaveBeenCalledWith('revenue', expect.objectContaining({
+        diversify: { lambda: 0.5 },
+        collapseRanges: true
+      }));
+    });
+
+    test('POST /api/search should validate diversification options', async () => {
+      const invalidLambda = await request(app)
+        .post('/api/search')
+        .send({ query: 'revenue', diversify: { lambda: 2 } });
+      const invalidCollapse = await request(app)
+        .post('/api/search')
+        .send({ query: 'revenue', collapseRanges: 'yes' });
+
+      expect(invalidLambda.status).toBe(400);
+      expect(invalidLambda.body.error).toBe('diversify.lambda must be a number between 0 and 1');
+      expect(invalidCollapse.status).toBe(400);
+      expect(invalidCollapse.body.error).toBe('collapseRanges must be a boolean');
+    });
+
+    test('POST /api/search should rank with the requested profile and weights', async () => {
+      const { searchService, rankingProfileRegistry } = await import('../../backend/services/index.js');
+      const weights = { semantic: 0.4, concept: 0.1, formula: 0.5, sheet: 0 };
+      rankingProfileRegistry.resolve.mockReturnValueOnce({ profile: 'formula-audit', weights });
+      searchService.searchPage.mockResolvedValue(pageOf([]));
+
+      const response = await request(app)
+        .post('/api/search')
+        .send({ query: 'revenue', profile: 'formula-audit', rankingWeights: { formula: 0.5 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ranking).toEqual({ profile: 'formula-audit', weights });
+      expect(rankingProfileRegistry.resolve).toHaveBeenCalledWith({ profile: 'formula-audit', weights: { formula: 0.5 } });
+      expect(searchService.searchPage).toHaveBeenCalledWith('revenue', expect.objectContaining({ scoreWeights: weights }));
+    });
+
+    test('POST /api/search should reject unknown profiles and invalid ranking weights', async () => {
+      const { rankingProfileRegistry } = await import('../../backend/services/index.js');
+      const { RankingProfileError } = await import('../../backend/services/ranking-profiles.js');
+      rankingProfileRegistry.resolve.mockImplementationOnce(() => {
+        throw new RankingProfileError('Unknown ranking profile "missing"');
+      });
+
+      const unknown = await request(app)
+        .post('/api/search')
+        .send({ query: 'revenue', profile: 'missing' });
+      const invalidType = await request(app)
+        .post('/api/search')
+        .send({ query: 'revenue', profile: 3 });
+
+      expect(unknown.status).toBe(400);
+      expect(unknown.body).toEqual({ error: 'Unknown ranking profile "missing"' });
+      expect(invalidType.status).toBe(400);
+      expect(invalidType.body.error).toBe('profile must be a string');
+    });
+
+    test('POST /api/search/explain should explain with the requested profile', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.explainScore.mockResolvedValue({ query: 'revenue', semantic: {}, keyword: {} });
+
+      const response = await request(app)
+        .post('/api/search/explain')
+        .send({ query: 'revenue', docId: 'book:summary:C4', profile: 'kpi-finder' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ranking.profile).toBe('kpi-finder');
+      expect(searchService.explainScore).toHaveBeenCalledWith('revenue', 'book:summary:C4', expect.objectContaining({
+        scoreWeights: response.body.ranking.weights
+      }));
+    });
+
+    test('GET /api/search/similar/:docId should find similar documents', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.findSimilar.mockResolvedValue({
+        document: { id: 'model_a:summary:B11' },
+        candidates: 12,
+        results: [{ id: 'model_b:summary:D11', relevance: 0.86 }]
+      });
+
+      const response = await request(app)
+        .get('/api/search/similar/model_a:summary:B11?limit=5&otherWorkbooks=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body.results[0].id).toBe('model_b:summary:D11');
+      expect(searchService.findSimilar).toHaveBeenCalledWith('model_a:summary:B11', {
+        topK: 5,
+        otherWorkbooks: true,
+        includeRanges: true,
+        vectorSearch: undefined
+      });
+    });
+
+    test('GET /api/search/similar/:docId should validate its parameters', async () => {
+      const invalidLimit = await request(app)
+        .get('/api/search/similar/a?limit=0');
+      const invalidFlag = await request(app)
+        .get('/api/search/similar/a?otherWorkbooks=yes');
+
+      expect(invalidLimit.status).toBe(400);
+      expect(invalidLimit.body.error).toBe('limit must be a positive integer');
+      expect(invalidFlag.status).toBe(400);
+    });
+
+    test('GET /api/search/similar/:docId should return 404 for unknown documents', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.findSimilar.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/search/similar/missing');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Document not found');
+    });
+
+    test('GET /api/search/profiles should list ranking profiles', async () => {
+      const { rankingProfileRegistry } = await import('../../backend/services/index.js');
+      rankingProfileRegistry.list.mockReturnValueOnce([{ name: 'default', builtIn: true }]);
+
+      const response = await request(app)
+        .get('/api/search/profiles');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ profiles: [{ name: 'default', builtIn: true }], count: 1 });
+    });
+
+    test('PUT /api/search/profiles/:name should create a profile', async () => {
+      const { rankingProfileRegistry } = await import('../../backend/services/index.js');
+      const weights = { semantic: 0.5, concept: 0.5, formula: 0, sheet: 0 };
+      rankingProfileRegistry.set.mockResolvedValueOnce({ profile: { name: 'concepts', weights }, created: true });
+
+      const response = await request(app)
+        .put('/api/search/profiles/concepts')
+        .send({ description: 'Concepts first', weights });
+
+      expect(response.status).toBe(201);
+      expect(response.body.name).toBe('concepts');
+      expect(rankingProfileRegistry.set).toHaveBeenCalledWith('concepts', { description: 'Concepts first', weights });
+    });
+
+    test('PUT /api/search/profiles/:name should reject invalid profiles', async () => {
+      const { rankingProfileRegistry } = await import('../../backend/services/index.js');
+      const { RankingProfileError } = await import('../../backend/services/ranking-profiles.js');
+      rankingProfileRegistry.set.mockRejectedValueOnce(new RankingProfileError('Ranking weights must sum to 1 (got 1.2)'));
+
+      const response = await request(app)
+        .put('/api/search/profiles/heavy')
+        .send({ weights: { semantic: 1.2 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Ranking weights must sum to 1 (got 1.2)');
+    });
+
+    test('DELETE /api/search/profiles/:name should return 404 for unknown profiles', async () => {
+      const { rankingProfileRegistry } = await import('../../backend/services/index.js');
+      rankingProfileRegistry.remove.mockResolvedValueOnce(false);
+
+      const response = await request(app)
+        .delete('/api/search/profiles/missing');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Ranking profile not found');
+    });
+
+    test('POST /api/search/explain should validate its parameters', async () => {
+      const missingDoc = await request(app)
+        .post('/api/search/explain')
+        .send({ query: 'revenue' });
+      const invalidFilters = await request(app)
+        .post('/api/search/explain')
+        .send({ query: 'revenue', docId: 'a', filters: { color: 'red' } });
+
+      expect(missingDoc.status).toBe(400);
+      expect(missingDoc.body.error).toBe('docId is required and must be a string');
+      expect(invalidFilters.status).toBe(400);
+    });
+
+    test('POST /api/search/explain should return 404 for unknown documents', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.explainScore.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/search/explain')
+        .send({ query: 'revenue', docId: 'missing' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Document not found');
     });
 
     test('GET /api/search/stats should return search statistics', async () => {
@@ -149,8 +605,8 @@ describe('API Integration Tests', () => {
       expect(response.body.totalDocuments).toBe(100);
     });
 
-    test('POST /api/search/clear should clear search index', async () => {
-      const { searchService } = await import('../../backend/services/index.js');
+    test('POST /api/search/clear should clear search index and workbook registry', async () => {
+      const { searchService, workbookRegistry } = await import('../../backend/services/index.js');
       searchService.clearIndex = vi.fn();
 
       const response = await request(app)
@@ -159,31 +615,32 @@ describe('API Integration Tests', () => {
       expect(response.status).toBe(200);
       expect(response.body.message).toBe('Search index cleared successfully');
       expect(searchService.clearIndex).toHaveBeenCalled();
+      expect(workbookRegistry.clear).toHaveBeenCalled();
     });
   });
 
   describe('Sheets API', () => {
-    test('POST /api/sheets/load-default should load default files', async () => {
-      const { excelParserService } = await import('../../backend/services/index.js');
-      excelParserService.loadDefaultFiles.mockResolvedValue({
-        results: [
-          {
-            fileName: 'test.xlsx',
-            success: true,
-            sheets: { Sheet1: { cells: [], ranges: [] } }
-          }
-        ],
-        allCells: [],
-        allRanges: []
-      });
+    test('POST /api/sheets/load-default should queue an ingestion job', async () => {
+      const { jobService } = await import('../../backend/services/index.js');
+      jobService.enqueue.mockReturnValue({ id: 'job-1', status: 'queued', phase: 'queued' });
 
       const response = await request(app)
         .post('/api/sheets/load-default')
         .send({});
 
-      expect(response.status).toBe(200);
-      expect(response.body.message).toBe('Default files loaded successfully');
-      expect(response.body.results).toHaveLength(1);
+      expect(response.status).toBe(202);
+      expect(response.body.message).toBe('Default files queued for ingestion');
+      expect(response.body.jobId).toBe('job-1');
+      expect(response.body.links.events).toBe('/api/jobs/job-1/events');
+      expect(jobService.enqueue).toHaveBeenCalledWith('load-default', { options: {} });
+    });
+
+    test('POST /api/sheets/upload should reject requests without files', async () => {
+      const response = await request(app)
+        .post('/api/sheets/upload');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No files uploaded');
     });
 
     test('GET /api/sheets/files should return available files', async () => {
@@ -196,6 +653,234 @@ describe('API Integration Tests', () => {
     });
   });
 
+  describe('Workbooks API', () => {
+    test('GET /api/workbooks should list workbooks', async () => {
+      const { workbookRegistry } = await import('../../backend/services/index.js');
+      workbookRegistry.list.mockReturnValue([
+        { id: 'budget', title: 'Budget', fileHash: 'abc', sheetCount: 2, cellCount: 10, rangeCount: 3 }
+      ]);
+
+      const response = await request(app)
+        .get('/api/workbooks');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.workbooks[0].fileHash).toBe('abc');
+    });
+
+    test('DELETE /api/workbooks/:id should remove a workbook', async () => {
+      const { workbookRegistry } = await import('../../backend/services/index.js');
+      workbookRegistry.remove.mockResolvedValue({ id: 'budget', title: 'Budget', removedDocuments: 13 });
+
+      const response = await request(app)
+        .delete('/api/workbooks/budget');
+
+      expect(response.status).toBe(200);
+      expect(response.body.removedDocuments).toBe(13);
+      expect(workbookRegistry.remove).toHaveBeenCalledWith('budget');
+    });
+
+    test('DELETE /api/workbooks/:id should return 404 for unknown workbooks', async () => {
+      const { workbookRegistry } = await import('../../backend/services/index.js');
+      workbookRegistry.remove.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete('/api/workbooks/missing');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Workbook not found');
+    });
+
+    test('POST /api/workbooks/:id/reindex should refresh a workbook', async () => {
+      const { workbookRegistry } = await import('../../backend/services/index.js');
+      workbookRegistry.reindex.mockResolvedValue({
+        workbook: { id: 'budget' },
+        removedDocuments: 13,
+        indexedCells: 10,
+        indexedRanges: 3
+      });
+
+      const response = await request(app)
+        .post('/api/workbooks/budget/reindex');
+
+      expect(response.status).toBe(200);
+      expect(response.body.indexedCells).toBe(10);
+    });
+
+    test('GET /api/workbooks/:id/issues should report model-health issues', async () => {
+      const { workbookRegistry } = await import('../../backend/services/index.js');
+      workbookRegistry.getIssues.mockReturnValue({
+        workbook: { id: 'budget', title: 'Budget' },
+        summary: { errors: 1, warnings: 0, byType: { 'circular-reference': 1 } },
+        count: 1,
+        issues: [{ type: 'circular-reference', severity: 'error', cell: { id: 'budget:model:B5' } }]
+      });
+
+      const response = await request(app)
+        .get('/api/workbooks/budget/issues?severity=error');
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.errors).toBe(1);
+      expect(workbookRegistry.getIssues).toHaveBeenCalledWith('budget', { type: undefined, severity: 'error' });
+    });
+
+    test('GET /api/workbooks/:id/issues should reject unknown issue types', async () => {
+      const response = await request(app)
+        .get('/api/workbooks/budget/issues?type=typo');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Invalid type');
+    });
+
+    test('GET /api/workbooks/:id/issues should return 404 for unknown workbooks', async () => {
+      const { workbookRegistry } = await import('../../backend/services/index.js');
+      workbookRegistry.getIssues.mockReturnValue(null);
+
+      const response = await request(app)
+        .get('/api/workbooks/missing/issues');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Workbook not found');
+    });
+  });
+
+  describe('Cells API', () => {
+    test('GET /api/cells/:id/precedents should trace the cells a formula reads', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.traceDependencies.mockResolvedValue({
+        cell: { id: 'model:p_l:B15', formula: '=B13-B14' },
+        direction: 'precedents',
+        depth: 2,
+        count: 1,
+        truncated: false,
+        cells: [{ id: 'model:p_l:B13', depth: 1, via: 'model:p_l:B15' }]
+      });
+
+      const response = await request(app)
+        .get(`/api/cells/${encodeURIComponent('model:p_l:B15')}/precedents?depth=2`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.cells).toHaveLength(1);
+      expect(searchService.traceDependencies).toHaveBeenCalledWith('model:p_l:B15', { direction: 'precedents', depth: 2 });
+    });
+
+    test('GET /api/cells/:id/dependents should default the depth', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.traceDependencies.mockResolvedValue({ direction: 'dependents', depth: 1, count: 0, cells: [] });
+
+      const response = await request(app)
+        .get('/api/cells/model:p_l:B13/dependents');
+
+      expect(response.status).toBe(200);
+      expect(searchService.traceDependencies).toHaveBeenCalledWith('model:p_l:B13', { direction: 'dependents', depth: undefined });
+    });
+
+    test('should reject invalid depths', async () => {
+      const response = await request(app)
+        .get('/api/cells/model:p_l:B13/dependents?depth=0');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('depth must be a positive integer');
+    });
+
+    test('should return 404 for unknown cells', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.traceDependencies.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/cells/missing/precedents');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Cell not found');
+    });
+
+    test('POST /api/cells/:id/what-if should return recalculated dependents', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.whatIf.mockResolvedValue({
+        cell: { id: 'model:inputs:B1' },
+        before: 0.1,
+        after: 0.2,
+        count: 1,
+        changed: 1,
+        cells: [{ id: 'model:p_l:B2', depth: 1, before: 110, after: 120, change: 10, unsupported: [] }]
+      });
+
+      const response = await request(app)
+        .post('/api/cells/model:inputs:B1/what-if')
+        .send({ value: 0.2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.cells[0].after).toBe(120);
+      expect(searchService.whatIf).toHaveBeenCalledWith('model:inputs:B1', 0.2);
+    });
+
+    test('POST /api/cells/:id/what-if should require a value', async () => {
+      const response = await request(app)
+        .post('/api/cells/model:inputs:B1/what-if')
+        .send({ value: { amount: 1 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('value must be a number, string or boolean');
+    });
+
+    test('POST /api/cells/:id/what-if should return 404 for unknown cells', async () => {
+      const { searchService } = await import('../../backend/services/index.js');
+      searchService.whatIf.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/cells/missing/what-if')
+        .send({ value: 1 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Jobs API', () => {
+    test('GET /api/jobs/:id should report job progress', async () => {
+      const { jobService } = await import('../../backend/services/index.js');
+      jobService.get.mockReturnValue({
+        id: 'job-1',
+        status: 'running',
+        phase: 'indexing_cells',
+        progress: { cellsParsed: 100, cellsEmbedded: 40, labelsGenerated: 40 },
+        errors: [],
+        etaSeconds: 12
+      });
+
+      const response = await request(app)
+        .get('/api/jobs/job-1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.phase).toBe('indexing_cells');
+      expect(response.body.progress.cellsEmbedded).toBe(40);
+      expect(response.body.etaSeconds).toBe(12);
+    });
+
+    test('GET /api/jobs/:id should return 404 for unknown jobs', async () => {
+      const { jobService } = await import('../../backend/services/index.js');
+      jobService.get.mockReturnValue(null);
+
+      const response = await request(app)
+        .get('/api/jobs/missing');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Job not found');
+    });
+
+    test('GET /api/jobs/:id/events should stream a finished job and close', async () => {
+      const { jobService } = await import('../../backend/services/index.js');
+      jobService.get.mockReturnValue({ id: 'job-1', status: 'completed', phase: 'completed' });
+
+      const response = await request(app)
+        .get('/api/jobs/job-1/events');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(response.text).toContain('event: done');
+      expect(response.text).toContain('"phase":"completed"');
+    });
+  });
+
   describe('Status API', () => {
     test('GET /api/status should return system status', async () => {
       const response = await request(app)
@@ -207,13 +892,14 @@ describe('API Integration Tests', () => {
       expect(response.body).toHaveProperty('environment');
       expect(response.body.system).toBeDefined();
       expect(response.body.services.search.stats).toBeDefined();
+      expect(response.body.rateLimits).toEqual({ openai: { requests: 12, queueDepth: 0 } });
     });
   });
 
   describe('Error Handling', () => {
     test('should handle search service errors', async () => {
       const { searchService } = await import('../../backend/services/index.js');
-      searchService.search.mockRejectedValue(new Error('Search failed'));
+      searchService.searchPage.mockRejectedValue(new Error('Search failed'));
 
       const response = await request(app)
         .post('/api/search')
@@ -227,8 +913,10 @@ describe('API Integration Tests', () => {
     });
 
     test('should handle sheets service errors', async () => {
-      const { excelParserService } = await import('../../backend/services/index.js');
-      excelParserService.loadDefaultFiles.mockRejectedValue(new Error('Load failed'));
+      const { jobService } = await import('../../backend/services/index.js');
+      jobService.enqueue.mockImplementation(() => {
+        throw new Error('Queue unavailable');
+      });
 
       const response = await request(app)
         .post('/api/sheets/load-default')
@@ -0,0 +1,70 @@
+import { Bm25Index } from '../../backend/utils/bm25.js';
+import { tokenize, analyzeTerms, stem } from '../../backend/utils/text-analysis.js';
+
+describe('text analysis', () => {
+  test('should split identifiers and formula punctuation into tokens', () => {
+    expect(tokenize('netRevenue =SUM(B2:B10) growth_rate 12.5%')).toEqual([
+      'net', 'revenue', 'sum', 'b2', 'b10', 'growth', 'rate', '12.5%'
+    ]);
+  });
+
+  test('should drop stop words and stem to Porter stems', () => {
+    expect(analyzeTerms('The costs of the operating expenses')).toEqual(['cost', 'oper', 'expens']);
+    expect(stem('costume')).not.toBe(stem('cost'));
+    expect(stem('relational')).toBe('relat');
+  });
+});
+
+describe('Bm25Index', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new Bm25Index({ k1: 1.2, b: 0.75 });
+    index.add('cost', { rowHeader: 'Operating Cost', value: '1200' });
+    index.add('costume', { rowHeader: 'Costume Sales', value: '300' });
+    index.add('note', { value: 'cost estimate' });
+  });
+
+  test('should match whole stemmed terms, not substrings', () => {
+    const ids = index.search('costs').map(result => result.id);
+
+    expect(ids).toContain('cost');
+    expect(ids).not.toContain('costume');
+  });
+
+  test('should rank header matches above value matches', () => {
+    const results = index.search('cost');
+
+    expect(results[0].id).toBe('cost');
+    expect(results[0].matches).toEqual([{ field: 'rowHeader', term: 'cost', token: 'cost' }]);
+    expect(results[1].id).toBe('note');
+  });
+
+  test('should apply the filter and forget removed documents', () => {
+    expect(index.search('cost', { filter: id => id !== 'cost' }).map(r => r.id)).toEqual(['note']);
+
+    expect(index.remove('cost')).toBe(true);
+    expect(index.size).toBe(2);
+    expect(index.search('operating')).toEqual([]);
+    expect(index.getStats().terms).toBe(index.postings.size);
+  });
+
+  test('should re-index a document added twice', () => {
+    index.add('cost', { rowHeader: 'Margin' });
+
+    expect(index.size).toBe(3);
+    expect(index.search('operating')).toEqual([]);
+    expect(index.search('margin')[0].id).toBe('cost');
+  });
+
+  test('should explain a document score by term and field', () => {
+    const explanation = index.explain('cost', 'operating costs missing');
+    const [operating, cost, missing] = explanation.terms;
+
+    expect(explanation.score).toBeCloseTo(index.search('operating costs missing')[0].score);
+    expect(operating.fields).toEqual([expect.objectContaining({ field: 'rowHeader', tf: 1, boost: 2 })]);
+    expect(cost.token).toBe('costs');
+    expect(missing).toMatchObject({ idf: 0, score: 0, fields: [] });
+    expect(index.explain('unknown', 'cost')).toBeNull();
+  });
+});
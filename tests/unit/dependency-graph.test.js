@@ -0,0 +1,152 @@
+import { linkDependencies, DependencyGraph } from '../../backend/utils/dependency-graph.js';
+import { parseFormula } from '../../backend/utils/formula-parser.js';
+import { columnToIndex } from '../../backend/utils/formula-ast.js';
+
+/**
+ * A parsed sheet holding cells given as { A1: value or "=formula" }
+ */
+function sheetOf(sheetName, values) {
+  const cells = Object.entries(values).map(([cellRef, value]) => {
+    const [, letters, row] = /^([A-Z]+)(\d+)$/.exec(cellRef);
+    const formula = String(value).startsWith('=') ? value : null;
+    return {
+      id: `wb:${sheetName.toLowerCase()}:${cellRef}`,
+      sheetName,
+      cellRef,
+      row: parseInt(row),
+      column: columnToIndex(letters),
+      formula,
+      parsedFormula: formula ? parseFormula(formula) : undefined
+    };
+  });
+  return { sheetName, cells };
+}
+
+const cellOf = (sheets, sheetName, cellRef) => sheets[sheetName].cells.find(cell => cell.cellRef === cellRef);
+
+describe('linkDependencies', () => {
+  let sheets;
+
+  beforeEach(() => {
+    sheets = {
+      Inputs: sheetOf('Inputs', { B1: 0.2, B2: 1000 }),
+      Model: sheetOf('Model', {
+        A2: 'Revenue', B2: 100, B3: 200, B4: 300,
+        B5: '=SUM(B2:B4)',
+        B6: '=B5*Inputs!B1',
+        B7: "=B6+'Inputs'!B2+B99",
+        B8: '=SUM(B:B)',
+        B9: '=Missing!A1+B5'
+      })
+    };
+  });
+
+  test('should resolve cells, ranges and cross-sheet references to cell IDs', () => {
+    linkDependencies(sheets);
+
+    expect(cellOf(sheets, 'Model', 'B5').precedents).toEqual(['wb:model:B2', 'wb:model:B3', 'wb:model:B4']);
+    expect(cellOf(sheets, 'Model', 'B6').precedents).toEqual(['wb:model:B5', 'wb:inputs:B1']);
+    expect(cellOf(sheets, 'Model', 'B7').precedents).toEqual(['wb:model:B6', 'wb:inputs:B2']);
+  });
+
+  test('should expand whole-column ranges to the parsed cells in them', () => {
+    linkDependencies(sheets);
+
+    expect(cellOf(sheets, 'Model', 'B8').precedents).toContain('wb:model:B7');
+    expect(cellOf(sheets, 'Model', 'B8').precedents).not.toContain('wb:model:A2');
+  });
+
+  test('should count references to missing sheets as unresolved', () => {
+    const summary = linkDependencies(sheets);
+
+    expect(cellOf(sheets, 'Model', 'B9').precedents).toEqual(['wb:model:B5']);
+    expect(summary).toMatchObject({ formulas: 5, unresolved: 1 });
+  });
+
+  test('should skip cells without a parsed syntax tree', () => {
+    const sheet = sheetOf('Model', { B2: 1 });
+    sheet.cells.push({ id: 'wb:model:B3', sheetName: 'Model', row: 3, column: 2, formula: '=B2', parsedFormula: { functions: [] } });
+
+    expect(linkDependencies({ Model: sheet })).toEqual({ formulas: 0, edges: 0, unresolved: 0 });
+  });
+});
+
+describe('DependencyGraph', () => {
+  let graph;
+
+  beforeEach(() => {
+    // revenue, cost -> profit -> margin -> summary
+    graph = DependencyGraph.fromDocuments([
+      { id: 'revenue' },
+      { id: 'cost' },
+      { id: 'profit', precedents: ['revenue', 'cost'] },
+      { id: 'margin', precedents: ['profit', 'revenue'] },
+      { id: 'summary', precedents: ['margin'] },
+      { id: 'range', cells: [], precedents: ['revenue'] }
+    ]);
+  });
+
+  test('should index precedents and dependents of formula cells only', () => {
+    expect(graph.neighbors('profit', 'precedents')).toEqual(['revenue', 'cost']);
+    expect(graph.neighbors('revenue', 'dependents')).toEqual(['profit', 'margin']);
+    expect(graph.getStats()).toEqual({ formulas: 3, edges: 5 });
+  });
+
+  test('should visit each cell once at its shortest distance', () => {
+    const { cells, truncated } = graph.traverse('summary', { direction: 'precedents', depth: 5 });
+
+    expect(cells).toEqual([
+      { id: 'margin', depth: 1, via: 'summary' },
+      { id: 'profit', depth: 2, via: 'margin' },
+      { id: 'revenue', depth: 2, via: 'margin' },
+      { id: 'cost', depth: 3, via: 'profit' }
+    ]);
+    expect(truncated).toBe(false);
+  });
+
+  test('should stop at the requested depth and report truncation', () => {
+    const { cells, truncated } = graph.traverse('revenue', { direction: 'dependents', depth: 1 });
+
+    expect(cells.map(cell => cell.id)).toEqual(['profit', 'margin']);
+    expect(truncated).toBe(true);
+  });
+
+  test('should rank cells that much of the graph builds on highest', () => {
+    const ranks = graph.pageRank();
+    const total = Array.from(ranks.values()).reduce((sum, rank) => sum + rank, 0);
+
+    expect(total).toBeCloseTo(1);
+    expect(ranks.get('revenue')).toBeGreaterThan(ranks.get('cost'));
+    expect(ranks.get('profit')).toBeGreaterThan(ranks.get('summary'));
+    expect(ranks.get('summary')).toBe(Math.min(...ranks.values()));
+  });
+
+  test('should return no ranks for an empty graph', () => {
+    expect(new DependencyGraph().pageRank().size).toBe(0);
+  });
+
+  test('should not revisit cells in a cycle', () => {
+    const cyclic = new DependencyGraph();
+    cyclic.add('a', ['b']);
+    cyclic.add('b', ['a']);
+
+    expect(cyclic.traverse('a', { direction: 'precedents', depth: 10 }).cells).toEqual([
+      { id: 'b', depth: 1, via: 'a' }
+    ]);
+  });
+
+  test('should find circular references and self-references', () => {
+    const cyclic = new DependencyGraph();
+    cyclic.add('a', ['c']);
+    cyclic.add('b', ['a', 'input']);
+    cyclic.add('c', ['b']);
+    cyclic.add('d', ['d']);
+    cyclic.add('e', ['a']);
+
+    expect(cyclic.findCycles()).toEqual([['a', 'c', 'b'], ['d']]);
+  });
+
+  test('should find no cycles in an acyclic graph', () => {
+    expect(graph.findCycles()).toEqual([]);
+  });
+});
@@ -0,0 +1,109 @@
+import { collapseIntoRanges, mmrRerank, locationSimilarity } from '../../backend/utils/diversify.js';
+
+const cell = (row, column, extra = {}) => ({
+  id: `book:sheet:${row}:${column}`,
+  spreadsheetId: 'book',
+  sheetName: 'Sheet',
+  row,
+  column,
+  ...extra
+});
+
+const range = (id, cells) => ({
+  id,
+  spreadsheetId: 'book',
+  sheetName: 'Sheet',
+  cells,
+  startRow: Math.min(...cells.map(c => c.row)),
+  endRow: Math.max(...cells.map(c => c.row)),
+  startColumn: Math.min(...cells.map(c => c.column)),
+  endColumn: Math.max(...cells.map(c => c.column))
+});
+
+const item = (doc, score) => ({ doc, score });
+const options = {
+  getDoc: result => result.doc,
+  getScore: result => result.score,
+  contentSimilarity: () => 0
+};
+
+describe('locationSimilarity', () => {
+  test('should be 1 for a range and its own cell', () => {
+    const cells = [cell(2, 1), cell(3, 1)];
+
+    expect(locationSimilarity(range('r', cells), cells[0])).toBe(1);
+  });
+
+  test('should decay along a shared column', () => {
+    const adjacent = locationSimilarity(cell(2, 1), cell(3, 1));
+    const distant = locationSimilarity(cell(2, 1), cell(20, 1));
+
+    expect(adjacent).toBeGreaterThan(0.7);
+    expect(distant).toBeLessThan(0.25);
+    expect(distant).toBeGreaterThan(0.2);
+  });
+
+  test('should only keep the same-sheet floor off the row and column', () => {
+    expect(locationSimilarity(cell(2, 1), cell(3, 2))).toBe(0.2);
+    expect(locationSimilarity(cell(2, 1), cell(2, 1, { sheetName: 'Other' }))).toBe(0);
+  });
+});
+
+describe('collapseIntoRanges', () => {
+  test('should fold member cells into the range at the best member position', () => {
+    const cells = [cell(2, 1), cell(3, 1)];
+    const items = [item(cells[1], 0.9), item(cell(5, 4), 0.8), item(range('r', cells), 0.7), item(cells[0], 0.6)];
+
+    const collapsed = collapseIntoRanges(items, options);
+
+    expect(collapsed.map(result => result.doc.id)).toEqual(['r', 'book:sheet:5:4']);
+    expect(collapsed[0].collapsed).toEqual([cells[1].id, cells[0].id]);
+    expect(collapsed[0].score).toBe(0.7);
+  });
+
+  test('should keep cells whose range is not in the list', () => {
+    const items = [item(cell(2, 1), 0.9), item(cell(3, 1), 0.8)];
+
+    expect(collapseIntoRanges(items, options)).toBe(items);
+  });
+});
+
+describe('mmrRerank', () => {
+  test('should interleave results from other locations', () => {
+    const items = [
+      item(cell(2, 1), 1),
+      item(cell(3, 1), 0.95),
+      item(cell(4, 1), 0.9),
+      item(cell(2, 1, { sheetName: 'Summary' }), 0.8)
+    ];
+
+    const reranked = mmrRerank(items, { ...options, lambda: 0.5 });
+
+    expect(reranked.map(result => result.doc.sheetName)).toEqual(['Sheet', 'Summary', 'Sheet', 'Sheet']);
+  });
+
+  test('should keep the relevance order when lambda is 1', () => {
+    const items = [item(cell(2, 1), 1), item(cell(3, 1), 0.95), item(cell(2, 5, { sheetName: 'Summary' }), 0.8)];
+
+    expect(mmrRerank(items, { ...options, lambda: 1 })).toEqual(items);
+  });
+
+  test('should penalize similar content', () => {
+    const items = [
+      item(cell(2, 1, { sheetName: 'A', embedding: [1, 0] }), 1),
+      item(cell(2, 1, { sheetName: 'B', embedding: [1, 0] }), 0.9),
+      item(cell(2, 1, { sheetName: 'C', embedding: [0, 1] }), 0.8)
+    ];
+    const contentSimilarity = (a, b) => a.embedding[0] * b.embedding[0] + a.embedding[1] * b.embedding[1];
+
+    const reranked = mmrRerank(items, { ...options, contentSimilarity, lambda: 0.5 });
+
+    expect(reranked.map(result => result.doc.sheetName)).toEqual(['A', 'C', 'B']);
+  });
+
+  test('should leave items past the depth in place', () => {
+    const items = [item(cell(2, 1), 1), item(cell(3, 1), 0.9), item(cell(4, 1), 0.8), item(cell(9, 9, { sheetName: 'X' }), 0.7)];
+
+    expect(mmrRerank(items, { ...options, lambda: 0.3, depth: 3 })[3]).toBe(items[3]);
+  });
+});
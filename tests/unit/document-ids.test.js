@@ -0,0 +1,33 @@
+import { nameSegment, buildSheetId, buildCellId, buildRangeId, migrateLegacyDocument } from '../../backend/utils/document-ids.js';
+
+describe('nameSegment', () => {
+  test('should keep names that are already slugs readable', () => {
+    expect(nameSegment('revenue')).toBe('revenue');
+    expect(buildSheetId('Summary')).toBe('summary');
+  });
+
+  test('should never map two names to one segment', () => {
+    const names = ['P&L', 'P-L', 'p_l', 'P L', 'Revenue %', 'Revenue $', 'revenue__'];
+    const segments = names.map(name => nameSegment(name));
+
+    expect(new Set(segments).size).toBe(names.length);
+    expect(nameSegment('P&L')).toMatch(/^p_l-[0-9a-f]{8}$/);
+    expect(nameSegment('P&L')).toBe(nameSegment('P&L'));
+  });
+});
+
+describe('document IDs', () => {
+  test('should give sheets and headers that differ only in punctuation distinct IDs', () => {
+    expect(buildCellId('book', 'P&L', 'B2')).not.toBe(buildCellId('book', 'P-L', 'B2'));
+    expect(buildRangeId('book', 'Summary', 'Revenue %')).not.toBe(buildRangeId('book', 'Summary', 'Revenue $'));
+    expect(buildRangeId('book', 'Summary', 'Revenue')).toBe('book:summary:range_revenue');
+  });
+
+  test('should migrate legacy documents from similarly named sheets to distinct IDs', () => {
+    const fromPnl = migrateLegacyDocument({ id: 'p_l_2_1', workbookId: 'book', sheetName: 'P&L', cellRef: 'A2' });
+    const fromPl = migrateLegacyDocument({ id: 'p_l_2_1', workbookId: 'book', sheetName: 'P-L', cellRef: 'A2' });
+
+    expect(fromPnl.id).not.toBe(fromPl.id);
+    expect(fromPnl.sheetId).toBe(buildSheetId('P&L'));
+  });
+});
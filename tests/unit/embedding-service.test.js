@@ -1,4 +1,6 @@
 import { EmbeddingService } from '../../backend/services/embedding-service.js';
+import { LocalEmbeddingProvider, createEmbeddingProvider } from '../../backend/services/embedding-providers.js';
+import { RateLimiter } from '../../backend/utils/rate-limiter.js';
 import { vi } from 'vitest';
 
 // Mock OpenAI
@@ -33,7 +35,7 @@ describe('EmbeddingService', () => {
   describe('constructor', () => {
     test('should initialize with correct defaults', () => {
       expect(embeddingService.model).toBe('text-embedding-3-small');
-      expect(embeddingService.rateLimitDelay).toBe(1000);
+      expect(embeddingService.rateLimiter).toBeInstanceOf(RateLimiter);
       expect(embeddingService.initialized).toBe(false);
       expect(embeddingService.embeddingCache).toBeInstanceOf(Map);
     });
@@ -46,7 +48,7 @@ describe('EmbeddingService', () => {
       await embeddingService.initialize();
       
       expect(embeddingService.initialized).toBe(true);
-      expect(embeddingService.openai).toBeDefined();
+      expect(embeddingService.provider.client).toBeDefined();
     });
 
     test('should handle missing API key', async () => {
@@ -54,7 +56,7 @@ describe('EmbeddingService', () => {
       
       await expect(embeddingService.initialize()).rejects.toThrow('OpenAI API key not found');
       expect(embeddingService.initialized).toBe(false);
-      expect(embeddingService.openai).toBeNull();
+      expect(embeddingService.provider.client).toBeNull();
     });
   });
 
@@ -160,6 +162,94 @@ describe('EmbeddingService', () => {
     });
   });
 
+  describe('batching', () => {
+    beforeEach(async () => {
+      process.env.OPENAI_API_KEY = 'test-key';
+      await embeddingService.initialize();
+    });
+
+    test('should split inputs by batch size', () => {
+      embeddingService.batchSize = 2;
+
+      const batches = embeddingService.createBatches(['a', 'b', 'c', 'd', 'e']);
+
+      expect(batches).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+    });
+
+    test('should split inputs by estimated token budget', () => {
+      embeddingService.maxBatchTokens = 10;
+
+      const batches = embeddingService.createBatches(['x'.repeat(24), 'y'.repeat(24), 'z'.repeat(8)]);
+
+      expect(batches.map(batch => batch.length)).toEqual([1, 2]);
+    });
+
+    test('should truncate inputs over the per-input token limit', () => {
+      embeddingService.maxInputTokens = 5;
+
+      expect(embeddingService.truncateToTokenLimit('x'.repeat(50))).toHaveLength(20);
+    });
+
+    test('should issue one request per batch and keep input order', async () => {
+      embeddingService.batchSize = 2;
+      mockOpenAI.embeddings.create.mockImplementation(async ({ input }) => ({
+        data: input.map((text, index) => ({ index, embedding: [text.length] })).reverse()
+      }));
+      const onBatch = vi.fn();
+
+      const result = await embeddingService.generateEmbeddings(['a', 'bb', 'ccc', 'a'], 'cell', { onBatch });
+
+      expect(result).toEqual([[1], [2], [3], [1]]);
+      expect(mockOpenAI.embeddings.create).toHaveBeenCalledTimes(2);
+      expect(onBatch.mock.calls.reduce((sum, [count]) => sum + count, 0)).toBe(4);
+    });
+  });
+
+  describe('providers', () => {
+    test('should select the provider from configuration', () => {
+      expect(createEmbeddingProvider('openai').name).toBe('openai');
+      expect(createEmbeddingProvider('local')).toBeInstanceOf(LocalEmbeddingProvider);
+      expect(() => createEmbeddingProvider('unknown')).toThrow('Unknown embedding provider');
+    });
+
+    test('should require a base URL for openai-compatible servers', () => {
+      delete process.env.EMBEDDING_BASE_URL;
+      expect(() => createEmbeddingProvider('openai-compatible')).toThrow('EMBEDDING_BASE_URL');
+
+      process.env.EMBEDDING_BASE_URL = 'http://localhost:11434/v1';
+      const provider = createEmbeddingProvider('openai-compatible');
+      delete process.env.EMBEDDING_BASE_URL;
+
+      expect(provider.baseURL).toBe('http://localhost:11434/v1');
+      expect(provider.remote).toBe(true);
+    });
+
+    test('should embed offline with the local provider', async () => {
+      delete process.env.OPENAI_API_KEY;
+      const service = new EmbeddingService({ provider: new LocalEmbeddingProvider({ dimensions: 64 }) });
+
+      const [revenue, revenues, headcount] = await service.generateEmbeddings(
+        ['Total Revenue', 'total revenues', 'Headcount']
+      );
+
+      expect(service.initialized).toBe(true);
+      expect(revenue).toHaveLength(64);
+      expect(mockOpenAI.embeddings.create).not.toHaveBeenCalled();
+      expect(service.rateLimiter.getStats().requests).toBe(0);
+      expect(service.calculateCosineSimilarity(revenue, revenues))
+        .toBeGreaterThan(service.calculateCosineSimilarity(revenue, headcount));
+    });
+
+    test('should produce deterministic, normalized vectors', () => {
+      const provider = new LocalEmbeddingProvider();
+      const vector = provider.vectorize('Gross margin %');
+
+      expect(provider.vectorize('Gross margin %')).toEqual(vector);
+      expect(Math.hypot(...vector)).toBeCloseTo(1);
+      expect(provider.vectorize('')).toEqual(Array(512).fill(0));
+    });
+  });
+
   describe('hashText', () => {
     test('should generate consistent hashes', () => {
       const text = 'test text';
@@ -176,6 +266,24 @@ describe('EmbeddingService', () => {
       
       expect(hash1).not.toBe(hash2);
     });
+
+    test('should produce SHA-256 digests', () => {
+      expect(embeddingService.hashText('test text')).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should not reuse cached vectors across models', async () => {
+      process.env.OPENAI_API_KEY = 'test-key';
+      await embeddingService.initialize();
+      await embeddingService.generateEmbedding('Revenue');
+
+      embeddingService.model = embeddingService.provider.model = 'text-embedding-3-large';
+      mockOpenAI.embeddings.create.mockResolvedValue({ data: [{ embedding: [0.9] }] });
+
+      const result = await embeddingService.generateEmbedding('Revenue');
+
+      expect(result).toEqual([0.9]);
+      expect(mockOpenAI.embeddings.create).toHaveBeenCalledTimes(2);
+    });
   });
 
   describe('getStats', () => {
@@ -86,6 +86,7 @@ describe('ExcelParserService', () => {
   describe('parseExcelFile', () => {
     beforeEach(async () => {
       await excelParser.initialize();
+      vi.spyOn(excelParser, 'hashFile').mockResolvedValue('abc123');
     });
 
     test('should parse Excel file successfully', async () => {
@@ -110,12 +111,96 @@ describe('ExcelParserService', () => {
       const result = await excelParser.parseExcelFile('test.xlsx');
 
       expect(XLSX.readFile).toHaveBeenCalledWith('test.xlsx');
-      expect(result).toHaveProperty('id', 'test');
+      expect(result).toHaveProperty('id', 'test_abc123');
       expect(result).toHaveProperty('title', 'test');
       expect(result).toHaveProperty('sheets');
       expect(typeof result.sheets).toBe('object');
     });
 
+    test('should link formula dependencies across sheets', async () => {
+      const XLSX = await import('xlsx');
+      const { parseFormula } = await import('../../backend/utils/formula-parser.js');
+      const actual = await vi.importActual('../../backend/utils/formula-parser.js');
+      parseFormula.mockImplementation(actual.parseFormula);
+
+      XLSX.readFile.mockReturnValue({
+        SheetNames: ['Inputs', 'Model'],
+        Sheets: {
+          Inputs: {},
+          Model: { B2: { v: 120, f: 'Inputs!B1*1.2' }, B3: { v: 220, f: 'SUM(B1:B2)' } }
+        }
+      });
+      XLSX.utils.sheet_to_json.mockImplementation(worksheet => (
+        worksheet.B2 ? [['Revenue', '100'], ['Forecast', '120'], ['Total', '220']] : [['Base', '100']]
+      ));
+
+      const result = await excelParser.parseExcelFile('model.xlsx');
+      const modelCells = result.sheets.Model.cells;
+
+      expect(modelCells.find(cell => cell.cellRef === 'B2').precedents).toEqual(['model_abc123:inputs:B1']);
+      expect(modelCells.find(cell => cell.cellRef === 'B3').precedents).toEqual(['model_abc123:model:B1', 'model_abc123:model:B2']);
+      expect(result.dependencies).toEqual({ formulas: 2, edges: 3, unresolved: 0 });
+      expect(result.issues).toEqual({ errors: 0, warnings: 0, byType: {} });
+      expect(modelCells.find(cell => cell.cellRef === 'B3').cachedValue).toBe(220);
+      expect(modelCells.every(cell => Array.isArray(cell.issues))).toBe(true);
+
+      parseFormula.mockImplementation(formula => ({ type: 'formula', expression: formula }));
+    });
+
+    test('should record the file hash and tag documents with the workbook', async () => {
+      const XLSX = await import('xlsx');
+      XLSX.readFile.mockReturnValue({ SheetNames: ['Sheet1'], Sheets: { Sheet1: {} } });
+      XLSX.utils.sheet_to_json.mockReturnValue([
+        ['Revenue', 'Q1'],
+        ['15000', '16000']
+      ]);
+
+      const result = await excelParser.parseExcelFile('uploads/abc', { fileName: 'Budget 2024.xlsx' });
+
+      expect(result.id).toBe('budget_2024_abc123');
+      expect(result.title).toBe('Budget 2024');
+      expect(result.fileHash).toBe('abc123');
+      expect(result.sheets.Sheet1.cells.every(cell => cell.spreadsheetId === 'budget_2024_abc123')).toBe(true);
+    });
+
+    test('should give same-named sheets in different workbooks distinct IDs', async () => {
+      const XLSX = await import('xlsx');
+      XLSX.readFile.mockReturnValue({ SheetNames: ['Summary'], Sheets: { Summary: {} } });
+      XLSX.utils.sheet_to_json.mockReturnValue([
+        ['Revenue', 'Q1'],
+        ['15000', '16000'],
+        ['17000', '18000']
+      ]);
+
+      excelParser.hashFile.mockResolvedValueOnce('1111aaaa');
+      const first = await excelParser.parseExcelFile('a.xlsx', { fileName: 'Model.xlsx' });
+      excelParser.hashFile.mockResolvedValueOnce('2222bbbb');
+      const second = await excelParser.parseExcelFile('b.xlsx', { fileName: 'Model.xlsx' });
+
+      const firstIds = [...first.sheets.Summary.cells, ...first.sheets.Summary.ranges].map(doc => doc.id);
+      const secondIds = [...second.sheets.Summary.cells, ...second.sheets.Summary.ranges].map(doc => doc.id);
+
+      expect(first.sheets.Summary.cells[0].id).toBe('model_1111aaaa:summary:A1');
+      expect(first.sheets.Summary.ranges.length).toBeGreaterThan(0);
+      expect(firstIds.filter(id => secondIds.includes(id))).toEqual([]);
+    });
+
+    test('should give sheets whose names share a slug distinct IDs matching their cells', async () => {
+      const XLSX = await import('xlsx');
+      XLSX.readFile.mockReturnValue({ SheetNames: ['P&L', 'P-L'], Sheets: { 'P&L': {}, 'P-L': {} } });
+      XLSX.utils.sheet_to_json.mockReturnValue([
+        ['Revenue', 'Q1'],
+        ['15000', '16000']
+      ]);
+
+      const result = await excelParser.parseExcelFile('pl.xlsx');
+      const [ampersand, hyphen] = [result.sheets['P&L'], result.sheets['P-L']];
+
+      expect(ampersand.sheetId).not.toBe(hyphen.sheetId);
+      expect(ampersand.cells.every(cell => cell.sheetId === ampersand.sheetId)).toBe(true);
+      expect(hyphen.cells.every(cell => cell.sheetId === hyphen.sheetId)).toBe(true);
+    });
+
     test('should handle file parsing errors', async () => {
       const { default: mockXLSX } = await import('xlsx');
       
@@ -159,6 +244,30 @@ describe('ExcelParserService', () => {
     });
   });
 
+  describe('createRangeDocuments', () => {
+    test('should keep headers that differ only in punctuation apart', () => {
+      const cellOf = (cellRef, header, row) => ({
+        id: `book:summary:${cellRef}`,
+        spreadsheetId: 'book',
+        sheetName: 'Summary',
+        row,
+        column: 1,
+        formattedValue: '1',
+        headers: { column: header }
+      });
+      const cells = [
+        cellOf('B2', 'Revenue %', 2), cellOf('B3', 'Revenue %', 3),
+        cellOf('C2', 'Revenue $', 2), cellOf('C3', 'Revenue $', 3)
+      ];
+
+      const ranges = excelParser.createRangeDocuments(cells, {});
+
+      expect(ranges.map(range => range.header)).toEqual(['Revenue %', 'Revenue $']);
+      expect(new Set(ranges.map(range => range.id)).size).toBe(2);
+      expect(ranges[0].id).toMatch(/^book:summary:range_revenue__-[0-9a-f]{8}$/);
+    });
+  });
+
   describe('getCellReference', () => {
     test('should generate correct cell references', () => {
       expect(excelParser.getCellReference(0, 0)).toBe('A1');
@@ -177,6 +286,27 @@ describe('ExcelParserService', () => {
     });
   });
 
+  describe('getCellFormula', () => {
+    test('should restore the leading "=" that SheetJS strips', () => {
+      const worksheet = { B2: { f: 'SUM(B3:B9)' }, B3: { f: '=B4*2' }, B4: { v: 1 } };
+
+      expect(excelParser.getCellFormula(worksheet, 'B2')).toBe('=SUM(B3:B9)');
+      expect(excelParser.getCellFormula(worksheet, 'B3')).toBe('=B4*2');
+      expect(excelParser.getCellFormula(worksheet, 'B4')).toBeNull();
+    });
+  });
+
+  describe('getCachedValue', () => {
+    test('should return unformatted values and error values', () => {
+      const worksheet = { B2: { t: 'n', v: 0.125, w: '13%' }, B3: { t: 'e', v: 7, w: '#DIV/0!' }, B4: { t: 'b', v: true } };
+
+      expect(excelParser.getCachedValue(worksheet, 'B2')).toBe(0.125);
+      expect(excelParser.getCachedValue(worksheet, 'B3')).toBe('#DIV/0!');
+      expect(excelParser.getCachedValue(worksheet, 'B4')).toBe(true);
+      expect(excelParser.getCachedValue(worksheet, 'B5')).toBeNull();
+    });
+  });
+
   describe('determineCellType', () => {
     test('should determine cell types correctly', () => {
       const numberCell = { rawValue: 123, formula: null };
@@ -187,5 +317,13 @@ describe('ExcelParserService', () => {
       expect(excelParser.determineCellType(stringCell)).toBe('text');
       expect(excelParser.determineCellType(formulaCell)).toBe('formula');
     });
+
+    test('should treat normalized currency and accounting values as numbers', () => {
+      const currencyCell = { rawValue: '$1,250,000', formattedValue: '$1,250,000', numericValue: 1250000, formula: null };
+      const negativeCell = { rawValue: '(3,400)', formattedValue: '(3,400)', numericValue: -3400, formula: null };
+
+      expect(excelParser.determineCellType(currencyCell)).toBe('number');
+      expect(excelParser.determineCellType(negativeCell)).toBe('number');
+    });
   });
 });
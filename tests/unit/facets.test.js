@@ -0,0 +1,49 @@
+import { computeFacets, FACET_KEYS } from '../../backend/utils/facets.js';
+
+const cell = (id, extra) => ({ id, spreadsheetId: 'book', sheetName: 'Summary', type: 'number', labels: [], ...extra });
+
+describe('computeFacets', () => {
+  test('should return every facet, even when empty', () => {
+    expect(Object.keys(computeFacets([]))).toEqual(FACET_KEYS);
+    expect(computeFacets([]).labels).toEqual([]);
+  });
+
+  test('should count each document once per value, most frequent first', () => {
+    const facets = computeFacets([
+      cell('a', { labels: ['revenue', 'total'] }),
+      cell('b', { labels: ['revenue'], type: 'formula', parsedFormula: { type: 'aggregation', functions: ['SUM', 'ROUND'] } }),
+      cell('b', { labels: ['revenue'] }),
+      cell('c', { sheetName: 'Data', labels: ['cost'] })
+    ]);
+
+    expect(facets.labels).toEqual([
+      { value: 'revenue', count: 2 },
+      { value: 'cost', count: 1 },
+      { value: 'total', count: 1 }
+    ]);
+    expect(facets.sheet).toEqual([{ value: 'Summary', count: 2 }, { value: 'Data', count: 1 }]);
+    expect(facets.formulaType).toEqual([{ value: 'aggregation', count: 1 }]);
+    expect(facets.functions.map(f => f.value)).toEqual(['ROUND', 'SUM']);
+  });
+
+  test('should count a range once for each distinct value among its cells', () => {
+    const range = cell('range', {
+      cells: [
+        { type: 'formula', parsedFormula: { type: 'calculation', functions: [] } },
+        { type: 'formula', parsedFormula: { type: 'calculation', functions: [] } },
+        { type: 'number' }
+      ]
+    });
+
+    const facets = computeFacets([range]);
+
+    expect(facets.cellType).toEqual([{ value: 'formula', count: 1 }, { value: 'number', count: 1 }]);
+    expect(facets.formulaType).toEqual([{ value: 'calculation', count: 1 }]);
+  });
+
+  test('should cap the values per facet', () => {
+    const docs = ['a', 'b', 'c'].map(id => cell(id, { labels: [id] }));
+
+    expect(computeFacets(docs, { limit: 2 }).labels).toHaveLength(2);
+  });
+});
@@ -0,0 +1,69 @@
+import { findInconsistentFormulas, getR1C1Formula } from '../../backend/utils/formula-consistency.js';
+import { parseFormula } from '../../backend/utils/formula-parser.js';
+import { columnToIndex } from '../../backend/utils/formula-ast.js';
+
+/**
+ * Cells of one sheet given as { A1: value or "=formula" }
+ */
+function cellsOf(values) {
+  return Object.entries(values).map(([cellRef, value]) => {
+    const [, letters, row] = /^([A-Z]+)(\d+)$/.exec(cellRef);
+    const formula = String(value).startsWith('=') ? value : null;
+    return {
+      id: cellRef,
+      cellRef,
+      row: parseInt(row),
+      column: columnToIndex(letters),
+      formula,
+      numericValue: typeof value === 'number' ? value : null,
+      parsedFormula: formula ? parseFormula(formula) : undefined
+    };
+  });
+}
+
+describe('getR1C1Formula', () => {
+  test('should write a cell formula relative to the cell', () => {
+    const [cell] = cellsOf({ D5: '=C5*1.1' });
+
+    expect(getR1C1Formula(cell)).toBe('=RC[-1]*1.1');
+    expect(getR1C1Formula(cellsOf({ D5: 12 })[0])).toBeNull();
+  });
+});
+
+describe('findInconsistentFormulas', () => {
+  test('should flag a formula that breaks the pattern of its row', () => {
+    const findings = findInconsistentFormulas(cellsOf({
+      B5: 100, C5: '=B5*1.1', D5: '=C5*1.1', E5: '=D5*1.2', F5: '=E5*1.1'
+    }));
+
+    expect([...findings.keys()]).toEqual(['E5']);
+    expect(findings.get('E5')).toEqual({
+      direction: 'row',
+      line: 5,
+      pattern: '=RC[-1]*1.1',
+      formula: '=RC[-1]*1.2',
+      matching: 3
+    });
+  });
+
+  test('should flag hardcoded numbers inside a column of formulas', () => {
+    const findings = findInconsistentFormulas(cellsOf({
+      D2: '=B2-C2', D3: '=B3-C3', D4: 250, D5: '=B5-C5'
+    }));
+
+    expect(findings.get('D4')).toMatchObject({ direction: 'column', line: 4, formula: null, pattern: '=RC[-2]-RC[-1]' });
+  });
+
+  test('should not flag seed values, totals or runs without a clear pattern', () => {
+    const findings = findInconsistentFormulas(cellsOf({
+      // Seed and total around a consistent run
+      B2: 100, B3: '=B2*1.05', B4: '=B3*1.05', B5: '=B4*1.05', B6: '=SUM(B2:B5)',
+      // Every formula different
+      D2: '=C2+1', D3: '=C3*2', D4: '=C4-3',
+      // Broken by a gap into runs too short to judge
+      F2: '=E2', F3: '=E3*2', F5: '=E5', F6: '=E6'
+    }));
+
+    expect(findings.size).toBe(0);
+  });
+});
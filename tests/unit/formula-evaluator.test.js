@@ -0,0 +1,165 @@
+import { evaluateFormula, WorkbookCalculator, valuesMatch, getErrorValue, storedValue } from '../../backend/utils/formula-evaluator.js';
+import { linkDependencies } from '../../backend/utils/dependency-graph.js';
+import { parseFormula } from '../../backend/utils/formula-parser.js';
+import { columnToIndex } from '../../backend/utils/formula-ast.js';
+
+/**
+ * Evaluate a formula whose references all read from a { A1: value } map
+ */
+function evaluate(formula, values = {}) {
+  const { ast } = parseFormula(formula);
+  return evaluateFormula(ast, node => {
+    if (node.type === 'NAME') return undefined;
+    if (node.type === 'CELL_REFERENCE') return values[node.value] ?? null;
+    const [start, end] = node.value.split(':');
+    return [[values[start] ?? null], [values[end] ?? null]];
+  });
+}
+
+/**
+ * Cells of one workbook given as { 'Sheet!A1': [cachedValue, "=formula"?] }, linked
+ */
+function workbookOf(entries) {
+  const sheets = {};
+  for (const [key, [cachedValue, formula = null]] of Object.entries(entries)) {
+    const [sheetName, cellRef] = key.split('!');
+    const [, letters, row] = /^([A-Z]+)(\d+)$/.exec(cellRef);
+    sheets[sheetName] ??= { sheetName, cells: [] };
+    sheets[sheetName].cells.push({
+      id: `wb:${sheetName.toLowerCase()}:${cellRef}`,
+      sheetName,
+      cellRef,
+      row: parseInt(row),
+      column: columnToIndex(letters),
+      cachedValue,
+      formula,
+      parsedFormula: formula ? parseFormula(formula) : undefined
+    });
+  }
+  linkDependencies(sheets);
+  return Object.values(sheets).flatMap(sheet => sheet.cells);
+}
+
+describe('evaluateFormula', () => {
+  test('should apply operators with Excel precedence and coercion', () => {
+    expect(evaluate('=B1*(1+B2)-B3^2', { B1: 100, B2: 0.5, B3: 3 }).value).toBe(141);
+    expect(evaluate('=-B1%+TRUE', { B1: 50 }).value).toBe(0.5);
+    expect(evaluate('=B1&" units"', { B1: 12 }).value).toBe('12 units');
+    expect(evaluate('=B1+1', { B1: '41' }).value).toBe(42);
+    expect(evaluate('=B1', {}).value).toBe(0);
+  });
+
+  test('should compare numbers, text and empty cells the way Excel does', () => {
+    expect(evaluate('=B1="revenue"', { B1: 'Revenue' }).value).toBe(true);
+    expect(evaluate('=B1<"a"', { B1: 1000 }).value).toBe(true);
+    expect(evaluate('=B1=0', {}).value).toBe(true);
+  });
+
+  test('should return and pass on error values', () => {
+    expect(evaluate('=B1/B2', { B1: 1, B2: 0 })).toMatchObject({ value: null, error: '#DIV/0!' });
+    expect(evaluate('=B1+1', { B1: 'n/a' }).error).toBe('#VALUE!');
+    expect(evaluate('=SUM(B1:B2)', { B1: 1, B2: new Error('#N/A') }).error).toBe('#N/A');
+  });
+
+  test('should only evaluate the branch a conditional takes', () => {
+    expect(evaluate('=IF(B2=0,0,B1/B2)', { B1: 1, B2: 0 }).value).toBe(0);
+    expect(evaluate('=IFERROR(B1/B2,"none")', { B1: 1, B2: 0 }).value).toBe('none');
+    expect(evaluate('=IFNA(B1,-1)', { B1: new Error('#N/A') }).value).toBe(-1);
+    expect(evaluate('=ISERROR(B1)', { B1: new Error('#REF!') }).value).toBe(true);
+  });
+
+  test('should look values up in ranges', () => {
+    const table = { B1: 'apples', B2: 'pears' };
+
+    expect(evaluate('=MATCH("pears",B1:B2,0)', table).value).toBe(2);
+    expect(evaluate('=INDEX(B1:B2,2)', table).value).toBe('pears');
+    expect(evaluate('=VLOOKUP("plums",B1:B2,1,FALSE)', table).error).toBe('#N/A');
+    expect(evaluate('=MATCH(25,{10,20,30})').value).toBe(2);
+  });
+
+  test('should call library functions', () => {
+    expect(evaluate('=ROUND(AVERAGE(B1:B2),1)', { B1: 1, B2: 2.15 }).value).toBe(1.6);
+    expect(evaluate('=DATE(2024,1,1)').value).toBe(45292);
+  });
+
+  test('should report unsupported functions, names and volatile functions', () => {
+    expect(evaluate('=XLOOKUP(1,B1:B2,B1:B2)+TaxRate')).toMatchObject({
+      error: '#NAME?',
+      unsupported: ['XLOOKUP', 'TaxRate']
+    });
+    expect(evaluate('=TODAY()').volatile).toBe(true);
+  });
+});
+
+describe('WorkbookCalculator', () => {
+  test('should evaluate formulas against cached values across sheets', () => {
+    const calculator = new WorkbookCalculator(workbookOf({
+      'Inputs!B1': [0.5],
+      'Model!B1': [100],
+      'Model!B2': [999, '=B1*(1+Inputs!B1)'],
+      'Model!B3': [0, '=SUM(B:B)']
+    }));
+
+    expect(calculator.calculate('wb:model:B2').value).toBe(150);
+    // The cached 999, not the recomputed 150, so each formula is checked on its own
+    expect(calculator.calculate('wb:model:B3').value).toBe(1099);
+  });
+
+  test('should recalculate the dependents of a changed cell', () => {
+    const calculator = new WorkbookCalculator(workbookOf({
+      'Model!B1': [100],
+      'Model!B2': [150, '=B1*1.5'],
+      'Model!B3': [250, '=B2+B1'],
+      'Model!B4': [7]
+    }));
+
+    const dependents = calculator.setValue('wb:model:B1', 200);
+
+    expect(dependents.map(({ id, depth }) => [id, depth])).toEqual([['wb:model:B2', 1], ['wb:model:B3', 1]]);
+    expect(calculator.calculate('wb:model:B3').value).toBe(500);
+  });
+
+  test('should fall back to cached values inside circular references', () => {
+    const calculator = new WorkbookCalculator(workbookOf({
+      'Model!B1': [10],
+      'Model!B2': [12, '=B1+B3'],
+      'Model!B3': [2, '=B2*0+2']
+    }));
+
+    calculator.setValue('wb:model:B1', 20);
+
+    expect(calculator.calculate('wb:model:B2').value).toBe(22);
+  });
+
+  test('should return #REF! for missing sheets', () => {
+    const calculator = new WorkbookCalculator(workbookOf({ 'Model!B1': [0, '=Old!A1*2'] }));
+
+    expect(calculator.calculate('wb:model:B1').error).toBe('#REF!');
+  });
+});
+
+describe('valuesMatch', () => {
+  test('should tolerate floating-point noise only', () => {
+    expect(valuesMatch(220, 220.00000000000003)).toBe(true);
+    expect(valuesMatch(220, 220.01)).toBe(false);
+    expect(valuesMatch('#N/A', '#N/A')).toBe(true);
+    expect(valuesMatch(1, true)).toBe(false);
+  });
+});
+
+describe('getErrorValue', () => {
+  test('should recognize displayed error values only', () => {
+    expect(getErrorValue('#name?')).toBe('#NAME?');
+    expect(getErrorValue(' #REF! ')).toBe('#REF!');
+    expect(getErrorValue('#1 product')).toBeNull();
+    expect(getErrorValue(null)).toBeNull();
+  });
+});
+
+describe('storedValue', () => {
+  test('should prefer the cached value over the displayed one', () => {
+    expect(storedValue({ cachedValue: 0.125, numericValue: 0.13, formattedValue: '13%' })).toBe(0.125);
+    expect(storedValue({ numericValue: 1200, formattedValue: '$1,200' })).toBe(1200);
+    expect(storedValue({ numericValue: null, formattedValue: 'TRUE' })).toBe(true);
+  });
+});
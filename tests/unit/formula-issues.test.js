@@ -0,0 +1,135 @@
+import { detectIssues } from '../../backend/utils/formula-issues.js';
+import { linkDependencies } from '../../backend/utils/dependency-graph.js';
+import { parseFormula } from '../../backend/utils/formula-parser.js';
+import { columnToIndex } from '../../backend/utils/formula-ast.js';
+
+/**
+ * A parsed sheet holding cells given as { A1: value or "=formula" }
+ */
+function sheetOf(sheetName, values, { rowCount = 10, columnCount = 4 } = {}) {
+  const cells = Object.entries(values).map(([cellRef, value]) => {
+    const [, letters, row] = /^([A-Z]+)(\d+)$/.exec(cellRef);
+    const formula = String(value).startsWith('=') ? value : null;
+    return {
+      id: `wb:${sheetName.toLowerCase()}:${cellRef}`,
+      sheetName,
+      cellRef,
+      row: parseInt(row),
+      column: columnToIndex(letters),
+      formattedValue: formula ? '0' : String(value),
+      formula,
+      parsedFormula: formula ? parseFormula(formula) : undefined
+    };
+  });
+  return { sheetName, cells, rowCount, columnCount };
+}
+
+/**
+ * Link and check a workbook, returning its cells keyed by A1 reference
+ */
+function check(sheets) {
+  linkDependencies(sheets);
+  const summary = detectIssues(sheets);
+  const cells = Object.fromEntries(Object.values(sheets).flatMap(sheet => sheet.cells.map(cell => [cell.cellRef, cell])));
+  return { summary, cells };
+}
+
+const typesOf = cell => cell.issues.map(issue => issue.type);
+
+describe('detectIssues', () => {
+  test('should leave healthy cells with no issues', () => {
+    const { summary, cells } = check({ Model: sheetOf('Model', { B1: 10, B2: 20, B3: '=SUM(B1:B2)' }) });
+
+    expect(cells.B3.issues).toEqual([]);
+    expect(cells.B1.issues).toEqual([]);
+    expect(summary).toMatchObject({ errors: 0, warnings: 0 });
+  });
+
+  test('should flag every cell of a circular reference', () => {
+    const { cells } = check({ Model: sheetOf('Model', { B1: '=B3', B2: '=B1*2', B3: '=B2+1', C1: '=C1+1' }) });
+
+    expect(cells.B1.issues[0]).toMatchObject({
+      type: 'circular-reference',
+      severity: 'error',
+      message: 'Circular reference: Model!B1 → Model!B3 → Model!B2 → Model!B1',
+      cells: ['wb:model:B1', 'wb:model:B3', 'wb:model:B2']
+    });
+    expect(typesOf(cells.B2)).toEqual(['circular-reference']);
+    expect(typesOf(cells.C1)).toEqual(['circular-reference']);
+  });
+
+  test('should flag references to empty and out-of-bounds cells', () => {
+    const { cells } = check({ Model: sheetOf('Model', { B1: 10, B2: '=B1+C1', B3: '=SUM(D1:D5)', B4: '=B40*2', B5: '=SUM(F1:F3)' }) });
+
+    expect(cells.B2.issues).toEqual([
+      { type: 'empty-reference', severity: 'warning', message: 'References empty cell C1', reference: 'C1' }
+    ]);
+    expect(cells.B3.issues[0].message).toBe('References D1:D5, which has no values');
+    expect(cells.B4.issues[0]).toMatchObject({
+      type: 'out-of-bounds-reference',
+      message: "References B40, outside the sheet's used range (A1:D10)"
+    });
+    expect(typesOf(cells.B5)).toEqual(['out-of-bounds-reference']);
+  });
+
+  test('should flag missing sheets and #REF! in formulas', () => {
+    const { cells } = check({ Model: sheetOf('Model', { B1: "='Old Inputs'!B2*2", B2: '=#REF!+B1' }) });
+
+    expect(cells.B1.issues).toEqual([{
+      type: 'missing-sheet',
+      severity: 'error',
+      message: 'References sheet "Old Inputs", which is not in the workbook',
+      reference: 'Old Inputs!B2'
+    }]);
+    expect(typesOf(cells.B2)).toEqual(['broken-reference']);
+  });
+
+  test('should flag error values and count issues by type', () => {
+    const sheets = {
+      Model: sheetOf('Model', { B1: '#DIV/0!', B2: '#N/A', B3: '=B9' })
+    };
+
+    const { summary, cells } = check(sheets);
+
+    expect(cells.B1.issues).toEqual([{ type: 'error-value', severity: 'error', message: 'Shows #DIV/0!', value: '#DIV/0!' }]);
+    expect(summary).toEqual({ errors: 2, warnings: 1, byType: { 'error-value': 2, 'empty-reference': 1 } });
+  });
+
+  test('should flag formulas whose cached value does not follow from their inputs', () => {
+    const sheet = sheetOf('Model', { B1: 100, B2: '=B1*2', B3: '=B2+1', B4: '=TODAY()' });
+    const cachedValues = { B1: 100, B2: 150, B3: 151, B4: 1 };
+    sheet.cells.forEach(cell => { cell.cachedValue = cachedValues[cell.cellRef]; });
+
+    const { summary, cells } = check({ Model: sheet });
+
+    expect(cells.B2.issues).toEqual([{
+      type: 'calculation-mismatch',
+      severity: 'warning',
+      message: 'Cached value 150 differs from the computed value 200',
+      cachedValue: 150,
+      computedValue: 200
+    }]);
+    // B3 agrees with the cached B2, and volatile formulas are not checked
+    expect(cells.B3.issues).toEqual([]);
+    expect(cells.B4.issues).toEqual([]);
+    expect(summary.byType).toEqual({ 'calculation-mismatch': 1 });
+  });
+
+  test('should flag formulas that break the pattern of their row', () => {
+    const sheet = sheetOf('Model', { A2: 100, B2: '=A2*1.1', C2: '=B2*1.1', D2: '=C2*1.2', E2: 150, F2: '=E2*1.1', G2: '=F2*1.1' }, { columnCount: 7 });
+    sheet.cells.forEach(cell => { cell.numericValue = cell.formula ? null : Number(cell.formattedValue); });
+
+    const { summary, cells } = check({ Model: sheet });
+
+    expect(cells.D2.issues).toEqual([{
+      type: 'inconsistent-formula',
+      severity: 'warning',
+      message: 'Formula =RC[-1]*1.2 differs from =RC[-1]*1.1, used by 4 neighboring cells in row 2',
+      pattern: '=RC[-1]*1.1',
+      r1c1: '=RC[-1]*1.2'
+    }]);
+    expect(cells.E2.issues[0].message).toBe('Hardcoded value where 4 neighboring cells in row 2 use =RC[-1]*1.1');
+    expect(typesOf(cells.A2)).toEqual([]);
+    expect(summary.byType).toEqual({ 'inconsistent-formula': 2 });
+  });
+});
@@ -0,0 +1,76 @@
+import { parseFormula } from '../../backend/utils/formula-parser.js';
+import { tokenizeFormula, columnToIndex, indexToColumn, toR1C1 } from '../../backend/utils/formula-ast.js';
+
+describe('parseFormula', () => {
+  test('should return null for values that are not formulas', () => {
+    expect(parseFormula('Revenue')).toBeNull();
+    expect(parseFormula(null)).toBeNull();
+  });
+
+  test('should extract functions, references and type', () => {
+    const parsed = parseFormula('=SUM($B$2:B10)/COUNT(B2:B10)');
+
+    expect(parsed.functions).toEqual(['SUM', 'COUNT']);
+    expect(parsed.references).toEqual([
+      { range: 'B2:B10', sheet: null, absolute: true },
+      { range: 'B2:B10', sheet: null, absolute: false }
+    ]);
+    expect(parsed.operators).toEqual(['/']);
+    expect(parsed.type).toBe('aggregation');
+  });
+
+  test('should resolve sheet-qualified references and whole-column ranges', () => {
+    const parsed = parseFormula("=VLOOKUP(A2,'Cost Analysis'!A:C,3,FALSE)");
+
+    expect(parsed.type).toBe('lookup');
+    expect(parsed.references).toEqual([
+      { cell: 'A2', sheet: null, absolute: false },
+      { range: 'A:C', sheet: 'Cost Analysis', absolute: false }
+    ]);
+  });
+
+  test('should follow Excel operator precedence', () => {
+    const { ast } = parseFormula('=-B2^2+C2*10%');
+
+    expect(ast).toMatchObject({
+      type: 'OPERATOR',
+      value: '+',
+      args: [
+        { type: 'OPERATOR', value: '^', args: [{ type: 'OPERATOR', value: '-', unary: true }, { type: 'NUMBER', value: 2 }] },
+        { type: 'OPERATOR', value: '*', args: [{ type: 'CELL_REFERENCE', value: 'C2' }, { type: 'OPERATOR', value: '%' }] }
+      ]
+    });
+  });
+
+  test('should classify conditionals and report syntax errors', () => {
+    expect(parseFormula('=IF(B12<>0,C12/B12,"")').type).toBe('conditional');
+    expect(parseFormula('=SUM(A1:B2').error).toBe('Expected ")" but found end of formula');
+  });
+});
+
+describe('formula tokens', () => {
+  test('should keep function names apart from cell-like words', () => {
+    expect(tokenizeFormula('LOG10(A1)&"a""b"').map(t => t.type)).toEqual([
+      'FUNCTION', 'PUNCTUATION', 'REFERENCE', 'PUNCTUATION', 'OPERATOR', 'STRING'
+    ]);
+  });
+
+  test('should convert between column letters and indexes', () => {
+    expect(columnToIndex('AB')).toBe(28);
+    expect(indexToColumn(28)).toBe('AB');
+  });
+});
+
+describe('toR1C1', () => {
+  const r1c1 = (formula, row, column) => toR1C1(parseFormula(formula).ast, { row, column });
+
+  test('should write references relative to the formula cell unless anchored', () => {
+    expect(r1c1('=$B$2*(1+B$3)-$A4', 5, 3)).toBe('=R2C2*(1+R3C[-1])-R[-1]C1');
+    expect(r1c1("=SUM('Q1 Data'!B2:B10)/C5", 5, 3)).toBe("=SUM('Q1 Data'!R[-3]C[-1]:R[5]C[-1])/RC");
+  });
+
+  test('should give copies of a formula the same R1C1 form', () => {
+    expect(r1c1('=IF(B7<>0,C7/B7,"")', 7, 5)).toBe(r1c1('=IF(B8<>0,C8/B8,"")', 8, 5));
+    expect(r1c1('=-(B2+C2)^2%', 2, 4)).toBe('=-(RC[-2]+RC[-1])^2%');
+  });
+});
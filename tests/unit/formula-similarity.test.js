@@ -0,0 +1,48 @@
+import { formulaShape, formulaSimilarity, jaccard } from '../../backend/utils/formula-similarity.js';
+import { parseFormula } from '../../backend/utils/formula-parser.js';
+
+const shapeOf = (formula, row, column) => formulaShape(parseFormula(formula), { row, column });
+
+describe('formulaShape', () => {
+  test('should erase references and constants from the skeleton', () => {
+    expect(shapeOf('=SUM(B2:B10)*1.1', 11, 2).skeleton).toBe('(SUM(range)*n)');
+    expect(shapeOf('=IF(A1>0,"yes",B1)', 1, 3).skeleton).toBe('IF((ref>n),s,ref)');
+  });
+
+  test('should describe references relative to the formula cell', () => {
+    expect([...shapeOf('=SUM(B2:B10)', 11, 2).references]).toEqual(['range:column:aligned']);
+    expect([...shapeOf('=B5/B3', 6, 2).references]).toEqual(['cell:above']);
+    expect([...shapeOf('=C6-A6+$F$1', 6, 4).references]).toEqual(['cell:left', 'cell:absolute']);
+    expect([...shapeOf("='Inputs'!B2*2", 6, 4).references]).toEqual(['cell:other-sheet']);
+  });
+
+  test('should return null without a parsed formula', () => {
+    expect(formulaShape(null)).toBeNull();
+    expect(formulaShape({ error: 'Unexpected token', functions: [] })).toBeNull();
+  });
+});
+
+describe('formulaSimilarity', () => {
+  test('should treat the same formula in another place as identical', () => {
+    expect(formulaSimilarity(shapeOf('=SUM(B2:B10)', 11, 2), shapeOf('=SUM(D5:D40)', 41, 4))).toBe(1);
+    expect(formulaSimilarity(shapeOf('=B5/B3', 6, 2), shapeOf('=C12/C8', 13, 3))).toBe(1);
+  });
+
+  test('should give partial credit for shared functions', () => {
+    const similarity = formulaSimilarity(shapeOf('=SUM(B2:B10)', 11, 2), shapeOf('=SUM(B2:B10)/C1', 11, 4));
+
+    expect(similarity).toBeGreaterThan(0);
+    expect(similarity).toBeLessThan(0.6);
+  });
+
+  test('should score unrelated formulas as 0', () => {
+    expect(formulaSimilarity(shapeOf('=SUM(B2:B10)', 11, 2), shapeOf('=B11*12', 11, 3))).toBe(0);
+  });
+});
+
+describe('jaccard', () => {
+  test('should compare sets', () => {
+    expect(jaccard(new Set(['a', 'b']), new Set(['b', 'c']))).toBeCloseTo(1 / 3);
+    expect(jaccard(new Set(), new Set())).toBe(1);
+  });
+});
@@ -0,0 +1,55 @@
+import { fuseRankings, DEFAULT_RRF_K } from '../../backend/utils/fusion.js';
+
+const semantic = [
+  { id: 'a', relevance: 0.9, explanation: 'semantic a' },
+  { id: 'b', relevance: 0.8 },
+  { id: 'c', relevance: 0.5 }
+];
+const keyword = [
+  { id: 'c', relevance: 1.2, explanation: 'keyword c' },
+  { id: 'd', relevance: 0.6 }
+];
+
+describe('fuseRankings', () => {
+  test('should merge and deduplicate with reciprocal rank fusion', () => {
+    const fused = fuseRankings({ semantic, keyword });
+
+    expect(fused.map(result => result.id)).toEqual(['c', 'a', 'b', 'd']);
+    expect(fused[0].relevance).toBeCloseTo(1 / (DEFAULT_RRF_K + 3) + 1 / (DEFAULT_RRF_K + 1));
+    expect(fused[0].ranks).toEqual({ semantic: 3, keyword: 1 });
+    expect(fused[0].scores).toEqual({ semantic: 0.5, keyword: 1.2 });
+    expect(fused[3].ranks).toEqual({ semantic: null, keyword: 2 });
+  });
+
+  test('should keep the first ranker\'s copy of a shared result', () => {
+    const fused = fuseRankings({ semantic, keyword });
+
+    expect(fused.find(result => result.id === 'c').explanation).toBeUndefined();
+    expect(fused.find(result => result.id === 'a').explanation).toBe('semantic a');
+  });
+
+  test('should apply per-ranker weights', () => {
+    const fused = fuseRankings({ semantic, keyword }, { weights: { semantic: 0, keyword: 1 } });
+
+    expect(fused.slice(0, 2).map(result => result.id)).toEqual(['c', 'd']);
+  });
+
+  test('should combine min-max normalized scores in weighted mode', () => {
+    const fused = fuseRankings({ semantic, keyword }, { method: 'weighted' });
+
+    // c: semantic (0.5 - 0.5) / 0.4 = 0, keyword 1; a: semantic 1, absent from keyword
+    expect(fused.find(result => result.id === 'c').relevance).toBeCloseTo(1);
+    expect(fused.find(result => result.id === 'a').relevance).toBeCloseTo(1);
+    expect(fused.find(result => result.id === 'b').relevance).toBeCloseTo(0.75);
+    expect(fused.find(result => result.id === 'd').relevance).toBeCloseTo(0);
+  });
+
+  test('should normalize rankings longer than the call stack in weighted mode', () => {
+    const long = Array.from({ length: 200000 }, (_, i) => ({ id: `cell${i}`, relevance: 1 - i / 200000 }));
+
+    const fused = fuseRankings({ semantic: long }, { method: 'weighted' });
+
+    expect(fused[0]).toMatchObject({ id: 'cell0', relevance: 1 });
+    expect(fused.at(-1).relevance).toBe(0);
+  });
+});
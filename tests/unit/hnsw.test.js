@@ -0,0 +1,118 @@
+import { HnswIndex } from '../../backend/utils/hnsw.js';
+
+/**
+ * Deterministic pseudo-random generator so graphs are reproducible
+ */
+function seededRandom(seed = 42) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+}
+
+function randomVectors(count, dimensions, random) {
+  return Array.from({ length: count }, () =>
+    Array.from({ length: dimensions }, () => random() - 0.5)
+  );
+}
+
+function cosine(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / Math.sqrt(normA * normB);
+}
+
+function exactTopK(query, vectors, ids, k) {
+  return vectors
+    .map((vector, i) => ({ id: ids[i], similarity: cosine(query, vector) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map(result => result.id);
+}
+
+describe('HnswIndex', () => {
+  test('should return exact matches with cosine similarity', () => {
+    const index = new HnswIndex({ random: seededRandom() });
+    index.add('x', [1, 0, 0]);
+    index.add('y', [0, 1, 0]);
+    index.add('xy', [1, 1, 0]);
+
+    const results = index.search([2, 0, 0], 2);
+
+    expect(results[0]).toEqual({ id: 'x', similarity: expect.closeTo(1, 5) });
+    expect(results[1].id).toBe('xy');
+    expect(results[1].similarity).toBeCloseTo(Math.SQRT1_2, 5);
+  });
+
+  test('should reach high recall against brute force', () => {
+    const random = seededRandom();
+    const vectors = randomVectors(500, 16, random);
+    const ids = vectors.map((_, i) => `doc${i}`);
+    const index = new HnswIndex({ random });
+    vectors.forEach((vector, i) => index.add(ids[i], vector));
+
+    let found = 0;
+    const queries = randomVectors(20, 16, random);
+    for (const query of queries) {
+      const expected = new Set(exactTopK(query, vectors, ids, 10));
+      found += index.search(query, 10).filter(({ id }) => expected.has(id)).length;
+    }
+
+    expect(found / (queries.length * 10)).toBeGreaterThan(0.9);
+  });
+
+  test('should never return deleted vectors', () => {
+    const random = seededRandom();
+    const vectors = randomVectors(100, 8, random);
+    const index = new HnswIndex({ random, rebuildRatio: 1 });
+    vectors.forEach((vector, i) => index.add(`doc${i}`, vector));
+
+    for (let i = 0; i < 50; i++) {
+      index.remove(`doc${i}`);
+    }
+
+    const results = index.search(vectors[10], 20);
+    expect(index.size).toBe(50);
+    expect(results).toHaveLength(20);
+    expect(results.every(({ id }) => Number(id.slice(3)) >= 50)).toBe(true);
+  });
+
+  test('should rebuild once tombstones pass the ratio', () => {
+    const random = seededRandom();
+    const index = new HnswIndex({ random, rebuildRatio: 0.3 });
+    randomVectors(10, 4, random).forEach((vector, i) => index.add(`doc${i}`, vector));
+
+    index.remove('doc0');
+    index.remove('doc1');
+    index.remove('doc2');
+    expect(index.getStats().deleted).toBe(3);
+
+    index.remove('doc3');
+    expect(index.getStats()).toMatchObject({ size: 6, deleted: 0 });
+    expect(index.nodes).toHaveLength(6);
+  });
+
+  test('should replace a vector re-added under the same ID', () => {
+    const index = new HnswIndex({ random: seededRandom() });
+    index.add('a', [1, 0]);
+    index.add('b', [0, 1]);
+    index.add('a', [0, 1]);
+
+    expect(index.size).toBe(2);
+    expect(index.search([0, 1], 2).map(({ similarity }) => similarity)).toEqual([
+      expect.closeTo(1, 5),
+      expect.closeTo(1, 5)
+    ]);
+  });
+
+  test('should ignore vectors with mismatched dimensions', () => {
+    const index = new HnswIndex();
+    expect(index.add('a', [1, 0, 0])).toBe(true);
+    expect(index.add('b', [1, 0])).toBe(false);
+    expect(index.search([1, 0], 5)).toEqual([]);
+  });
+});
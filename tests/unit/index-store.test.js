@@ -0,0 +1,170 @@
+import { IndexStore, INDEX_SCHEMA_VERSION } from '../../backend/services/index-store.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('IndexStore', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-store-'));
+    filePath = path.join(tempDir, 'index.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('load', () => {
+    test('should create an empty versioned snapshot when no file exists', async () => {
+      const store = new IndexStore({ filePath, enabled: true });
+
+      const documents = await store.load();
+
+      expect(documents.size).toBe(0);
+      const header = JSON.parse(fs.readFileSync(filePath, 'utf8').split('\n')[0]);
+      expect(header.op).toBe('header');
+      expect(header.schemaVersion).toBe(INDEX_SCHEMA_VERSION);
+    });
+
+    test('should replay puts, deletes and clears', async () => {
+      const store = new IndexStore({ filePath, enabled: true });
+      await store.load();
+
+      await store.put([{ id: 'a', embedding: [0.5, 0.25] }, { id: 'b', embedding: [1, 0] }]);
+      await store.delete(['a']);
+      await store.put([{ id: 'c', labels: ['revenue'] }]);
+
+      const reloaded = await new IndexStore({ filePath, enabled: true }).load();
+
+      expect([...reloaded.keys()]).toEqual(['b', 'c']);
+      expect(reloaded.get('b').embedding).toEqual([1, 0]);
+      expect(reloaded.get('c').labels).toEqual(['revenue']);
+    });
+
+    test('should skip truncated trailing lines', async () => {
+      const store = new IndexStore({ filePath, enabled: true });
+      await store.load();
+      await store.put([{ id: 'a' }]);
+      fs.appendFileSync(filePath, '{"op":"put","doc":{"id":"b"');
+
+      const reloaded = new IndexStore({ filePath, enabled: true });
+      const documents = await reloaded.load();
+
+      expect(documents.size).toBe(1);
+      expect(reloaded.getStats().skippedLines).toBe(1);
+    });
+
+    test('should refuse to touch snapshots from a newer schema', async () => {
+      const contents = JSON.stringify({ op: 'header', schemaVersion: INDEX_SCHEMA_VERSION + 1 }) + '\n';
+      fs.writeFileSync(filePath, contents);
+
+      const store = new IndexStore({ filePath, enabled: true });
+      const documents = await store.load();
+      await store.put([{ id: 'a' }]);
+
+      expect(documents.size).toBe(0);
+      expect(store.enabled).toBe(false);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe(contents);
+    });
+
+    test('should quarantine snapshots without a header', async () => {
+      fs.writeFileSync(filePath, '{"op":"put","doc":{"id":"a"}}\n');
+
+      const documents = await new IndexStore({ filePath, enabled: true }).load();
+
+      expect(documents.size).toBe(0);
+      expect(fs.readdirSync(tempDir).some(name => name.endsWith('.bak'))).toBe(true);
+    });
+  });
+
+  describe('migrations', () => {
+    test('should re-key v1 documents under their workbook', async () => {
+      const lines = [
+        { op: 'header', schemaVersion: 1 },
+        { op: 'put', doc: { id: 'summary_2_1', spreadsheetId: 'summary', workbookId: 'budget', sheetName: 'Summary', cellRef: 'A2' } },
+        { op: 'put', doc: { id: 'range_Summary_Revenue', spreadsheetId: 'summary', sheetName: 'Summary', header: 'Revenue', cells: [] } }
+      ];
+      fs.writeFileSync(filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+
+      const documents = await new IndexStore({ filePath, enabled: true }).load();
+
+      expect([...documents.keys()]).toEqual(['budget:summary:A2', 'legacy:summary:range_revenue']);
+      expect(documents.get('budget:summary:A2')).toMatchObject({ spreadsheetId: 'budget', legacyId: 'summary_2_1' });
+      expect(documents.get('budget:summary:A2')).not.toHaveProperty('workbookId');
+
+      const header = JSON.parse(fs.readFileSync(filePath, 'utf8').split('\n')[0]);
+      expect(header.schemaVersion).toBe(INDEX_SCHEMA_VERSION);
+    });
+  });
+
+  describe('migrations from v2', () => {
+    test('should re-key sheets whose names are not slugs and follow precedents', async () => {
+      const lines = [
+        { op: 'header', schemaVersion: 2 },
+        { op: 'put', doc: { id: 'book:p_l:B2', spreadsheetId: 'book', sheetName: 'P&L', cellRef: 'B2' } },
+        { op: 'put', doc: { id: 'book:summary:B3', spreadsheetId: 'book', sheetName: 'Summary', cellRef: 'B3', precedents: ['book:p_l:B2'] } }
+      ];
+      fs.writeFileSync(filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+
+      const documents = await new IndexStore({ filePath, enabled: true }).load();
+
+      const [pnlId] = [...documents.keys()];
+      expect(pnlId).toMatch(/^book:p_l-[0-9a-f]{8}:B2$/);
+      expect(documents.get('book:summary:B3').precedents).toEqual([pnlId]);
+    });
+  });
+
+  describe('compaction', () => {
+    test('should report compaction once dead entries outnumber live documents', async () => {
+      const store = new IndexStore({ filePath, enabled: true, minCompactionOperations: 4 });
+      await store.load();
+
+      await store.put([{ id: 'a' }, { id: 'b' }]);
+      expect(store.needsCompaction(2)).toBe(false);
+
+      await store.put([{ id: 'a' }, { id: 'b' }, { id: 'a' }]);
+      expect(store.needsCompaction(2)).toBe(true);
+      expect(store.needsCompaction(5)).toBe(false);
+    });
+
+    test('should rewrite the log to the live documents', async () => {
+      const store = new IndexStore({ filePath, enabled: true, minCompactionOperations: 1 });
+      await store.load();
+      await store.put([{ id: 'a', labels: ['old'] }, { id: 'a', labels: ['new'] }, { id: 'b' }]);
+      await store.delete(['b']);
+
+      await store.compact(new Map([['a', { id: 'a', labels: ['new'] }]]));
+
+      expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(2);
+      expect(store.needsCompaction(1)).toBe(false);
+      const documents = await new IndexStore({ filePath, enabled: true }).load();
+      expect(documents.get('a').labels).toEqual(['new']);
+    });
+  });
+
+  describe('clear', () => {
+    test('should drop all persisted documents', async () => {
+      const store = new IndexStore({ filePath, enabled: true });
+      await store.load();
+      await store.put([{ id: 'a' }]);
+
+      await store.clear();
+
+      const documents = await new IndexStore({ filePath, enabled: true }).load();
+      expect(documents.size).toBe(0);
+    });
+  });
+
+  describe('disabled store', () => {
+    test('should not write anything', async () => {
+      const store = new IndexStore({ filePath, enabled: false });
+
+      await store.load();
+      await store.put([{ id: 'a' }]);
+
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+});
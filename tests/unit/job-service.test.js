@@ -0,0 +1,173 @@
+import { JobService } from '../../backend/services/job-service.js';
+
+// Mock dependencies
+vi.mock('../../backend/services/index.js', () => ({
+  excelParserService: {
+    parseExcelFile: vi.fn(),
+    getDefaultFilePaths: vi.fn(() => [])
+  },
+  searchService: {
+    addToIndex: vi.fn(),
+    addRangesToIndex: vi.fn(),
+    replaceWorkbookDocuments: vi.fn(),
+    getStats: vi.fn(() => ({ totalDocuments: 3 }))
+  },
+  workbookRegistry: {
+    register: vi.fn()
+  }
+}));
+
+const spreadsheetData = {
+  id: 'budget_abc',
+  title: 'Budget',
+  sheets: {
+    Summary: {
+      cells: [{ id: 'budget_abc:summary:A1' }, { id: 'budget_abc:summary:A2' }],
+      ranges: [{ id: 'budget_abc:summary:range_revenue', cells: [] }]
+    }
+  }
+};
+
+/**
+ * Wait until a job reaches a terminal state
+ */
+function waitForJob(jobService, id) {
+  return new Promise(resolve => {
+    const unsubscribe = jobService.subscribe(id, job => {
+      if (jobService.isFinished(job)) {
+        unsubscribe();
+        resolve(job);
+      }
+    });
+  });
+}
+
+describe('JobService', () => {
+  let jobService;
+  let mocks;
+
+  beforeEach(async () => {
+    jobService = new JobService({ progressInterval: 0 });
+    mocks = await import('../../backend/services/index.js');
+    vi.clearAllMocks();
+
+    mocks.excelParserService.parseExcelFile.mockResolvedValue(spreadsheetData);
+    mocks.searchService.addToIndex.mockImplementation(async (docs, { onProgress }) => {
+      docs.forEach(() => onProgress({ embedded: 1, labeled: 1 }));
+      return docs;
+    });
+    mocks.searchService.addRangesToIndex.mockImplementation(async (docs, { onProgress }) => {
+      docs.forEach(() => onProgress({ embedded: 1, labeled: 1 }));
+      return docs;
+    });
+  });
+
+  describe('enqueue', () => {
+    test('should return a queued job immediately', () => {
+      const job = jobService.enqueue('upload', { files: [{ path: 'uploads/a', originalname: 'budget.xlsx' }] });
+
+      expect(job.status).toBe('queued');
+      expect(job.phase).toBe('queued');
+      expect(job.progress.filesTotal).toBe(1);
+      expect(jobService.get(job.id)).not.toBeNull();
+    });
+  });
+
+  describe('runJob', () => {
+    test('should parse, register and index uploaded files', async () => {
+      const queued = jobService.enqueue('upload', { files: [{ path: 'uploads/a', originalname: 'budget.xlsx' }] });
+
+      const job = await waitForJob(jobService, queued.id);
+
+      expect(job.status).toBe('completed');
+      expect(job.progress).toMatchObject({
+        filesParsed: 1,
+        cellsParsed: 2,
+        rangesParsed: 1,
+        cellsEmbedded: 2,
+        rangesEmbedded: 1,
+        labelsGenerated: 3
+      });
+      expect(job.result.stats.totalCells).toBe(2);
+      expect(mocks.excelParserService.parseExcelFile).toHaveBeenCalledWith('uploads/a', { fileName: 'budget.xlsx' });
+      expect(mocks.workbookRegistry.register).toHaveBeenCalledWith({ ...spreadsheetData, fileName: 'budget.xlsx' });
+      expect(mocks.searchService.replaceWorkbookDocuments).toHaveBeenCalledWith(['budget_abc'], [
+        { id: 'budget_abc:summary:A1' },
+        { id: 'budget_abc:summary:A2' },
+        { id: 'budget_abc:summary:range_revenue', cells: [] }
+      ]);
+    });
+
+    test('should leave previous documents and records alone when indexing fails', async () => {
+      mocks.searchService.addRangesToIndex.mockRejectedValue(new Error('Rate limited'));
+      const queued = jobService.enqueue('upload', { files: [{ path: 'uploads/a', originalname: 'budget.xlsx' }] });
+
+      const job = await waitForJob(jobService, queued.id);
+
+      expect(job.status).toBe('failed');
+      expect(mocks.searchService.replaceWorkbookDocuments).not.toHaveBeenCalled();
+      expect(mocks.workbookRegistry.register).not.toHaveBeenCalled();
+    });
+
+    test('should record per-file parse errors and keep going', async () => {
+      mocks.excelParserService.parseExcelFile
+        .mockRejectedValueOnce(new Error('Corrupt file'))
+        .mockResolvedValueOnce(spreadsheetData);
+
+      const queued = jobService.enqueue('upload', {
+        files: [
+          { path: 'uploads/a', originalname: 'broken.xlsx' },
+          { path: 'uploads/b', originalname: 'budget.xlsx' }
+        ]
+      });
+      const job = await waitForJob(jobService, queued.id);
+
+      expect(job.status).toBe('completed');
+      expect(job.errors).toEqual([{ phase: 'parsing', fileName: 'broken.xlsx', message: 'Corrupt file' }]);
+      expect(job.result.results.map(result => result.success)).toEqual([false, true]);
+    });
+
+    test('should fail the job when indexing fails', async () => {
+      mocks.searchService.addToIndex.mockRejectedValue(new Error('Rate limited'));
+
+      const queued = jobService.enqueue('upload', { files: [{ path: 'uploads/a', originalname: 'budget.xlsx' }] });
+      const job = await waitForJob(jobService, queued.id);
+
+      expect(job.status).toBe('failed');
+      expect(job.phase).toBe('failed');
+      expect(job.errors).toEqual([{ phase: 'indexing_cells', message: 'Rate limited' }]);
+    });
+
+    test('should resolve default files for load-default jobs', async () => {
+      mocks.excelParserService.getDefaultFilePaths.mockReturnValue(['/project/Model.xlsx']);
+
+      const queued = jobService.enqueue('load-default', { options: {} });
+      const job = await waitForJob(jobService, queued.id);
+
+      expect(job.progress.filesTotal).toBe(1);
+      expect(mocks.excelParserService.parseExcelFile).toHaveBeenCalledWith('/project/Model.xlsx', { fileName: 'Model.xlsx' });
+    });
+  });
+
+  describe('estimateRemaining', () => {
+    test('should extrapolate from the embedding rate', () => {
+      const job = {
+        status: 'running',
+        indexingStartedAt: Date.now() - 10000,
+        progress: { cellsParsed: 100, rangesParsed: 0, cellsEmbedded: 50, rangesEmbedded: 0 }
+      };
+
+      expect(jobService.estimateRemaining(job)).toBe(10);
+    });
+
+    test('should return null before anything is embedded', () => {
+      const job = {
+        status: 'running',
+        indexingStartedAt: Date.now(),
+        progress: { cellsParsed: 100, rangesParsed: 0, cellsEmbedded: 0, rangesEmbedded: 0 }
+      };
+
+      expect(jobService.estimateRemaining(job)).toBeNull();
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import { LabelService } from '../../backend/services/label-service.js';
+import { RateLimiter } from '../../backend/utils/rate-limiter.js';
 import { vi } from 'vitest';
 
 // Mock OpenAI
@@ -56,10 +57,16 @@ describe('LabelService', () => {
   describe('constructor', () => {
     test('should initialize with correct defaults', () => {
       expect(labelService.model).toBe('gpt-3.5-turbo');
-      expect(labelService.rateLimitDelay).toBe(1000);
+      expect(labelService.rateLimiter).toBeInstanceOf(RateLimiter);
       expect(labelService.initialized).toBe(false);
       expect(labelService.labelCache).toBeInstanceOf(Map);
     });
+
+    test('should use a rate limiter shared with other services', () => {
+      const rateLimiter = new RateLimiter({ name: 'openai' });
+
+      expect(new LabelService({ rateLimiter }).rateLimiter).toBe(rateLimiter);
+    });
   });
 
   describe('initialize', () => {
@@ -145,6 +152,21 @@ describe('LabelService', () => {
       expect(mockOpenAI.chat.completions.create).toHaveBeenCalledTimes(1);
     });
 
+    test('should key the cache by prompt content rather than cell ID', async () => {
+      mockOpenAI.chat.completions.create.mockResolvedValue({
+        choices: [{ message: { content: JSON.stringify({ labels: ['cost'], confidence: [0.7] }) } }]
+      });
+
+      await labelService.generateLLMLabels({ id: 'test_cell', sheetName: 'Dashboard', headers: { row: 'Revenue' } });
+      await labelService.generateLLMLabels({ id: 'test_cell', sheetName: 'Dashboard', headers: { row: 'Cost' } });
+
+      expect(mockOpenAI.chat.completions.create).toHaveBeenCalledTimes(2);
+      expect(Array.from(labelService.labelCache.keys())).toEqual([
+        expect.stringMatching(/^labels:[0-9a-f]{64}$/),
+        expect.stringMatching(/^labels:[0-9a-f]{64}$/)
+      ]);
+    });
+
     test('should handle API errors', async () => {
       mockOpenAI.chat.completions.create.mockRejectedValue(new Error('API Error'));
 
@@ -166,6 +188,33 @@ describe('LabelService', () => {
     });
   });
 
+  describe('generateLabels', () => {
+    test('should label cells that break the formula pattern of their neighbors', async () => {
+      const cell = {
+        formula: '=D5*1.2',
+        issues: [{ type: 'inconsistent-formula', severity: 'warning' }]
+      };
+
+      const result = await labelService.generateLabels(cell);
+
+      expect(result.labels).toEqual(['revenue', 'calculation', 'inconsistent formula']);
+      expect(result.explanation).toBe('contains revenue-related terms; breaks the formula pattern of its row or column');
+    });
+
+    test('should label ranges holding an inconsistent formula', async () => {
+      const range = {
+        id: 'range-1',
+        hasFormulas: true,
+        cells: [{ issues: [] }, { issues: [{ type: 'inconsistent-formula' }] }]
+      };
+
+      const result = await labelService.generateRangeLabels(range);
+
+      expect(result.labels).toContain('inconsistent formula');
+      expect((await labelService.generateLabels({ formula: '=B2' })).labels).not.toContain('inconsistent formula');
+    });
+  });
+
   describe('generateExplanation', () => {
     beforeEach(async () => {
       process.env.OPENAI_API_KEY = 'test-key';
@@ -0,0 +1,47 @@
+import { parseNumericValue, getCellNumber, isScaleWord } from '../../backend/utils/numeric-values.js';
+
+describe('parseNumericValue', () => {
+  test.each([
+    [1250, 1250],
+    ['1,250,000', 1250000],
+    ['$1,250.50', 1250.5],
+    ['€ 300', 300],
+    ['EUR 300', 300],
+    ['-42', -42],
+    ['(3,400)', -3400],
+    ['($1,200)', -1200],
+    ['$-75', -75],
+    ['.5', 0.5],
+    ['1.5M', 1500000],
+    ['20k', 20000],
+    ['2 billion', 2000000000],
+    ['12.5%', 0.125]
+  ])('should parse %s', (input, expected) => {
+    expect(parseNumericValue(input)?.value ?? null).toBe(expected);
+  });
+
+  test('should flag percentages', () => {
+    expect(parseNumericValue('10%')).toEqual({ value: 0.1, percent: true });
+    expect(parseNumericValue(0.1)).toEqual({ value: 0.1, percent: false });
+  });
+
+  test.each(['Revenue', '2024-01-15', '1,25', '12 apples', '', NaN, null])('should reject %s', input => {
+    expect(parseNumericValue(input)).toBeNull();
+  });
+
+  test('should recognize scale words', () => {
+    expect(isScaleWord('Million')).toBe(true);
+    expect(isScaleWord('units')).toBe(false);
+  });
+});
+
+describe('getCellNumber', () => {
+  test('should prefer the value normalized at parse time', () => {
+    expect(getCellNumber({ rawValue: '$1,200', numericValue: 1200, type: 'number' })).toEqual({ value: 1200, percent: false });
+    expect(getCellNumber({ rawValue: 'Total', numericValue: null, type: 'text' })).toBeNull();
+  });
+
+  test('should normalize documents indexed without numericValue', () => {
+    expect(getCellNumber({ rawValue: '8%', formattedValue: '8%', type: 'percentage' })).toEqual({ value: 0.08, percent: true });
+  });
+});
@@ -0,0 +1,108 @@
+import { parseSearchQuery, QuerySyntaxError } from '../../backend/utils/query-parser.js';
+
+describe('parseSearchQuery', () => {
+  test('should pass plain queries through as free text', () => {
+    expect(parseSearchQuery('Find all profitability metrics')).toEqual({
+      text: 'Find all profitability metrics',
+      filters: undefined
+    });
+  });
+
+  test('should turn field operators into filters and keep the free text', () => {
+    expect(parseSearchQuery('sheet:"P&L" fn:VLOOKUP label:revenue margin')).toEqual({
+      text: 'margin',
+      filters: { sheet: 'P&L', functions: 'VLOOKUP', labels: 'revenue' }
+    });
+  });
+
+  test('should negate fields and words', () => {
+    expect(parseSearchQuery('type:formula -label:budget -draft')).toEqual({
+      text: '',
+      filters: { cellType: 'formula', not: { labels: 'budget' }, allOf: [{ not: { text: 'draft' } }] }
+    });
+  });
+
+  test('should require quoted phrases and search for them', () => {
+    expect(parseSearchQuery('"operating margin" ratio')).toEqual({
+      text: 'operating margin ratio',
+      filters: { text: 'operating margin' }
+    });
+  });
+
+  test('should join alternatives with OR', () => {
+    expect(parseSearchQuery('sheet:Summary OR sheet:Dashboard type:range')).toEqual({
+      text: '',
+      filters: { anyOf: [{ sheet: 'Summary' }, { sheet: 'Dashboard' }], docType: 'range' }
+    });
+    expect(parseSearchQuery('revenue OR sales').text).toBe('revenue sales');
+  });
+
+  test('should keep words before a colon that are not fields as free text', () => {
+    expect(parseSearchQuery('ratio: debt to equity')).toEqual({ text: 'ratio: debt to equity', filters: undefined });
+    expect(parseSearchQuery('note:Q3 sheet:Summary')).toEqual({ text: 'note:Q3', filters: { sheet: 'Summary' } });
+  });
+
+  test('should filter on issue types', () => {
+    expect(parseSearchQuery('issue:Inconsistent-Formula sheet:Model')).toEqual({
+      text: '',
+      filters: { issues: 'inconsistent-formula', sheet: 'Model' }
+    });
+  });
+
+  test('should parse row and column bounds', () => {
+    expect(parseSearchQuery('row:2..10 col:C..').filters).toEqual({
+      rows: { min: 2, max: 10 },
+      columns: { min: 3 }
+    });
+  });
+
+  test('should parse value comparisons', () => {
+    expect(parseSearchQuery('revenue value>1M').filters).toEqual({ value: { gt: 1000000 } });
+    expect(parseSearchQuery('value<=$2,500').filters).toEqual({ value: { lte: 2500 } });
+    expect(parseSearchQuery('value:10%..20%').filters).toEqual({ value: { gte: 0.1, lte: 0.2 } });
+    expect(parseSearchQuery('value:(500)').filters).toEqual({ value: { gte: -500, lte: -500 } });
+  });
+
+  test('should read plain-language comparisons out of the free text', () => {
+    expect(parseSearchQuery('revenue above 1 million')).toEqual({ text: 'revenue', filters: { value: { gt: 1000000 } } });
+    expect(parseSearchQuery('margins below 10%')).toEqual({ text: 'margins', filters: { value: { lt: 0.1 } } });
+    expect(parseSearchQuery('cost between 5k and 20k')).toEqual({ text: 'cost', filters: { value: { gte: 5000, lte: 20000 } } });
+    expect(parseSearchQuery('price at least $3').filters).toEqual({ value: { gte: 3 } });
+    expect(parseSearchQuery('units between 5 and 10k').filters).toEqual({ value: { gte: 5, lte: 10000 } });
+    expect(parseSearchQuery('revenue over time')).toEqual({ text: 'revenue over time', filters: undefined });
+  });
+
+  test.each([
+    'growth over 5 years',
+    'costs under 2020 budget',
+    'more than 3 products',
+    'units at least 3',
+    'headcount between 2019 and 2021'
+  ])('should keep comparisons with a bare number as free text: %s', query => {
+    expect(parseSearchQuery(query)).toEqual({ text: query, filters: undefined });
+  });
+
+  test.each([
+    ['sheet:"P&L margin', 'Unterminated quote at position 6', 6],
+    ['margin type:chart', 'Invalid type "chart"', 12],
+    ['issue:stale', 'Invalid issue "stale"', 6],
+    ['label: revenue', 'Missing value for "label:" at position 6', 6],
+    ['revenue OR', 'OR must be between two terms at position 8', 8],
+    ['margin OR sheet:Summary', 'OR cannot join free text and a filter at position 0', 0],
+    ['row:10..2', 'Empty row range "10..2" at position 4', 4],
+    ['sheet>5', 'Field "sheet" does not support ">"', 5],
+    ['value>lots', 'Invalid value "lots"', 6],
+    ['value:9..3', 'Empty value range "9..3" at position 6', 6]
+  ])('should reject %s with its position', (query, message, position) => {
+    let error;
+    try {
+      parseSearchQuery(query);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(QuerySyntaxError);
+    expect(error.message).toContain(message);
+    expect(error.position).toBe(position);
+  });
+});
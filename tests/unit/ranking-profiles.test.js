@@ -0,0 +1,93 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RankingProfileRegistry, RankingProfileError } from '../../backend/services/ranking-profiles.js';
+
+const auditWeights = { semantic: 0.4, concept: 0.1, formula: 0.4, sheet: 0, centrality: 0.1 };
+
+describe('RankingProfileRegistry', () => {
+  let registry;
+
+  beforeEach(async () => {
+    registry = new RankingProfileRegistry({ enabled: false });
+    await registry.initialize();
+  });
+
+  describe('list', () => {
+    test('should include the built-in profiles', () => {
+      const names = registry.list().map(profile => profile.name);
+
+      expect(names).toEqual(['default', 'formula-audit', 'kpi-finder', 'semantic-only']);
+      expect(registry.get('default')).toMatchObject({ builtIn: true, weights: { semantic: 0.65, centrality: 0.05 } });
+    });
+  });
+
+  describe('set', () => {
+    test('should create and then replace a custom profile', async () => {
+      const first = await registry.set('audit', { description: 'Audit', weights: auditWeights });
+      const second = await registry.set('audit', { weights: { ...auditWeights, formula: 0.3, sheet: 0.1 } });
+
+      expect(first.created).toBe(true);
+      expect(second.created).toBe(false);
+      expect(registry.get('audit')).toMatchObject({ builtIn: false, weights: { formula: 0.3, sheet: 0.1 } });
+      expect(registry.list()).toHaveLength(5);
+    });
+
+    test('should reject built-in names, invalid names and invalid weights', async () => {
+      await expect(registry.set('kpi-finder', { weights: auditWeights }))
+        .rejects.toThrow('Profile "kpi-finder" is built in and cannot be changed');
+      await expect(registry.set('My Profile', { weights: auditWeights })).rejects.toThrow(RankingProfileError);
+      await expect(registry.set('audit', { weights: { semantic: 1 } }))
+        .rejects.toThrow('Ranking weight "concept" is required');
+      await expect(registry.set('audit', { weights: { ...auditWeights, semantic: 0.9 } }))
+        .rejects.toThrow('Ranking weights must sum to 1');
+    });
+  });
+
+  describe('remove', () => {
+    test('should delete custom profiles only', async () => {
+      await registry.set('audit', { weights: auditWeights });
+
+      expect(await registry.remove('audit')).toBe(true);
+      expect(await registry.remove('audit')).toBe(false);
+      await expect(registry.remove('default')).rejects.toThrow('is built in and cannot be deleted');
+    });
+  });
+
+  describe('resolve', () => {
+    test('should use the default profile when none is given', () => {
+      const { profile, weights } = registry.resolve();
+
+      expect(profile).toBe('default');
+      expect(weights.semantic).toBeCloseTo(0.65);
+    });
+
+    test('should apply overrides and rescale to sum to 1', () => {
+      const { weights } = registry.resolve({ profile: 'semantic-only', weights: { formula: 1 } });
+
+      expect(weights).toEqual({ semantic: 0.5, concept: 0, formula: 0.5, sheet: 0, centrality: 0 });
+    });
+
+    test('should reject unknown profiles and invalid overrides', () => {
+      expect(() => registry.resolve({ profile: 'missing' })).toThrow('Unknown ranking profile "missing"');
+      expect(() => registry.resolve({ weights: { keyword: 1 } })).toThrow(RankingProfileError);
+      expect(() => registry.resolve({ profile: 'semantic-only', weights: { semantic: 0 } }))
+        .toThrow('At least one ranking weight must be greater than 0');
+    });
+  });
+
+  describe('persistence', () => {
+    test('should reload custom profiles from disk', async () => {
+      const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-')), 'profiles.json');
+      const saved = new RankingProfileRegistry({ filePath, enabled: true });
+      await saved.initialize();
+      await saved.set('audit', { description: 'Audit', weights: auditWeights });
+
+      const loaded = new RankingProfileRegistry({ filePath, enabled: true });
+      await loaded.initialize();
+
+      expect(loaded.get('audit')).toMatchObject({ description: 'Audit', weights: auditWeights });
+      fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    });
+  });
+});
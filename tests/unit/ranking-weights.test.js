@@ -0,0 +1,70 @@
+import { getDefaultWeights, validateRankingWeights, normalizeWeights } from '../../backend/utils/ranking-weights.js';
+
+describe('getDefaultWeights', () => {
+  test('should read the environment weights', () => {
+    vi.stubEnv('FORMULA_COMPLEXITY_WEIGHT', '0.3');
+
+    expect(getDefaultWeights()).toEqual({ semantic: 0.65, concept: 0.15, formula: 0.3, sheet: 0.05, centrality: 0.05 });
+
+    vi.unstubAllEnvs();
+  });
+
+  test('should keep zero weights and ignore invalid ones', () => {
+    vi.stubEnv('CENTRALITY_WEIGHT', '0');
+    vi.stubEnv('CONCEPT_MATCH_WEIGHT', '-1');
+    vi.stubEnv('SHEET_IMPORTANCE_WEIGHT', 'off');
+
+    expect(getDefaultWeights()).toEqual({ semantic: 0.65, concept: 0.15, formula: 0.1, sheet: 0.05, centrality: 0 });
+
+    vi.unstubAllEnvs();
+  });
+});
+
+describe('validateRankingWeights', () => {
+  test('should accept partial overrides', () => {
+    expect(validateRankingWeights({ formula: 0.4 })).toBeNull();
+  });
+
+  test.each([
+    [null, 'Ranking weights must be an object'],
+    [[0.5], 'Ranking weights must be an object'],
+    [{ keyword: 0.5 }, 'Unknown ranking weight "keyword"'],
+    [{ semantic: -0.1 }, 'Ranking weight "semantic" must be a number between 0 and 1'],
+    [{ sheet: 2 }, 'Ranking weight "sheet" must be a number between 0 and 1'],
+    [{ concept: '0.2' }, 'Ranking weight "concept" must be a number between 0 and 1']
+  ])('should reject %j', (weights, message) => {
+    expect(validateRankingWeights(weights)).toContain(message);
+  });
+
+  test('should require every feature and a total of 1 when complete', () => {
+    expect(validateRankingWeights({ semantic: 1 }, { complete: true })).toBe('Ranking weight "concept" is required');
+    expect(validateRankingWeights({ semantic: 0.5, concept: 0.3, formula: 0.2, sheet: 0 }, { complete: true }))
+      .toBe('Ranking weight "centrality" is required');
+    expect(validateRankingWeights({ semantic: 0.7, concept: 0.3, formula: 0.2, sheet: 0, centrality: 0 }, { complete: true }))
+      .toBe('Ranking weights must sum to 1 (got 1.2)');
+    expect(validateRankingWeights({ semantic: 0.5, concept: 0.3, formula: 0.1, sheet: 0, centrality: 0.1 }, { complete: true }))
+      .toBeNull();
+  });
+});
+
+describe('normalizeWeights', () => {
+  test('should scale weights to sum to 1', () => {
+    const weights = normalizeWeights({ semantic: 0.6, concept: 0.2, formula: 0.1, sheet: 0, centrality: 0.1 });
+
+    expect(weights.semantic).toBeCloseTo(0.6);
+    expect(normalizeWeights({ semantic: 2, concept: 1, formula: 1, sheet: 0, centrality: 0 })).toEqual({
+      semantic: 0.5, concept: 0.25, formula: 0.25, sheet: 0, centrality: 0
+    });
+  });
+
+  test('should treat features missing from older profiles as 0', () => {
+    expect(normalizeWeights({ semantic: 0.5, concept: 0.5, formula: 0, sheet: 0 })).toEqual({
+      semantic: 0.5, concept: 0.5, formula: 0, sheet: 0, centrality: 0
+    });
+  });
+
+  test('should reject weights that are all zero', () => {
+    expect(() => normalizeWeights({ semantic: 0, concept: 0, formula: 0, sheet: 0, centrality: 0 }))
+      .toThrow('At least one ranking weight must be greater than 0');
+  });
+});
@@ -0,0 +1,124 @@
+import { RateLimiter, isRetryableError, getRetryAfterMs } from '../../backend/utils/rate-limiter.js';
+
+/**
+ * Build an error shaped like the OpenAI SDK's APIError
+ */
+function apiError(status, headers = {}) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('isRetryableError', () => {
+    test('should retry rate limits, server errors and network failures', () => {
+      expect(isRetryableError(apiError(429))).toBe(true);
+      expect(isRetryableError(apiError(503))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    });
+
+    test('should not retry client errors', () => {
+      expect(isRetryableError(apiError(400))).toBe(false);
+      expect(isRetryableError(apiError(401))).toBe(false);
+      expect(isRetryableError(new Error('Bad JSON'))).toBe(false);
+    });
+  });
+
+  describe('getRetryAfterMs', () => {
+    test('should read seconds, milliseconds and Headers objects', () => {
+      expect(getRetryAfterMs(apiError(429, { 'retry-after': '2' }))).toBe(2000);
+      expect(getRetryAfterMs(apiError(429, { 'retry-after-ms': '150' }))).toBe(150);
+      expect(getRetryAfterMs(apiError(429, new Headers({ 'retry-after': '1' })))).toBe(1000);
+      expect(getRetryAfterMs(apiError(429))).toBeNull();
+    });
+  });
+
+  describe('constructor', () => {
+    afterEach(() => {
+      delete process.env.OPENAI_MAX_RETRIES;
+    });
+
+    test('should honor OPENAI_MAX_RETRIES=0', () => {
+      process.env.OPENAI_MAX_RETRIES = '0';
+      expect(new RateLimiter().maxRetries).toBe(0);
+
+      process.env.OPENAI_MAX_RETRIES = 'lots';
+      expect(new RateLimiter().maxRetries).toBe(5);
+    });
+  });
+
+  describe('schedule', () => {
+    test('should retry 429 responses honoring Retry-After', async () => {
+      const limiter = new RateLimiter({ maxRetries: 3, baseDelay: 1 });
+      const fn = vi.fn()
+        .mockRejectedValueOnce(apiError(429, { 'retry-after-ms': '5' }))
+        .mockResolvedValueOnce('ok');
+
+      const result = await limiter.schedule(fn);
+
+      expect(result).toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(limiter.getStats()).toMatchObject({ requests: 2, retries: 1, throttled: 1, failures: 0 });
+    });
+
+    test('should give up after maxRetries', async () => {
+      const limiter = new RateLimiter({ maxRetries: 2, baseDelay: 1 });
+      const fn = vi.fn().mockRejectedValue(apiError(500));
+
+      await expect(limiter.schedule(fn)).rejects.toThrow('HTTP 500');
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(limiter.getStats().failures).toBe(1);
+    });
+
+    test('should not retry non-retryable errors', async () => {
+      const limiter = new RateLimiter({ maxRetries: 5, baseDelay: 1 });
+      const fn = vi.fn().mockRejectedValue(apiError(400));
+
+      await expect(limiter.schedule(fn)).rejects.toThrow('HTTP 400');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('token buckets', () => {
+    test('should queue requests beyond the requests-per-minute budget', async () => {
+      vi.useFakeTimers();
+      const limiter = new RateLimiter({ requestsPerMinute: 2, tokensPerMinute: 1000 });
+      const fn = vi.fn().mockResolvedValue('ok');
+
+      const calls = [limiter.schedule(fn), limiter.schedule(fn), limiter.schedule(fn)];
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(limiter.getStats().queueDepth).toBe(1);
+
+      await vi.advanceTimersByTimeAsync(30000);
+      await Promise.all(calls);
+
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(limiter.getStats().delayed).toBeGreaterThan(0);
+    });
+
+    test('should hold requests until enough tokens refill', async () => {
+      vi.useFakeTimers();
+      const limiter = new RateLimiter({ requestsPerMinute: 100, tokensPerMinute: 600 });
+      const fn = vi.fn().mockResolvedValue('ok');
+
+      const first = limiter.schedule(fn, { tokens: 500 });
+      const second = limiter.schedule(fn, { tokens: 300 });
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      // 200 more tokens at 600/minute take 20 seconds
+      await vi.advanceTimersByTimeAsync(20000);
+      await Promise.all([first, second]);
+
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+  });
+});
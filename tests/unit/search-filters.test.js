@@ -0,0 +1,131 @@
+import { validateSearchFilters, createDocumentFilter } from '../../backend/utils/search-filters.js';
+
+const cell = {
+  id: 'book:summary:C4',
+  spreadsheetId: 'book',
+  sheetName: 'Summary',
+  row: 4,
+  column: 3,
+  type: 'formula',
+  parsedFormula: { type: 'aggregation' },
+  labels: ['revenue', 'total']
+};
+
+const range = {
+  id: 'book:summary:range:margin',
+  spreadsheetId: 'book',
+  sheetName: 'Summary',
+  startRow: 2,
+  endRow: 10,
+  startColumn: 5,
+  endColumn: 5,
+  cells: [
+    { type: 'number', rawValue: '$1,250,000', formattedValue: '$1,250,000' },
+    { type: 'percentage', rawValue: '8.5%', formattedValue: '8.5%' }
+  ],
+  labels: ['margin']
+};
+
+describe('validateSearchFilters', () => {
+  test('should accept known filters', () => {
+    expect(validateSearchFilters(undefined)).toBeNull();
+    expect(validateSearchFilters({
+      workbook: 'book',
+      sheet: ['Summary', 'Data'],
+      docType: 'cell',
+      formulaType: ['lookup'],
+      columns: { min: 'B', max: 4 }
+    })).toBeNull();
+  });
+
+  test('should validate value comparisons', () => {
+    expect(validateSearchFilters({ value: { gt: 1000000, lte: '2.5M' } })).toBeNull();
+    expect(validateSearchFilters({ value: { lt: '10%', percent: true } })).toBeNull();
+    expect(validateSearchFilters({ value: { above: 5 } })).toMatch(/^Unknown comparison "above"/);
+    expect(validateSearchFilters({ value: { gt: 'lots' } })).toMatch(/^Filter "value.gt" must be a number/);
+    expect(validateSearchFilters({ value: { percent: true } })).toMatch(/needs at least one/);
+    expect(validateSearchFilters({ value: { gte: 10, lt: 5 } })).toBe('Filter "value" has a lower bound greater than its upper bound');
+  });
+
+  test('should reject malformed filters', () => {
+    expect(validateSearchFilters([])).toBe('filters must be an object');
+    expect(validateSearchFilters({ sheet: [] })).toBe('Filter "sheet" must be a non-empty string or array of strings');
+    expect(validateSearchFilters({ docType: 'table' })).toBe('Invalid docType "table". Use "cell", "range"');
+    expect(validateSearchFilters({ issues: 'typo' })).toMatch(/^Invalid issues "typo". Use "circular-reference", /);
+    expect(validateSearchFilters({ rows: { min: 'B' } })).toBe('Filter "rows.min" must be a positive integer');
+    expect(validateSearchFilters({ columns: { from: 1 } })).toBe('Unknown bound "from" in filter "columns". Use "min" or "max"');
+    expect(validateSearchFilters({ anyOf: [] })).toBe('Filter "anyOf" must be a non-empty array of filter objects');
+    expect(validateSearchFilters({ not: { docType: 'table' } })).toBe('Invalid docType "table". Use "cell", "range"');
+  });
+});
+
+describe('createDocumentFilter', () => {
+  test('should return null when nothing is filtered', () => {
+    expect(createDocumentFilter({})).toBeNull();
+  });
+
+  test('should require every filter and any value within one', () => {
+    const filter = createDocumentFilter({ sheet: 'summary', formulaType: ['lookup', 'aggregation'], labels: 'Revenue' });
+
+    expect(filter(cell)).toBe(true);
+    expect(filter({ ...cell, sheetName: 'Data' })).toBe(false);
+    expect(filter({ ...cell, labels: ['cost'] })).toBe(false);
+  });
+
+  test('should combine nested filters', () => {
+    const filter = createDocumentFilter({
+      anyOf: [{ sheet: 'Data' }, { functions: 'sum' }],
+      not: { labels: 'margin' }
+    });
+
+    expect(filter({ ...cell, parsedFormula: { functions: ['SUM'] } })).toBe(true);
+    expect(filter({ ...cell, parsedFormula: { functions: ['AVERAGE'] } })).toBe(false);
+    expect(filter(range)).toBe(false);
+  });
+
+  test('should match cells and ranges by issue type', () => {
+    const flagged = { ...cell, issues: [{ type: 'inconsistent-formula', severity: 'warning' }] };
+    const filter = createDocumentFilter({ issues: ['inconsistent-formula', 'circular-reference'] });
+
+    expect(filter(flagged)).toBe(true);
+    expect(filter({ ...range, cells: [...range.cells, flagged] })).toBe(true);
+    expect(filter(cell)).toBe(false);
+    expect(filter(range)).toBe(false);
+  });
+
+  test('should match phrases as consecutive analyzed terms', () => {
+    const getFields = doc => ({ rowHeader: doc.header });
+    const filter = createDocumentFilter({ text: 'operating margins' }, { getFields });
+
+    expect(filter({ header: 'Operating Margin %' })).toBe(true);
+    expect(filter({ header: 'Margin (operating)' })).toBe(false);
+  });
+
+  test('should match ranges on any cell and on overlapping bounds', () => {
+    expect(createDocumentFilter({ cellType: 'percentage' })(range)).toBe(true);
+    expect(createDocumentFilter({ rows: { min: 8, max: 20 }, columns: { max: 'E' } })(range)).toBe(true);
+    expect(createDocumentFilter({ rows: { min: 11 } })(range)).toBe(false);
+    expect(createDocumentFilter({ docType: 'cell' })(range)).toBe(false);
+  });
+
+  test('should compare normalized cell values', () => {
+    const negative = { ...cell, rawValue: '(3,400)', formattedValue: '(3,400)' };
+    const stored = { ...cell, rawValue: 'n/a', numericValue: 42 };
+
+    expect(createDocumentFilter({ value: { gt: 1000000 } })(range)).toBe(true);
+    expect(createDocumentFilter({ value: { gt: '2M' } })(range)).toBe(false);
+    expect(createDocumentFilter({ value: { lt: 0 } })(negative)).toBe(true);
+    expect(createDocumentFilter({ value: { gte: 42, lte: 42 } })(stored)).toBe(true);
+    expect(createDocumentFilter({ value: { gt: 0 } })(cell)).toBe(false);
+  });
+
+  test('should compare percentages as fractions', () => {
+    const ratio = { ...cell, type: 'number', rawValue: 0.05, formattedValue: '0.05' };
+
+    expect(createDocumentFilter({ value: { lt: '10%' } })(range)).toBe(true);
+    expect(createDocumentFilter({ value: { lt: '5%' } })(range)).toBe(false);
+    expect(createDocumentFilter({ value: { lt: '10%' } })(ratio)).toBe(true);
+    expect(createDocumentFilter({ value: { lt: '10%', percent: true } })(ratio)).toBe(false);
+    expect(createDocumentFilter({ value: { gt: 1, percent: false } })(range)).toBe(true);
+  });
+});
@@ -1,18 +1,21 @@
 import { SearchService } from '../../backend/services/search-service.js';
 import { sampleCells, sampleSearchResults } from '../fixtures/sample-cells.js';
+import { parseFormula } from '../../backend/utils/formula-parser.js';
 
 // Mock dependencies
 vi.mock('../../backend/services/index.js', () => ({
   embeddingService: {
     generateEmbedding: vi.fn(),
     generateEmbeddings: vi.fn(),
-    calculateCosineSimilarity: vi.fn()
+    calculateCosineSimilarity: vi.fn(),
+    concurrency: 2
   },
   labelService: {
     generateLabels: vi.fn(),
     generateRangeLabels: vi.fn(),
     generateSearchExplanation: vi.fn()
-  }
+  },
+  indexStore: null
 }));
 
 describe('SearchService', () => {
@@ -29,6 +32,7 @@ describe('SearchService', () => {
     mockLabelService = labelService;
     
     vi.clearAllMocks();
+    mockEmbeddingService.generateEmbeddings.mockImplementation(async (texts) => texts.map(() => [0.1, 0.2, 0.3]));
   });
 
   describe('constructor', () => {
@@ -66,14 +70,75 @@ describe('SearchService', () => {
       await searchService.addToIndex(sampleCells);
 
       expect(searchService.index.size).toBe(sampleCells.length);
-      expect(mockEmbeddingService.generateEmbedding).toHaveBeenCalledTimes(sampleCells.length);
+      expect(mockEmbeddingService.generateEmbeddings).toHaveBeenCalledTimes(1);
+      expect(mockEmbeddingService.generateEmbeddings.mock.calls[0][0]).toHaveLength(sampleCells.length);
+      expect(mockEmbeddingService.generateEmbedding).not.toHaveBeenCalled();
       expect(mockLabelService.generateLabels).toHaveBeenCalledTimes(sampleCells.length);
     });
 
+    test('should embed documents in chunks of indexBatchSize', async () => {
+      mockLabelService.generateLabels.mockResolvedValue({
+        labels: ['revenue'],
+        confidence: [0.9],
+        method: 'heuristic',
+        explanation: 'Revenue cell'
+      });
+      mockEmbeddingService.generateEmbeddings.mockImplementation(async (texts, type, { onBatch }) => {
+        onBatch(texts.length);
+        return texts.map(() => [0.1, 0.2, 0.3]);
+      });
+      searchService.indexBatchSize = 2;
+      const progress = { embedded: 0, labeled: 0 };
+
+      await searchService.addToIndex(sampleCells, {
+        onProgress: ({ embedded, labeled }) => {
+          progress.embedded += embedded;
+          progress.labeled += labeled;
+        }
+      });
+
+      expect(mockEmbeddingService.generateEmbeddings).toHaveBeenCalledTimes(2);
+      expect(progress).toEqual({ embedded: sampleCells.length, labeled: sampleCells.length });
+      expect(searchService.index.get(sampleCells[2].id).embedding).toEqual([0.1, 0.2, 0.3]);
+    });
+
+    test('should label documents concurrently, up to the embedding concurrency', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      mockEmbeddingService.generateEmbeddings.mockImplementation(async texts => texts.map(() => [0.1, 0.2, 0.3]));
+      mockLabelService.generateLabels.mockImplementation(async () => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return { labels: ['revenue'], confidence: [0.9], method: 'llm', explanation: '' };
+      });
+
+      await searchService.addToIndex(sampleCells);
+
+      expect(sampleCells.length).toBeGreaterThan(mockEmbeddingService.concurrency);
+      expect(maxInFlight).toBe(mockEmbeddingService.concurrency);
+      expect(Array.from(searchService.index.keys())).toEqual(sampleCells.map(cell => cell.id));
+    });
+
     test('should handle empty document array', async () => {
       await searchService.addToIndex([]);
       expect(searchService.index.size).toBe(0);
     });
+
+    test('should stage documents and swap them in for their workbook in one step', async () => {
+      mockLabelService.generateLabels.mockResolvedValue({ labels: ['revenue'], confidence: 0.8, method: 'heuristic', explanation: '' });
+      await searchService.addToIndex(sampleCells);
+      const workbookId = sampleCells[0].spreadsheetId;
+
+      const staged = await searchService.addToIndex(sampleCells.slice(0, 2), { stage: true });
+      expect(searchService.index.size).toBe(sampleCells.length);
+
+      const replaced = await searchService.replaceWorkbookDocuments([workbookId], staged);
+
+      expect(replaced).toBe(sampleCells.length);
+      expect([...searchService.index.keys()]).toEqual(sampleCells.slice(0, 2).map(cell => cell.id));
+      expect(searchService.keywordIndex.size).toBe(2);
+    });
   });
 
   describe('search', () => {
@@ -107,6 +172,51 @@ describe('SearchService', () => {
       expect(results.length).toBeGreaterThan(0);
     });
 
+    test('should score with per-request ranking weights', async () => {
+      mockEmbeddingService.calculateCosineSimilarity.mockReturnValue(0.6);
+
+      const results = await searchService.search('revenue', {
+        scoreWeights: { semantic: 1, concept: 0, formula: 0, sheet: 0, centrality: 0 }
+      });
+
+      results.forEach(result => expect(result.relevance).toBeCloseTo(0.6));
+    });
+
+    test('should collapse cells into their range when asked', async () => {
+      mockLabelService.generateRangeLabels.mockResolvedValue({ labels: ['revenue'], confidence: [0.9], method: 'heuristic' });
+      await searchService.addRangesToIndex([{
+        id: 'test_sheet:dashboard:range_a',
+        spreadsheetId: 'test_sheet',
+        sheetName: 'Dashboard',
+        header: 'Revenue',
+        cells: sampleCells,
+        startRow: 1,
+        endRow: 3,
+        startColumn: 1,
+        endColumn: 1
+      }]);
+      mockEmbeddingService.calculateCosineSimilarity.mockReturnValue(0.5);
+
+      const results = await searchService.search('revenue', { collapseRanges: true });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].type).toBe('range');
+      expect(results[0].collapsed).toHaveLength(3);
+    });
+
+    test('should diversify results by location with MMR', async () => {
+      await searchService.addToIndex([{ ...sampleCells[0], id: 'other_sheet_1_1', spreadsheetId: 'other_sheet' }]);
+      mockEmbeddingService.calculateCosineSimilarity.mockImplementation((a, b) => (a === b ? 1 : 0));
+
+      const ranked = await searchService.search('revenue', { topK: 4 });
+      const diversified = await searchService.search('revenue', { topK: 4, diversify: { lambda: 0.5 } });
+
+      expect(diversified).toHaveLength(ranked.length);
+      expect(ranked[1].location.workbook).toBe('test_sheet');
+      expect(diversified[0].id).toBe(ranked[0].id);
+      expect(diversified[1].location.workbook).not.toBe(diversified[0].location.workbook);
+    });
+
     test('should respect topK parameter', async () => {
       mockEmbeddingService.generateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
 
@@ -114,6 +224,100 @@ describe('SearchService', () => {
 
       expect(results.length).toBeLessThanOrEqual(1);
     });
+
+    test('should search the approximate index when requested', async () => {
+      searchService.index.forEach((doc, docId) => {
+        doc.embedding = docId === sampleCells[0].id ? [0.1, 0.2, 0.3] : [0.3, -0.2, 0.1];
+      });
+
+      const results = await searchService.search('revenue', { topK: 1, vectorSearch: 'approximate' });
+
+      expect(searchService.vectorIndexBuilt).toBe(true);
+      expect(searchService.vectorIndex.size).toBe(sampleCells.length);
+      expect(mockEmbeddingService.calculateCosineSimilarity).not.toHaveBeenCalled();
+      expect(results[0].id).toBe(sampleCells[0].id);
+    });
+
+    test('should skip documents outside the filters before computing similarity', async () => {
+      mockEmbeddingService.calculateCosineSimilarity.mockReturnValue(0.5);
+
+      const results = await searchService.search('revenue', { topK: 5, filters: { sheet: 'dashboard', rows: { min: 3 } } });
+
+      expect(mockEmbeddingService.calculateCosineSimilarity).toHaveBeenCalledTimes(1);
+      expect(results.map(r => r.id)).toEqual([sampleCells[2].id]);
+    });
+
+    test('should fall back to an exact scan when filters discard approximate neighbors', async () => {
+      mockEmbeddingService.calculateCosineSimilarity.mockReturnValue(0.5);
+
+      const results = await searchService.search('revenue', {
+        topK: 2,
+        vectorSearch: 'approximate',
+        filters: { rows: { min: 3 } }
+      });
+
+      expect(mockEmbeddingService.calculateCosineSimilarity).toHaveBeenCalledTimes(1);
+      expect(results.map(r => r.id)).toEqual([sampleCells[2].id]);
+    });
+
+    test('should embed only the free text of the query', async () => {
+      mockEmbeddingService.calculateCosineSimilarity.mockReturnValue(0.5);
+
+      const results = await searchService.search('sheet:Dashboard -type:number profit', { topK: 5 });
+
+      expect(mockEmbeddingService.generateEmbedding).toHaveBeenCalledWith('profit', 'query');
+      expect(results.map(r => r.id)).toEqual(expect.arrayContaining([sampleCells[0].id, sampleCells[2].id]));
+      expect(results).toHaveLength(2);
+    });
+
+    test('should not embed filter-only queries', async () => {
+      const results = await searchService.search('type:number', { topK: 5 });
+
+      expect(mockEmbeddingService.generateEmbedding).not.toHaveBeenCalled();
+      expect(results.map(r => r.id)).toEqual([sampleCells[1].id]);
+    });
+
+    test('should switch to the approximate index above annMinDocuments in auto mode', () => {
+      expect(searchService.useApproximateSearch('auto')).toBe(false);
+      expect(searchService.useApproximateSearch('exact')).toBe(false);
+
+      searchService.annMinDocuments = sampleCells.length;
+      expect(searchService.useApproximateSearch('auto')).toBe(true);
+    });
+
+    test('should keep the approximate index in sync once built', async () => {
+      searchService.ensureVectorIndex();
+      await searchService.addToIndex([{ ...sampleCells[0], id: 'other_book:summary:A1', spreadsheetId: 'other_book' }]);
+      expect(searchService.vectorIndex.has('other_book:summary:A1')).toBe(true);
+
+      await searchService.removeWorkbookDocuments(sampleCells[0].spreadsheetId);
+
+      expect(searchService.index.size).toBe(1);
+      expect(searchService.vectorIndex.size).toBe(1);
+    });
+  });
+
+  describe('hybridSearch', () => {
+    test('should fuse deeper sub-rankings into topK results', async () => {
+      const semanticSpy = vi.spyOn(searchService, 'rankSemantic').mockResolvedValue({
+        text: 'revenue',
+        ranked: [{ docId: 'a', finalScore: 0.9 }, { docId: 'b', finalScore: 0.7 }]
+      });
+      const keywordSpy = vi.spyOn(searchService, 'rankKeyword').mockResolvedValue({
+        text: 'revenue',
+        ranked: [{ docId: 'b', relevance: 0.6 }]
+      });
+      const formatSpy = vi.spyOn(searchService, 'formatSearchResult').mockImplementation(result => ({ id: result.docId }));
+      vi.spyOn(searchService, 'formatKeywordResult').mockImplementation(result => ({ id: result.docId }));
+
+      const results = await searchService.hybridSearch('revenue', { topK: 1, includeRanges: false });
+
+      expect(semanticSpy).toHaveBeenCalledWith('revenue', { includeRanges: false, topK: searchService.hybridCandidateDepth });
+      expect(keywordSpy).toHaveBeenCalledWith('revenue', { includeRanges: false, topK: searchService.hybridCandidateDepth });
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ id: 'b', ranks: { semantic: 2, keyword: 1 } });
+      expect(formatSpy).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('keywordSearch', () => {
@@ -139,6 +343,430 @@ describe('SearchService', () => {
 
       expect(results).toEqual([]);
     });
+
+    test('should score header matches with BM25 and explain the field', async () => {
+      const results = await searchService.keywordSearch('Q1 totals', { topK: 5 });
+
+      expect(results[0].id).toBe(sampleCells[1].id);
+      expect(results[0].relevance).toBe(1);
+      expect(results[0].reasons).toEqual(['header matches "q1"']);
+    });
+
+    test('should only score documents matching the filters', async () => {
+      const results = await searchService.keywordSearch('revenue', {
+        topK: 5,
+        filters: { cellType: 'number', rows: { max: 2 } }
+      });
+
+      expect(results.map(r => r.id)).toEqual([sampleCells[1].id]);
+    });
+
+    test('should apply field operators from the query text', async () => {
+      const results = await searchService.keywordSearch('revenue -type:number', { topK: 5 });
+
+      expect(results.map(r => r.id)).toEqual([sampleCells[0].id, sampleCells[2].id]);
+    });
+
+    test('should return filtered documents for a filter-only query', async () => {
+      const results = await searchService.keywordSearch('row:2..3', { topK: 5 });
+
+      expect(results.map(r => r.id)).toEqual([sampleCells[1].id, sampleCells[2].id]);
+      expect(results[0].explanation).toBe('Matches the query filters');
+    });
+
+    test('should combine numeric comparisons with the free text', async () => {
+      const above = await searchService.keywordSearch('revenue above 10k', { topK: 5 });
+      const below = await searchService.keywordSearch('revenue below 10k', { topK: 5 });
+
+      expect(above.map(r => r.id)).toEqual([sampleCells[1].id]);
+      expect(below).toEqual([]);
+    });
+
+    test('should report every matching document before the top K cut', async () => {
+      const onCandidates = vi.fn();
+
+      const results = await searchService.keywordSearch('revenue', { topK: 1, onCandidates });
+
+      expect(results).toHaveLength(1);
+      expect(onCandidates).toHaveBeenCalledTimes(1);
+      expect(onCandidates.mock.calls[0][0]).toHaveLength(sampleCells.length);
+    });
+
+    test('should drop removed documents from the keyword index', async () => {
+      await searchService.removeWorkbookDocuments(sampleCells[0].spreadsheetId);
+
+      expect(searchService.keywordIndex.size).toBe(0);
+      expect(await searchService.keywordSearch('revenue', { topK: 5 })).toEqual([]);
+    });
+  });
+
+  describe('explainScore', () => {
+    beforeEach(async () => {
+      mockLabelService.generateLabels.mockResolvedValue({
+        labels: ['revenue'],
+        confidence: [0.9],
+        method: 'heuristic',
+        explanation: 'Revenue cell'
+      });
+      await searchService.addToIndex(sampleCells);
+      mockEmbeddingService.generateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
+      mockEmbeddingService.calculateCosineSimilarity.mockReturnValue(0.8);
+    });
+
+    test('should break the semantic score into weighted features', async () => {
+      const explanation = await searchService.explainScore('revenue Q1', sampleCells[1].id);
+      const { semantic } = explanation;
+
+      expect(semantic.similarity).toBe(0.8);
+      expect(semantic.queryConcepts).toEqual(['revenue']);
+      expect(semantic.sharedConcepts).toEqual(['revenue']);
+      expect(semantic.weights).toEqual(searchService.getScoreWeights());
+      expect(semantic.finalScore).toBeCloseTo(
+        Object.values(semantic.contributions).reduce((sum, value) => sum + value, 0)
+      );
+      expect(semantic.rank).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should list keyword matches per term and field', async () => {
+      const { keyword } = await searchService.explainScore('revenue Q1', sampleCells[1].id);
+
+      expect(keyword.rank).toBe(1);
+      expect(keyword.relevance).toBe(1);
+      const q1 = keyword.terms.find(term => term.term === 'q1');
+      expect(q1.fields).toEqual([expect.objectContaining({ field: 'columnHeader', label: 'header', tf: 1, boost: 3 })]);
+      expect(keyword.score).toBeCloseTo(keyword.terms.reduce((sum, term) => sum + term.score, 0));
+    });
+
+    test('should explain documents the filters exclude', async () => {
+      const explanation = await searchService.explainScore('revenue sheet:Summary', sampleCells[0].id);
+
+      expect(explanation.matchesFilters).toBe(false);
+      expect(explanation.semantic.rank).toBeNull();
+      expect(explanation.semantic.finalScore).toBeGreaterThan(0);
+    });
+
+    test('should return null for unknown documents', async () => {
+      expect(await searchService.explainScore('revenue', 'missing')).toBeNull();
+    });
+
+    test('should explain with the requested ranking weights', async () => {
+      const scoreWeights = { semantic: 0.5, concept: 0, formula: 0.5, sheet: 0, centrality: 0 };
+      const { semantic } = await searchService.explainScore('revenue Q1', sampleCells[1].id, { scoreWeights });
+
+      expect(semantic.weights).toEqual(scoreWeights);
+      expect(semantic.contributions.concept).toBe(0);
+      expect(semantic.finalScore).toBeCloseTo(0.5 * 0.8);
+    });
+  });
+
+  describe('findSimilar', () => {
+    const totalCell = (id, spreadsheetId, column, formula) => ({
+      ...sampleCells[1],
+      id,
+      spreadsheetId,
+      row: 11,
+      column,
+      formula,
+      parsedFormula: parseFormula(formula)
+    });
+
+    beforeEach(async () => {
+      mockLabelService.generateLabels.mockResolvedValue({
+        labels: ['revenue'],
+        confidence: [0.9],
+        method: 'heuristic',
+        explanation: 'Revenue cell'
+      });
+      await searchService.addToIndex([
+        ...sampleCells,
+        totalCell('model_a:summary:B11', 'model_a', 2, '=SUM(B2:B10)'),
+        totalCell('model_a:summary:C11', 'model_a', 3, '=C10*12'),
+        totalCell('model_b:summary:D11', 'model_b', 4, '=SUM(D2:D10)')
+      ]);
+      mockEmbeddingService.calculateCosineSimilarity.mockReturnValue(0.5);
+    });
+
+    test('should rank documents with the same formula structure first', async () => {
+      const similar = await searchService.findSimilar('model_a:summary:B11', { topK: 3 });
+
+      expect(similar.document.formula).toBe('=SUM(B2:B10)');
+      expect(similar.candidates).toBe(5);
+      expect(similar.results[0]).toMatchObject({
+        id: 'model_b:summary:D11',
+        sharedFunctions: ['SUM'],
+        sharedLabels: ['revenue'],
+        similarity: { embedding: 0.5, formula: 1, labels: 1 }
+      });
+      expect(similar.results[0].reasons).toContain('same formula structure');
+      expect(similar.results.map(result => result.id)).not.toContain('model_a:summary:B11');
+    });
+
+    test('should restrict results to other workbooks', async () => {
+      const similar = await searchService.findSimilar('model_a:summary:B11', { otherWorkbooks: true });
+
+      expect(similar.results.every(result => result.location.workbook !== 'model_a')).toBe(true);
+    });
+
+    test('should drop the formula weight for documents without formulas', async () => {
+      const similar = await searchService.findSimilar(sampleCells[0].id);
+
+      expect(similar.weights.formula).toBe(0);
+      expect(similar.weights.embedding + similar.weights.labels).toBeCloseTo(1);
+    });
+
+    test('should return null for unknown documents', async () => {
+      expect(await searchService.findSimilar('missing')).toBeNull();
+    });
+  });
+
+  describe('traceDependencies', () => {
+    const [input, total, summary] = sampleCells;
+
+    beforeEach(async () => {
+      mockLabelService.generateLabels.mockResolvedValue({
+        labels: [],
+        confidence: [],
+        method: 'heuristic',
+        explanation: ''
+      });
+      await searchService.addToIndex([
+        input,
+        { ...total, precedents: [input.id] },
+        { ...summary, formula: `=${total.cellRef}`, precedents: [total.id] }
+      ]);
+    });
+
+    test('should follow precedents to the requested depth', async () => {
+      const trace = await searchService.traceDependencies(summary.id, { direction: 'precedents', depth: 1 });
+
+      expect(trace.cell).toMatchObject({ id: summary.id, cellRef: summary.cellRef, formula: '=A2' });
+      expect(trace.cells).toEqual([expect.objectContaining({ id: total.id, depth: 1, via: summary.id })]);
+      expect(trace.truncated).toBe(true);
+    });
+
+    test('should follow dependents transitively', async () => {
+      const trace = await searchService.traceDependencies(input.id, { direction: 'dependents', depth: 5 });
+
+      expect(trace.cells.map(cell => [cell.id, cell.depth])).toEqual([[total.id, 1], [summary.id, 2]]);
+      expect(trace).toMatchObject({ count: 2, truncated: false });
+    });
+
+    test('should cap the depth at the configured maximum', async () => {
+      searchService.dependencyMaxDepth = 1;
+
+      const trace = await searchService.traceDependencies(input.id, { direction: 'dependents', depth: 5 });
+
+      expect(trace.depth).toBe(1);
+      expect(trace.count).toBe(1);
+    });
+
+    test('should rebuild the graph when the index changes', async () => {
+      await searchService.traceDependencies(input.id, { direction: 'dependents' });
+      await searchService.addToIndex([{ ...input, id: 'test_sheet:dashboard:B1', cellRef: 'B1', precedents: [input.id] }]);
+
+      const trace = await searchService.traceDependencies(input.id, { direction: 'dependents' });
+
+      expect(trace.cells.map(cell => cell.id)).toEqual([total.id, 'test_sheet:dashboard:B1']);
+    });
+
+    test('should return null for unknown cells', async () => {
+      expect(await searchService.traceDependencies('missing', { direction: 'precedents' })).toBeNull();
+    });
+  });
+
+  describe('whatIf', () => {
+    const cellOf = (cellRef, column, cachedValue, formula = null, precedents) => ({
+      ...sampleCells[0],
+      id: `test_sheet:model:${cellRef}`,
+      sheetName: 'Model',
+      row: Number(cellRef.slice(1)),
+      column,
+      cellRef,
+      formula,
+      parsedFormula: formula ? parseFormula(formula) : null,
+      cachedValue,
+      precedents
+    });
+
+    beforeEach(async () => {
+      mockLabelService.generateLabels.mockResolvedValue({
+        labels: [],
+        confidence: [],
+        method: 'heuristic',
+        explanation: ''
+      });
+      await searchService.addToIndex([
+        cellOf('B1', 2, 100),
+        cellOf('B2', 2, 0.5),
+        cellOf('B3', 2, 150, '=B1*(1+B2)', ['test_sheet:model:B1', 'test_sheet:model:B2']),
+        cellOf('B4', 2, 250, '=B3+B1', ['test_sheet:model:B3', 'test_sheet:model:B1']),
+        cellOf('C4', 3, 'Grew', '=IF(B4>B1*2,"Grew","Flat")', ['test_sheet:model:B4', 'test_sheet:model:B1'])
+      ]);
+    });
+
+    test('should recalculate every dependent of the changed cell', async () => {
+      const scenario = await searchService.whatIf('test_sheet:model:B1', 200);
+
+      expect(scenario).toMatchObject({ before: 100, after: 200, count: 3, changed: 2 });
+      expect(scenario.cells.map(cell => [cell.cellRef, cell.depth, cell.before, cell.after])).toEqual([
+        ['B3', 1, 150, 300],
+        ['B4', 1, 250, 500],
+        ['C4', 1, 'Grew', 'Grew']
+      ]);
+      expect(scenario.cells[1].change).toBe(250);
+    });
+
+    test('should leave the index untouched', async () => {
+      await searchService.whatIf('test_sheet:model:B2', 1);
+
+      expect(searchService.index.get('test_sheet:model:B3').cachedValue).toBe(150);
+      expect((await searchService.whatIf('test_sheet:model:B2', 0.5)).changed).toBe(0);
+    });
+
+    test('should return null for unknown cells', async () => {
+      expect(await searchService.whatIf('missing', 1)).toBeNull();
+    });
+  });
+
+  describe('centrality', () => {
+    const [input, total, summary] = sampleCells;
+    const centralityOnly = { semantic: 0, concept: 0, formula: 0, sheet: 0, centrality: 1 };
+
+    beforeEach(async () => {
+      mockLabelService.generateLabels.mockResolvedValue({
+        labels: [],
+        confidence: [],
+        method: 'heuristic',
+        explanation: ''
+      });
+      mockLabelService.generateSearchExplanation.mockReturnValue('');
+      mockEmbeddingService.generateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
+      mockEmbeddingService.calculateCosineSimilarity.mockReturnValue(0.5);
+      // summary reads total, which reads input
+      await searchService.addToIndex([
+        input,
+        { ...total, precedents: [input.id] },
+        { ...summary, formula: `=${total.cellRef}`, precedents: [total.id] }
+      ]);
+    });
+
+    test('should scale PageRank within the workbook', () => {
+      expect(searchService.getCentrality(searchService.index.get(input.id))).toBe(1);
+      expect(searchService.getCentrality(searchService.index.get(summary.id))).toBe(0);
+      expect(searchService.getCentrality({ id: 'unlinked' })).toBe(0);
+    });
+
+    test('should rank cells other formulas build on first', async () => {
+      const results = await searchService.search('revenue', { scoreWeights: centralityOnly });
+
+      expect(results.map(result => result.id)).toEqual([input.id, total.id, summary.id]);
+      expect(results[0].reasons).toContain('many cells depend on it');
+    });
+
+    test('should explain the centrality contribution', async () => {
+      const { semantic } = await searchService.explainScore('revenue', total.id, { scoreWeights: centralityOnly });
+
+      expect(semantic.dependents).toBe(1);
+      expect(semantic.centrality).toBeGreaterThan(0);
+      expect(semantic.contributions.centrality).toBe(semantic.finalScore);
+    });
+  });
+
+  describe('searchPage', () => {
+    beforeEach(async () => {
+      mockLabelService.generateLabels.mockResolvedValue({
+        labels: ['revenue'],
+        confidence: [0.9],
+        method: 'heuristic',
+        explanation: 'Revenue cell'
+      });
+      await searchService.addToIndex(sampleCells);
+    });
+
+    test('should page through every match with cursors', async () => {
+      const first = await searchService.searchPage('revenue', { mode: 'keyword', limit: 2 });
+      const second = await searchService.searchPage(null, { cursor: first.nextCursor });
+
+      expect(first).toMatchObject({ query: 'revenue', mode: 'keyword', offset: 0, limit: 2, totalMatches: sampleCells.length });
+      expect(first.results).toHaveLength(2);
+      expect(second).toMatchObject({ offset: 2, limit: 2, nextCursor: null });
+      expect([...first.results, ...second.results].map(r => r.id).sort())
+        .toEqual(sampleCells.map(cell => cell.id).sort());
+    });
+
+    test('should keep paging the same ranking while documents are ingested', async () => {
+      const first = await searchService.searchPage('revenue', { mode: 'keyword', limit: 1 });
+      const expected = await searchService.keywordSearch('revenue', { topK: sampleCells.length });
+
+      await searchService.addToIndex([{
+        ...sampleCells[0],
+        id: 'test_sheet_Dashboard_A9',
+        address: 'A9',
+        row: 9,
+        headers: { row: 'Revenue', column: 'Revenue' }
+      }]);
+      const second = await searchService.searchPage(null, { cursor: first.nextCursor });
+      const fresh = await searchService.searchPage('revenue', { mode: 'keyword', limit: 1 });
+
+      expect(second.results.map(r => r.id)).toEqual([expected[1].id]);
+      expect(second.totalMatches).toBe(sampleCells.length);
+      expect(second.indexVersion).toBe(first.indexVersion);
+      expect(fresh.totalMatches).toBe(sampleCells.length + 1);
+      expect(fresh.indexVersion).toBeGreaterThan(first.indexVersion);
+    });
+
+    test('should page hybrid results past the candidate depth', async () => {
+      searchService.hybridCandidateDepth = 1;
+      const formatSpy = vi.spyOn(searchService, 'formatSearchResult');
+
+      const first = await searchService.searchPage('revenue', { mode: 'hybrid', limit: 1 });
+      expect(formatSpy).toHaveBeenCalledTimes(1);
+      const pages = [first];
+      while (pages.at(-1).nextCursor) {
+        pages.push(await searchService.searchPage(null, { cursor: pages.at(-1).nextCursor }));
+      }
+
+      expect(sampleCells.length).toBeGreaterThan(2);
+      expect(first.totalMatches).toBe(sampleCells.length);
+      expect(first.facets.labels).toEqual([{ value: 'revenue', count: sampleCells.length }]);
+      expect(pages.flatMap(page => page.results).map(r => r.id).sort())
+        .toEqual(sampleCells.map(cell => cell.id).sort());
+    });
+
+    test('should skip offset results without a cursor', async () => {
+      const expected = await searchService.search('revenue', { topK: sampleCells.length });
+
+      const page = await searchService.searchPage('revenue', { mode: 'semantic', offset: 1, limit: 1 });
+
+      expect(page.results.map(r => r.id)).toEqual([expected[1].id]);
+      expect(page.offset).toBe(1);
+    });
+
+    test('should count facets over the whole ranking', async () => {
+      const page = await searchService.searchPage('revenue', { mode: 'keyword', limit: 1 });
+
+      expect(page.facets.labels).toEqual([{ value: 'revenue', count: sampleCells.length }]);
+    });
+
+    test('should reject malformed and expired cursors', async () => {
+      const { InvalidCursorError } = await import('../../backend/utils/search-cursor.js');
+      const first = await searchService.searchPage('revenue', { mode: 'keyword', limit: 1 });
+      const [snapshot] = searchService.snapshots.values();
+      snapshot.expiresAt = 0;
+
+      await expect(searchService.searchPage(null, { cursor: 'not-a-cursor' })).rejects.toThrow(InvalidCursorError);
+      await expect(searchService.searchPage(null, { cursor: first.nextCursor })).rejects.toThrow('Cursor has expired');
+    });
+
+    test('should drop the oldest snapshots beyond snapshotLimit', async () => {
+      searchService.snapshotLimit = 2;
+
+      for (let i = 0; i < 3; i++) {
+        await searchService.searchPage('revenue', { mode: 'keyword', limit: 1 });
+      }
+
+      expect(searchService.snapshots.size).toBe(2);
+    });
   });
 
   describe('addRangesToIndex', () => {
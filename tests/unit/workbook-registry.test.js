@@ -0,0 +1,195 @@
+import { WorkbookRegistry } from '../../backend/services/workbook-registry.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mock dependencies
+vi.mock('../../backend/services/index.js', () => ({
+  excelParserService: {
+    parseExcelFile: vi.fn()
+  },
+  searchService: {
+    addToIndex: vi.fn(),
+    addRangesToIndex: vi.fn(),
+    removeWorkbookDocuments: vi.fn(),
+    replaceWorkbookDocuments: vi.fn(),
+    getWorkbookCounts: vi.fn(() => new Map()),
+    getWorkbookIssues: vi.fn(() => [])
+  }
+}));
+
+const spreadsheetData = {
+  id: 'budget',
+  title: 'Budget',
+  filePath: '/tmp/budget.xlsx',
+  fileHash: 'abc123',
+  loadedAt: '2024-01-01T00:00:00.000Z',
+  sheets: {
+    Summary: {
+      sheetName: 'Summary',
+      cells: [{ id: 'budget:summary:A1', spreadsheetId: 'budget' }, { id: 'budget:summary:A2', spreadsheetId: 'budget' }],
+      ranges: [{ id: 'budget:summary:range_revenue', spreadsheetId: 'budget', cells: [] }]
+    }
+  }
+};
+
+describe('WorkbookRegistry', () => {
+  let registry;
+  let mockSearchService;
+
+  beforeEach(async () => {
+    registry = new WorkbookRegistry({ enabled: false });
+    await registry.initialize();
+
+    const { searchService } = await import('../../backend/services/index.js');
+    mockSearchService = searchService;
+
+    vi.clearAllMocks();
+  });
+
+  describe('register', () => {
+    test('should record workbook metadata', async () => {
+      const record = await registry.register(spreadsheetData);
+
+      expect(record).toMatchObject({
+        id: 'budget',
+        title: 'Budget',
+        fileHash: 'abc123',
+        sheetCount: 1,
+        sheetNames: ['Summary'],
+        parsedCells: 2,
+        parsedRanges: 1
+      });
+      expect(mockSearchService.removeWorkbookDocuments).not.toHaveBeenCalled();
+    });
+
+    test('should replace the record, not the documents, when a workbook is loaded again', async () => {
+      await registry.register(spreadsheetData);
+      await registry.register(spreadsheetData);
+
+      expect(mockSearchService.removeWorkbookDocuments).not.toHaveBeenCalled();
+      expect(registry.list()).toHaveLength(1);
+    });
+  });
+
+  describe('list', () => {
+    test('should include live index counts', async () => {
+      mockSearchService.getWorkbookCounts.mockReturnValue(new Map([['budget', { cells: 2, ranges: 1 }]]));
+      await registry.register(spreadsheetData);
+
+      const [workbook] = registry.list();
+
+      expect(workbook.cellCount).toBe(2);
+      expect(workbook.rangeCount).toBe(1);
+    });
+  });
+
+  describe('getIssues', () => {
+    beforeEach(async () => {
+      mockSearchService.getWorkbookIssues.mockReturnValue([
+        { type: 'empty-reference', severity: 'warning', message: 'References empty cell C1', cell: { id: 'budget:summary:A1' } },
+        { type: 'error-value', severity: 'error', message: 'Shows #DIV/0!', cell: { id: 'budget:summary:A2' } }
+      ]);
+      await registry.register(spreadsheetData);
+    });
+
+    test('should summarize issues and list errors first', () => {
+      const report = registry.getIssues('budget');
+
+      expect(report.workbook).toEqual({ id: 'budget', title: 'Budget' });
+      expect(report.summary.errors).toBe(1);
+      expect(report.summary.warnings).toBe(1);
+      expect(report.summary.byType['circular-reference']).toBe(0);
+      expect(report.issues.map(issue => issue.type)).toEqual(['error-value', 'empty-reference']);
+    });
+
+    test('should filter by type and severity but keep the full summary', () => {
+      const report = registry.getIssues('budget', { severity: 'warning' });
+
+      expect(report.count).toBe(1);
+      expect(report.issues[0].type).toBe('empty-reference');
+      expect(report.summary.errors).toBe(1);
+      expect(registry.getIssues('budget', { type: 'missing-sheet' }).count).toBe(0);
+    });
+
+    test('should return null for unknown workbooks', () => {
+      expect(registry.getIssues('missing')).toBeNull();
+    });
+  });
+
+  describe('remove', () => {
+    test('should remove documents for the workbook only', async () => {
+      mockSearchService.removeWorkbookDocuments.mockResolvedValue(3);
+      await registry.register(spreadsheetData);
+
+      const result = await registry.remove('budget');
+
+      expect(result).toEqual({ id: 'budget', title: 'Budget', removedDocuments: 3 });
+      expect(registry.get('budget')).toBeNull();
+    });
+
+    test('should return null for unknown workbooks', async () => {
+      expect(await registry.remove('missing')).toBeNull();
+    });
+  });
+
+  describe('reindex', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbook-registry-'));
+      filePath = path.join(tempDir, 'budget.xlsx');
+      fs.writeFileSync(filePath, '');
+
+      const { excelParserService } = await import('../../backend/services/index.js');
+      excelParserService.parseExcelFile.mockResolvedValue({ ...spreadsheetData, filePath });
+      mockSearchService.addToIndex.mockImplementation(async docs => docs.map(doc => ({ ...doc, embedding: [1] })));
+      mockSearchService.addRangesToIndex.mockImplementation(async docs => docs.map(doc => ({ ...doc, embedding: [1] })));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should swap in the new documents once they are indexed', async () => {
+      mockSearchService.replaceWorkbookDocuments.mockResolvedValue(3);
+      await registry.register({ ...spreadsheetData, filePath });
+
+      const result = await registry.reindex('budget');
+
+      expect(mockSearchService.addToIndex).toHaveBeenCalledWith(spreadsheetData.sheets.Summary.cells, { stage: true });
+      const [workbookIds, staged] = mockSearchService.replaceWorkbookDocuments.mock.calls[0];
+      expect(workbookIds).toContain('budget');
+      expect(staged.map(doc => doc.id)).toEqual(['budget:summary:A1', 'budget:summary:A2', 'budget:summary:range_revenue']);
+      expect(result).toMatchObject({ removedDocuments: 3, indexedCells: 2, indexedRanges: 1 });
+    });
+
+    test('should keep the previous documents when indexing fails', async () => {
+      mockSearchService.addRangesToIndex.mockRejectedValue(new Error('Rate limited'));
+      await registry.register({ ...spreadsheetData, filePath });
+
+      await expect(registry.reindex('budget')).rejects.toThrow('Rate limited');
+
+      expect(mockSearchService.replaceWorkbookDocuments).not.toHaveBeenCalled();
+      expect(mockSearchService.removeWorkbookDocuments).not.toHaveBeenCalled();
+      expect(registry.get('budget')).not.toBeNull();
+    });
+
+    test('should fail when the source file is gone', async () => {
+      await registry.register({ ...spreadsheetData, filePath: '/nonexistent/budget.xlsx' });
+
+      await expect(registry.reindex('budget')).rejects.toThrow('no longer available');
+    });
+  });
+
+  describe('clear', () => {
+    test('should forget every workbook', async () => {
+      await registry.register(spreadsheetData);
+
+      await registry.clear();
+
+      expect(registry.list()).toEqual([]);
+    });
+  });
+});